@@ -4,6 +4,15 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Flatten a ChatterBox transcript array into "speaker: text" lines (used for full-text search)
+CREATE OR REPLACE FUNCTION transcript_to_text(transcript JSONB)
+RETURNS TEXT AS $$
+    SELECT string_agg(COALESCE(entry->>'speaker', '') || ': ' || COALESCE(entry->>'text', ''), E'\n')
+    FROM jsonb_array_elements(
+        CASE WHEN jsonb_typeof(transcript) = 'array' THEN transcript ELSE '[]'::jsonb END
+    ) AS entry
+$$ LANGUAGE sql IMMUTABLE;
+
 -- Create meetings table
 CREATE TABLE meetings (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -21,23 +30,35 @@ CREATE TABLE meetings (
   bot_join_status TEXT DEFAULT 'pending', -- pending, joined, failed
   
   -- Processing Status
-  status TEXT DEFAULT 'started', -- started, bot_joined, recording, processing, completed, failed
+  status TEXT DEFAULT 'started', -- started, bot_joining, bot_joined, recording, processing, completed, failed, ignored (transitions enforced by meetingStateMachine)
+  processing_owner TEXT, -- run (queue job ID) holding the processing claim; set atomically with status
   
   -- ChatterBox Response Data
   recording_s3_url TEXT,
   recording_start_timestamp TIMESTAMPTZ,
   recording_end_timestamp TIMESTAMPTZ,
   transcript_data JSONB, -- Store full transcript array
+  speaker_analytics JSONB, -- per-speaker talk time, words, turns, interruptions (transcriptService.getSpeakerAnalytics)
+  summary JSONB, -- { summary, actionItems, decisions, openQuestions, provider, model, generatedAt } from the summarize step
+  
+  -- Full-text search over title, description and transcript (weighted in that order)
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(meeting_title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(meeting_description, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(transcript_to_text(transcript_data), '')), 'C')
+  ) STORED,
   
-  -- Google Drive Files
+  -- Stored Files (column names predate pluggable storage: IDs are Drive file IDs, S3 keys or local paths)
+  storage_provider TEXT, -- google_drive, s3, local
   google_drive_recording_id TEXT,
   google_drive_recording_url TEXT,
   google_drive_transcript_id TEXT, 
   google_drive_transcript_url TEXT,
   
   -- Notifications
-  slack_message_ts TEXT,
-  slack_channel TEXT DEFAULT 'C0985UTH8UF', -- meetings channel
+  slack_message_ts TEXT, -- parent lifecycle message (first entry of slack_threads)
+  slack_threads JSONB, -- [{ "channel": ..., "ts": ... }] one parent message per routed channel
+  slack_channel TEXT, -- per-meeting override; NULL = use slack_routing_rules, then SLACK_MEETINGS_CHANNEL
   
   -- Timestamps
   processing_started_at TIMESTAMPTZ,
@@ -51,13 +72,14 @@ CREATE INDEX idx_meetings_calendar_event_id ON meetings(calendar_event_id);
 CREATE INDEX idx_meetings_session_id ON meetings(chatterbox_session_id);
 CREATE INDEX idx_meetings_status ON meetings(status);
 CREATE INDEX idx_meetings_created_at ON meetings(created_at);
+CREATE INDEX idx_meetings_search_vector ON meetings USING GIN (search_vector);
 
 -- Create processing_logs table
 CREATE TABLE processing_logs (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   meeting_id UUID REFERENCES meetings(id) ON DELETE CASCADE,
   
-  step TEXT NOT NULL, -- join_bot, poll_status, download_recording, upload_drive, create_transcript, send_slack
+  step TEXT NOT NULL, -- fetch_session_data, stream_to_drive, fetch_transcript, create_transcript, summarize, export_transcript, send_notification, notify_attendees
   status TEXT NOT NULL, -- started, completed, failed, retrying
   
   error_message TEXT,
@@ -67,7 +89,7 @@ CREATE TABLE processing_logs (
   started_at TIMESTAMPTZ DEFAULT NOW(),
   completed_at TIMESTAMPTZ,
   
-  -- Step-specific data
+  -- Step-specific data (metadata.output holds the step result used to resume processing)
   metadata JSONB
 );
 
@@ -75,12 +97,137 @@ CREATE TABLE processing_logs (
 CREATE INDEX idx_processing_logs_meeting_id ON processing_logs(meeting_id);
 CREATE INDEX idx_processing_logs_step_status ON processing_logs(step, status);
 
+-- Create transcript_segments table (real-time chunks from ChatterBox transcript webhooks)
+CREATE TABLE transcript_segments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  meeting_id UUID REFERENCES meetings(id) ON DELETE CASCADE,
+  chatterbox_session_id TEXT,
+  
+  time_start DOUBLE PRECISION NOT NULL, -- milliseconds from recording start
+  time_end DOUBLE PRECISION,
+  speaker TEXT,
+  text TEXT NOT NULL,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  -- Redelivered chunks overwrite instead of duplicating
+  UNIQUE (meeting_id, time_start)
+);
+
+-- Create meeting_status_history table (audit trail of every status transition)
+CREATE TABLE meeting_status_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  meeting_id UUID REFERENCES meetings(id) ON DELETE CASCADE,
+  
+  from_status TEXT, -- NULL when the meeting was created
+  to_status TEXT NOT NULL,
+  reason TEXT,
+  metadata JSONB,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Add indexes for meeting_status_history
+CREATE INDEX idx_meeting_status_history_meeting_id ON meeting_status_history(meeting_id, created_at);
+
+-- Create webhook_events table (idempotency ledger for inbound webhook deliveries)
+CREATE TABLE webhook_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  
+  source TEXT NOT NULL, -- chatterbox
+  event_key TEXT UNIQUE NOT NULL, -- sender event ID, or "<sessionId>:<type>" when none is sent
+  event_type TEXT NOT NULL, -- started, finished
+  session_id TEXT,
+  payload JSONB,
+  
+  status TEXT NOT NULL DEFAULT 'received', -- received, processed, failed (failed and long-unsettled received events may be redelivered)
+  error_message TEXT,
+  
+  received_at TIMESTAMPTZ DEFAULT NOW(),
+  processed_at TIMESTAMPTZ
+);
+
+-- Add indexes for webhook_events
+CREATE INDEX idx_webhook_events_session_id ON webhook_events(session_id);
+
+-- Create processing_jobs table (durable queue for post-meeting processing)
+CREATE TABLE processing_jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  
+  job_type TEXT NOT NULL, -- process_recording, retry_processing, manual_processing, deliver_webhook, sync_calendar
+  meeting_id UUID REFERENCES meetings(id) ON DELETE CASCADE,
+  dedupe_key TEXT, -- at most one queued/running job per key
+  payload JSONB DEFAULT '{}'::jsonb,
+  
+  status TEXT NOT NULL DEFAULT 'queued', -- queued, running, completed, failed
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 3,
+  run_at TIMESTAMPTZ DEFAULT NOW(), -- not claimable before this time
+  priority INTEGER DEFAULT 0, -- claimed highest first; pipeline jobs outrank webhooks and syncs
+  
+  -- Lease held by the worker currently running the job
+  locked_by TEXT,
+  locked_until TIMESTAMPTZ, -- visibility timeout; expired leases are reclaimed
+  
+  last_error TEXT,
+  
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Add indexes for processing_jobs
+CREATE UNIQUE INDEX idx_processing_jobs_active_dedupe ON processing_jobs(dedupe_key)
+  WHERE status IN ('queued', 'running');
+CREATE INDEX idx_processing_jobs_claim ON processing_jobs(status, priority DESC, run_at);
+CREATE INDEX idx_processing_jobs_meeting_id ON processing_jobs(meeting_id);
+
+-- Create api_keys table (only SHA-256 hashes of keys are stored)
+CREATE TABLE api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL, -- first characters of the key, for identification
+  key_hash TEXT UNIQUE NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}', -- read:meetings, write:meetings, admin
+  
+  created_by TEXT,
+  revoked_by TEXT,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+-- Create api_audit_log table (one row per authenticated API call)
+CREATE TABLE api_audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL, -- NULL for the ADMIN_API_KEY bootstrap key
+  key_name TEXT,
+  
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  status_code INTEGER,
+  ip TEXT,
+  user_agent TEXT,
+  duration_ms INTEGER,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Add indexes for api_audit_log
+CREATE INDEX idx_api_audit_log_api_key_id ON api_audit_log(api_key_id, created_at);
+CREATE INDEX idx_api_audit_log_created_at ON api_audit_log(created_at);
+
 -- Create calendar_events table to store Google Calendar data
 CREATE TABLE calendar_events (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   
   -- Google Calendar Event Data
   calendar_event_id TEXT UNIQUE NOT NULL, -- Google Calendar event ID
+  calendar_id TEXT, -- Calendar the event was read from (e.g., "team@example.com")
   etag TEXT,
   status TEXT,
   html_link TEXT,
@@ -122,6 +269,111 @@ CREATE INDEX idx_calendar_events_conference_id ON calendar_events(conference_id)
 CREATE INDEX idx_calendar_events_session_id ON calendar_events(chatterbox_session_id);
 CREATE INDEX idx_calendar_events_start_datetime ON calendar_events(start_datetime);
 
+-- Create slack_routing_rules table (which Slack channels and email recipients hear about which meetings)
+-- Enabled rules are evaluated by ascending priority; the first rule whose conditions
+-- all match wins. NULL conditions are ignored, so a rule without conditions is a catch-all.
+CREATE TABLE slack_routing_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 100, -- lower runs first
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  
+  -- Conditions
+  organizer_email TEXT, -- calendar organizer, case-insensitive
+  attendee_domain TEXT, -- any attendee with an email at this domain (e.g., "acme.com")
+  title_pattern TEXT, -- case-insensitive regular expression on the meeting title
+  calendar_id TEXT, -- calendar_events.calendar_id
+  
+  -- Targets: channel IDs, or user IDs to DM; email addresses and/or the meeting's attendees
+  channels TEXT[] NOT NULL DEFAULT '{}',
+  email_recipients TEXT[] NOT NULL DEFAULT '{}',
+  email_attendees BOOLEAN NOT NULL DEFAULT FALSE,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CHECK (cardinality(channels) > 0 OR cardinality(email_recipients) > 0 OR email_attendees)
+);
+
+-- Add indexes for slack_routing_rules
+CREATE INDEX idx_slack_routing_rules_priority ON slack_routing_rules(priority, created_at) WHERE enabled;
+
+-- Create webhook_subscriptions table (outbound webhooks for meeting lifecycle events)
+CREATE TABLE webhook_subscriptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL, -- HMAC key for X-Webhook-Signature (needed in plaintext to sign)
+  events TEXT[] NOT NULL DEFAULT '{}', -- e.g. {processing.completed}; empty = every event
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by TEXT, -- API key name
+  
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create webhook_deliveries table (delivery log; one row per event per subscription)
+CREATE TABLE webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(), -- sent as X-Webhook-Delivery
+  subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL, -- same for every subscription that receives the event
+  event_type TEXT NOT NULL,
+  meeting_id UUID REFERENCES meetings(id) ON DELETE SET NULL,
+  payload JSONB NOT NULL,
+  
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, delivered, failed
+  attempts INTEGER DEFAULT 0,
+  last_status_code INTEGER,
+  last_response TEXT, -- first 1000 characters of the response body
+  last_error TEXT,
+  last_duration_ms INTEGER,
+  
+  last_attempt_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Add indexes for webhook_deliveries
+CREATE INDEX idx_webhook_deliveries_subscription_id ON webhook_deliveries(subscription_id, created_at DESC);
+CREATE INDEX idx_webhook_deliveries_created_at ON webhook_deliveries(created_at);
+
+-- Create calendar_watch_channels table (Google Calendar push channels, one per watched calendar)
+-- The current events.watch channel is renewed before it expires; sync_token is the
+-- nextSyncToken from the last events.list, so each push triggers an incremental sync.
+CREATE TABLE calendar_watch_channels (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  calendar_id TEXT UNIQUE NOT NULL, -- e.g. "team@example.com" or "primary"
+  
+  -- Current push channel (NULL until the first events.watch succeeds)
+  channel_id TEXT UNIQUE, -- X-Goog-Channel-ID
+  resource_id TEXT, -- X-Goog-Resource-ID, needed to stop the channel
+  channel_token TEXT, -- X-Goog-Channel-Token, checked on every push
+  expiration TIMESTAMPTZ,
+  
+  -- Incremental sync
+  sync_token TEXT,
+  last_synced_at TIMESTAMPTZ,
+  
+  created_by TEXT, -- API key name
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create slack_dm_opt_outs table (people who don't want meeting artifacts sent to them by DM)
+CREATE TABLE slack_dm_opt_outs (
+  slack_user_id TEXT PRIMARY KEY,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create weekly_digests table (one row per weekly analytics digest posted to Slack)
+-- An instance claims the week by inserting its row, so only one of them posts.
+CREATE TABLE weekly_digests (
+  week_start DATE PRIMARY KEY, -- Monday (UTC) of the week the digest covers
+  channel TEXT,
+  message_ts TEXT, -- NULL while the digest is being posted
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Create service_config table
 CREATE TABLE service_config (
   key TEXT PRIMARY KEY,
@@ -136,7 +388,8 @@ INSERT INTO service_config (key, value, description) VALUES
 ('google_drive_transcripts_folder', '"1HER44rFU288z8C_munUkKAiVdnoMN5MW"', 'Google Drive folder ID for transcripts'),
 ('slack_meetings_channel', '"C0985UTH8UF"', 'Default Slack channel for notifications'),
 ('chatterbox_poll_interval', '30000', 'Polling interval in milliseconds'),
-('max_retries', '3', 'Maximum retry attempts for failed operations');
+('max_retries', '3', 'Maximum retry attempts for failed operations'),
+('attendee_dms_enabled', 'false', 'DM internal attendees their recording and transcript links after processing');
 
 -- Create function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -147,12 +400,169 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+-- Atomically claim the next runnable job for a worker
+-- Picks queued jobs that are due, or running jobs whose lease has expired (crashed worker)
+-- p_job_types limits the claim to those job types (NULL = any)
+CREATE OR REPLACE FUNCTION claim_processing_job(
+    p_worker_id TEXT,
+    p_lease_seconds INTEGER,
+    p_job_types TEXT[] DEFAULT NULL
+)
+RETURNS SETOF processing_jobs AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE processing_jobs
+    SET status = 'running',
+        locked_by = p_worker_id,
+        locked_until = NOW() + make_interval(secs => p_lease_seconds),
+        attempts = attempts + 1,
+        started_at = COALESCE(started_at, NOW()),
+        updated_at = NOW()
+    WHERE id = (
+        SELECT id FROM processing_jobs
+        WHERE attempts < max_attempts
+          AND (p_job_types IS NULL OR job_type = ANY(p_job_types))
+          AND (
+            (status = 'queued' AND run_at <= NOW())
+            OR (status = 'running' AND locked_until < NOW())
+          )
+        ORDER BY priority DESC, run_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+
+-- Fail running jobs whose lease expired on their final attempt
+CREATE OR REPLACE FUNCTION fail_exhausted_processing_jobs()
+RETURNS SETOF processing_jobs AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE processing_jobs
+    SET status = 'failed',
+        last_error = COALESCE(last_error, 'Worker lease expired on final attempt'),
+        locked_by = NULL,
+        locked_until = NULL,
+        completed_at = NOW(),
+        updated_at = NOW()
+    WHERE status = 'running'
+      AND locked_until < NOW()
+      AND attempts >= max_attempts
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+
+-- Full-text meeting search with date, speaker and organizer filters
+-- Returns one row per meeting with up to p_snippets highlighted transcript snippets
+-- ({ speaker, time_start, snippet }) in speaking order. p_speaker matches any part
+-- of a speaker name, case-insensitively; % and _ are plain characters, not wildcards
+CREATE OR REPLACE FUNCTION search_meetings(
+    p_query TEXT,
+    p_from TIMESTAMPTZ DEFAULT NULL,
+    p_to TIMESTAMPTZ DEFAULT NULL,
+    p_speaker TEXT DEFAULT NULL,
+    p_organizer TEXT DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0,
+    p_snippets INTEGER DEFAULT 3
+)
+RETURNS TABLE (
+    meeting_id UUID,
+    meeting_title TEXT,
+    meeting_started_at TIMESTAMPTZ,
+    status TEXT,
+    organizer_email TEXT,
+    storage_provider TEXT,
+    recording_id TEXT,
+    recording_url TEXT,
+    transcript_id TEXT,
+    transcript_url TEXT,
+    rank REAL,
+    snippets JSONB,
+    total_count BIGINT
+) AS $$
+    WITH q AS (
+        SELECT websearch_to_tsquery('english', p_query) AS query
+    )
+    SELECT
+        m.id,
+        m.meeting_title,
+        m.meeting_started_at,
+        m.status,
+        ce.organizer_email,
+        m.storage_provider,
+        m.google_drive_recording_id,
+        m.google_drive_recording_url,
+        m.google_drive_transcript_id,
+        m.google_drive_transcript_url,
+        ts_rank(m.search_vector, q.query),
+        COALESCE((
+            SELECT jsonb_agg(to_jsonb(s))
+            FROM (
+                SELECT
+                    entry->>'speaker' AS speaker,
+                    (entry->>'start')::DOUBLE PRECISION AS time_start,
+                    ts_headline('english', entry->>'text', q.query,
+                        'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10') AS snippet
+                FROM jsonb_array_elements(
+                    CASE WHEN jsonb_typeof(m.transcript_data) = 'array' THEN m.transcript_data ELSE '[]'::jsonb END
+                ) AS entry
+                WHERE to_tsvector('english', COALESCE(entry->>'text', '')) @@ q.query
+                  AND (p_speaker IS NULL OR POSITION(LOWER(p_speaker) IN LOWER(entry->>'speaker')) > 0)
+                ORDER BY (entry->>'start')::DOUBLE PRECISION
+                LIMIT p_snippets
+            ) s
+        ), '[]'::jsonb),
+        COUNT(*) OVER ()
+    FROM meetings m
+    CROSS JOIN q
+    LEFT JOIN calendar_events ce ON ce.calendar_event_id = m.calendar_event_id
+    WHERE m.search_vector @@ q.query
+      AND (p_from IS NULL OR m.meeting_started_at >= p_from)
+      AND (p_to IS NULL OR m.meeting_started_at < p_to)
+      AND (p_organizer IS NULL OR LOWER(ce.organizer_email) = LOWER(p_organizer))
+      AND (p_speaker IS NULL OR EXISTS (
+          SELECT 1
+          FROM jsonb_array_elements(
+              CASE WHEN jsonb_typeof(m.transcript_data) = 'array' THEN m.transcript_data ELSE '[]'::jsonb END
+          ) AS entry
+          WHERE POSITION(LOWER(p_speaker) IN LOWER(entry->>'speaker')) > 0
+      ))
+    ORDER BY ts_rank(m.search_vector, q.query) DESC, m.meeting_started_at DESC
+    LIMIT p_limit OFFSET p_offset;
+$$ LANGUAGE sql STABLE;
+
 -- Create trigger for meetings table
 CREATE TRIGGER update_meetings_updated_at 
     BEFORE UPDATE ON meetings 
     FOR EACH ROW 
     EXECUTE FUNCTION update_updated_at_column();
 
+-- Create trigger for processing_jobs table
+CREATE TRIGGER update_processing_jobs_updated_at 
+    BEFORE UPDATE ON processing_jobs 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Create trigger for slack_routing_rules table
+CREATE TRIGGER update_slack_routing_rules_updated_at 
+    BEFORE UPDATE ON slack_routing_rules 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Create trigger for webhook_subscriptions table
+CREATE TRIGGER update_webhook_subscriptions_updated_at 
+    BEFORE UPDATE ON webhook_subscriptions 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Create trigger for calendar_watch_channels table
+CREATE TRIGGER update_calendar_watch_channels_updated_at 
+    BEFORE UPDATE ON calendar_watch_channels 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- Create trigger for service_config table
 CREATE TRIGGER update_service_config_updated_at 
     BEFORE UPDATE ON service_config 
@@ -162,6 +572,18 @@ CREATE TRIGGER update_service_config_updated_at
 -- Add Row Level Security (RLS) policies
 ALTER TABLE meetings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE processing_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE meeting_status_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transcript_segments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE processing_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE slack_routing_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE slack_dm_opt_outs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE calendar_watch_channels ENABLE ROW LEVEL SECURITY;
+ALTER TABLE weekly_digests ENABLE ROW LEVEL SECURITY;
 ALTER TABLE service_config ENABLE ROW LEVEL SECURITY;
 
 -- Create policies for service role access
@@ -171,6 +593,42 @@ CREATE POLICY "Service role can manage meetings" ON meetings
 CREATE POLICY "Service role can manage processing_logs" ON processing_logs
     FOR ALL USING (auth.role() = 'service_role');
 
+CREATE POLICY "Service role can manage meeting_status_history" ON meeting_status_history
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage transcript_segments" ON transcript_segments
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage processing_jobs" ON processing_jobs
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage webhook_events" ON webhook_events
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage api_keys" ON api_keys
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage api_audit_log" ON api_audit_log
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage slack_routing_rules" ON slack_routing_rules
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage slack_dm_opt_outs" ON slack_dm_opt_outs
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage webhook_subscriptions" ON webhook_subscriptions
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage webhook_deliveries" ON webhook_deliveries
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage calendar_watch_channels" ON calendar_watch_channels
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage weekly_digests" ON weekly_digests
+    FOR ALL USING (auth.role() = 'service_role');
+
 CREATE POLICY "Service role can manage service_config" ON service_config
     FOR ALL USING (auth.role() = 'service_role');
 
@@ -198,6 +656,74 @@ FROM meetings
 ORDER BY created_at DESC 
 LIMIT 50;
 
+-- Meetings with their calendar organizer and attendees (backs GET /api/meetings)
+CREATE VIEW meetings_overview AS
+SELECT 
+    m.id,
+    m.calendar_event_id,
+    m.conference_id,
+    m.meeting_title,
+    m.meeting_description,
+    m.meeting_started_at,
+    m.meeting_ended_at,
+    m.status,
+    m.chatterbox_session_id,
+    m.storage_provider,
+    m.google_drive_recording_id,
+    m.google_drive_recording_url,
+    m.google_drive_transcript_id,
+    m.google_drive_transcript_url,
+    m.slack_channel,
+    m.slack_message_ts,
+    m.processing_started_at,
+    m.processing_completed_at,
+    m.created_at,
+    m.updated_at,
+    LOWER(ce.organizer_email) AS organizer_email,
+    ARRAY(
+        SELECT LOWER(attendee->>'email')
+        FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(ce.attendees) = 'array' THEN ce.attendees ELSE '[]'::jsonb END
+        ) AS attendee
+        WHERE attendee->>'email' IS NOT NULL
+    ) AS attendee_emails
+FROM meetings m
+LEFT JOIN calendar_events ce ON ce.calendar_event_id = m.calendar_event_id;
+
+-- One row per meeting with the values /api/analytics aggregates
+-- recorded_seconds is only set for meetings with a stored recording; time to
+-- notification runs from the end of the recording (or the start of processing)
+-- to the first successful send_notification step.
+CREATE VIEW meeting_analytics AS
+SELECT
+    m.id,
+    m.meeting_title,
+    m.status,
+    COALESCE(m.meeting_started_at, m.created_at) AS started_at,
+    m.processing_started_at,
+    m.processing_completed_at,
+    CASE WHEN m.google_drive_recording_id IS NOT NULL THEN COALESCE(
+        EXTRACT(EPOCH FROM (m.recording_end_timestamp - m.recording_start_timestamp)),
+        (m.speaker_analytics->>'durationMs')::NUMERIC / 1000
+    ) END AS recorded_seconds,
+    notified.completed_at AS notified_at,
+    EXTRACT(EPOCH FROM (
+        notified.completed_at - COALESCE(m.recording_end_timestamp, m.processing_started_at)
+    )) AS time_to_notification_seconds,
+    m.speaker_analytics->'speakers' AS speakers,
+    ce.calendar_id,
+    LOWER(ce.organizer_email) AS organizer_email,
+    ce.attendees
+FROM meetings m
+LEFT JOIN calendar_events ce ON ce.calendar_event_id = m.calendar_event_id
+LEFT JOIN LATERAL (
+    SELECT MIN(pl.completed_at) AS completed_at
+    FROM processing_logs pl
+    WHERE pl.meeting_id = m.id
+      AND pl.step = 'send_notification'
+      AND pl.status = 'completed'
+) notified ON TRUE;
+
 -- Grant permissions to service role
 GRANT ALL ON ALL TABLES IN SCHEMA public TO service_role;
 GRANT ALL ON ALL SEQUENCES IN SCHEMA public TO service_role;
@@ -276,6 +276,26 @@ const validateWebhookPayload = (payload) => {
   return true;
 };
 
+/**
+ * Build the idempotency key for a webhook delivery
+ * Uses the sender's event ID when present; otherwise a session can only
+ * start and finish once, so "<sessionId>:<type>" identifies the event.
+ * Returns null for event types that aren't de-duplicated (e.g. transcript chunks).
+ */
+const getWebhookEventKey = (webhookBody, eventId = null) => {
+  if (eventId) {
+    return `event:${eventId}`;
+  }
+
+  const { type, payload } = webhookBody;
+
+  if (!['started', 'finished'].includes(type) || !payload?.sessionId) {
+    return null;
+  }
+
+  return `${payload.sessionId}:${type}`;
+};
+
 /**
  * Check if recording URL is still valid (not expired)
  * ⚠️ DEPRECATED: URL validation removed due to false failures with AWS S3 signed URLs
@@ -305,6 +325,7 @@ module.exports = {
   getSessionData,
   forceLeaveSession,
   validateWebhookPayload,
+  getWebhookEventKey,
   isRecordingUrlValid,
   CHATTERBOX_BASE_URL
 };
@@ -0,0 +1,89 @@
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+/**
+ * Email (SMTP) configuration
+ * Email is optional: without SMTP_HOST the email channel is disabled and
+ * notifications only go to Slack. For local development point SMTP_HOST/SMTP_PORT
+ * at an SMTP catcher such as Mailpit (localhost:1025, no auth).
+ */
+const SMTP_HOST = process.env.SMTP_HOST || null;
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Nomadz Meeting Bot <meetings@localhost>';
+
+// Recipients for meetings no routing rule sends email for, and for critical alerts
+const parseRecipients = (value) => (value || '')
+  .split(',')
+  .map(address => address.trim())
+  .filter(Boolean);
+
+const DEFAULT_RECIPIENTS = parseRecipients(process.env.EMAIL_DEFAULT_RECIPIENTS);
+const ALERT_RECIPIENTS = parseRecipients(process.env.EMAIL_ALERT_RECIPIENTS);
+
+// Create SMTP transport
+const transporter = SMTP_HOST
+  ? nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  })
+  : null;
+
+/**
+ * Whether an SMTP server is configured
+ */
+const isEmailConfigured = () => transporter !== null;
+
+/**
+ * Health check for the SMTP server
+ * Reports healthy (with configured: false) when email isn't set up, since it's optional.
+ */
+const healthCheck = async () => {
+  if (!transporter) {
+    return {
+      status: 'healthy',
+      configured: false,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const startTime = Date.now();
+
+    await transporter.verify();
+    const responseTime = Date.now() - startTime;
+
+    return {
+      status: 'healthy',
+      configured: true,
+      responseTime,
+      host: SMTP_HOST,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    logger.error('SMTP health check failed', {
+      host: SMTP_HOST,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+
+    return {
+      status: 'unhealthy',
+      configured: true,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+};
+
+module.exports = {
+  transporter,
+  isEmailConfigured,
+  healthCheck,
+  EMAIL_FROM,
+  DEFAULT_RECIPIENTS,
+  ALERT_RECIPIENTS
+};
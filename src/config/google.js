@@ -43,6 +43,12 @@ const docs = google.docs({
   auth: oauth2Client
 });
 
+// Create Google Calendar API client (push channels and incremental sync)
+const calendar = google.calendar({
+  version: 'v3',
+  auth: oauth2Client
+});
+
 // Create Google Sheets API client (for potential future use)
 const sheets = google.sheets({
   version: 'v4',
@@ -256,6 +262,7 @@ module.exports = {
   oauth2Client,
   drive,
   docs,
+  calendar,
   sheets,
   testConnection,
   healthCheck,
@@ -0,0 +1,572 @@
+const logger = require('../utils/logger');
+const { asyncHandler, handleValidationErrors } = require('../middlewares/errorHandler');
+const { body, param, query } = require('express-validator');
+
+// Import services
+const apiKeyService = require('../services/apiKeyService');
+const routingService = require('../services/routingService');
+const databaseService = require('../services/databaseService');
+const webhookService = require('../services/webhookService');
+const calendarSyncService = require('../services/calendarSyncService');
+const { SCOPES } = require('../services/apiKeyService');
+const { WEBHOOK_EVENTS } = require('../services/webhookService');
+
+/**
+ * Admin Controller
+ * API key management, audit log access, Slack routing rules, outbound webhooks
+ * and watched Google Calendars (admin scope)
+ */
+
+// Slack conversation IDs: channels (C), private channels (G), DMs (D) and users (U, W)
+const SLACK_TARGET_PATTERN = /^[CGDUW][A-Z0-9]{2,}$/;
+
+/**
+ * Shape a routing rule for API responses
+ */
+const serializeRoutingRule = (rule) => ({
+  id: rule.id,
+  name: rule.name,
+  priority: rule.priority,
+  enabled: rule.enabled,
+  organizerEmail: rule.organizer_email,
+  attendeeDomain: rule.attendee_domain,
+  titlePattern: rule.title_pattern,
+  calendarId: rule.calendar_id,
+  channels: rule.channels,
+  emailRecipients: rule.email_recipients,
+  emailAttendees: rule.email_attendees,
+  createdAt: rule.created_at,
+  updatedAt: rule.updated_at
+});
+
+/**
+ * Shape a webhook subscription for API responses (never includes the secret)
+ */
+const serializeWebhook = (subscription) => ({
+  id: subscription.id,
+  name: subscription.name,
+  url: subscription.url,
+  events: subscription.events,
+  enabled: subscription.enabled,
+  createdBy: subscription.created_by,
+  createdAt: subscription.created_at,
+  updatedAt: subscription.updated_at
+});
+
+/**
+ * Shape a watched calendar for API responses (never includes the channel token)
+ */
+const serializeCalendarWatch = (watch) => ({
+  id: watch.id,
+  calendarId: watch.calendar_id,
+  channelId: watch.channel_id,
+  expiration: watch.expiration,
+  lastSyncedAt: watch.last_synced_at,
+  createdBy: watch.created_by,
+  createdAt: watch.created_at,
+  updatedAt: watch.updated_at
+});
+
+/**
+ * List API keys
+ */
+const listApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await apiKeyService.listKeys();
+
+  res.status(200).json({
+    success: true,
+    apiKeys,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Create an API key
+ * The plaintext key is only ever returned in this response.
+ */
+const createApiKey = [
+  body('name').trim().notEmpty().withMessage('Key name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(SCOPES).withMessage(`Scopes must be one of: ${SCOPES.join(', ')}`),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be an ISO 8601 date'),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const { name, scopes, expiresAt } = req.body;
+
+    const { key, apiKey } = await apiKeyService.createKey({
+      name,
+      scopes,
+      expiresAt: expiresAt || null,
+      createdBy: req.apiKey.name
+    });
+
+    logger.info('API key issued via admin API', {
+      apiKeyId: apiKey.id,
+      name,
+      scopes,
+      issuedBy: req.apiKey.name,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Store this key now - it cannot be shown again',
+      key,
+      apiKey,
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+/**
+ * Revoke an API key
+ */
+const revokeApiKey = [
+  param('id').isUUID().withMessage('API key ID must be a valid UUID'),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const apiKey = await apiKeyService.revokeKey(req.params.id, req.apiKey.name);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found or already revoked',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      apiKey,
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+/**
+ * Get the API audit log
+ */
+const getAuditLog = [
+  query('apiKeyId').optional().isUUID().withMessage('apiKeyId must be a valid UUID'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const entries = await apiKeyService.getAuditLog({
+      apiKeyId: req.query.apiKeyId || null,
+      limit: req.query.limit || 100
+    });
+
+    res.status(200).json({
+      success: true,
+      entries: entries.map(entry => ({
+        id: entry.id,
+        apiKeyId: entry.api_key_id,
+        keyName: entry.key_name,
+        method: entry.method,
+        path: entry.path,
+        statusCode: entry.status_code,
+        ip: entry.ip,
+        durationMs: entry.duration_ms,
+        createdAt: entry.created_at
+      })),
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+/**
+ * List Slack routing rules in evaluation order
+ */
+const listRoutingRules = asyncHandler(async (req, res) => {
+  const rules = await routingService.listRules();
+
+  res.status(200).json({
+    success: true,
+    rules: rules.map(serializeRoutingRule),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Create a Slack routing rule
+ */
+const createRoutingRule = [
+  body('name').trim().notEmpty().withMessage('Rule name is required'),
+  body('channels').optional().isArray().withMessage('channels must be an array'),
+  body('channels.*').matches(SLACK_TARGET_PATTERN).withMessage('Channels must be Slack channel or user IDs'),
+  body('emailRecipients').optional().isArray().withMessage('emailRecipients must be an array'),
+  body('emailRecipients.*').trim().isEmail().withMessage('emailRecipients must be email addresses'),
+  body('emailAttendees').optional().isBoolean().toBoolean(),
+  body().custom(({ channels, emailRecipients, emailAttendees }) => {
+    if (!channels?.length && !emailRecipients?.length && !emailAttendees) {
+      throw new Error('At least one channel, email recipient or emailAttendees is required');
+    }
+    return true;
+  }),
+  body('priority').optional().isInt().toInt(),
+  body('enabled').optional().isBoolean().toBoolean(),
+  body('organizerEmail').optional({ nullable: true }).trim().isEmail().withMessage('organizerEmail must be an email address'),
+  body('attendeeDomain').optional({ nullable: true }).trim().isFQDN().withMessage('attendeeDomain must be a domain name'),
+  body('titlePattern').optional({ nullable: true }).custom(value => {
+    try {
+      new RegExp(value, 'i');
+    } catch (error) {
+      throw new Error(`titlePattern is not a valid regular expression: ${error.message}`);
+    }
+    return true;
+  }),
+  body('calendarId').optional({ nullable: true }).trim().notEmpty(),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const { name, channels, emailRecipients, emailAttendees, priority, enabled, organizerEmail, attendeeDomain, titlePattern, calendarId } = req.body;
+
+    const rule = await routingService.createRule({
+      name,
+      channels: channels || [],
+      email_recipients: (emailRecipients || []).map(email => email.toLowerCase()),
+      email_attendees: emailAttendees ?? false,
+      priority: priority ?? 100,
+      enabled: enabled ?? true,
+      organizer_email: organizerEmail || null,
+      attendee_domain: attendeeDomain || null,
+      title_pattern: titlePattern || null,
+      calendar_id: calendarId || null
+    });
+
+    res.status(201).json({
+      success: true,
+      rule: serializeRoutingRule(rule),
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+/**
+ * Delete a Slack routing rule
+ */
+const deleteRoutingRule = [
+  param('id').isUUID().withMessage('Rule ID must be a valid UUID'),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const rule = await routingService.deleteRule(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Routing rule not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.info('Slack routing rule deleted via admin API', {
+      ruleId: rule.id,
+      name: rule.name,
+      deletedBy: req.apiKey.name,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Routing rule deleted',
+      rule: serializeRoutingRule(rule),
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+/**
+ * Show which Slack channels and email recipients a meeting's notifications would go to
+ */
+const resolveMeetingChannels = [
+  query('meetingId').isUUID().withMessage('meetingId must be a valid UUID'),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const meeting = await databaseService.getMeetingById(req.query.meetingId);
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      meetingId: meeting.id,
+      channels: await routingService.resolveChannels(meeting),
+      emailRecipients: await routingService.resolveEmailRecipients(meeting),
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+/**
+ * List outbound webhook subscriptions
+ */
+const listWebhooks = asyncHandler(async (req, res) => {
+  const subscriptions = await webhookService.listSubscriptions();
+
+  res.status(200).json({
+    success: true,
+    webhooks: subscriptions.map(serializeWebhook),
+    events: WEBHOOK_EVENTS,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Register an outbound webhook
+ * The signing secret is only ever returned in this response.
+ */
+const createWebhook = [
+  body('name').trim().notEmpty().withMessage('Webhook name is required'),
+  body('url').isURL({ protocols: ['https', 'http'], require_protocol: true, require_tld: process.env.NODE_ENV === 'production' })
+    .withMessage('url must be an http(s) URL'),
+  body('events').optional().isArray().withMessage('events must be an array'),
+  body('events.*').isIn(WEBHOOK_EVENTS).withMessage(`Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+  body('secret').optional().isString().isLength({ min: 16 }).withMessage('secret must be at least 16 characters'),
+  body('enabled').optional().isBoolean().toBoolean(),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const { name, url, events, secret, enabled } = req.body;
+
+    const subscription = await webhookService.createSubscription({
+      name,
+      url,
+      events: events || [],
+      secret: secret || null,
+      enabled: enabled ?? true,
+      createdBy: req.apiKey.name
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Store the secret now - it cannot be shown again',
+      secret: subscription.secret,
+      webhook: serializeWebhook(subscription),
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+/**
+ * Delete an outbound webhook and its delivery log
+ */
+const deleteWebhook = [
+  param('id').isUUID().withMessage('Webhook ID must be a valid UUID'),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const subscription = await webhookService.deleteSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.info('Webhook subscription deleted via admin API', {
+      subscriptionId: subscription.id,
+      name: subscription.name,
+      deletedBy: req.apiKey.name,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted',
+      webhook: serializeWebhook(subscription),
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+/**
+ * Get the delivery log for a webhook
+ */
+const getWebhookDeliveries = [
+  param('id').isUUID().withMessage('Webhook ID must be a valid UUID'),
+  query('status').optional().isIn(['pending', 'delivered', 'failed']).withMessage('status must be pending, delivered or failed'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const deliveries = await webhookService.getDeliveries(req.params.id, {
+      status: req.query.status || null,
+      limit: req.query.limit || 50
+    });
+
+    res.status(200).json({
+      success: true,
+      deliveries: deliveries.map(delivery => ({
+        id: delivery.id,
+        eventId: delivery.event_id,
+        eventType: delivery.event_type,
+        meetingId: delivery.meeting_id,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        lastStatusCode: delivery.last_status_code,
+        lastResponse: delivery.last_response,
+        lastError: delivery.last_error,
+        lastDurationMs: delivery.last_duration_ms,
+        lastAttemptAt: delivery.last_attempt_at,
+        deliveredAt: delivery.delivered_at,
+        createdAt: delivery.created_at
+      })),
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+/**
+ * Queue a delivery to be sent again
+ */
+const redeliverWebhook = [
+  param('deliveryId').isUUID().withMessage('Delivery ID must be a valid UUID'),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const result = await webhookService.redeliver(req.params.deliveryId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Redelivery queued',
+      deliveryId: result.delivery.id,
+      jobId: result.job.id,
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+/**
+ * List watched Google Calendars
+ */
+const listCalendarWatches = asyncHandler(async (req, res) => {
+  const watches = await calendarSyncService.getWatches();
+
+  res.status(200).json({
+    success: true,
+    calendars: watches.map(serializeCalendarWatch),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Watch a Google Calendar (or re-open the push channel of one already watched)
+ * Runs the initial sync before responding, so it can take a few seconds.
+ */
+const watchCalendar = [
+  body('calendarId').trim().notEmpty().withMessage('calendarId is required'),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    try {
+      const watch = await calendarSyncService.watchCalendar(req.body.calendarId, {
+        createdBy: req.apiKey.name
+      });
+
+      res.status(201).json({
+        success: true,
+        calendar: serializeCalendarWatch(watch),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      const status = error.response?.status;
+
+      // The refresh token's account can't see the calendar
+      if (status === 403 || status === 404) {
+        return res.status(400).json({
+          success: false,
+          error: 'Calendar not found or not accessible to the Google account',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      throw error;
+    }
+  })
+];
+
+/**
+ * Stop watching a Google Calendar
+ */
+const unwatchCalendar = [
+  param('id').isUUID().withMessage('Calendar watch ID must be a valid UUID'),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const watch = await calendarSyncService.unwatchCalendar(req.params.id);
+
+    if (!watch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar watch not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.info('Calendar watch deleted via admin API', {
+      calendarId: watch.calendar_id,
+      deletedBy: req.apiKey.name,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar no longer watched',
+      calendar: serializeCalendarWatch(watch),
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  getAuditLog,
+  listRoutingRules,
+  createRoutingRule,
+  deleteRoutingRule,
+  resolveMeetingChannels,
+  listWebhooks,
+  createWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook,
+  listCalendarWatches,
+  watchCalendar,
+  unwatchCalendar
+};
@@ -0,0 +1,112 @@
+const logger = require('../utils/logger');
+const { asyncHandler, handleValidationErrors } = require('../middlewares/errorHandler');
+const { query } = require('express-validator');
+
+// Import services
+const analyticsService = require('../services/analyticsService');
+const { ANALYTICS_GROUPS, METRIC_NAMES } = require('../services/analyticsService');
+
+/**
+ * Analytics Controller
+ * Cross-meeting reporting; every endpoint takes the same filters
+ */
+
+// Filters shared by every analytics endpoint
+const reportFilters = [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('to').optional().custom((to, { req }) => {
+    if (req.query.from && Date.parse(to) <= Date.parse(req.query.from)) {
+      throw new Error('to must be after from');
+    }
+    return true;
+  }),
+  query('groupBy').optional().isIn(ANALYTICS_GROUPS)
+    .withMessage(`groupBy must be one of: ${ANALYTICS_GROUPS.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Build a GET handler reporting the given metrics
+ * Responds with { range, data } or, with ?groupBy, { range, groupBy, groups }.
+ */
+const reportHandler = (metricNames) => [
+  ...reportFilters,
+
+  asyncHandler(async (req, res) => {
+    const { from, to, groupBy, limit } = req.query;
+
+    const report = await analyticsService.getReport(metricNames, {
+      from: from || null,
+      to: to || null,
+      groupBy: groupBy || null,
+      limit: limit || undefined
+    });
+
+    logger.info('Analytics report', {
+      metrics: metricNames,
+      filters: { from, to, groupBy, limit },
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(200).json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+/**
+ * Every metric in one report
+ * GET /api/analytics?from=&to=&groupBy=&limit=
+ */
+const getOverview = reportHandler(METRIC_NAMES);
+
+/**
+ * Meetings per week (Monday to Sunday, UTC)
+ * GET /api/analytics/meetings-per-week
+ */
+const getMeetingsPerWeek = reportHandler(['meetingsPerWeek']);
+
+/**
+ * Total recorded hours
+ * GET /api/analytics/recorded-hours
+ */
+const getRecordedHours = reportHandler(['recordedHours']);
+
+/**
+ * Share of processed meetings that completed
+ * GET /api/analytics/success-rate
+ */
+const getSuccessRate = reportHandler(['successRate']);
+
+/**
+ * Median time from the end of the recording to the Slack notification
+ * GET /api/analytics/time-to-notification
+ */
+const getTimeToNotification = reportHandler(['timeToNotification']);
+
+/**
+ * Speakers with the most talk time
+ * GET /api/analytics/top-speakers
+ */
+const getTopSpeakers = reportHandler(['topSpeakers']);
+
+/**
+ * Meetings per organizer
+ * GET /api/analytics/organizers
+ */
+const getMeetingsPerOrganizer = reportHandler(['meetingsPerOrganizer']);
+
+module.exports = {
+  getOverview,
+  getMeetingsPerWeek,
+  getRecordedHours,
+  getSuccessRate,
+  getTimeToNotification,
+  getTopSpeakers,
+  getMeetingsPerOrganizer
+};
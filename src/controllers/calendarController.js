@@ -2,10 +2,12 @@ const logger = require('../utils/logger');
 const { asyncHandler, handleValidationErrors } = require('../middlewares/errorHandler');
 const { body } = require('express-validator');
 const { supabase } = require('../config/database');
+const calendarSyncService = require('../services/calendarSyncService');
+const { toCalendarEventRow } = calendarSyncService;
 
 /**
  * Calendar Events Controller
- * Handles Google Calendar event data from n8n
+ * Handles Google Calendar event data from n8n and Google Calendar push notifications
  */
 
 /**
@@ -32,36 +34,11 @@ const storeCalendarEvent = [
     });
 
     try {
-      // Extract key data from the Google Calendar event
-      const calendarEventData = {
-        calendar_event_id: eventData.id,
-        etag: eventData.etag,
-        status: eventData.status,
-        html_link: eventData.htmlLink,
-        
-        // Event details
-        summary: eventData.summary,
-        description: eventData.description || null,
-        location: eventData.location || null,
-        
-        // Timing
-        start_datetime: eventData.start?.dateTime ? new Date(eventData.start.dateTime) : null,
-        end_datetime: eventData.end?.dateTime ? new Date(eventData.end.dateTime) : null,
-        timezone: eventData.start?.timeZone || null,
-        
-        // People
-        creator_email: eventData.creator?.email || null,
-        organizer_email: eventData.organizer?.email || null,
-        attendees: eventData.attendees || null,
-        
-        // Conference data
-        conference_id: eventData.conferenceData?.conferenceId || null,
-        hangout_link: eventData.hangoutLink || null,
-        conference_data: eventData.conferenceData || null,
-        
-        // Store complete raw data
-        raw_event_data: eventData
-      };
+      // n8n sends calendarId; for events on a user's primary calendar the organizer email is the calendar ID
+      const calendarEventData = toCalendarEventRow(
+        eventData,
+        eventData.calendarId || eventData.organizer?.email || null
+      );
 
       // Insert or update calendar event
       const { data, error } = await supabase
@@ -112,6 +89,32 @@ const storeCalendarEvent = [
   })
 ];
 
+/**
+ * Receive a Google Calendar push notification
+ * Google sends channel details in X-Goog-* headers and an empty body; the
+ * channel token set in events.watch authenticates the request. Changes are
+ * fetched by a queued sync job, so this only acknowledges the push.
+ */
+const handlePushNotification = [
+  asyncHandler(async (req, res) => {
+    const accepted = await calendarSyncService.handleNotification({
+      channelId: req.get('X-Goog-Channel-ID'),
+      channelToken: req.get('X-Goog-Channel-Token'),
+      resourceId: req.get('X-Goog-Resource-ID'),
+      resourceState: req.get('X-Goog-Resource-State'),
+      messageNumber: req.get('X-Goog-Message-Number')
+    });
+
+    // Always 200 - Google retries anything else, and stale channels keep
+    // sending until they expire
+    res.status(200).json({
+      success: true,
+      accepted,
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
 /**
  * Get calendar event by ID
  */
@@ -260,6 +263,7 @@ const getEventBySessionId = async (sessionId) => {
 
 module.exports = {
   storeCalendarEvent,
+  handlePushNotification,
   getCalendarEvent,
   linkSessionToEvent,
   getEventByConferenceId,
@@ -0,0 +1,57 @@
+jest.mock('../utils/logger');
+jest.mock('../config/database', () => ({}));
+jest.mock('../services/calendarSyncService', () => ({
+  toCalendarEventRow: jest.fn(),
+  handleNotification: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const calendarSyncService = require('../services/calendarSyncService');
+const calendarController = require('./calendarController');
+
+const buildApp = () => {
+  const app = express();
+  app.post('/webhook/google-calendar', calendarController.handlePushNotification);
+  return app;
+};
+
+describe('handlePushNotification', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('checks the channel headers Google sends', async () => {
+    calendarSyncService.handleNotification.mockResolvedValue(true);
+
+    const response = await request(buildApp())
+      .post('/webhook/google-calendar')
+      .set('X-Goog-Channel-ID', 'channel-1')
+      .set('X-Goog-Channel-Token', 'channel-token')
+      .set('X-Goog-Resource-ID', 'resource-1')
+      .set('X-Goog-Resource-State', 'exists')
+      .set('X-Goog-Message-Number', '2');
+
+    expect(response.status).toBe(200);
+    expect(response.body.accepted).toBe(true);
+    expect(calendarSyncService.handleNotification).toHaveBeenCalledWith({
+      channelId: 'channel-1',
+      channelToken: 'channel-token',
+      resourceId: 'resource-1',
+      resourceState: 'exists',
+      messageNumber: '2'
+    });
+  });
+
+  it('acknowledges a rejected notification so Google stops retrying it', async () => {
+    calendarSyncService.handleNotification.mockResolvedValue(false);
+
+    const response = await request(buildApp())
+      .post('/webhook/google-calendar')
+      .set('X-Goog-Channel-ID', 'channel-1')
+      .set('X-Goog-Channel-Token', 'guessed-token');
+
+    expect(response.status).toBe(200);
+    expect(response.body.accepted).toBe(false);
+  });
+});
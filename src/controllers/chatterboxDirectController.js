@@ -5,6 +5,10 @@ const { body } = require('express-validator');
 // Import services
 const meetingService = require('../services/meetingService');
 const databaseService = require('../services/databaseService');
+const meetingStateMachine = require('../services/meetingStateMachine');
+const chatterboxService = require('../services/chatterboxService');
+const transcriptStreamService = require('../services/transcriptStreamService');
+const webhookService = require('../services/webhookService');
 const chatterboxConfig = require('../config/chatterbox');
 
 /**
@@ -27,10 +31,25 @@ const handleChatterBoxDirectWebhook = [
       payload
     });
 
+    let delivery = null;
+
     try {
       // Validate webhook payload
       chatterboxConfig.validateWebhookPayload(req.body);
 
+      // Drop redelivered events before doing any work
+      delivery = await chatterboxService.recordWebhookDelivery(req.body, req.get('X-Webhook-Event-Id'));
+
+      if (delivery.duplicate) {
+        return res.status(200).json({
+          success: true,
+          duplicate: true,
+          message: `${type} event already received`,
+          sessionId: payload.sessionId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
       switch (type) {
         case 'started':
           await handleSessionStarted(payload);
@@ -52,7 +71,8 @@ const handleChatterBoxDirectWebhook = [
           });
       }
 
-      // Always respond successfully to ChatterBox
+      await chatterboxService.completeWebhookDelivery(delivery);
+
       res.status(200).json({
         success: true,
         message: `${type} event processed successfully`,
@@ -68,8 +88,11 @@ const handleChatterBoxDirectWebhook = [
         timestamp: new Date().toISOString()
       });
 
-      // Still respond with 200 to ChatterBox to avoid retries
-      res.status(200).json({
+      // Leave the event open for redelivery
+      await chatterboxService.completeWebhookDelivery(delivery, error);
+
+      // Fail the delivery so ChatterBox retries it
+      res.status(500).json({
         success: false,
         error: 'Webhook processing failed',
         details: error.message,
@@ -148,7 +171,7 @@ async function handleSessionStarted(payload) {
       
       if (calendarEvent) {
         // Create meeting record using calendar event data
-        meeting = await databaseService.createMeeting({
+        meeting = await meetingStateMachine.createMeeting({
           calendar_event_id: calendarEvent.calendar_event_id,
           chatterbox_session_id: sessionId,
           conference_id: calendarEvent.conference_id,
@@ -158,7 +181,7 @@ async function handleSessionStarted(payload) {
           meeting_ended_at: calendarEvent.end_datetime,
           status: 'recording',
           bot_join_status: 'joined'
-        });
+        }, 'chatterbox_session_started');
         
         logger.logMeetingEvent(meeting.id, 'meeting_created_from_calendar_event', {
           sessionId,
@@ -166,9 +189,10 @@ async function handleSessionStarted(payload) {
           calendarEventId: calendarEvent.calendar_event_id,
           meetingTitle: calendarEvent.summary
         });
+        webhookService.publish('meeting.created', meeting.id);
       } else {
         // Fallback: create meeting with generic title if no calendar event found
-        meeting = await databaseService.createMeeting({
+        meeting = await meetingStateMachine.createMeeting({
           calendar_event_id: `chatterbox-${sessionId}`,
           chatterbox_session_id: sessionId,
           conference_id: 'unknown',
@@ -177,12 +201,13 @@ async function handleSessionStarted(payload) {
           status: 'recording',
           bot_join_status: 'joined',
           meeting_started_at: new Date(timestamp * 1000)
-        });
+        }, 'chatterbox_session_started');
         
         logger.logMeetingEvent(meeting.id, 'meeting_created_fallback', {
           sessionId,
           reason: 'no_calendar_event_found'
         });
+        webhookService.publish('meeting.created', meeting.id);
       }
       
     } catch (error) {
@@ -191,17 +216,27 @@ async function handleSessionStarted(payload) {
         error: error.message,
         timestamp: new Date().toISOString()
       });
-      return;
+      throw error;
     }
-  } else {
+  } else if (meeting.status === 'recording' || meetingStateMachine.canTransition(meeting.status, 'recording')) {
     // Update existing meeting status
-    await databaseService.updateMeeting(meeting.id, {
-      status: 'recording',
-      bot_join_status: 'joined'
+    await meetingStateMachine.transition(meeting.id, 'recording', {
+      reason: 'chatterbox_session_started',
+      updates: { bot_join_status: 'joined' }
+    });
+  } else {
+    // A late or redelivered start for a meeting that has moved past recording
+    logger.info('Ignoring session started event for meeting past recording', {
+      meetingId: meeting.id,
+      sessionId,
+      status: meeting.status,
+      timestamp: new Date().toISOString()
     });
+    return;
   }
   
   logger.logMeetingEvent(meeting.id, 'recording_started', { sessionId });
+  webhookService.publish('bot.joined', meeting.id, { sessionId });
 }
 
 /**
@@ -218,16 +253,38 @@ async function handleTranscriptReceived(payload) {
     timeEnd
   });
   
-  // Find meeting and optionally store real-time transcript
+  // Find meeting and store the real-time segment
+  // These are the fallback transcript if the final session fetch comes back empty
   const meeting = await databaseService.getMeetingBySessionId(sessionId);
-  if (meeting) {
-    // You could store real-time transcripts in a separate table if needed
-    // For now, we'll just log them and wait for the final transcript
-    logger.logMeetingEvent(meeting.id, 'transcript_chunk', {
-      speaker,
-      textLength: text?.length || 0
+  if (!meeting) {
+    logger.warn('Meeting not found for transcript chunk', {
+      sessionId,
+      timeStart,
+      timestamp: new Date().toISOString()
     });
+    return;
   }
+
+  if (!text || text.trim().length === 0 || timeStart === undefined || timeStart === null) {
+    return;
+  }
+
+  const segment = await databaseService.upsertTranscriptSegment(meeting.id, {
+    sessionId,
+    timeStart,
+    timeEnd,
+    speaker,
+    text
+  });
+
+  // Push to anyone following the meeting live
+  transcriptStreamService.publishSegment(meeting.id, segment);
+
+  logger.logMeetingEvent(meeting.id, 'transcript_chunk', {
+    speaker,
+    textLength: text.length,
+    timeStart
+  });
 }
 
 /**
@@ -256,18 +313,16 @@ async function handleSessionFinished(payload) {
     sessionId,
     recordingUrl: recordingUrl ? 'provided' : 'not_provided'
   });
+  webhookService.publish('recording.finished', meeting.id, { sessionId });
 
-  // ⚠️ CRITICAL: Start urgent processing immediately!
-  // Recording URL expires in 5 minutes - no time to waste!
-  meetingService.processRecordingUrgently(meeting.id, recordingUrl || null, sessionId)
-    .catch(error => {
-      logger.error('🚨 URGENT: Recording processing failed within 5-minute window', {
-        meetingId: meeting.id,
-        sessionId,
-        error: error.message,
-        timestamp: new Date().toISOString()
-      });
-    });
+  // ⚠️ CRITICAL: Queue urgent processing immediately!
+  // Recording URL expires in 5 minutes - the worker picks the job up right away,
+  // and the queue keeps it alive if this container restarts mid-upload
+  await meetingService.queueProcessing(meeting.id, 'process_recording', {
+    sessionId,
+    recordingUrl: recordingUrl || null,
+    source: 'chatterbox_direct_webhook'
+  });
 }
 
 /**
@@ -292,53 +347,41 @@ const createMeetingAndJoinBot = [
     });
 
     try {
-      // Create meeting record in database
-      const meeting = await databaseService.createMeeting({
-        calendar_event_id: eventId,
-        conference_id: conferenceData.conferenceId,
-        meeting_title: summary,
-        meeting_description: description || null,
-        meeting_started_at: start?.dateTime ? new Date(start.dateTime) : new Date(),
-        meeting_ended_at: end?.dateTime ? new Date(end.dateTime) : null,
-        status: 'started'
-      });
-
-      logger.logMeetingEvent(meeting.id, 'created', {
-        eventId,
-        summary,
-        conferenceId: conferenceData.conferenceId
-      });
-
-      // Join bot to meeting with ChatterBox direct webhook
-      // This webhook will handle started, transcript, and finished events
-      const chatterboxService = require('../services/chatterboxService');
-      const sessionData = await chatterboxService.joinMeeting({
-        meetingId: conferenceData.conferenceId,
-        botName: 'Nomadz Meeting Bot',
-        webhookUrl: `${process.env.BASE_URL}/webhook/chatterbox-direct`
-      });
-
-      // Update meeting with session information
-      await databaseService.updateMeeting(meeting.id, {
-        chatterbox_session_id: sessionData.sessionId,
-        bot_join_status: 'joining',
-        status: 'bot_joining'
-      });
-
-      logger.logMeetingEvent(meeting.id, 'bot_join_requested', {
-        sessionId: sessionData.sessionId,
-        conferenceId: conferenceData.conferenceId
+      // Create the meeting and join the bot with the ChatterBox direct webhook
+      // (handles started, transcript, and finished events)
+      const { meeting, sessionId } = await meetingService.startBotForMeeting({
+        calendarEventId: eventId,
+        conferenceId: conferenceData.conferenceId,
+        title: summary,
+        description: description || null,
+        startedAt: start?.dateTime || null,
+        endedAt: end?.dateTime || null
       });
 
       res.status(200).json({
         success: true,
         meetingId: meeting.id,
-        sessionId: sessionData.sessionId,
+        sessionId,
         message: 'Meeting recording started with direct ChatterBox webhook',
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
+      // The auto-join scheduler (or an earlier delivery) already joined this event
+      if (error.code === '23505') {
+        const existing = await databaseService.getMeetingByCalendarEventId(eventId);
+
+        if (existing) {
+          return res.status(200).json({
+            success: true,
+            meetingId: existing.id,
+            sessionId: existing.chatterbox_session_id,
+            message: 'Meeting already started',
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
       logger.error('Failed to start meeting recording with direct webhook', {
         eventId,
         summary,
@@ -0,0 +1,174 @@
+jest.mock('../utils/logger');
+jest.mock('../services/meetingService', () => ({
+  queueProcessing: jest.fn()
+}));
+jest.mock('../services/databaseService', () => ({
+  getMeetingBySessionId: jest.fn(),
+  upsertTranscriptSegment: jest.fn()
+}));
+jest.mock('../services/meetingStateMachine', () => {
+  const { canTransition } = jest.requireActual('../services/meetingStateMachine');
+
+  return {
+    canTransition,
+    transition: jest.fn()
+  };
+});
+jest.mock('../services/transcriptStreamService', () => ({
+  publishSegment: jest.fn()
+}));
+jest.mock('../services/chatterboxService', () => ({
+  recordWebhookDelivery: jest.fn(),
+  completeWebhookDelivery: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({
+  publish: jest.fn()
+}));
+jest.mock('../config/chatterbox', () => ({
+  validateWebhookPayload: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const meetingService = require('../services/meetingService');
+const databaseService = require('../services/databaseService');
+const chatterboxService = require('../services/chatterboxService');
+const meetingStateMachine = require('../services/meetingStateMachine');
+const webhookService = require('../services/webhookService');
+const transcriptStreamService = require('../services/transcriptStreamService');
+const { handleChatterBoxDirectWebhook } = require('./chatterboxDirectController');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/webhook/chatterbox-direct', handleChatterBoxDirectWebhook);
+  return app;
+};
+
+const finished = {
+  type: 'finished',
+  payload: { sessionId: 'session-1', recordingUrl: 'https://recordings.example.com/session-1.mp4', timestamp: 1700000000 }
+};
+
+describe('handleChatterBoxDirectWebhook', () => {
+  const delivery = { event: { id: 'event-1' }, duplicate: false };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chatterboxService.recordWebhookDelivery.mockResolvedValue(delivery);
+    databaseService.getMeetingBySessionId.mockResolvedValue({ id: 'meeting-1' });
+  });
+
+  it('queues processing and settles the delivery', async () => {
+    meetingService.queueProcessing.mockResolvedValue({ id: 'job-1' });
+
+    const response = await request(buildApp()).post('/webhook/chatterbox-direct').send(finished);
+
+    expect(response.status).toBe(200);
+    expect(meetingService.queueProcessing).toHaveBeenCalledWith('meeting-1', 'process_recording', expect.objectContaining({
+      sessionId: 'session-1'
+    }));
+    expect(chatterboxService.completeWebhookDelivery).toHaveBeenCalledWith(delivery);
+  });
+
+  it('fails the delivery with a 500 so it is redelivered', async () => {
+    const error = new Error('connection terminated');
+    meetingService.queueProcessing.mockRejectedValue(error);
+
+    const response = await request(buildApp()).post('/webhook/chatterbox-direct').send(finished);
+
+    expect(response.status).toBe(500);
+    expect(response.body).toMatchObject({ success: false, error: 'Webhook processing failed' });
+    expect(chatterboxService.completeWebhookDelivery).toHaveBeenCalledWith(delivery, error);
+  });
+
+  it('fails with a 500 when the ledger is unavailable', async () => {
+    chatterboxService.recordWebhookDelivery.mockRejectedValue(new Error('database unavailable'));
+
+    const response = await request(buildApp()).post('/webhook/chatterbox-direct').send(finished);
+
+    expect(response.status).toBe(500);
+    expect(meetingService.queueProcessing).not.toHaveBeenCalled();
+  });
+
+  it('acknowledges a duplicate without handling it', async () => {
+    chatterboxService.recordWebhookDelivery.mockResolvedValue({ event: null, duplicate: true });
+
+    const response = await request(buildApp()).post('/webhook/chatterbox-direct').send(finished);
+
+    expect(response.status).toBe(200);
+    expect(response.body.duplicate).toBe(true);
+    expect(meetingService.queueProcessing).not.toHaveBeenCalled();
+  });
+
+  describe('started', () => {
+    const started = { type: 'started', payload: { sessionId: 'session-1', timestamp: 1700000000 } };
+
+    it('moves a joined meeting to recording', async () => {
+      databaseService.getMeetingBySessionId.mockResolvedValue({ id: 'meeting-1', status: 'bot_joined' });
+
+      const response = await request(buildApp()).post('/webhook/chatterbox-direct').send(started);
+
+      expect(response.status).toBe(200);
+      expect(meetingStateMachine.transition).toHaveBeenCalledWith('meeting-1', 'recording', expect.objectContaining({
+        reason: 'chatterbox_session_started'
+      }));
+      expect(webhookService.publish).toHaveBeenCalledWith('bot.joined', 'meeting-1', { sessionId: 'session-1' });
+    });
+
+    it.each(['processing', 'completed', 'failed', 'ignored'])(
+      'acknowledges a start that arrives after the meeting is %s',
+      async (status) => {
+        databaseService.getMeetingBySessionId.mockResolvedValue({ id: 'meeting-1', status });
+
+        const response = await request(buildApp()).post('/webhook/chatterbox-direct').send(started);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(meetingStateMachine.transition).not.toHaveBeenCalled();
+        expect(webhookService.publish).not.toHaveBeenCalled();
+        expect(chatterboxService.completeWebhookDelivery).toHaveBeenCalledWith(delivery);
+      }
+    );
+  });
+
+  describe('transcript', () => {
+    const chunk = (payload) => ({
+      type: 'transcript',
+      payload: { sessionId: 'session-1', timeStart: 1000, timeEnd: 2000, speaker: 'Ann', text: 'Hello', ...payload }
+    });
+
+    it('stores the segment and streams it to live listeners', async () => {
+      const segment = { id: 'segment-1', time_start: 1000, speaker: 'Ann', text: 'Hello' };
+      databaseService.upsertTranscriptSegment.mockResolvedValue(segment);
+
+      const response = await request(buildApp()).post('/webhook/chatterbox-direct').send(chunk());
+
+      expect(response.status).toBe(200);
+      expect(databaseService.upsertTranscriptSegment).toHaveBeenCalledWith('meeting-1', {
+        sessionId: 'session-1',
+        timeStart: 1000,
+        timeEnd: 2000,
+        speaker: 'Ann',
+        text: 'Hello'
+      });
+      expect(transcriptStreamService.publishSegment).toHaveBeenCalledWith('meeting-1', segment);
+    });
+
+    it.each([
+      ['blank text', { text: '  ' }],
+      ['no start time', { timeStart: null }]
+    ])('skips a chunk with %s', async (label, payload) => {
+      const response = await request(buildApp()).post('/webhook/chatterbox-direct').send(chunk(payload));
+
+      expect(response.status).toBe(200);
+      expect(databaseService.upsertTranscriptSegment).not.toHaveBeenCalled();
+    });
+
+    it('keeps a chunk that starts at zero', async () => {
+      await request(buildApp()).post('/webhook/chatterbox-direct').send(chunk({ timeStart: 0 }));
+
+      expect(databaseService.upsertTranscriptSegment).toHaveBeenCalledWith('meeting-1', expect.objectContaining({ timeStart: 0 }));
+    });
+  });
+});
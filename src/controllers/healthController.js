@@ -6,6 +6,7 @@ const database = require('../config/database');
 const google = require('../config/google');
 const slack = require('../config/slack');
 const chatterbox = require('../config/chatterbox');
+const email = require('../config/email');
 
 /**
  * Comprehensive health check endpoint
@@ -44,16 +45,18 @@ const healthCheck = asyncHandler(async (req, res) => {
     testDatabaseHealth(),
     testGoogleApisHealth(),
     testSlackHealth(),
-    testChatterBoxHealth()
+    testChatterBoxHealth(),
+    testEmailHealth()
   ]);
 
   // Process service check results
-  const [dbResult, googleResult, slackResult, chatterboxResult] = serviceChecks;
+  const [dbResult, googleResult, slackResult, chatterboxResult, emailResult] = serviceChecks;
 
   healthStatus.services.database = processServiceResult(dbResult, 'Database');
   healthStatus.services.google = processServiceResult(googleResult, 'Google APIs');
   healthStatus.services.slack = processServiceResult(slackResult, 'Slack');
   healthStatus.services.chatterbox = processServiceResult(chatterboxResult, 'ChatterBox');
+  healthStatus.services.email = processServiceResult(emailResult, 'Email');
 
   // Determine overall health status
   const unhealthyServices = Object.values(healthStatus.services)
@@ -208,6 +211,26 @@ async function testChatterBoxHealth() {
   }
 }
 
+/**
+ * Test email (SMTP) health
+ */
+async function testEmailHealth() {
+  try {
+    const result = await email.healthCheck();
+    return {
+      name: 'Email',
+      ...result
+    };
+  } catch (error) {
+    return {
+      name: 'Email',
+      status: 'unhealthy',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
 /**
  * Process service check result from Promise.allSettled
  */
@@ -245,10 +268,13 @@ const getServiceStatus = asyncHandler(async (req, res) => {
     case 'chatterbox':
       result = await testChatterBoxHealth();
       break;
+    case 'email':
+      result = await testEmailHealth();
+      break;
     default:
       return res.status(400).json({
         error: 'Invalid service name',
-        validServices: ['database', 'google', 'slack', 'chatterbox'],
+        validServices: ['database', 'google', 'slack', 'chatterbox', 'email'],
         timestamp: new Date().toISOString()
       });
   }
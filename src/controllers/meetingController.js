@@ -0,0 +1,371 @@
+const logger = require('../utils/logger');
+const { asyncHandler, handleValidationErrors } = require('../middlewares/errorHandler');
+const { query, param } = require('express-validator');
+
+// Import services
+const databaseService = require('../services/databaseService');
+const transcriptService = require('../services/transcriptService');
+const { MEETING_STATUS } = require('../services/meetingStateMachine');
+const { buildRecordingDeepLink, refreshLink, refreshMeetingLinks } = require('../services/storage');
+
+/**
+ * Meeting Controller
+ * Read API over stored meetings and transcripts
+ */
+
+// API field name -> meetings_overview column
+const MEETING_FIELDS = {
+  id: 'id',
+  calendarEventId: 'calendar_event_id',
+  conferenceId: 'conference_id',
+  title: 'meeting_title',
+  description: 'meeting_description',
+  startedAt: 'meeting_started_at',
+  endedAt: 'meeting_ended_at',
+  status: 'status',
+  chatterboxSessionId: 'chatterbox_session_id',
+  storageProvider: 'storage_provider',
+  recordingUrl: 'google_drive_recording_url',
+  transcriptUrl: 'google_drive_transcript_url',
+  slackChannel: 'slack_channel',
+  slackMessageTs: 'slack_message_ts',
+  organizer: 'organizer_email',
+  attendees: 'attendee_emails',
+  processingStartedAt: 'processing_started_at',
+  processingCompletedAt: 'processing_completed_at',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+
+const DEFAULT_LIST_FIELDS = ['id', 'title', 'status', 'startedAt', 'organizer', 'recordingUrl', 'transcriptUrl', 'createdAt'];
+
+// Read alongside the link fields so expired presigned links can be signed again
+const LINK_COLUMNS = ['storage_provider', 'google_drive_recording_id', 'google_drive_transcript_id'];
+
+// API sort key -> column (keyset pagination needs a value on every row it pages through)
+const SORT_FIELDS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  startedAt: 'meeting_started_at'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Map a database row to API field names, keeping only the requested fields
+ */
+const serializeMeeting = (row, fields = Object.keys(MEETING_FIELDS)) => {
+  return Object.fromEntries(
+    fields
+      .filter(field => MEETING_FIELDS[field] in row)
+      .map(field => [field, row[MEETING_FIELDS[field]]])
+  );
+};
+
+/**
+ * Opaque pagination cursors: base64url JSON of the last row's sort value and ID
+ */
+const encodeCursor = (row, sortColumn) => {
+  return Buffer.from(JSON.stringify({ v: row[sortColumn], id: row.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    // Values are interpolated into a PostgREST filter, so only accept what we issue
+    if (!UUID_PATTERN.test(id) || Number.isNaN(Date.parse(v))) {
+      return null;
+    }
+
+    return { value: v, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse a comma-separated query parameter
+ */
+const parseList = (value) => {
+  return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+};
+
+/**
+ * List meetings
+ * GET /api/meetings?status=&from=&to=&organizer=&attendee=&sort=&order=&fields=&limit=&cursor=
+ * - status: comma-separated statuses
+ * - from/to: meeting start time range (ISO 8601)
+ * - organizer/attendee: calendar email addresses
+ * - sort: createdAt (default), updatedAt or startedAt; order: desc (default) or asc.
+ *   Meetings with no value for the sort field are left out.
+ * - fields: comma-separated API field names (see MEETING_FIELDS)
+ * - cursor: nextCursor from the previous page
+ */
+const listMeetings = [
+  query('status').optional().custom(value => {
+    const invalid = parseList(value).filter(status => !Object.values(MEETING_STATUS).includes(status));
+    if (invalid.length > 0) {
+      throw new Error(`Unknown status: ${invalid.join(', ')}`);
+    }
+    return true;
+  }),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('organizer').optional().trim().isEmail().withMessage('organizer must be an email address'),
+  query('attendee').optional().trim().isEmail().withMessage('attendee must be an email address'),
+  query('sort').optional().isIn(Object.keys(SORT_FIELDS)).withMessage(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+  query('fields').optional().custom(value => {
+    const invalid = parseList(value).filter(field => !MEETING_FIELDS[field]);
+    if (invalid.length > 0) {
+      throw new Error(`Unknown field: ${invalid.join(', ')}`);
+    }
+    return true;
+  }),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('cursor').optional().custom(value => {
+    if (!decodeCursor(value)) {
+      throw new Error('Invalid cursor');
+    }
+    return true;
+  }),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const { from, to, organizer, attendee, cursor } = req.query;
+    const sort = req.query.sort || 'createdAt';
+    const sortColumn = SORT_FIELDS[sort];
+    const ascending = req.query.order === 'asc';
+    const limit = req.query.limit || 20;
+    const fields = req.query.fields ? parseList(req.query.fields) : DEFAULT_LIST_FIELDS;
+
+    // The sort column and ID are always read so the next cursor can be built
+    const hasLinks = fields.includes('recordingUrl') || fields.includes('transcriptUrl');
+    const columns = [...new Set([
+      ...fields.map(field => MEETING_FIELDS[field]),
+      ...(hasLinks ? LINK_COLUMNS : []),
+      sortColumn,
+      'id'
+    ])];
+
+    const rows = await databaseService.listMeetings({
+      columns: columns.join(','),
+      status: parseList(req.query.status),
+      from: from || null,
+      to: to || null,
+      organizer: organizer || null,
+      attendee: attendee || null,
+      sortColumn,
+      ascending,
+      cursor: cursor ? decodeCursor(cursor) : null,
+      limit
+    });
+
+    const hasMore = rows.length > limit;
+    const page = hasLinks
+      ? await Promise.all(rows.slice(0, limit).map(refreshMeetingLinks))
+      : rows.slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      meetings: page.map(row => serializeMeeting(row, fields)),
+      pagination: {
+        limit,
+        sort,
+        order: ascending ? 'asc' : 'desc',
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortColumn) : null
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+/**
+ * Get a meeting with its calendar event, processing history and links
+ * GET /api/meetings/:id?include=transcript
+ */
+const getMeeting = [
+  param('id').isUUID().withMessage('Meeting ID must be a valid UUID'),
+  query('include').optional().isIn(['transcript']).withMessage('include must be transcript'),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const meeting = await refreshMeetingLinks(await databaseService.getMeetingById(id));
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const [calendarEvent, processingLogs, statusHistory] = await Promise.all([
+      databaseService.getCalendarEvent(meeting.calendar_event_id),
+      databaseService.getProcessingLogs(id),
+      databaseService.getStatusHistory(id)
+    ]);
+
+    const response = {
+      ...serializeMeeting(meeting),
+      organizer: calendarEvent?.organizer_email || null,
+      attendees: calendarEvent?.attendees || [],
+      summary: meeting.summary || null,
+      speakerAnalytics: meeting.speaker_analytics || null,
+      links: {
+        recording: meeting.google_drive_recording_url,
+        transcript: meeting.google_drive_transcript_url,
+        calendarEvent: calendarEvent?.html_link || null,
+        meet: calendarEvent?.hangout_link || null
+      },
+      calendarEvent: calendarEvent ? {
+        id: calendarEvent.calendar_event_id,
+        summary: calendarEvent.summary,
+        description: calendarEvent.description,
+        start: calendarEvent.start_datetime,
+        end: calendarEvent.end_datetime,
+        timezone: calendarEvent.timezone,
+        organizer: calendarEvent.organizer_email,
+        creator: calendarEvent.creator_email,
+        attendees: calendarEvent.attendees || []
+      } : null,
+      processingLogs: processingLogs.map(log => ({
+        id: log.id,
+        step: log.step,
+        status: log.status,
+        retryCount: log.retry_count,
+        errorMessage: log.error_message,
+        startedAt: log.started_at,
+        completedAt: log.completed_at
+      })),
+      statusHistory: statusHistory.map(entry => ({
+        fromStatus: entry.from_status,
+        toStatus: entry.to_status,
+        reason: entry.reason,
+        createdAt: entry.created_at
+      }))
+    };
+
+    if (req.query.include === 'transcript') {
+      response.transcript = meeting.transcript_data || [];
+    }
+
+    res.status(200).json({
+      success: true,
+      meeting: response,
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+/**
+ * Meeting counts and average processing time by status
+ * GET /api/meetings/stats
+ */
+const getMeetingStats = asyncHandler(async (req, res) => {
+  const stats = await databaseService.getMeetingStats();
+
+  res.status(200).json({
+    success: true,
+    stats: stats.map(row => ({
+      status: row.status,
+      count: row.count,
+      avgProcessingTimeSeconds: row.avg_processing_time_seconds
+        ? Math.round(row.avg_processing_time_seconds)
+        : null
+    })),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Search meetings by transcript text, title and description
+ * GET /api/meetings/search?q=...&from=&to=&speaker=&organizer=&limit=&offset=
+ * `q` accepts web-search syntax ("exact phrase", or, -exclude).
+ */
+const searchMeetings = [
+  query('q').trim().notEmpty().withMessage('Search query (q) is required'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('speaker').optional().trim().notEmpty(),
+  query('organizer').optional().trim().isEmail().withMessage('organizer must be an email address'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const { q, from, to, speaker, organizer } = req.query;
+    const limit = req.query.limit || 20;
+    const offset = req.query.offset || 0;
+
+    const found = await databaseService.searchMeetings({
+      query: q,
+      from: from || null,
+      to: to || null,
+      speaker: speaker || null,
+      organizer: organizer || null,
+      limit,
+      offset
+    });
+
+    // Links saved as presigned URLs may have expired
+    const rows = await Promise.all(found.map(async row => ({
+      ...row,
+      recording_url: await refreshLink(row.storage_provider, row.recording_id, row.recording_url),
+      transcript_url: await refreshLink(row.storage_provider, row.transcript_id, row.transcript_url)
+    })));
+
+    const results = rows.map(row => ({
+      meeting: {
+        id: row.meeting_id,
+        title: row.meeting_title,
+        startedAt: row.meeting_started_at,
+        status: row.status,
+        organizer: row.organizer_email,
+        recordingUrl: row.recording_url,
+        transcriptUrl: row.transcript_url
+      },
+      rank: row.rank,
+      snippets: (row.snippets || []).map(snippet => ({
+        speaker: snippet.speaker,
+        timeStartMs: snippet.time_start,
+        timestamp: transcriptService.formatTimestamp(snippet.time_start),
+        highlight: snippet.snippet,
+        recordingLink: buildRecordingDeepLink(row.recording_url, row.storage_provider, snippet.time_start)
+      }))
+    }));
+
+    logger.info('Meeting search', {
+      query: q,
+      filters: { from, to, speaker, organizer },
+      resultCount: results.length,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(200).json({
+      success: true,
+      query: q,
+      results,
+      pagination: {
+        limit,
+        offset,
+        total: rows.length > 0 ? Number(rows[0].total_count) : 0
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+];
+
+module.exports = {
+  listMeetings,
+  getMeeting,
+  getMeetingStats,
+  searchMeetings
+};
@@ -0,0 +1,294 @@
+jest.mock('../utils/logger');
+jest.mock('../config/database', () => ({}));
+jest.mock('../services/databaseService', () => ({
+  listMeetings: jest.fn(),
+  getMeetingById: jest.fn(),
+  getCalendarEvent: jest.fn(),
+  getProcessingLogs: jest.fn(),
+  getStatusHistory: jest.fn(),
+  getMeetingStats: jest.fn(),
+  searchMeetings: jest.fn()
+}));
+jest.mock('../services/storage', () => {
+  const { buildRecordingDeepLink } = jest.requireActual('../services/storage');
+
+  return {
+    buildRecordingDeepLink,
+    refreshLink: jest.fn(async (provider, id, url) => url),
+    refreshMeetingLinks: jest.fn(async meeting => meeting)
+  };
+});
+
+const express = require('express');
+const request = require('supertest');
+const databaseService = require('../services/databaseService');
+const { refreshLink } = require('../services/storage');
+const meetingController = require('./meetingController');
+
+const buildApp = () => {
+  const app = express();
+  app.get('/api/meetings', meetingController.listMeetings);
+  app.get('/api/meetings/search', meetingController.searchMeetings);
+  app.get('/api/meetings/stats', meetingController.getMeetingStats);
+  app.get('/api/meetings/:id', meetingController.getMeeting);
+  return app;
+};
+
+const MEETING_ID = '6f1c1e7a-3b2d-4c8e-9f0a-1b2c3d4e5f60';
+
+const meetingRow = (id, createdAt) => ({
+  id,
+  meeting_title: 'Weekly sync',
+  status: 'completed',
+  meeting_started_at: createdAt,
+  organizer_email: 'ann@example.com',
+  google_drive_recording_url: 'https://drive.google.com/file/d/file-1/view',
+  google_drive_transcript_url: 'https://docs.google.com/document/d/doc-1/edit',
+  created_at: createdAt
+});
+
+const decode = (cursor) => JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+describe('listMeetings', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('returns a page and a cursor for the next one', async () => {
+    databaseService.listMeetings.mockResolvedValue([
+      meetingRow(MEETING_ID, '2024-03-04T10:00:00.000Z'),
+      meetingRow('7f1c1e7a-3b2d-4c8e-9f0a-1b2c3d4e5f60', '2024-03-03T10:00:00.000Z')
+    ]);
+
+    const response = await request(buildApp()).get('/api/meetings?limit=1&status=completed,failed');
+
+    expect(response.status).toBe(200);
+    expect(databaseService.listMeetings).toHaveBeenCalledWith(expect.objectContaining({
+      status: ['completed', 'failed'],
+      sortColumn: 'created_at',
+      ascending: false,
+      cursor: null,
+      limit: 1
+    }));
+    expect(response.body.meetings).toEqual([{
+      id: MEETING_ID,
+      title: 'Weekly sync',
+      status: 'completed',
+      startedAt: '2024-03-04T10:00:00.000Z',
+      organizer: 'ann@example.com',
+      recordingUrl: 'https://drive.google.com/file/d/file-1/view',
+      transcriptUrl: 'https://docs.google.com/document/d/doc-1/edit',
+      createdAt: '2024-03-04T10:00:00.000Z'
+    }]);
+    expect(response.body.pagination).toMatchObject({ limit: 1, sort: 'createdAt', order: 'desc', hasMore: true });
+    expect(decode(response.body.pagination.nextCursor)).toEqual({ v: '2024-03-04T10:00:00.000Z', id: MEETING_ID });
+  });
+
+  it('continues from a cursor', async () => {
+    databaseService.listMeetings.mockResolvedValue([]);
+    const cursor = Buffer.from(JSON.stringify({ v: '2024-03-04T10:00:00.000Z', id: MEETING_ID })).toString('base64url');
+
+    const response = await request(buildApp()).get('/api/meetings').query({ cursor, sort: 'startedAt', order: 'asc' });
+
+    expect(response.body.pagination).toMatchObject({ hasMore: false, nextCursor: null });
+    expect(databaseService.listMeetings).toHaveBeenCalledWith(expect.objectContaining({
+      sortColumn: 'meeting_started_at',
+      ascending: true,
+      cursor: { value: '2024-03-04T10:00:00.000Z', id: MEETING_ID }
+    }));
+  });
+
+  it('only reads the requested fields', async () => {
+    databaseService.listMeetings.mockResolvedValue([meetingRow(MEETING_ID, '2024-03-04T10:00:00.000Z')]);
+
+    const response = await request(buildApp()).get('/api/meetings?fields=title,status');
+
+    expect(databaseService.listMeetings).toHaveBeenCalledWith(expect.objectContaining({
+      columns: 'meeting_title,status,created_at,id'
+    }));
+    expect(response.body.meetings).toEqual([{ title: 'Weekly sync', status: 'completed' }]);
+  });
+
+  it.each([
+    ['an unknown status', 'status=done'],
+    ['an unknown field', 'fields=title,secret'],
+    ['a cursor it did not issue', `cursor=${Buffer.from(JSON.stringify({ v: '1) or (1', id: 'x' })).toString('base64url')}`],
+    ['a limit over 100', 'limit=101']
+  ])('rejects %s', async (label, queryString) => {
+    const response = await request(buildApp()).get(`/api/meetings?${queryString}`);
+
+    expect(response.status).toBe(400);
+    expect(databaseService.listMeetings).not.toHaveBeenCalled();
+  });
+});
+
+describe('getMeeting', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    databaseService.getCalendarEvent.mockResolvedValue({
+      calendar_event_id: 'event-1',
+      organizer_email: 'ann@example.com',
+      attendees: ['bob@example.com'],
+      html_link: 'https://calendar.google.com/event?eid=1'
+    });
+    databaseService.getProcessingLogs.mockResolvedValue([{ id: 'log-1', step: 'stream_to_drive', status: 'completed' }]);
+    databaseService.getStatusHistory.mockResolvedValue([{ from_status: 'processing', to_status: 'completed', reason: 'processing_completed' }]);
+  });
+
+  it('returns the meeting with its calendar event and history', async () => {
+    databaseService.getMeetingById.mockResolvedValue({
+      ...meetingRow(MEETING_ID, '2024-03-04T10:00:00.000Z'),
+      calendar_event_id: 'event-1',
+      transcript_data: [{ speaker: 'Ann', text: 'Hello' }]
+    });
+
+    const response = await request(buildApp()).get(`/api/meetings/${MEETING_ID}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.meeting).toMatchObject({
+      id: MEETING_ID,
+      organizer: 'ann@example.com',
+      attendees: ['bob@example.com'],
+      links: { calendarEvent: 'https://calendar.google.com/event?eid=1' },
+      processingLogs: [{ id: 'log-1', step: 'stream_to_drive', status: 'completed' }],
+      statusHistory: [{ fromStatus: 'processing', toStatus: 'completed', reason: 'processing_completed' }]
+    });
+    expect(response.body.meeting.transcript).toBeUndefined();
+  });
+
+  it('includes the transcript on request', async () => {
+    databaseService.getMeetingById.mockResolvedValue({ id: MEETING_ID, transcript_data: [{ speaker: 'Ann', text: 'Hello' }] });
+
+    const response = await request(buildApp()).get(`/api/meetings/${MEETING_ID}?include=transcript`);
+
+    expect(response.body.meeting.transcript).toEqual([{ speaker: 'Ann', text: 'Hello' }]);
+  });
+
+  it('answers 404 for an unknown meeting', async () => {
+    databaseService.getMeetingById.mockResolvedValue(null);
+
+    const response = await request(buildApp()).get(`/api/meetings/${MEETING_ID}`);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('rejects an ID that is not a UUID', async () => {
+    const response = await request(buildApp()).get('/api/meetings/123');
+
+    expect(response.status).toBe(400);
+    expect(databaseService.getMeetingById).not.toHaveBeenCalled();
+  });
+});
+
+describe('getMeetingStats', () => {
+  it('rounds the average processing time', async () => {
+    databaseService.getMeetingStats.mockResolvedValue([
+      { status: 'completed', count: 4, avg_processing_time_seconds: 92.6 },
+      { status: 'failed', count: 1, avg_processing_time_seconds: null }
+    ]);
+
+    const response = await request(buildApp()).get('/api/meetings/stats');
+
+    expect(response.body.stats).toEqual([
+      { status: 'completed', count: 4, avgProcessingTimeSeconds: 93 },
+      { status: 'failed', count: 1, avgProcessingTimeSeconds: null }
+    ]);
+  });
+});
+
+describe('searchMeetings', () => {
+  const row = {
+    meeting_id: 'meeting-1',
+    meeting_title: 'Launch review',
+    meeting_started_at: '2024-03-04T10:00:00Z',
+    status: 'completed',
+    organizer_email: 'ann@example.com',
+    storage_provider: 'google_drive',
+    recording_id: 'file-1',
+    recording_url: 'https://drive.google.com/file/d/file-1/view',
+    transcript_id: 'doc-1',
+    transcript_url: 'https://docs.google.com/document/d/doc-1/edit',
+    rank: 0.5,
+    total_count: '3',
+    snippets: [{ speaker: 'Ann', time_start: 83500, snippet: 'the <b>launch</b> date' }]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    databaseService.searchMeetings.mockResolvedValue([row]);
+  });
+
+  it('requires a query', async () => {
+    const response = await request(buildApp()).get('/api/meetings/search?q=%20');
+
+    expect(response.status).toBe(400);
+    expect(databaseService.searchMeetings).not.toHaveBeenCalled();
+  });
+
+  it('passes the filters and paging to the search', async () => {
+    await request(buildApp())
+      .get('/api/meetings/search')
+      .query({ q: '"launch date" -draft', speaker: 'Ann', organizer: 'ann@example.com', from: '2024-03-01', limit: 5, offset: 10 });
+
+    expect(databaseService.searchMeetings).toHaveBeenCalledWith({
+      query: '"launch date" -draft',
+      from: '2024-03-01',
+      to: null,
+      speaker: 'Ann',
+      organizer: 'ann@example.com',
+      limit: 5,
+      offset: 10
+    });
+  });
+
+  it('returns snippets that link into the recording', async () => {
+    const response = await request(buildApp()).get('/api/meetings/search?q=launch');
+
+    expect(response.status).toBe(200);
+    expect(response.body.pagination).toEqual({ limit: 20, offset: 0, total: 3 });
+    expect(response.body.results).toEqual([{
+      meeting: {
+        id: 'meeting-1',
+        title: 'Launch review',
+        startedAt: '2024-03-04T10:00:00Z',
+        status: 'completed',
+        organizer: 'ann@example.com',
+        recordingUrl: row.recording_url,
+        transcriptUrl: row.transcript_url
+      },
+      rank: 0.5,
+      snippets: [{
+        speaker: 'Ann',
+        timeStartMs: 83500,
+        timestamp: '01:23',
+        highlight: 'the <b>launch</b> date',
+        recordingLink: 'https://drive.google.com/file/d/file-1/view?t=83'
+      }]
+    }]);
+  });
+
+  it('links snippets into a freshly signed recording link', async () => {
+    databaseService.searchMeetings.mockResolvedValue([{
+      ...row,
+      storage_provider: 's3',
+      recording_url: 'https://bucket.s3.amazonaws.com/recordings/1.mp4?X-Amz-Date=old'
+    }]);
+    refreshLink.mockImplementation(async (provider, id, url) => (
+      id === 'file-1' ? 'https://bucket.s3.amazonaws.com/recordings/1.mp4?X-Amz-Date=new' : url
+    ));
+
+    const response = await request(buildApp()).get('/api/meetings/search?q=launch');
+
+    expect(response.body.results[0].snippets[0].recordingLink)
+      .toBe('https://bucket.s3.amazonaws.com/recordings/1.mp4?X-Amz-Date=new#t=83');
+  });
+
+  it('reports no results', async () => {
+    databaseService.searchMeetings.mockResolvedValue([]);
+
+    const response = await request(buildApp()).get('/api/meetings/search?q=nothing');
+
+    expect(response.body.results).toEqual([]);
+    expect(response.body.pagination.total).toBe(0);
+  });
+});
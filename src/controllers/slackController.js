@@ -0,0 +1,606 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+// Import services
+const databaseService = require('../services/databaseService');
+const meetingService = require('../services/meetingService');
+const chatterboxService = require('../services/chatterboxService');
+const notificationService = require('../services/notificationService');
+const transcriptService = require('../services/transcriptService');
+const meetingStateMachine = require('../services/meetingStateMachine');
+const { SLACK_ACTIONS } = require('../services/notificationService');
+const { buildRecordingDeepLink, refreshLink, refreshMeetingLinks } = require('../services/storage');
+
+/**
+ * Slack Controller
+ * Handles interactive components (block action buttons) on our Slack messages
+ * and the /meetbot slash command
+ */
+
+// Context block appended to a message to show the outcome of the last button press
+const ACTION_STATUS_BLOCK_ID = 'meeting_action_status';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Google Meet code, on its own or inside a meet.google.com link
+const MEET_CODE_PATTERN = /(?:^|meet\.google\.com\/)([a-z]{3}-[a-z]{4}-[a-z]{3})(?:$|[/?#])/i;
+
+// Result limits for /meetbot recent and /meetbot search
+const RECENT_DEFAULT = 10;
+const RECENT_MAX = 25;
+const SEARCH_LIMIT = 5;
+
+/**
+ * Escape text for Slack mrkdwn
+ */
+const escapeSlackText = (text) => {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+};
+
+/**
+ * Format a date for Slack in the reader's own timezone
+ */
+const formatSlackDate = (value) => {
+  if (!value) {
+    return 'unknown time';
+  }
+
+  const date = new Date(value);
+  return `<!date^${Math.floor(date.getTime() / 1000)}^{date_short_pretty} {time}|${date.toISOString()}>`;
+};
+
+/**
+ * Whether a Slack user is listed in SLACK_OPERATOR_USER_IDS
+ * Operators may change any meeting.
+ */
+const isOperator = (user) => {
+  const operatorIds = (process.env.SLACK_OPERATOR_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  return !!user?.id && operatorIds.includes(user.id);
+};
+
+/**
+ * Whether a Slack user may change a meeting: an operator, or its organizer or an attendee
+ * People are matched on the email address of their Slack profile.
+ */
+const canManageMeeting = async (user, meeting) => {
+  if (isOperator(user)) {
+    return true;
+  }
+
+  if (!user?.id || !meeting?.calendar_event_id) {
+    return false;
+  }
+
+  const [email, calendarEvent] = await Promise.all([
+    notificationService.getUserEmail(user.id),
+    databaseService.getCalendarEvent(meeting.calendar_event_id)
+  ]);
+
+  if (!email || !calendarEvent) {
+    return false;
+  }
+
+  const participants = [calendarEvent.organizer_email, ...(calendarEvent.attendees || []).map(attendee => attendee?.email)]
+    .filter(Boolean)
+    .map(address => address.toLowerCase());
+
+  return participants.includes(email);
+};
+
+/**
+ * Reply to a Slack user only (through the response_url of their request)
+ */
+const replyEphemeral = async (responseUrl, text) => {
+  if (!responseUrl) {
+    return;
+  }
+
+  await axios.post(responseUrl, {
+    response_type: 'ephemeral',
+    replace_original: false,
+    text
+  }, { timeout: 10000 });
+};
+
+/**
+ * Re-post the notification matching the meeting's current state
+ */
+const resendNotification = async (storedMeeting) => {
+  // Saved presigned links may have expired since the first notification
+  const meeting = await refreshMeetingLinks(storedMeeting);
+
+  if (meeting.status === 'completed') {
+    return notificationService.sendMeetingCompletedNotification(
+      meeting,
+      { id: meeting.google_drive_recording_id, webViewLink: meeting.google_drive_recording_url },
+      { id: meeting.google_drive_transcript_id, webViewLink: meeting.google_drive_transcript_url },
+      { transcript: meeting.transcript_data || [] },
+      meeting.summary || null
+    );
+  }
+
+  if (meeting.status === 'failed' || meeting.status === 'ignored') {
+    const history = await databaseService.getStatusHistory(meeting.id);
+    const lastFailure = history.filter(entry => entry.to_status === 'failed').pop();
+
+    return notificationService.sendMeetingFailedNotification(
+      meeting,
+      new Error(lastFailure?.reason || 'Unknown error')
+    );
+  }
+
+  throw new Error(`Nothing to re-send while the meeting is ${meeting.status}`);
+};
+
+/**
+ * Button handlers: (meeting, user) -> outcome text for the updated message
+ * Restricted handlers only run for users allowed to change the meeting (see canManageMeeting).
+ */
+const ACTION_HANDLERS = {
+  [SLACK_ACTIONS.RETRY_PROCESSING]: {
+    label: 'Retry',
+    restricted: true,
+    handle: async (meeting, user) => {
+      if (meeting.status === 'completed' || meeting.status === 'processing') {
+        throw new Error(`Meeting is already ${meeting.status}`);
+      }
+
+      if (!meeting.chatterbox_session_id) {
+        throw new Error('No ChatterBox session ID available for retry');
+      }
+
+      const job = await meetingService.queueProcessing(meeting.id, 'retry_processing', {
+        sessionId: meeting.chatterbox_session_id,
+        source: 'slack_retry'
+      });
+
+      return job.deduplicated
+        ? `🔄 Retry already queued (requested again by <@${user.id}>)`
+        : `🔄 Retry queued by <@${user.id}>`;
+    }
+  },
+
+  [SLACK_ACTIONS.RESEND_NOTIFICATION]: {
+    label: 'Re-send',
+    handle: async (meeting, user) => {
+      await resendNotification(meeting);
+      return `📨 Notification re-sent by <@${user.id}>`;
+    }
+  },
+
+  [SLACK_ACTIONS.IGNORE_FAILURE]: {
+    label: 'Ignore',
+    restricted: true,
+    handle: async (meeting, user) => {
+      await meetingStateMachine.transition(meeting.id, 'ignored', {
+        reason: 'ignored_via_slack',
+        metadata: { slackUserId: user.id, slackUserName: user.username || user.name }
+      });
+
+      return `🙈 Marked as ignored by <@${user.id}>`;
+    }
+  }
+};
+
+/**
+ * Replace the action status line on the original message
+ */
+const withActionStatus = (blocks, status, outcome) => {
+  return [
+    ...(blocks || []).filter(block => block.block_id !== ACTION_STATUS_BLOCK_ID),
+    {
+      type: 'context',
+      block_id: ACTION_STATUS_BLOCK_ID,
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `*Status:* ${status} · ${outcome} · ${formatSlackDate(new Date())}`
+        }
+      ]
+    }
+  ];
+};
+
+/**
+ * Run one button press and update the message it came from
+ */
+const handleBlockAction = async (payload, action) => {
+  const handler = ACTION_HANDLERS[action.action_id];
+  const user = payload.user || {};
+  const meetingId = action.value;
+
+  if (!handler) {
+    logger.warn('Unknown Slack action', {
+      actionId: action.action_id,
+      userId: user.id,
+      timestamp: new Date().toISOString()
+    });
+    return;
+  }
+
+  logger.logMeetingEvent(meetingId, 'slack_action_received', {
+    actionId: action.action_id,
+    slackUserId: user.id,
+    slackUserName: user.username
+  });
+
+  let outcome;
+  let meeting = await databaseService.getMeetingById(meetingId).catch(() => null);
+
+  // Leave the shared message alone and only tell the person who clicked
+  if (meeting && handler.restricted && !await canManageMeeting(user, meeting)) {
+    logger.warn('Slack action not allowed', {
+      meetingId,
+      actionId: action.action_id,
+      slackUserId: user.id,
+      timestamp: new Date().toISOString()
+    });
+
+    await replyEphemeral(
+      payload.response_url,
+      `⛔ Only the meeting's organizer, its attendees and bot operators can use ${handler.label} on this meeting.`
+    );
+    return;
+  }
+
+  if (!meeting) {
+    outcome = `⚠️ ${handler.label} failed: meeting not found (<@${user.id}>)`;
+  } else {
+    try {
+      outcome = await handler.handle(meeting, user);
+      meeting = await databaseService.getMeetingById(meetingId);
+    } catch (error) {
+      logger.error('Slack action failed', {
+        meetingId,
+        actionId: action.action_id,
+        slackUserId: user.id,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      outcome = `⚠️ ${handler.label} failed: ${error.message} (<@${user.id}>)`;
+    }
+  }
+
+  const channel = payload.channel?.id || payload.container?.channel_id;
+  const messageTs = payload.container?.message_ts || payload.message?.ts;
+
+  if (!channel || !messageTs) {
+    return;
+  }
+
+  await notificationService.updateMessage(
+    channel,
+    messageTs,
+    payload.message?.text || 'Meeting update',
+    withActionStatus(payload.message?.blocks, meeting?.status || 'unknown', outcome)
+  );
+};
+
+/**
+ * Handle Slack interactivity requests
+ * POST /slack/interactions (application/x-www-form-urlencoded, `payload` is JSON)
+ * Slack expects an acknowledgement within 3 seconds, so actions run after the response.
+ */
+const handleInteraction = asyncHandler(async (req, res) => {
+  let payload;
+
+  try {
+    payload = JSON.parse(req.body.payload);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid interaction payload',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.status(200).send();
+
+  if (payload.type !== 'block_actions') {
+    return;
+  }
+
+  for (const action of payload.actions || []) {
+    try {
+      await handleBlockAction(payload, action);
+    } catch (error) {
+      logger.error('Failed to handle Slack interaction', {
+        actionId: action.action_id,
+        meetingId: action.value,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+});
+
+/**
+ * Find a meeting by meeting ID or ChatterBox session ID
+ */
+const findMeeting = async (identifier) => {
+  if (UUID_PATTERN.test(identifier)) {
+    const meeting = await databaseService.getMeetingById(identifier);
+    if (meeting) {
+      return meeting;
+    }
+  }
+
+  return databaseService.getMeetingBySessionId(identifier);
+};
+
+/**
+ * /meetbot subcommands: (args, user) -> Slack message for the response_url
+ */
+const SLASH_COMMANDS = {
+  status: {
+    usage: 'status <meeting ID or session ID>',
+    description: 'Show a meeting\'s status and processing steps',
+    run: async ([identifier]) => {
+      if (!identifier) {
+        throw new Error('Usage: status <meeting ID or session ID>');
+      }
+
+      const found = await findMeeting(identifier);
+
+      if (!found) {
+        throw new Error(`No meeting found for \`${identifier}\``);
+      }
+
+      const status = await meetingService.getMeetingStatus(found.id);
+      const { logs, processingTime } = status;
+      const meeting = await refreshMeetingLinks(status.meeting);
+
+      const lines = [
+        `*${escapeSlackText(meeting.meeting_title)}* (\`${meeting.id}\`)`,
+        `*Status:* ${meeting.status} · *Started:* ${formatSlackDate(meeting.meeting_started_at || meeting.created_at)}`,
+        `*Session:* ${meeting.chatterbox_session_id ? `\`${meeting.chatterbox_session_id}\`` : 'none'}`
+      ];
+
+      if (processingTime !== null) {
+        lines.push(`*Processing time:* ${Math.round(processingTime / 1000)}s`);
+      }
+
+      if (meeting.google_drive_recording_url) {
+        lines.push(`<${meeting.google_drive_recording_url}|🎥 Recording>${meeting.google_drive_transcript_url ? ` · <${meeting.google_drive_transcript_url}|📝 Transcript>` : ''}`);
+      }
+
+      if (logs.length > 0) {
+        lines.push('*Steps:*');
+        lines.push(...logs.map(log => `• ${log.step}: ${log.status}${log.error_message ? ` – ${escapeSlackText(log.error_message)}` : ''}`));
+      }
+
+      return { response_type: 'ephemeral', text: lines.join('\n') };
+    }
+  },
+
+  recent: {
+    usage: `recent [count (max ${RECENT_MAX})]`,
+    description: 'List the most recent meetings',
+    run: async ([count]) => {
+      const limit = Math.min(Math.max(parseInt(count, 10) || RECENT_DEFAULT, 1), RECENT_MAX);
+
+      const rows = await databaseService.listMeetings({
+        columns: 'id,meeting_title,status,meeting_started_at,created_at',
+        limit
+      });
+
+      if (rows.length === 0) {
+        return { response_type: 'ephemeral', text: 'No meetings recorded yet.' };
+      }
+
+      const lines = rows.slice(0, limit).map(meeting =>
+        `• *${escapeSlackText(meeting.meeting_title)}* – ${meeting.status} · ${formatSlackDate(meeting.meeting_started_at || meeting.created_at)} · \`${meeting.id}\``
+      );
+
+      return { response_type: 'ephemeral', text: `*Recent meetings*\n${lines.join('\n')}` };
+    }
+  },
+
+  join: {
+    usage: 'join <meet code or link> [title]',
+    description: 'Send the bot into a Google Meet',
+    run: async ([target, ...titleWords], user) => {
+      if (!isOperator(user)) {
+        throw new Error('Only bot operators can send the bot into a meeting');
+      }
+
+      const match = target ? target.match(MEET_CODE_PATTERN) : null;
+
+      if (!match) {
+        throw new Error('Usage: join <meet code or link> [title], e.g. `join abc-defg-hij Weekly sync`');
+      }
+
+      const conferenceId = match[1].toLowerCase();
+
+      const { meeting, sessionId } = await meetingService.startBotForMeeting({
+        calendarEventId: `slack:${conferenceId}:${Date.now()}`,
+        conferenceId,
+        title: titleWords.length > 0 ? titleWords.join(' ') : `Meet ${conferenceId}`,
+        reason: `slack_join:${user.id}`
+      });
+
+      return {
+        response_type: 'in_channel',
+        text: `🤖 <@${user.id}> sent the bot to \`${conferenceId}\`\n*Meeting:* \`${meeting.id}\` · *Session:* \`${sessionId}\``
+      };
+    }
+  },
+
+  leave: {
+    usage: 'leave <session ID>',
+    description: 'Make the bot leave a meeting',
+    run: async ([sessionId], user) => {
+      if (!sessionId) {
+        throw new Error('Usage: leave <session ID>');
+      }
+
+      const meeting = await databaseService.getMeetingBySessionId(sessionId);
+
+      if (!await canManageMeeting(user, meeting)) {
+        throw new Error('Only the meeting\'s organizer, its attendees and bot operators can make the bot leave');
+      }
+
+      const left = await chatterboxService.forceLeaveSession(sessionId);
+
+      if (!left) {
+        throw new Error(`ChatterBox did not confirm leaving session \`${sessionId}\``);
+      }
+
+      return {
+        response_type: 'in_channel',
+        text: `👋 <@${user.id}> made the bot leave session \`${sessionId}\``
+      };
+    }
+  },
+
+  search: {
+    usage: 'search <text>',
+    description: 'Search meeting titles and transcripts',
+    run: async (words) => {
+      const query = words.join(' ');
+
+      if (!query) {
+        throw new Error('Usage: search <text>');
+      }
+
+      const rows = await databaseService.searchMeetings({ query, limit: SEARCH_LIMIT });
+
+      if (rows.length === 0) {
+        return { response_type: 'ephemeral', text: `No meetings match _${escapeSlackText(query)}_.` };
+      }
+
+      const results = await Promise.all(rows.map(async row => {
+        const recordingUrl = await refreshLink(row.storage_provider, row.recording_id, row.recording_url);
+        const title = recordingUrl
+          ? `<${recordingUrl}|${escapeSlackText(row.meeting_title)}>`
+          : `*${escapeSlackText(row.meeting_title)}*`;
+
+        // ts_headline wraps matches in <mark>; show them in bold
+        const snippets = (row.snippets || []).slice(0, 2).map(snippet => {
+          const highlight = escapeSlackText(snippet.snippet).replace(/&lt;\/?mark&gt;/g, '*');
+          const link = buildRecordingDeepLink(recordingUrl, row.storage_provider, snippet.time_start);
+          const timestamp = transcriptService.formatTimestamp(snippet.time_start);
+
+          return `    > ${link ? `<${link}|${timestamp}>` : timestamp} ${escapeSlackText(snippet.speaker || '')}: ${highlight}`;
+        });
+
+        return [`• ${title} – ${formatSlackDate(row.meeting_started_at)}`, ...snippets].join('\n');
+      }));
+
+      const total = Number(rows[0].total_count);
+
+      return {
+        response_type: 'ephemeral',
+        text: `*${total} meeting${total === 1 ? '' : 's'} match _${escapeSlackText(query)}_*${total > rows.length ? ` (showing ${rows.length})` : ''}\n${results.join('\n')}`
+      };
+    }
+  },
+
+  dms: {
+    usage: 'dms [on|off]',
+    description: 'Turn DMs with the recordings of meetings you attend on or off',
+    run: async ([setting], user) => {
+      if (!setting) {
+        const optOuts = await databaseService.getSlackDmOptOuts([user.id]);
+
+        return {
+          response_type: 'ephemeral',
+          text: optOuts.has(user.id)
+            ? 'Meeting DMs are *off* for you. Use `dms on` to get them again.'
+            : 'Meeting DMs are *on* for you. Use `dms off` to stop them.'
+        };
+      }
+
+      if (!['on', 'off'].includes(setting.toLowerCase())) {
+        throw new Error('Usage: dms [on|off]');
+      }
+
+      const optedOut = await databaseService.setSlackDmOptOut(user.id, setting.toLowerCase() === 'off');
+
+      return {
+        response_type: 'ephemeral',
+        text: optedOut
+          ? '🔕 You won\'t get meeting recordings by DM anymore.'
+          : '🔔 You\'ll get recordings and transcripts by DM for meetings you attend.'
+      };
+    }
+  }
+};
+
+/**
+ * Usage text for /meetbot
+ */
+const buildHelpMessage = (command = '/meetbot') => ({
+  response_type: 'ephemeral',
+  text: [
+    `*${command} commands*`,
+    ...Object.values(SLASH_COMMANDS).map(({ usage, description }) => `• \`${command} ${usage}\` – ${description}`)
+  ].join('\n')
+});
+
+/**
+ * Handle Slack slash commands
+ * POST /slack/commands (application/x-www-form-urlencoded)
+ * The request is acknowledged straight away; the result is posted to response_url
+ * since joining a meeting can take longer than Slack's 3 second limit.
+ */
+const handleCommand = asyncHandler(async (req, res) => {
+  const { command = '/meetbot', text = '', user_id: userId, user_name: userName, response_url: responseUrl } = req.body;
+  const [name = '', ...args] = text.trim().split(/\s+/).filter(Boolean);
+  const subcommand = SLASH_COMMANDS[name.toLowerCase()];
+
+  logger.info('Slack command received', {
+    command,
+    subcommand: name || null,
+    userId,
+    userName,
+    timestamp: new Date().toISOString()
+  });
+
+  if (!subcommand) {
+    return res.status(200).json(buildHelpMessage(command));
+  }
+
+  res.status(200).send();
+
+  let message;
+
+  try {
+    message = await subcommand.run(args, { id: userId, name: userName });
+  } catch (error) {
+    logger.error('Slack command failed', {
+      command,
+      subcommand: name,
+      userId,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+
+    message = {
+      response_type: 'ephemeral',
+      text: `⚠️ \`${command} ${name}\` failed: ${error.message}`
+    };
+  }
+
+  try {
+    await axios.post(responseUrl, message, { timeout: 10000 });
+  } catch (error) {
+    logger.error('Failed to post Slack command response', {
+      command,
+      subcommand: name,
+      userId,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = {
+  handleInteraction,
+  handleCommand
+};
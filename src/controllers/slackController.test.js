@@ -0,0 +1,266 @@
+jest.mock('axios', () => ({
+  post: jest.fn()
+}));
+jest.mock('../utils/logger');
+jest.mock('../config/database', () => ({}));
+jest.mock('../services/databaseService', () => ({
+  getMeetingById: jest.fn(),
+  getMeetingBySessionId: jest.fn(),
+  getCalendarEvent: jest.fn(),
+  getSlackDmOptOuts: jest.fn(),
+  setSlackDmOptOut: jest.fn()
+}));
+jest.mock('../services/meetingService', () => ({
+  queueProcessing: jest.fn(),
+  startBotForMeeting: jest.fn()
+}));
+jest.mock('../services/chatterboxService', () => ({
+  forceLeaveSession: jest.fn()
+}));
+jest.mock('../services/notificationService', () => ({
+  SLACK_ACTIONS: {
+    RETRY_PROCESSING: 'retry_processing',
+    RESEND_NOTIFICATION: 'resend_notification',
+    IGNORE_FAILURE: 'ignore_failure'
+  },
+  getUserEmail: jest.fn(),
+  updateMessage: jest.fn()
+}));
+jest.mock('../services/transcriptService', () => ({}));
+jest.mock('../services/meetingStateMachine', () => ({
+  transition: jest.fn()
+}));
+jest.mock('../services/storage', () => ({}));
+
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const databaseService = require('../services/databaseService');
+const meetingService = require('../services/meetingService');
+const chatterboxService = require('../services/chatterboxService');
+const notificationService = require('../services/notificationService');
+const meetingStateMachine = require('../services/meetingStateMachine');
+const slackController = require('./slackController');
+
+const ORIGINAL_ENV = process.env;
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.post('/slack/interactions', slackController.handleInteraction);
+  app.post('/slack/commands', slackController.handleCommand);
+  return app;
+};
+
+// Actions run after Slack has been answered
+const settle = async () => {
+  for (let i = 0; i < 10; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+const meeting = {
+  id: 'meeting-1',
+  status: 'failed',
+  calendar_event_id: 'event-1',
+  chatterbox_session_id: 'session-1'
+};
+
+const calendarEvent = {
+  organizer_email: 'Ann@example.com',
+  attendees: [{ email: 'bob@example.com', responseStatus: 'accepted' }, { email: 'room@resource.example.com' }]
+};
+
+const press = async (actionId, userId) => {
+  const payload = {
+    type: 'block_actions',
+    user: { id: userId, username: userId.toLowerCase() },
+    channel: { id: 'C123' },
+    container: { message_ts: '1700000000.000100' },
+    message: { text: 'Meeting failed', blocks: [] },
+    response_url: 'https://hooks.slack.com/actions/1',
+    actions: [{ action_id: actionId, value: 'meeting-1' }]
+  };
+
+  const response = await request(buildApp())
+    .post('/slack/interactions')
+    .type('form')
+    .send({ payload: JSON.stringify(payload) });
+
+  await settle();
+  return response;
+};
+
+describe('handleInteraction', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...ORIGINAL_ENV, SLACK_OPERATOR_USER_IDS: 'UOPS1, UOPS2' };
+    databaseService.getMeetingById.mockResolvedValue(meeting);
+    databaseService.getCalendarEvent.mockResolvedValue(calendarEvent);
+    notificationService.getUserEmail.mockImplementation(async userId => ({
+      UANN: 'ann@example.com',
+      UBOB: 'bob@example.com',
+      UEVE: 'eve@example.com'
+    })[userId] || null);
+    meetingService.queueProcessing.mockResolvedValue({ id: 'job-1' });
+    axios.post.mockResolvedValue({});
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  it.each([
+    ['the organizer', 'UANN'],
+    ['an attendee', 'UBOB'],
+    ['an operator', 'UOPS2']
+  ])('lets %s retry a meeting', async (label, userId) => {
+    const response = await press('retry_processing', userId);
+
+    expect(response.status).toBe(200);
+    expect(meetingService.queueProcessing).toHaveBeenCalledWith('meeting-1', 'retry_processing', {
+      sessionId: 'session-1',
+      source: 'slack_retry'
+    });
+    expect(notificationService.updateMessage).toHaveBeenCalledWith(
+      'C123',
+      '1700000000.000100',
+      'Meeting failed',
+      [expect.objectContaining({ block_id: 'meeting_action_status' })]
+    );
+  });
+
+  it('does not let anyone else retry or ignore a meeting', async () => {
+    await press('retry_processing', 'UEVE');
+    await press('ignore_failure', 'UEVE');
+
+    expect(meetingService.queueProcessing).not.toHaveBeenCalled();
+    expect(meetingStateMachine.transition).not.toHaveBeenCalled();
+    expect(notificationService.updateMessage).not.toHaveBeenCalled();
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(axios.post).toHaveBeenCalledWith('https://hooks.slack.com/actions/1', expect.objectContaining({
+      response_type: 'ephemeral',
+      replace_original: false
+    }), expect.anything());
+  });
+
+  it('does not let a user without a Slack email change a meeting', async () => {
+    await press('ignore_failure', 'UGUEST');
+
+    expect(meetingStateMachine.transition).not.toHaveBeenCalled();
+  });
+
+  it('only lets operators change a meeting without a calendar event', async () => {
+    databaseService.getMeetingById.mockResolvedValue({ ...meeting, calendar_event_id: null });
+
+    await press('ignore_failure', 'UANN');
+    expect(meetingStateMachine.transition).not.toHaveBeenCalled();
+
+    await press('ignore_failure', 'UOPS1');
+    expect(meetingStateMachine.transition).toHaveBeenCalledWith('meeting-1', 'ignored', expect.objectContaining({
+      metadata: { slackUserId: 'UOPS1', slackUserName: 'uops1' }
+    }));
+    expect(notificationService.getUserEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('handleCommand', () => {
+  const RESPONSE_URL = 'https://hooks.slack.com/commands/1';
+
+  const run = async (text, userId) => {
+    await request(buildApp())
+      .post('/slack/commands')
+      .type('form')
+      .send({ command: '/meetbot', text, user_id: userId, user_name: userId.toLowerCase(), response_url: RESPONSE_URL });
+
+    await settle();
+    return axios.post.mock.calls[axios.post.mock.calls.length - 1][1];
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...ORIGINAL_ENV, SLACK_OPERATOR_USER_IDS: 'UOPS1' };
+    databaseService.getMeetingBySessionId.mockResolvedValue(meeting);
+    databaseService.getCalendarEvent.mockResolvedValue(calendarEvent);
+    notificationService.getUserEmail.mockImplementation(async userId => ({
+      UBOB: 'bob@example.com',
+      UEVE: 'eve@example.com'
+    })[userId] || null);
+    meetingService.startBotForMeeting.mockResolvedValue({ meeting: { id: 'meeting-2' }, sessionId: 'session-2' });
+    chatterboxService.forceLeaveSession.mockResolvedValue(true);
+    axios.post.mockResolvedValue({});
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  it('lets an operator send the bot into a meeting', async () => {
+    const message = await run('join https://meet.google.com/abc-defg-hij Weekly sync', 'UOPS1');
+
+    expect(meetingService.startBotForMeeting).toHaveBeenCalledWith(expect.objectContaining({
+      conferenceId: 'abc-defg-hij',
+      title: 'Weekly sync',
+      reason: 'slack_join:UOPS1'
+    }));
+    expect(message.response_type).toBe('in_channel');
+  });
+
+  it('does not let anyone else send the bot into a meeting', async () => {
+    const message = await run('join abc-defg-hij', 'UBOB');
+
+    expect(meetingService.startBotForMeeting).not.toHaveBeenCalled();
+    expect(message).toEqual({
+      response_type: 'ephemeral',
+      text: expect.stringContaining('Only bot operators can send the bot into a meeting')
+    });
+  });
+
+  it.each([
+    ['an attendee', 'UBOB'],
+    ['an operator', 'UOPS1']
+  ])('lets %s make the bot leave', async (label, userId) => {
+    const message = await run('leave session-1', userId);
+
+    expect(databaseService.getMeetingBySessionId).toHaveBeenCalledWith('session-1');
+    expect(chatterboxService.forceLeaveSession).toHaveBeenCalledWith('session-1');
+    expect(message.response_type).toBe('in_channel');
+  });
+
+  it('does not let anyone else make the bot leave', async () => {
+    const message = await run('leave session-1', 'UEVE');
+
+    expect(chatterboxService.forceLeaveSession).not.toHaveBeenCalled();
+    expect(message.response_type).toBe('ephemeral');
+  });
+
+  it('only lets operators make the bot leave an unknown session', async () => {
+    databaseService.getMeetingBySessionId.mockResolvedValue(null);
+
+    await run('leave session-9', 'UBOB');
+    expect(chatterboxService.forceLeaveSession).not.toHaveBeenCalled();
+
+    await run('leave session-9', 'UOPS1');
+    expect(chatterboxService.forceLeaveSession).toHaveBeenCalledWith('session-9');
+  });
+
+  it('turns attendee DMs off and on for the user', async () => {
+    databaseService.setSlackDmOptOut.mockImplementation(async (userId, optedOut) => optedOut);
+
+    expect((await run('dms off', 'UEVE')).text).toContain('won\'t get meeting recordings by DM');
+    expect(databaseService.setSlackDmOptOut).toHaveBeenCalledWith('UEVE', true);
+
+    expect((await run('dms ON', 'UEVE')).text).toContain('You\'ll get recordings');
+    expect(databaseService.setSlackDmOptOut).toHaveBeenCalledWith('UEVE', false);
+  });
+
+  it('tells the user whether attendee DMs are on', async () => {
+    databaseService.getSlackDmOptOuts.mockResolvedValue(new Set(['UEVE']));
+
+    expect(await run('dms', 'UEVE')).toEqual({
+      response_type: 'ephemeral',
+      text: expect.stringContaining('Meeting DMs are *off* for you')
+    });
+    expect(databaseService.getSlackDmOptOuts).toHaveBeenCalledWith(['UEVE']);
+  });
+});
@@ -0,0 +1,231 @@
+const logger = require('../utils/logger');
+const { asyncHandler, handleValidationErrors } = require('../middlewares/errorHandler');
+const { param, query } = require('express-validator');
+
+// Import services
+const databaseService = require('../services/databaseService');
+const transcriptStreamService = require('../services/transcriptStreamService');
+const transcriptService = require('../services/transcriptService');
+const meetingService = require('../services/meetingService');
+const { refreshMeetingLinks } = require('../services/storage');
+const { EXPORT_FORMATS } = require('../utils/transcriptExports');
+
+// Comment line sent periodically so proxies don't close an idle stream
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Transcript Controller
+ * Live and stored transcript access for meetings
+ */
+
+/**
+ * Write one Server-Sent Event (no-op once the response has ended)
+ */
+const writeEvent = (res, event, data, id = null) => {
+  if (res.writableEnded) {
+    return;
+  }
+
+  if (id !== null && id !== undefined) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Stream a meeting transcript as Server-Sent Events
+ * Sends every stored segment first (catch-up), then pushes new segments as the
+ * ChatterBox transcript webhook delivers them. Event IDs are the segment start
+ * time, so a reconnecting client's Last-Event-ID resumes after the last segment it saw.
+ * Events: `segment` (speaker/text), `end` (meeting left recording), `error`.
+ */
+const streamTranscript = [
+  param('id').isUUID().withMessage('Meeting ID must be a valid UUID'),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const meeting = await databaseService.getMeetingById(id);
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const lastEventId = parseFloat(req.get('Last-Event-ID'));
+    const resumeAfter = Number.isFinite(lastEventId) ? lastEventId : null;
+    const sentTimeStarts = new Set();
+    let caughtUp = false;
+    // Set once the stream is over; `end` can arrive (or the client leave) during the catch-up read
+    let ended = false;
+    const pending = [];
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const isEnded = () => ended || res.writableEnded;
+
+    const sendSegment = (segment) => {
+      if (isEnded()) {
+        return;
+      }
+
+      // Skip anything the client already has (catch-up overlap or Last-Event-ID)
+      if (sentTimeStarts.has(segment.timeStart) ||
+          (resumeAfter !== null && segment.timeStart <= resumeAfter)) {
+        return;
+      }
+
+      writeEvent(res, 'segment', segment, segment.timeStart);
+      sentTimeStarts.add(segment.timeStart);
+    };
+
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    const endStream = (status) => {
+      if (isEnded()) {
+        return;
+      }
+
+      writeEvent(res, 'end', { meetingId: id, status });
+      ended = true;
+      close();
+      res.end();
+    };
+
+    // Subscribe before reading stored segments so nothing slips in between
+    const unsubscribe = transcriptStreamService.subscribe(id, {
+      onSegment: (segment) => {
+        if (caughtUp) {
+          sendSegment(segment);
+        } else {
+          pending.push(segment);
+        }
+      },
+      onEnd: ({ status }) => endStream(status)
+    });
+
+    const heartbeat = setInterval(() => {
+      if (!isEnded()) {
+        res.write(': heartbeat\n\n');
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      ended = true;
+      close();
+
+      logger.info('Transcript stream closed', {
+        meetingId: id,
+        segmentsSent: sentTimeStarts.size,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    logger.info('Transcript stream opened', {
+      meetingId: id,
+      status: meeting.status,
+      lastEventId: resumeAfter,
+      timestamp: new Date().toISOString()
+    });
+
+    try {
+      const segments = await databaseService.getTranscriptSegments(id);
+
+      segments
+        .map(segment => transcriptStreamService.formatSegment(segment))
+        .forEach(sendSegment);
+
+      caughtUp = true;
+      pending.forEach(sendSegment);
+      pending.length = 0;
+    } catch (error) {
+      logger.error('Failed to load transcript segments for stream', {
+        meetingId: id,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+
+      if (!isEnded()) {
+        writeEvent(res, 'error', { message: 'Failed to load transcript' });
+        ended = true;
+        close();
+        res.end();
+      }
+      return;
+    }
+
+    // Nothing more will arrive for a meeting that has finished recording
+    if (!transcriptStreamService.isLive(meeting)) {
+      endStream(meeting.status);
+    }
+  })
+];
+
+/**
+ * Download a meeting transcript as SRT, WebVTT, Markdown or JSON
+ * Uses the transcript stored by the processing pipeline, or the live segments
+ * for a meeting that hasn't been processed yet.
+ * GET /api/meetings/:id/transcript?format=srt|vtt|markdown|json (default json)
+ */
+const getTranscriptExport = [
+  param('id').isUUID().withMessage('Meeting ID must be a valid UUID'),
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+
+  handleValidationErrors,
+
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format || 'json';
+
+    // Exports include the recording link; saved presigned links may have expired
+    const meeting = await refreshMeetingLinks(await databaseService.getMeetingById(id));
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const transcript = Array.isArray(meeting.transcript_data) && meeting.transcript_data.length > 0
+      ? meeting.transcript_data
+      : await meetingService.getSegmentTranscript(id);
+
+    if (transcript.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No transcript available for this meeting',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const exported = transcriptService.exportTranscript(meeting, transcript, format);
+
+    res.status(200).set({
+      'Content-Type': `${exported.mimeType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(exported.fileName)}`
+    }).send(exported.content);
+  })
+];
+
+module.exports = {
+  streamTranscript,
+  getTranscriptExport
+};
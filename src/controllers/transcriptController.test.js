@@ -0,0 +1,111 @@
+jest.mock('../utils/logger');
+jest.mock('../services/databaseService', () => ({
+  getMeetingById: jest.fn(),
+  getTranscriptSegments: jest.fn()
+}));
+jest.mock('../services/transcriptService', () => ({}));
+jest.mock('../services/meetingService', () => ({}));
+jest.mock('../services/storage', () => ({
+  refreshMeetingLinks: jest.fn(async meeting => meeting)
+}));
+
+const express = require('express');
+const request = require('supertest');
+const databaseService = require('../services/databaseService');
+const transcriptStreamService = require('../services/transcriptStreamService');
+const { streamTranscript } = require('./transcriptController');
+
+const MEETING_ID = '6f1c1e7a-3b2d-4c8e-9f0a-1b2c3d4e5f60';
+
+const segment = (timeStart, text) => ({
+  id: `segment-${timeStart}`,
+  meeting_id: MEETING_ID,
+  speaker: 'Ann',
+  text,
+  time_start: timeStart,
+  time_end: timeStart + 1000
+});
+
+const buildApp = () => {
+  const app = express();
+  app.get('/api/meetings/:id/transcript/stream', streamTranscript);
+  return app;
+};
+
+// Parse an SSE body into [{ event, data }]
+const parseEvents = (body) => body
+  .split('\n\n')
+  .filter(chunk => chunk.includes('event: '))
+  .map(chunk => ({
+    event: chunk.match(/^event: (.*)$/m)[1],
+    data: JSON.parse(chunk.match(/^data: (.*)$/m)[1])
+  }));
+
+describe('streamTranscript', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('sends stored segments, then ends for a meeting that is no longer live', async () => {
+    databaseService.getMeetingById.mockResolvedValue({ id: MEETING_ID, status: 'completed' });
+    databaseService.getTranscriptSegments.mockResolvedValue([segment(0, 'Hello'), segment(2000, 'Bye')]);
+
+    const response = await request(buildApp()).get(`/api/meetings/${MEETING_ID}/transcript/stream`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(parseEvents(response.text)).toEqual([
+      { event: 'segment', data: expect.objectContaining({ text: 'Hello', timeStart: 0 }) },
+      { event: 'segment', data: expect.objectContaining({ text: 'Bye', timeStart: 2000 }) },
+      { event: 'end', data: { meetingId: MEETING_ID, status: 'completed' } }
+    ]);
+  });
+
+  it('skips segments up to Last-Event-ID', async () => {
+    databaseService.getMeetingById.mockResolvedValue({ id: MEETING_ID, status: 'completed' });
+    databaseService.getTranscriptSegments.mockResolvedValue([segment(0, 'Hello'), segment(2000, 'Bye')]);
+
+    const response = await request(buildApp())
+      .get(`/api/meetings/${MEETING_ID}/transcript/stream`)
+      .set('Last-Event-ID', '0');
+
+    expect(parseEvents(response.text).map(({ event, data }) => data.text || event)).toEqual(['Bye', 'end']);
+  });
+
+  it('stops writing when the meeting ends during the catch-up read', async () => {
+    const uncaught = jest.fn();
+    process.on('uncaughtException', uncaught);
+
+    databaseService.getMeetingById.mockResolvedValue({ id: MEETING_ID, status: 'recording' });
+    databaseService.getTranscriptSegments.mockImplementation(async () => {
+      // A live segment and the end arrive while stored segments are being read
+      transcriptStreamService.publishSegment(MEETING_ID, segment(4000, 'Late'));
+      transcriptStreamService.emit(`end:${MEETING_ID}`, { status: 'processing' });
+      return [segment(0, 'Hello')];
+    });
+
+    try {
+      const response = await request(buildApp()).get(`/api/meetings/${MEETING_ID}/transcript/stream`);
+
+      // Let any write queued after res.end() surface
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(parseEvents(response.text)).toEqual([
+        { event: 'end', data: { meetingId: MEETING_ID, status: 'processing' } }
+      ]);
+      expect(uncaught).not.toHaveBeenCalled();
+      expect(transcriptStreamService.listenerCount(`end:${MEETING_ID}`)).toBe(0);
+    } finally {
+      process.off('uncaughtException', uncaught);
+    }
+  });
+
+  it('returns 404 for an unknown meeting', async () => {
+    databaseService.getMeetingById.mockResolvedValue(null);
+
+    const response = await request(buildApp()).get(`/api/meetings/${MEETING_ID}/transcript/stream`);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('Meeting not found');
+  });
+});
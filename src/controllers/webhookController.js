@@ -6,6 +6,8 @@ const { body, param } = require('express-validator');
 const meetingService = require('../services/meetingService');
 const chatterboxService = require('../services/chatterboxService');
 const databaseService = require('../services/databaseService');
+const meetingStateMachine = require('../services/meetingStateMachine');
+const webhookService = require('../services/webhookService');
 const chatterboxConfig = require('../config/chatterbox');
 
 /**
@@ -31,7 +33,7 @@ const handleMeetingStarted = [
 
     try {
       // Create meeting record in database
-      const meeting = await databaseService.createMeeting({
+      const meeting = await meetingStateMachine.createMeeting({
         calendar_event_id: eventId,
         conference_id: conferenceData.conferenceId,
         meeting_title: summary,
@@ -39,13 +41,14 @@ const handleMeetingStarted = [
         meeting_started_at: start?.dateTime ? new Date(start.dateTime) : new Date(),
         meeting_ended_at: end?.dateTime ? new Date(end.dateTime) : null,
         status: 'started'
-      });
+      }, 'calendar_meeting_started');
 
       logger.logMeetingEvent(meeting.id, 'created', {
         eventId,
         summary,
         conferenceId: conferenceData.conferenceId
       });
+      webhookService.publish('meeting.created', meeting.id);
 
       // Join bot to meeting immediately
       const sessionData = await chatterboxService.joinMeeting({
@@ -55,10 +58,12 @@ const handleMeetingStarted = [
       });
 
       // Update meeting with session information
-      await databaseService.updateMeeting(meeting.id, {
-        chatterbox_session_id: sessionData.sessionId,
-        bot_join_status: 'joined',
-        status: 'bot_joined'
+      await meetingStateMachine.transition(meeting.id, 'bot_joined', {
+        reason: 'bot_joined',
+        updates: {
+          chatterbox_session_id: sessionData.sessionId,
+          bot_join_status: 'joined'
+        }
       });
 
       logger.logMeetingEvent(meeting.id, 'bot_joined', {
@@ -112,10 +117,25 @@ const handleChatterBoxWebhook = [
       payload
     });
 
+    let delivery = null;
+
     try {
       // Validate webhook payload
       chatterboxConfig.validateWebhookPayload(req.body);
 
+      // Drop redelivered events before doing any work
+      delivery = await chatterboxService.recordWebhookDelivery(req.body, req.get('X-Webhook-Event-Id'));
+
+      if (delivery.duplicate) {
+        return res.status(200).json({
+          success: true,
+          duplicate: true,
+          message: `${type} event already received`,
+          sessionId: payload.sessionId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
       if (type === 'finished') {
         const { sessionId, recordingUrl, timestamp } = payload;
         
@@ -126,6 +146,9 @@ const handleChatterBoxWebhook = [
             sessionId,
             timestamp: new Date().toISOString()
           });
+
+          // Allow a redelivery to succeed once the meeting exists
+          await chatterboxService.completeWebhookDelivery(delivery, new Error('Meeting not found for session ID'));
           
           return res.status(404).json({
             success: false,
@@ -139,24 +162,24 @@ const handleChatterBoxWebhook = [
           sessionId,
           recordingUrl: recordingUrl ? 'provided' : 'not_provided'
         });
+        webhookService.publish('recording.finished', meeting.id, { sessionId });
 
-        // ⚠️ CRITICAL: Start urgent processing immediately!
+        // ⚠️ CRITICAL: Queue urgent processing immediately!
         // Recording URL expires in 5 minutes - no time to waste!
-        meetingService.processRecordingUrgently(meeting.id, recordingUrl || null, sessionId)
-          .catch(error => {
-            logger.error('🚨 URGENT: Recording processing failed within 5-minute window', {
-              meetingId: meeting.id,
-              sessionId,
-              error: error.message,
-              timestamp: new Date().toISOString()
-            });
-          });
+        const job = await meetingService.queueProcessing(meeting.id, 'process_recording', {
+          sessionId,
+          recordingUrl: recordingUrl || null,
+          source: 'chatterbox_webhook'
+        });
+
+        await chatterboxService.completeWebhookDelivery(delivery);
 
         // Respond immediately to ChatterBox
         res.status(200).json({
           success: true,
-          message: 'Recording processing started',
+          message: 'Recording processing queued',
           meetingId: meeting.id,
+          jobId: job.id,
           sessionId,
           timestamp: new Date().toISOString()
         });
@@ -166,14 +189,25 @@ const handleChatterBoxWebhook = [
         
         // Update meeting status
         const meeting = await databaseService.getMeetingBySessionId(sessionId);
-        if (meeting) {
-          await databaseService.updateMeeting(meeting.id, {
-            status: 'recording'
+        if (meeting && (meeting.status === 'recording' || meetingStateMachine.canTransition(meeting.status, 'recording'))) {
+          await meetingStateMachine.transition(meeting.id, 'recording', {
+            reason: 'chatterbox_session_started'
           });
           
           logger.logMeetingEvent(meeting.id, 'recording_started', { sessionId });
+          webhookService.publish('bot.joined', meeting.id, { sessionId });
+        } else if (meeting) {
+          // A late or redelivered start for a meeting that has moved past recording
+          logger.info('Ignoring session started event for meeting past recording', {
+            meetingId: meeting.id,
+            sessionId,
+            status: meeting.status,
+            timestamp: new Date().toISOString()
+          });
         }
 
+        await chatterboxService.completeWebhookDelivery(delivery);
+
         res.status(200).json({
           success: true,
           message: 'Recording started notification received',
@@ -222,6 +256,9 @@ const handleChatterBoxWebhook = [
         timestamp: new Date().toISOString()
       });
 
+      // Leave the event open for redelivery
+      await chatterboxService.completeWebhookDelivery(delivery, error);
+
       res.status(500).json({
         success: false,
         error: 'Webhook processing failed',
@@ -336,20 +373,17 @@ const retryMeetingProcessing = [
 
       // Attempt to retry processing
       if (meeting.chatterbox_session_id) {
-        // Try to get session data and process
-        meetingService.retryProcessing(id, meeting.chatterbox_session_id)
-          .catch(error => {
-            logger.error('Retry processing failed', {
-              meetingId: id,
-              error: error.message,
-              timestamp: new Date().toISOString()
-            });
-          });
+        // Queue the retry - the worker fetches session data and processes
+        const job = await meetingService.queueProcessing(id, 'retry_processing', {
+          sessionId: meeting.chatterbox_session_id,
+          source: 'api_retry'
+        });
 
         res.status(200).json({
           success: true,
-          message: 'Meeting processing retry started',
+          message: 'Meeting processing retry queued',
           meetingId: id,
+          jobId: job.id,
           timestamp: new Date().toISOString()
         });
       } else {
@@ -405,20 +439,17 @@ const manualProcessMeeting = [
       });
 
       if (meeting.chatterbox_session_id) {
-        // Start manual processing
-        meetingService.manualProcessMeeting(id, meeting.chatterbox_session_id)
-          .catch(error => {
-            logger.error('Manual processing failed', {
-              meetingId: id,
-              error: error.message,
-              timestamp: new Date().toISOString()
-            });
-          });
+        // Queue manual processing
+        const job = await meetingService.queueProcessing(id, 'manual_processing', {
+          sessionId: meeting.chatterbox_session_id,
+          source: 'api_manual'
+        });
 
         res.status(200).json({
           success: true,
-          message: 'Manual meeting processing started',
+          message: 'Manual meeting processing queued',
           meetingId: id,
+          jobId: job.id,
           timestamp: new Date().toISOString()
         });
       } else {
@@ -0,0 +1,69 @@
+jest.mock('../utils/logger');
+jest.mock('../services/meetingService', () => ({}));
+jest.mock('../services/databaseService', () => ({
+  getMeetingBySessionId: jest.fn()
+}));
+jest.mock('../services/meetingStateMachine', () => {
+  const { canTransition } = jest.requireActual('../services/meetingStateMachine');
+
+  return {
+    canTransition,
+    transition: jest.fn()
+  };
+});
+jest.mock('../services/chatterboxService', () => ({
+  recordWebhookDelivery: jest.fn(),
+  completeWebhookDelivery: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({
+  publish: jest.fn()
+}));
+jest.mock('../config/chatterbox', () => ({
+  validateWebhookPayload: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const databaseService = require('../services/databaseService');
+const meetingStateMachine = require('../services/meetingStateMachine');
+const chatterboxService = require('../services/chatterboxService');
+const { handleChatterBoxWebhook } = require('./webhookController');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/webhook/chatterbox', handleChatterBoxWebhook);
+  return app;
+};
+
+const started = { type: 'started', payload: { sessionId: 'session-1', timestamp: 1700000000 } };
+
+describe('handleChatterBoxWebhook started', () => {
+  const delivery = { event: { id: 'event-1' }, duplicate: false };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chatterboxService.recordWebhookDelivery.mockResolvedValue(delivery);
+  });
+
+  it('moves a joined meeting to recording', async () => {
+    databaseService.getMeetingBySessionId.mockResolvedValue({ id: 'meeting-1', status: 'bot_joined' });
+
+    const response = await request(buildApp()).post('/webhook/chatterbox').send(started);
+
+    expect(response.status).toBe(200);
+    expect(meetingStateMachine.transition).toHaveBeenCalledWith('meeting-1', 'recording', {
+      reason: 'chatterbox_session_started'
+    });
+  });
+
+  it('acknowledges a start that arrives after processing has begun', async () => {
+    databaseService.getMeetingBySessionId.mockResolvedValue({ id: 'meeting-1', status: 'processing' });
+
+    const response = await request(buildApp()).post('/webhook/chatterbox').send(started);
+
+    expect(response.status).toBe(200);
+    expect(meetingStateMachine.transition).not.toHaveBeenCalled();
+    expect(chatterboxService.completeWebhookDelivery).toHaveBeenCalledWith(delivery);
+  });
+});
@@ -6,9 +6,12 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const { errorHandler } = require('./middlewares/errorHandler');
 const rateLimit = require('./middlewares/rateLimit');
+const { verifyWebhookSignature, captureRawBody } = require('./middlewares/webhookAuth');
+const { requireScope } = require('./middlewares/apiAuth');
+const { verifySlackSignature } = require('./middlewares/slackAuth');
 
 // Import controllers with error handling
-let webhookController, chatterboxDirectController, calendarController, healthController, pollStatusJob, cleanupJob;
+let webhookController, chatterboxDirectController, calendarController, healthController, transcriptController, meetingController, analyticsController, adminController, slackController, pollStatusJob, cleanupJob, processingWorkerJob, calendarWatchJob, autoJoinJob, weeklyDigestJob;
 
 try {
   logger.info('Loading webhook controller...');
@@ -46,6 +49,51 @@ try {
   throw error;
 }
 
+try {
+  logger.info('Loading meeting controller...');
+  meetingController = require('./controllers/meetingController');
+  logger.info('Meeting controller loaded successfully');
+} catch (error) {
+  logger.error('Failed to load meeting controller:', error);
+  throw error;
+}
+
+try {
+  logger.info('Loading analytics controller...');
+  analyticsController = require('./controllers/analyticsController');
+  logger.info('Analytics controller loaded successfully');
+} catch (error) {
+  logger.error('Failed to load analytics controller:', error);
+  throw error;
+}
+
+try {
+  logger.info('Loading transcript controller...');
+  transcriptController = require('./controllers/transcriptController');
+  logger.info('Transcript controller loaded successfully');
+} catch (error) {
+  logger.error('Failed to load transcript controller:', error);
+  throw error;
+}
+
+try {
+  logger.info('Loading admin controller...');
+  adminController = require('./controllers/adminController');
+  logger.info('Admin controller loaded successfully');
+} catch (error) {
+  logger.error('Failed to load admin controller:', error);
+  throw error;
+}
+
+try {
+  logger.info('Loading Slack controller...');
+  slackController = require('./controllers/slackController');
+  logger.info('Slack controller loaded successfully');
+} catch (error) {
+  logger.error('Failed to load Slack controller:', error);
+  throw error;
+}
+
 try {
   logger.info('Loading poll status job...');
   pollStatusJob = require('./jobs/pollStatusJob');
@@ -64,6 +112,42 @@ try {
   throw error;
 }
 
+try {
+  logger.info('Loading processing worker...');
+  processingWorkerJob = require('./jobs/processingWorkerJob');
+  logger.info('Processing worker loaded successfully');
+} catch (error) {
+  logger.error('Failed to load processing worker:', error);
+  throw error;
+}
+
+try {
+  logger.info('Loading calendar watch job...');
+  calendarWatchJob = require('./jobs/calendarWatchJob');
+  logger.info('Calendar watch job loaded successfully');
+} catch (error) {
+  logger.error('Failed to load calendar watch job:', error);
+  throw error;
+}
+
+try {
+  logger.info('Loading auto-join job...');
+  autoJoinJob = require('./jobs/autoJoinJob');
+  logger.info('Auto-join job loaded successfully');
+} catch (error) {
+  logger.error('Failed to load auto-join job:', error);
+  throw error;
+}
+
+try {
+  logger.info('Loading weekly digest job...');
+  weeklyDigestJob = require('./jobs/weeklyDigestJob');
+  logger.info('Weekly digest job loaded successfully');
+} catch (error) {
+  logger.error('Failed to load weekly digest job:', error);
+  throw error;
+}
+
 logger.info('Creating Express app...');
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -100,8 +184,8 @@ logger.info('Rate limiting configured');
 
 // Body parsing middleware
 logger.info('Setting up body parsing...');
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 logger.info('Body parsing configured');
 
 // Request logging
@@ -123,23 +207,65 @@ logger.info('Health check endpoint configured');
 
 // Webhook endpoints
 logger.info('Setting up webhook endpoints...');
-app.post('/webhook/meeting-started', webhookController.handleMeetingStarted);
-app.post('/webhook/chatterbox', webhookController.handleChatterBoxWebhook);
+// Every webhook must carry a valid HMAC signature from its sender (see middlewares/webhookAuth.js)
+app.post('/webhook/meeting-started', verifyWebhookSignature('n8n'), webhookController.handleMeetingStarted);
+app.post('/webhook/chatterbox', verifyWebhookSignature('chatterbox'), webhookController.handleChatterBoxWebhook);
 
 // NEW: Direct ChatterBox webhook endpoints (more reliable)
-app.post('/webhook/chatterbox-direct', chatterboxDirectController.handleChatterBoxDirectWebhook);
-app.post('/webhook/meeting-direct', chatterboxDirectController.createMeetingAndJoinBot);
+app.post('/webhook/chatterbox-direct', verifyWebhookSignature('chatterbox'), chatterboxDirectController.handleChatterBoxDirectWebhook);
+app.post('/webhook/meeting-direct', verifyWebhookSignature('n8n'), chatterboxDirectController.createMeetingAndJoinBot);
 
 // NEW: Calendar events endpoint for n8n
-app.post('/api/calendar/events', calendarController.storeCalendarEvent);
-app.get('/api/calendar/events/:eventId', calendarController.getCalendarEvent);
+app.post('/api/calendar/events', requireScope('write:meetings'), calendarController.storeCalendarEvent);
+app.get('/api/calendar/events/:eventId', requireScope('read:meetings'), calendarController.getCalendarEvent);
+
+// Google Calendar push notifications (authenticated by the per-channel token, not HMAC)
+app.post('/webhook/google-calendar', calendarController.handlePushNotification);
 logger.info('Webhook endpoints configured');
 
+// Slack endpoints (requests are signed with SLACK_SIGNING_SECRET)
+logger.info('Setting up Slack endpoints...');
+app.post('/slack/interactions', verifySlackSignature, slackController.handleInteraction);
+app.post('/slack/commands', verifySlackSignature, slackController.handleCommand);
+logger.info('Slack endpoints configured');
+
 // API endpoints
+// Every /api route requires an API key with the listed scope (see middlewares/apiAuth.js)
 logger.info('Setting up API endpoints...');
-app.get('/api/meetings/:id/status', webhookController.getMeetingStatus);
-app.post('/api/meetings/:id/retry', webhookController.retryMeetingProcessing);
-app.post('/api/meetings/:id/process', webhookController.manualProcessMeeting);
+app.get('/api/meetings', requireScope('read:meetings'), meetingController.listMeetings);
+app.get('/api/meetings/search', requireScope('read:meetings'), meetingController.searchMeetings);
+app.get('/api/meetings/stats', requireScope('read:meetings'), meetingController.getMeetingStats);
+app.get('/api/meetings/:id', requireScope('read:meetings'), meetingController.getMeeting);
+app.get('/api/meetings/:id/status', requireScope('read:meetings'), webhookController.getMeetingStatus);
+app.post('/api/meetings/:id/retry', requireScope('write:meetings'), webhookController.retryMeetingProcessing);
+app.post('/api/meetings/:id/process', requireScope('write:meetings'), webhookController.manualProcessMeeting);
+app.get('/api/meetings/:id/transcript', requireScope('read:meetings'), transcriptController.getTranscriptExport);
+app.get('/api/meetings/:id/transcript/stream', requireScope('read:meetings', { allowQueryToken: true }), transcriptController.streamTranscript);
+app.get('/api/analytics', requireScope('read:meetings'), analyticsController.getOverview);
+app.get('/api/analytics/meetings-per-week', requireScope('read:meetings'), analyticsController.getMeetingsPerWeek);
+app.get('/api/analytics/recorded-hours', requireScope('read:meetings'), analyticsController.getRecordedHours);
+app.get('/api/analytics/success-rate', requireScope('read:meetings'), analyticsController.getSuccessRate);
+app.get('/api/analytics/time-to-notification', requireScope('read:meetings'), analyticsController.getTimeToNotification);
+app.get('/api/analytics/top-speakers', requireScope('read:meetings'), analyticsController.getTopSpeakers);
+app.get('/api/analytics/organizers', requireScope('read:meetings'), analyticsController.getMeetingsPerOrganizer);
+
+// Admin endpoints
+app.get('/api/admin/api-keys', requireScope('admin'), adminController.listApiKeys);
+app.post('/api/admin/api-keys', requireScope('admin'), adminController.createApiKey);
+app.delete('/api/admin/api-keys/:id', requireScope('admin'), adminController.revokeApiKey);
+app.get('/api/admin/audit-log', requireScope('admin'), adminController.getAuditLog);
+app.get('/api/admin/routing-rules', requireScope('admin'), adminController.listRoutingRules);
+app.post('/api/admin/routing-rules', requireScope('admin'), adminController.createRoutingRule);
+app.get('/api/admin/routing-rules/resolve', requireScope('admin'), adminController.resolveMeetingChannels);
+app.delete('/api/admin/routing-rules/:id', requireScope('admin'), adminController.deleteRoutingRule);
+app.get('/api/admin/webhooks', requireScope('admin'), adminController.listWebhooks);
+app.post('/api/admin/webhooks', requireScope('admin'), adminController.createWebhook);
+app.delete('/api/admin/webhooks/:id', requireScope('admin'), adminController.deleteWebhook);
+app.get('/api/admin/webhooks/:id/deliveries', requireScope('admin'), adminController.getWebhookDeliveries);
+app.post('/api/admin/webhooks/deliveries/:deliveryId/redeliver', requireScope('admin'), adminController.redeliverWebhook);
+app.get('/api/admin/calendars', requireScope('admin'), adminController.listCalendarWatches);
+app.post('/api/admin/calendars', requireScope('admin'), adminController.watchCalendar);
+app.delete('/api/admin/calendars/:id', requireScope('admin'), adminController.unwatchCalendar);
 logger.info('API endpoints configured');
 
 // 404 handler
@@ -168,9 +294,15 @@ const gracefulShutdown = (signal) => {
     // Stop background jobs
     pollStatusJob.stop();
     cleanupJob.stop();
+    calendarWatchJob.stop();
+    autoJoinJob.stop();
+    weeklyDigestJob.stop();
     
-    // Close database connections if needed
-    process.exit(0);
+    // Hand in-flight jobs back to the queue so another instance can resume them
+    processingWorkerJob.stop().finally(() => {
+      // Close database connections if needed
+      process.exit(0);
+    });
   });
   
   // Force shutdown after 30 seconds
@@ -191,6 +323,12 @@ const server = app.listen(PORT, () => {
   // Start background jobs
   pollStatusJob.start();
   cleanupJob.start();
+  calendarWatchJob.start();
+  autoJoinJob.start();
+  weeklyDigestJob.start();
+  
+  // Start draining the processing queue (resumes jobs left by a previous container)
+  processingWorkerJob.start();
 });
 
 // Handle graceful shutdown
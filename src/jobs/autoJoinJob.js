@@ -0,0 +1,353 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const { getServiceConfig } = require('../config/database');
+const databaseService = require('../services/databaseService');
+const meetingStateMachine = require('../services/meetingStateMachine');
+const chatterboxService = require('../services/chatterboxService');
+const meetingService = require('../services/meetingService');
+
+// How long the service_config settings are trusted before re-reading
+const SETTINGS_CACHE_MS = 60 * 1000;
+
+// Meetings whose bot is on its way in but not recording yet
+const PRE_RECORDING_STATUSES = ['started', 'bot_joining', 'bot_joined'];
+
+// A meeting in one of these statuses already has a bot in (or headed to) the conference
+const ACTIVE_STATUSES = [...PRE_RECORDING_STATUSES, 'recording'];
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// 0 is a valid setting, so only unset or non-numeric values fall back to the default
+const parseNumber = (value, defaultValue) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+};
+
+/**
+ * Settings from the environment; service_config.auto_join overrides any of them
+ */
+const getEnvironmentSettings = () => ({
+  enabled: process.env.AUTO_JOIN_ENABLED === 'true',
+  leadMinutes: parseNumber(process.env.AUTO_JOIN_LEAD_MINUTES, 2),
+  lateJoinMinutes: parseNumber(process.env.AUTO_JOIN_LATE_MINUTES, 10),
+  calendarIds: parseList(process.env.AUTO_JOIN_CALENDAR_IDS),
+  organizerDomains: parseList(process.env.AUTO_JOIN_ORGANIZER_DOMAINS),
+  excludeTitlePattern: process.env.AUTO_JOIN_EXCLUDE_TITLE_PATTERN || null,
+  minAttendees: parseNumber(process.env.AUTO_JOIN_MIN_ATTENDEES, 2)
+});
+
+/**
+ * Background job that sends the bot into calendar meetings
+ * Runs every minute: every calendar event with a Meet link that starts within
+ * the lead time (or started less than lateJoinMinutes ago, e.g. after a
+ * restart) and passes the eligibility rules gets a meeting and a bot.
+ * Times are re-read from calendar_events on every run, so rescheduled events
+ * are joined at their new time and cancelled ones are skipped. If an event is
+ * cancelled before it starts, a bot that is already waiting is recalled.
+ *
+ * An event is only ever joined once: events with a meeting record, or whose
+ * conference already has an active meeting (e.g. a /meetbot join), are
+ * skipped, and meetings.calendar_event_id is unique across instances.
+ */
+class AutoJoinJob {
+  constructor() {
+    this.task = null;
+    this.isRunning = false;
+    this.isScheduling = false;
+    this.settings = null;
+    this.settingsLoadedAt = 0;
+  }
+
+  /**
+   * Start the auto-join job
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Auto-join job is already running');
+      return;
+    }
+
+    // Run every minute
+    this.task = cron.schedule('* * * * *', async () => {
+      await this.scheduleJoins();
+    }, {
+      scheduled: false
+    });
+
+    this.task.start();
+    this.isRunning = true;
+
+    logger.info('Auto-join job started', {
+      schedule: 'every minute',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Stop the auto-join job
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    this.isRunning = false;
+
+    logger.info('Auto-join job stopped', {
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get the auto-join settings
+   */
+  async getSettings() {
+    if (this.settings && Date.now() - this.settingsLoadedAt < SETTINGS_CACHE_MS) {
+      return this.settings;
+    }
+
+    let overrides = null;
+
+    try {
+      overrides = await getServiceConfig('auto_join');
+    } catch (error) {
+      logger.warn('Could not read auto_join from service_config, using environment', {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    this.settings = { ...getEnvironmentSettings(), ...(overrides || {}) };
+    this.settingsLoadedAt = Date.now();
+
+    return this.settings;
+  }
+
+  /**
+   * Check an event against the eligibility rules
+   * Returns null if the bot should join, otherwise the reason it shouldn't.
+   */
+  getIneligibleReason(event, settings) {
+    if (settings.calendarIds.length > 0 && !settings.calendarIds.includes(event.calendar_id)) {
+      return 'calendar_not_included';
+    }
+
+    const organizerDomain = event.organizer_email?.split('@')[1]?.toLowerCase();
+
+    if (settings.organizerDomains.length > 0 &&
+        !settings.organizerDomains.some(domain => domain.toLowerCase() === organizerDomain)) {
+      return 'organizer_domain_not_included';
+    }
+
+    if (settings.excludeTitlePattern) {
+      try {
+        if (new RegExp(settings.excludeTitlePattern, 'i').test(event.summary || '')) {
+          return 'title_excluded';
+        }
+      } catch (error) {
+        logger.warn('Invalid auto-join title pattern, ignoring it', {
+          pattern: settings.excludeTitlePattern,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    const attendees = Array.isArray(event.attendees) ? event.attendees : [];
+
+    // The calendar the event was read from declined it
+    if (attendees.some(attendee => attendee.self && attendee.responseStatus === 'declined')) {
+      return 'declined';
+    }
+
+    // Google omits attendees when the organizer is alone
+    const people = attendees.filter(attendee => !attendee.resource && attendee.responseStatus !== 'declined');
+
+    if (Math.max(people.length, 1) < settings.minAttendees) {
+      return 'too_few_attendees';
+    }
+
+    return null;
+  }
+
+  /**
+   * Join the bot to every due, eligible event
+   */
+  async scheduleJoins() {
+    // A slow ChatterBox API can stretch a run past the next tick
+    if (this.isScheduling) {
+      return;
+    }
+
+    this.isScheduling = true;
+
+    try {
+      const settings = await this.getSettings();
+
+      if (!settings.enabled) {
+        return;
+      }
+
+      await this.recallCancelledBots();
+
+      const now = Date.now();
+      const events = (await databaseService.getUpcomingCalendarEvents(
+        new Date(now - settings.lateJoinMinutes * 60 * 1000),
+        new Date(now + settings.leadMinutes * 60 * 1000)
+      )).filter(event => !event.end_datetime || new Date(event.end_datetime).getTime() > now);
+
+      if (events.length === 0) {
+        return;
+      }
+
+      const [existingMeetings, activeMeetings] = await Promise.all([
+        databaseService.getMeetingsForEvents({ calendarEventIds: events.map(event => event.calendar_event_id) }),
+        databaseService.getMeetingsForEvents({
+          conferenceIds: events.map(event => event.conference_id),
+          statuses: ACTIVE_STATUSES
+        })
+      ]);
+
+      const joinedEventIds = new Set(existingMeetings.map(meeting => meeting.calendar_event_id));
+      const busyConferenceIds = new Set(activeMeetings.map(meeting => meeting.conference_id));
+
+      for (const event of events) {
+        if (joinedEventIds.has(event.calendar_event_id) || busyConferenceIds.has(event.conference_id)) {
+          continue;
+        }
+
+        const reason = this.getIneligibleReason(event, settings);
+
+        if (reason) {
+          logger.debug('Skipping auto-join for calendar event', {
+            eventId: event.calendar_event_id,
+            summary: event.summary,
+            reason,
+            timestamp: new Date().toISOString()
+          });
+          continue;
+        }
+
+        // Two calendar events can share a conference (e.g. a moved occurrence)
+        busyConferenceIds.add(event.conference_id);
+
+        await this.joinEvent(event);
+      }
+
+    } catch (error) {
+      // Don't crash the service if database is not ready or tables don't exist
+      if (error.message.includes('does not exist') ||
+          error.message.includes('SUPABASE_SERVICE_ROLE_KEY')) {
+        logger.warn('Database not ready, skipping auto-join cycle', {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      logger.error('Auto-join job failed', {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      this.isScheduling = false;
+    }
+  }
+
+  /**
+   * Create the meeting and send the bot in
+   */
+  async joinEvent(event) {
+    try {
+      const { meeting, sessionId } = await meetingService.startBotForMeeting({
+        calendarEventId: event.calendar_event_id,
+        conferenceId: event.conference_id,
+        title: event.summary,
+        description: event.description,
+        startedAt: event.start_datetime,
+        endedAt: event.end_datetime,
+        reason: 'auto_join'
+      });
+
+      logger.info('Bot auto-joined calendar meeting', {
+        meetingId: meeting.id,
+        sessionId,
+        eventId: event.calendar_event_id,
+        summary: event.summary,
+        startsAt: event.start_datetime,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      // Unique violation on meetings.calendar_event_id - someone else joined first
+      if (error.code === '23505') {
+        logger.info('Calendar meeting already joined elsewhere, skipping', {
+          eventId: event.calendar_event_id,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      logger.error('Failed to auto-join calendar meeting', {
+        eventId: event.calendar_event_id,
+        summary: event.summary,
+        conferenceId: event.conference_id,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Recall bots sent to events that were cancelled before they started
+   */
+  async recallCancelledBots() {
+    const meetings = (await Promise.all(
+      PRE_RECORDING_STATUSES.map(status => databaseService.getMeetingsByStatus(status))
+    )).flat();
+
+    if (meetings.length === 0) {
+      return;
+    }
+
+    const events = await databaseService.getCalendarEvents(meetings.map(meeting => meeting.calendar_event_id));
+    const now = Date.now();
+
+    const cancelledEventIds = new Set(events
+      .filter(event => event.status === 'cancelled' &&
+        (!event.start_datetime || new Date(event.start_datetime).getTime() > now))
+      .map(event => event.calendar_event_id));
+
+    for (const meeting of meetings.filter(meeting => cancelledEventIds.has(meeting.calendar_event_id))) {
+      try {
+        if (meeting.chatterbox_session_id) {
+          await chatterboxService.forceLeaveSession(meeting.chatterbox_session_id);
+        }
+
+        await meetingStateMachine.transition(meeting.id, 'failed', {
+          reason: 'calendar_event_cancelled',
+          updates: { processing_completed_at: new Date().toISOString() }
+        });
+
+        logger.info('Recalled bot from cancelled calendar meeting', {
+          meetingId: meeting.id,
+          sessionId: meeting.chatterbox_session_id,
+          eventId: meeting.calendar_event_id,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Failed to recall bot from cancelled calendar meeting', {
+          meetingId: meeting.id,
+          eventId: meeting.calendar_event_id,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new AutoJoinJob();
@@ -0,0 +1,227 @@
+jest.mock('../utils/logger');
+jest.mock('../config/database', () => ({
+  getServiceConfig: jest.fn()
+}));
+jest.mock('../services/databaseService', () => ({
+  getUpcomingCalendarEvents: jest.fn(),
+  getMeetingsForEvents: jest.fn(),
+  getMeetingsByStatus: jest.fn(),
+  getCalendarEvents: jest.fn()
+}));
+jest.mock('../services/meetingStateMachine', () => ({
+  transition: jest.fn()
+}));
+jest.mock('../services/chatterboxService', () => ({
+  forceLeaveSession: jest.fn()
+}));
+jest.mock('../services/meetingService', () => ({
+  startBotForMeeting: jest.fn()
+}));
+
+const { getServiceConfig } = require('../config/database');
+const databaseService = require('../services/databaseService');
+const meetingService = require('../services/meetingService');
+const autoJoinJob = require('./autoJoinJob');
+
+const ORIGINAL_ENV = process.env;
+
+const event = (id, conferenceId, fields = {}) => ({
+  calendar_event_id: id,
+  calendar_id: 'sales@example.com',
+  conference_id: conferenceId,
+  summary: 'Weekly sync',
+  organizer_email: 'ann@example.com',
+  attendees: [{ email: 'ann@example.com' }, { email: 'bob@example.com' }],
+  start_datetime: '2024-03-04T10:00:00.000Z',
+  end_datetime: '2024-03-04T11:00:00.000Z',
+  ...fields
+});
+
+// Meetings already created for events (by ID) and active in conferences
+const useMeetings = ({ forEvents = [], inConferences = [] } = {}) => {
+  databaseService.getMeetingsForEvents.mockImplementation(async ({ calendarEventIds }) => (
+    calendarEventIds ? forEvents : inConferences
+  ));
+};
+
+describe('autoJoinJob.getSettings', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    autoJoinJob.settings = null;
+    process.env = { ...ORIGINAL_ENV };
+    getServiceConfig.mockResolvedValue(null);
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  it('uses the defaults when nothing is set', async () => {
+    delete process.env.AUTO_JOIN_LEAD_MINUTES;
+    delete process.env.AUTO_JOIN_LATE_MINUTES;
+    delete process.env.AUTO_JOIN_MIN_ATTENDEES;
+
+    expect(await autoJoinJob.getSettings()).toEqual(expect.objectContaining({
+      leadMinutes: 2,
+      lateJoinMinutes: 10,
+      minAttendees: 2
+    }));
+  });
+
+  it('honours zero and one', async () => {
+    process.env.AUTO_JOIN_LEAD_MINUTES = '0';
+    process.env.AUTO_JOIN_LATE_MINUTES = '0';
+    process.env.AUTO_JOIN_MIN_ATTENDEES = '1';
+
+    expect(await autoJoinJob.getSettings()).toEqual(expect.objectContaining({
+      leadMinutes: 0,
+      lateJoinMinutes: 0,
+      minAttendees: 1
+    }));
+  });
+
+  it('falls back to the default for a value that is not a number', async () => {
+    process.env.AUTO_JOIN_LATE_MINUTES = 'ten';
+
+    expect((await autoJoinJob.getSettings()).lateJoinMinutes).toBe(10);
+  });
+
+  it('lets service_config override the environment', async () => {
+    process.env.AUTO_JOIN_ENABLED = 'false';
+    process.env.AUTO_JOIN_LEAD_MINUTES = '5';
+    getServiceConfig.mockResolvedValue({ enabled: true, leadMinutes: 1 });
+
+    expect(await autoJoinJob.getSettings()).toEqual(expect.objectContaining({ enabled: true, leadMinutes: 1 }));
+  });
+});
+
+describe('autoJoinJob.scheduleJoins', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    autoJoinJob.settings = null;
+    autoJoinJob.isScheduling = false;
+    process.env = { ...ORIGINAL_ENV, AUTO_JOIN_ENABLED: 'true' };
+    getServiceConfig.mockResolvedValue(null);
+    databaseService.getMeetingsByStatus.mockResolvedValue([]);
+    meetingService.startBotForMeeting.mockImplementation(async ({ calendarEventId }) => ({
+      meeting: { id: `meeting-${calendarEventId}` },
+      sessionId: `session-${calendarEventId}`
+    }));
+    jest.useFakeTimers({ now: new Date('2024-03-04T09:59:00.000Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  const joinedEvents = () => meetingService.startBotForMeeting.mock.calls.map(([options]) => options.calendarEventId);
+
+  it('joins a due event once', async () => {
+    databaseService.getUpcomingCalendarEvents.mockResolvedValue([event('event-1', 'abc-defg-hij')]);
+    useMeetings();
+
+    await autoJoinJob.scheduleJoins();
+
+    expect(databaseService.getUpcomingCalendarEvents).toHaveBeenCalledWith(
+      new Date('2024-03-04T09:49:00.000Z'),
+      new Date('2024-03-04T10:01:00.000Z')
+    );
+    expect(meetingService.startBotForMeeting).toHaveBeenCalledWith(expect.objectContaining({
+      calendarEventId: 'event-1',
+      conferenceId: 'abc-defg-hij',
+      reason: 'auto_join'
+    }));
+
+    // The next run finds the meeting it created
+    useMeetings({ forEvents: [{ calendar_event_id: 'event-1' }] });
+
+    await autoJoinJob.scheduleJoins();
+
+    expect(meetingService.startBotForMeeting).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips a conference that already has a bot', async () => {
+    databaseService.getUpcomingCalendarEvents.mockResolvedValue([event('event-1', 'abc-defg-hij')]);
+    useMeetings({ inConferences: [{ conference_id: 'abc-defg-hij', status: 'recording' }] });
+
+    await autoJoinJob.scheduleJoins();
+
+    expect(meetingService.startBotForMeeting).not.toHaveBeenCalled();
+  });
+
+  it('sends one bot to events that share a conference', async () => {
+    databaseService.getUpcomingCalendarEvents.mockResolvedValue([
+      event('event-1', 'abc-defg-hij'),
+      event('event-2', 'abc-defg-hij'),
+      event('event-3', 'xyz-abcd-efg')
+    ]);
+    useMeetings();
+
+    await autoJoinJob.scheduleJoins();
+
+    expect(joinedEvents()).toEqual(['event-1', 'event-3']);
+  });
+
+  it('keeps going when another instance joined an event first', async () => {
+    databaseService.getUpcomingCalendarEvents.mockResolvedValue([
+      event('event-1', 'abc-defg-hij'),
+      event('event-2', 'xyz-abcd-efg')
+    ]);
+    useMeetings();
+    meetingService.startBotForMeeting.mockRejectedValueOnce(Object.assign(new Error('duplicate key value'), { code: '23505' }));
+
+    await autoJoinJob.scheduleJoins();
+
+    expect(joinedEvents()).toEqual(['event-1', 'event-2']);
+  });
+
+  it('does not run twice at once', async () => {
+    let finishListing;
+    databaseService.getUpcomingCalendarEvents.mockReturnValue(new Promise(resolve => {
+      finishListing = resolve;
+    }));
+    useMeetings();
+
+    const first = autoJoinJob.scheduleJoins();
+    await autoJoinJob.scheduleJoins();
+    finishListing([event('event-1', 'abc-defg-hij')]);
+    await first;
+
+    expect(databaseService.getUpcomingCalendarEvents).toHaveBeenCalledTimes(1);
+    expect(meetingService.startBotForMeeting).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips events that have ended', async () => {
+    databaseService.getUpcomingCalendarEvents.mockResolvedValue([
+      event('event-1', 'abc-defg-hij', { end_datetime: '2024-03-04T09:58:00.000Z' })
+    ]);
+    useMeetings();
+
+    await autoJoinJob.scheduleJoins();
+
+    expect(databaseService.getMeetingsForEvents).not.toHaveBeenCalled();
+    expect(meetingService.startBotForMeeting).not.toHaveBeenCalled();
+  });
+
+  it('joins a meeting with only the organizer when minAttendees is 1', async () => {
+    process.env.AUTO_JOIN_MIN_ATTENDEES = '1';
+    databaseService.getUpcomingCalendarEvents.mockResolvedValue([event('event-1', 'abc-defg-hij', { attendees: null })]);
+    useMeetings();
+
+    await autoJoinJob.scheduleJoins();
+
+    expect(joinedEvents()).toEqual(['event-1']);
+  });
+
+  it('does nothing when auto-join is off', async () => {
+    process.env.AUTO_JOIN_ENABLED = 'false';
+
+    await autoJoinJob.scheduleJoins();
+
+    expect(databaseService.getUpcomingCalendarEvents).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const calendarSyncService = require('../services/calendarSyncService');
+
+/**
+ * Background job to keep Google Calendar push channels alive
+ * Runs hourly: renews channels close to expiry (or missing, e.g. after a
+ * failed renewal) and queues a catch-up sync for every watched calendar,
+ * since Google doesn't guarantee delivery of push notifications.
+ */
+class CalendarWatchJob {
+  constructor() {
+    this.task = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the calendar watch job
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Calendar watch job is already running');
+      return;
+    }
+
+    // Run hourly at 15 minutes past
+    this.task = cron.schedule('15 * * * *', async () => {
+      await this.maintainChannels();
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+
+    this.task.start();
+    this.isRunning = true;
+
+    logger.info('Calendar watch job started', {
+      schedule: 'hourly at 15 minutes past',
+      timestamp: new Date().toISOString()
+    });
+
+    // Channels may have expired while the service was down
+    this.maintainChannels();
+  }
+
+  /**
+   * Stop the calendar watch job
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    this.isRunning = false;
+
+    logger.info('Calendar watch job stopped', {
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Renew expiring channels and queue catch-up syncs
+   */
+  async maintainChannels() {
+    try {
+      const renewed = await calendarSyncService.renewExpiringChannels();
+      const synced = await calendarSyncService.syncAll();
+
+      if (renewed > 0 || synced > 0) {
+        logger.info('Calendar watch job completed', {
+          renewed,
+          synced,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      // Don't crash the service if database is not ready or tables don't exist
+      if (error.message.includes('relation "calendar_watch_channels" does not exist') ||
+          error.message.includes('SUPABASE_SERVICE_ROLE_KEY')) {
+        logger.warn('Database not ready, skipping calendar watch cycle', {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      logger.error('Calendar watch job failed', {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new CalendarWatchJob();
@@ -1,6 +1,7 @@
 const cron = require('node-cron');
 const logger = require('../utils/logger');
 const databaseService = require('../services/databaseService');
+const { supabase } = require('../config/database');
 
 /**
  * Background job to clean up old meetings and processing logs
@@ -88,6 +89,15 @@ class CleanupJob {
       // Clean up old processing logs (older than 30 days)
       await this.cleanupOldLogs(30);
 
+      // Clean up finished queue jobs (older than 30 days)
+      await this.cleanupFinishedJobs(30);
+
+      // Clean up API audit log entries (older than 90 days)
+      await this.cleanupAuditLog(90);
+
+      // Clean up the webhook delivery log (older than 30 days)
+      await this.cleanupWebhookDeliveries(30);
+
       logger.info('Cleanup job completed', {
         cleanedMeetings: oldMeetings.length,
         timestamp: new Date().toISOString()
@@ -171,6 +181,106 @@ class CleanupJob {
     }
   }
 
+  /**
+   * Clean up completed and failed queue jobs
+   */
+  async cleanupFinishedJobs(olderThanDays = 30) {
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
+
+      const { data, error } = await supabase
+        .from('processing_jobs')
+        .delete()
+        .in('status', ['completed', 'failed'])
+        .lt('updated_at', cutoffDate.toISOString())
+        .select('id');
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info('Finished jobs cleanup completed', {
+        cleaned: data?.length || 0,
+        olderThanDays,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Failed to cleanup finished jobs', {
+        olderThanDays,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Clean up old API audit log entries
+   */
+  async cleanupAuditLog(olderThanDays = 90) {
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
+
+      const { data, error } = await supabase
+        .from('api_audit_log')
+        .delete()
+        .lt('created_at', cutoffDate.toISOString())
+        .select('id');
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info('API audit log cleanup completed', {
+        cleaned: data?.length || 0,
+        olderThanDays,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Failed to cleanup API audit log', {
+        olderThanDays,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Clean up old webhook delivery log entries
+   */
+  async cleanupWebhookDeliveries(olderThanDays = 30) {
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
+
+      const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .delete()
+        .lt('created_at', cutoffDate.toISOString())
+        .select('id');
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info('Webhook delivery log cleanup completed', {
+        cleaned: data?.length || 0,
+        olderThanDays,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Failed to cleanup webhook delivery log', {
+        olderThanDays,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   /**
    * Get job status
    */
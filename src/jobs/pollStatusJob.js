@@ -1,6 +1,7 @@
 const cron = require('node-cron');
 const logger = require('../utils/logger');
 const databaseService = require('../services/databaseService');
+const meetingStateMachine = require('../services/meetingStateMachine');
 const chatterboxService = require('../services/chatterboxService');
 const meetingService = require('../services/meetingService');
 
@@ -129,9 +130,9 @@ class PollStatusJob {
         });
 
         // Mark as failed to stop continuous polling
-        await databaseService.updateMeeting(meeting.id, {
-          status: 'failed',
-          processing_completed_at: new Date().toISOString()
+        await meetingStateMachine.transition(meeting.id, 'failed', {
+          reason: 'bot_joined_timeout',
+          updates: { processing_completed_at: new Date().toISOString() }
         });
         
         return; // Skip further processing for this meeting
@@ -159,13 +160,13 @@ class PollStatusJob {
               sessionId: meeting.chatterbox_session_id
             });
 
-            // Start processing
-            meetingService.processRecordingUrgently(
-              meeting.id, 
-              sessionData.recordingLink, 
-              meeting.chatterbox_session_id
-            ).catch(error => {
-              logger.error('Failed to process stuck meeting', {
+            // Queue processing (deduplicated against any webhook-triggered job)
+            await meetingService.queueProcessing(meeting.id, 'process_recording', {
+              sessionId: meeting.chatterbox_session_id,
+              recordingUrl: sessionData.recordingLink,
+              source: 'poll_status_job'
+            }).catch(error => {
+              logger.error('Failed to queue processing for stuck meeting', {
                 meetingId: meeting.id,
                 error: error.message
               });
@@ -202,13 +203,13 @@ class PollStatusJob {
               sessionId: meeting.chatterbox_session_id
             });
 
-            // Start processing
-            meetingService.processRecordingUrgently(
-              meeting.id, 
-              sessionData.recordingLink, 
-              meeting.chatterbox_session_id
-            ).catch(error => {
-              logger.error('Failed to process long-running meeting', {
+            // Queue processing (deduplicated against any webhook-triggered job)
+            await meetingService.queueProcessing(meeting.id, 'process_recording', {
+              sessionId: meeting.chatterbox_session_id,
+              recordingUrl: sessionData.recordingLink,
+              source: 'poll_status_job'
+            }).catch(error => {
+              logger.error('Failed to queue processing for long-running meeting', {
                 meetingId: meeting.id,
                 error: error.message
               });
@@ -223,9 +224,9 @@ class PollStatusJob {
               statusAgeMinutes
             });
             
-            await databaseService.updateMeeting(meeting.id, {
-              status: 'failed',
-              processing_completed_at: new Date().toISOString()
+            await meetingStateMachine.transition(meeting.id, 'failed', {
+              reason: 'chatterbox_session_expired',
+              updates: { processing_completed_at: new Date().toISOString() }
             });
           } else {
             logger.error('Failed to get session data for long-running meeting', {
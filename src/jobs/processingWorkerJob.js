@@ -0,0 +1,339 @@
+const os = require('os');
+const logger = require('../utils/logger');
+const jobQueueService = require('../services/jobQueueService');
+const { PIPELINE_JOB_TYPES } = require('../services/jobQueueService');
+const databaseService = require('../services/databaseService');
+const meetingService = require('../services/meetingService');
+const meetingStateMachine = require('../services/meetingStateMachine');
+const webhookService = require('../services/webhookService');
+const calendarSyncService = require('../services/calendarSyncService');
+const { handleCriticalError } = require('../middlewares/errorHandler');
+
+// Lease length and renewal cadence - a crashed worker's job is reclaimed after the lease expires
+const LEASE_SECONDS = parseInt(process.env.JOB_LEASE_SECONDS) || 60;
+const HEARTBEAT_INTERVAL_MS = Math.floor(LEASE_SECONDS * 1000 / 3);
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const CONCURRENCY = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2;
+
+// Slots only meeting pipeline jobs may use, so a backlog of webhook deliveries or
+// calendar syncs can't hold a recording past its URL expiry (none with one slot)
+const RESERVED_PIPELINE_SLOTS = Math.min(
+  parseInt(process.env.JOB_RESERVED_PIPELINE_SLOTS ?? '1') || 0,
+  CONCURRENCY - 1
+);
+
+/**
+ * Background worker that drains the processing_jobs queue
+ * Webhook handlers enqueue work; this worker claims jobs with a lease,
+ * keeps the lease alive while the job runs, and records the outcome.
+ * Jobs left behind by a restarted container are resumed once their lease expires.
+ */
+class ProcessingWorkerJob {
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.handlers = new Map();
+    this.activeJobs = new Map();
+    this.timer = null;
+    this.isRunning = false;
+    this.isDraining = false;
+    this.onJobEnqueued = () => this.drain();
+
+    // Meeting pipeline jobs. The pipeline retries each step itself and alerts
+    // on failure, so a thrown error is final; only crashes are retried.
+    // The job ID is the processing owner, so a reclaimed job can resume its meeting.
+    this.registerHandler('process_recording', (job) => meetingService.processRecordingUrgently(
+      job.meeting_id,
+      job.payload.recordingUrl || null,
+      job.payload.sessionId,
+      { ownerId: job.id }
+    ));
+    this.registerHandler('retry_processing', (job) => meetingService.retryProcessing(
+      job.meeting_id,
+      job.payload.sessionId,
+      { ownerId: job.id }
+    ));
+    this.registerHandler('manual_processing', (job) => meetingService.manualProcessMeeting(
+      job.meeting_id,
+      job.payload.sessionId,
+      { ownerId: job.id }
+    ));
+
+    // Outbound webhook deliveries, retried with the queue's backoff until max_attempts
+    this.registerHandler('deliver_webhook', (job) => webhookService.deliver(job.payload.deliveryId, {
+      finalAttempt: job.attempts >= job.max_attempts
+    }), { retryable: true });
+
+    // Google Calendar incremental syncs, queued by push notifications
+    this.registerHandler('sync_calendar', (job) => calendarSyncService.syncCalendar(job.payload.calendarId), { retryable: true });
+  }
+
+  /**
+   * Register a handler for a job type
+   */
+  registerHandler(jobType, handler, { retryable = false } = {}) {
+    this.handlers.set(jobType, { handler, retryable });
+  }
+
+  /**
+   * Start the worker loop
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Processing worker is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    jobQueueService.on('enqueued', this.onJobEnqueued);
+    this.poll();
+
+    logger.info('Processing worker started', {
+      workerId: this.workerId,
+      concurrency: CONCURRENCY,
+      reservedPipelineSlots: RESERVED_PIPELINE_SLOTS,
+      leaseSeconds: LEASE_SECONDS,
+      pollIntervalMs: POLL_INTERVAL_MS,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Stop the worker loop and hand running jobs back to the queue
+   */
+  async stop() {
+    this.isRunning = false;
+    jobQueueService.off('enqueued', this.onJobEnqueued);
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const activeJobIds = [...this.activeJobs.keys()];
+
+    await Promise.allSettled(
+      activeJobIds.map(jobId => jobQueueService.release(jobId, this.workerId))
+    );
+
+    logger.info('Processing worker stopped', {
+      workerId: this.workerId,
+      releasedJobs: activeJobIds.length,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Periodic poll - recovers abandoned jobs and drains the queue
+   */
+  async poll() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    await this.recoverExhaustedJobs();
+    await this.drain();
+
+    if (this.isRunning) {
+      this.timer = setTimeout(() => this.poll(), POLL_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Claim and start jobs until the queue is empty or concurrency is reached
+   */
+  async drain() {
+    if (!this.isRunning || this.isDraining) {
+      return;
+    }
+
+    this.isDraining = true;
+
+    try {
+      while (this.isRunning && this.activeJobs.size < CONCURRENCY) {
+        const job = await jobQueueService.claimNext(this.workerId, LEASE_SECONDS, {
+          jobTypes: this.hasFreeSecondarySlot() ? null : PIPELINE_JOB_TYPES
+        });
+
+        if (!job) {
+          break;
+        }
+
+        this.activeJobs.set(job.id, job);
+        this.runJob(job);
+      }
+    } catch (error) {
+      // Don't crash the service if database is not ready or tables don't exist
+      if (error.message.includes('does not exist') ||
+          error.message.includes('SUPABASE_SERVICE_ROLE_KEY')) {
+        logger.warn('Database not ready, skipping queue drain', {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        logger.error('Processing worker failed to claim jobs', {
+          workerId: this.workerId,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } finally {
+      this.isDraining = false;
+    }
+  }
+
+  /**
+   * Whether a job other than a meeting pipeline job may take the next slot
+   */
+  hasFreeSecondarySlot() {
+    const secondaryJobs = [...this.activeJobs.values()]
+      .filter(job => !PIPELINE_JOB_TYPES.includes(job.job_type))
+      .length;
+
+    return secondaryJobs < CONCURRENCY - RESERVED_PIPELINE_SLOTS;
+  }
+
+  /**
+   * Run a claimed job while keeping its lease alive
+   */
+  async runJob(job) {
+    const registration = this.handlers.get(job.job_type);
+
+    logger.info('Processing job started', {
+      jobId: job.id,
+      jobType: job.job_type,
+      meetingId: job.meeting_id,
+      attempt: job.attempts,
+      maxAttempts: job.max_attempts,
+      workerId: this.workerId,
+      timestamp: new Date().toISOString()
+    });
+
+    const heartbeat = setInterval(async () => {
+      try {
+        const renewed = await jobQueueService.extendLease(job.id, this.workerId, LEASE_SECONDS);
+        if (!renewed) {
+          logger.warn('Lost lease on running job', {
+            jobId: job.id,
+            workerId: this.workerId
+          });
+        }
+      } catch (error) {
+        logger.error('Failed to extend job lease', {
+          jobId: job.id,
+          error: error.message
+        });
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    try {
+      if (!registration) {
+        throw new Error(`No handler registered for job type: ${job.job_type}`);
+      }
+
+      await registration.handler(job);
+      await jobQueueService.complete(job.id, this.workerId);
+    } catch (error) {
+      logger.error('Processing job failed', {
+        jobId: job.id,
+        jobType: job.job_type,
+        meetingId: job.meeting_id,
+        attempt: job.attempts,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+
+      await jobQueueService.fail(job, this.workerId, error, {
+        retryable: !!registration?.retryable
+      }).catch(failError => {
+        logger.error('Failed to record job failure', {
+          jobId: job.id,
+          error: failError.message
+        });
+      });
+    } finally {
+      clearInterval(heartbeat);
+      this.activeJobs.delete(job.id);
+
+      // A slot just freed up - pick up the next job right away
+      this.drain();
+    }
+  }
+
+  /**
+   * Fail jobs that crashed on their final attempt and mark their meetings
+   * (or webhook deliveries) failed
+   */
+  async recoverExhaustedJobs() {
+    try {
+      const exhaustedJobs = await jobQueueService.failExhaustedJobs();
+
+      for (const job of exhaustedJobs) {
+        logger.error('Job abandoned after final attempt', {
+          jobId: job.id,
+          jobType: job.job_type,
+          meetingId: job.meeting_id,
+          attempts: job.attempts
+        });
+
+        // Its delivery would otherwise stay pending forever
+        if (job.job_type === 'deliver_webhook') {
+          await webhookService.failDelivery(job.payload.deliveryId, job.last_error).catch(dbError => {
+            logger.error('Failed to mark webhook delivery failed after abandoned job', {
+              deliveryId: job.payload.deliveryId,
+              error: dbError.message
+            });
+          });
+        }
+
+        if (!job.meeting_id) {
+          continue;
+        }
+
+        // Only touch the meeting if this job still holds its processing claim
+        const meeting = await databaseService.getMeetingById(job.meeting_id);
+        if (!meeting || meeting.status !== 'processing' || meeting.processing_owner !== job.id) {
+          continue;
+        }
+
+        await meetingStateMachine.transition(job.meeting_id, 'failed', {
+          reason: 'processing_job_abandoned',
+          updates: { processing_completed_at: new Date().toISOString() },
+          metadata: { jobId: job.id, attempts: job.attempts }
+        }).catch(dbError => {
+          logger.error('Failed to mark meeting failed after abandoned job', {
+            meetingId: job.meeting_id,
+            error: dbError.message
+          });
+        });
+
+        await handleCriticalError(job.meeting_id, job.job_type, new Error(job.last_error), {
+          jobId: job.id,
+          attempts: job.attempts
+        });
+      }
+    } catch (error) {
+      if (!error.message.includes('does not exist')) {
+        logger.error('Failed to recover exhausted jobs', {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  /**
+   * Get worker status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      workerId: this.workerId,
+      activeJobs: [...this.activeJobs.keys()],
+      concurrency: CONCURRENCY,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ProcessingWorkerJob();
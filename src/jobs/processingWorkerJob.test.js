@@ -0,0 +1,241 @@
+jest.mock('../utils/logger');
+jest.mock('../services/jobQueueService', () => {
+  const EventEmitter = require('events');
+  const queue = new EventEmitter();
+
+  return Object.assign(queue, {
+    PIPELINE_JOB_TYPES: ['process_recording', 'retry_processing', 'manual_processing'],
+    claimNext: jest.fn(),
+    extendLease: jest.fn().mockResolvedValue(true),
+    complete: jest.fn().mockResolvedValue(),
+    fail: jest.fn().mockResolvedValue({ requeued: false }),
+    release: jest.fn().mockResolvedValue(),
+    failExhaustedJobs: jest.fn().mockResolvedValue([])
+  });
+});
+jest.mock('../services/databaseService', () => ({}));
+jest.mock('../services/meetingService', () => ({
+  processRecordingUrgently: jest.fn()
+}));
+jest.mock('../services/meetingStateMachine', () => ({}));
+jest.mock('../services/webhookService', () => ({
+  deliver: jest.fn(),
+  failDelivery: jest.fn()
+}));
+jest.mock('../services/calendarSyncService', () => ({
+  syncCalendar: jest.fn()
+}));
+jest.mock('../middlewares/errorHandler', () => ({
+  handleCriticalError: jest.fn()
+}));
+
+const jobQueueService = require('../services/jobQueueService');
+const meetingService = require('../services/meetingService');
+const webhookService = require('../services/webhookService');
+const calendarSyncService = require('../services/calendarSyncService');
+const processingWorkerJob = require('./processingWorkerJob');
+
+const job = (id, jobType, priority = 0) => ({
+  id,
+  job_type: jobType,
+  priority,
+  meeting_id: null,
+  payload: {},
+  attempts: 1,
+  max_attempts: 3
+});
+
+// Claims like claim_processing_job: highest priority first, limited to jobTypes
+const useQueue = (jobs) => {
+  const queued = [...jobs];
+
+  jobQueueService.claimNext.mockImplementation(async (workerId, leaseSeconds, { jobTypes = null } = {}) => {
+    const candidates = queued
+      .filter(candidate => !jobTypes || jobTypes.includes(candidate.job_type))
+      .sort((a, b) => b.priority - a.priority);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    queued.splice(queued.indexOf(candidates[0]), 1);
+    return candidates[0];
+  });
+};
+
+const never = () => new Promise(() => {});
+
+describe('ProcessingWorkerJob', () => {
+  // Running jobs never settle here; keep their lease heartbeats off the real clock
+  beforeAll(() => {
+    jest.useFakeTimers();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    processingWorkerJob.activeJobs.clear();
+    processingWorkerJob.isRunning = true;
+  });
+
+  afterAll(() => {
+    processingWorkerJob.isRunning = false;
+    jest.useRealTimers();
+  });
+
+  it('keeps a slot for pipeline jobs while webhook deliveries are queued', async () => {
+    webhookService.deliver.mockImplementation(never);
+    calendarSyncService.syncCalendar.mockImplementation(never);
+
+    useQueue([
+      job('webhook-1', 'deliver_webhook'),
+      job('webhook-2', 'deliver_webhook'),
+      job('sync-1', 'sync_calendar')
+    ]);
+
+    await processingWorkerJob.drain();
+
+    // One slot taken by a delivery, the other held back
+    expect([...processingWorkerJob.activeJobs.keys()]).toEqual(['webhook-1']);
+    expect(jobQueueService.claimNext).toHaveBeenLastCalledWith(
+      processingWorkerJob.workerId,
+      expect.any(Number),
+      { jobTypes: ['process_recording', 'retry_processing', 'manual_processing'] }
+    );
+
+    // A recording arrives: it gets the reserved slot
+    meetingService.processRecordingUrgently.mockImplementation(never);
+    useQueue([
+      job('webhook-2', 'deliver_webhook'),
+      job('recording-1', 'process_recording', 10)
+    ]);
+
+    await processingWorkerJob.drain();
+
+    expect([...processingWorkerJob.activeJobs.keys()]).toEqual(['webhook-1', 'recording-1']);
+  });
+
+  it('lets pipeline jobs use every slot', async () => {
+    meetingService.processRecordingUrgently.mockImplementation(never);
+
+    useQueue([
+      job('recording-1', 'process_recording', 10),
+      job('recording-2', 'process_recording', 10)
+    ]);
+
+    await processingWorkerJob.drain();
+
+    expect([...processingWorkerJob.activeJobs.keys()]).toEqual(['recording-1', 'recording-2']);
+  });
+
+  it('claims pipeline jobs ahead of older webhook deliveries', async () => {
+    webhookService.deliver.mockImplementation(never);
+    meetingService.processRecordingUrgently.mockImplementation(never);
+
+    useQueue([
+      job('webhook-1', 'deliver_webhook'),
+      job('recording-1', 'process_recording', 10)
+    ]);
+
+    await processingWorkerJob.drain();
+
+    expect([...processingWorkerJob.activeJobs.keys()]).toEqual(['recording-1', 'webhook-1']);
+  });
+
+  describe('runJob', () => {
+    beforeEach(() => {
+      useQueue([]);
+    });
+
+    it('runs the pipeline as the job\'s owner and completes the job', async () => {
+      meetingService.processRecordingUrgently.mockResolvedValue({ success: true });
+
+      await processingWorkerJob.runJob({
+        ...job('recording-1', 'process_recording', 10),
+        meeting_id: 'meeting-1',
+        payload: { sessionId: 'session-1', recordingUrl: 'https://recordings.example.com/1.mp4' }
+      });
+
+      expect(meetingService.processRecordingUrgently).toHaveBeenCalledWith(
+        'meeting-1',
+        'https://recordings.example.com/1.mp4',
+        'session-1',
+        { ownerId: 'recording-1' }
+      );
+      expect(jobQueueService.complete).toHaveBeenCalledWith('recording-1', processingWorkerJob.workerId);
+      expect(jobQueueService.fail).not.toHaveBeenCalled();
+    });
+
+    it('does not retry a pipeline job that failed', async () => {
+      const error = new Error('transcript unavailable');
+      const recording = job('recording-1', 'process_recording', 10);
+      meetingService.processRecordingUrgently.mockRejectedValue(error);
+
+      await processingWorkerJob.runJob(recording);
+
+      expect(jobQueueService.complete).not.toHaveBeenCalled();
+      expect(jobQueueService.fail).toHaveBeenCalledWith(recording, processingWorkerJob.workerId, error, { retryable: false });
+    });
+
+    it('retries a webhook delivery that failed', async () => {
+      const error = new Error('503');
+      const delivery = job('webhook-1', 'deliver_webhook');
+      webhookService.deliver.mockRejectedValue(error);
+
+      await processingWorkerJob.runJob(delivery);
+
+      expect(jobQueueService.fail).toHaveBeenCalledWith(delivery, processingWorkerJob.workerId, error, { retryable: true });
+    });
+
+    it('fails a job type without a handler', async () => {
+      const unknown = job('unknown-1', 'unknown');
+
+      await processingWorkerJob.runJob(unknown);
+
+      expect(jobQueueService.fail).toHaveBeenCalledWith(
+        unknown,
+        processingWorkerJob.workerId,
+        expect.objectContaining({ message: 'No handler registered for job type: unknown' }),
+        { retryable: false }
+      );
+    });
+  });
+
+  describe('recoverExhaustedJobs', () => {
+    it('fails the delivery of a webhook job abandoned on its final attempt', async () => {
+      webhookService.failDelivery.mockResolvedValue();
+      jobQueueService.failExhaustedJobs.mockResolvedValue([{
+        ...job('webhook-1', 'deliver_webhook'),
+        payload: { deliveryId: 'delivery-1' },
+        attempts: 3,
+        last_error: 'Worker lease expired on final attempt'
+      }]);
+
+      await processingWorkerJob.recoverExhaustedJobs();
+
+      expect(webhookService.failDelivery).toHaveBeenCalledWith('delivery-1', 'Worker lease expired on final attempt');
+    });
+
+    it('keeps recovering when a delivery cannot be updated', async () => {
+      webhookService.failDelivery.mockRejectedValueOnce(new Error('database unavailable')).mockResolvedValueOnce();
+      jobQueueService.failExhaustedJobs.mockResolvedValue([
+        { ...job('webhook-1', 'deliver_webhook'), payload: { deliveryId: 'delivery-1' }, last_error: 'timeout' },
+        { ...job('webhook-2', 'deliver_webhook'), payload: { deliveryId: 'delivery-2' }, last_error: 'timeout' }
+      ]);
+
+      await processingWorkerJob.recoverExhaustedJobs();
+
+      expect(webhookService.failDelivery).toHaveBeenCalledTimes(2);
+      expect(webhookService.failDelivery).toHaveBeenLastCalledWith('delivery-2', 'timeout');
+    });
+  });
+
+  it('hands running jobs back to the queue when stopped', async () => {
+    meetingService.processRecordingUrgently.mockImplementation(never);
+    useQueue([job('recording-1', 'process_recording', 10)]);
+
+    await processingWorkerJob.drain();
+    await processingWorkerJob.stop();
+
+    expect(jobQueueService.release).toHaveBeenCalledWith('recording-1', processingWorkerJob.workerId);
+  });
+});
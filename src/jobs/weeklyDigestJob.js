@@ -0,0 +1,302 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const databaseService = require('../services/databaseService');
+const analyticsService = require('../services/analyticsService');
+const notificationService = require('../services/notificationService');
+const { getWeekStart } = require('../services/analyticsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Speakers and organizers listed in the digest
+const DIGEST_LIMIT = 5;
+
+const getSchedule = () => process.env.WEEKLY_DIGEST_CRON || '0 9 * * 1';
+const getTimezone = () => process.env.WEEKLY_DIGEST_TIMEZONE || 'UTC';
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+const getTimezoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Midnight at the start of a YYYY-MM-DD day in a timezone
+ */
+const startOfDay = (day, timeZone) => {
+  const midnightUtc = Date.parse(`${day}T00:00:00Z`);
+  const guess = midnightUtc - getTimezoneOffset(new Date(midnightUtc), timeZone);
+
+  // Re-check the offset at the guess in case a DST change falls in between
+  return new Date(midnightUtc - getTimezoneOffset(new Date(guess), timeZone));
+};
+
+/**
+ * The last full week before `now`, Monday to Monday in the timezone
+ * Returns { weekStart: 'YYYY-MM-DD', from, to }, where `to` is the start of the current week.
+ */
+const getDigestWeek = (now, timeZone) => {
+  const currentWeek = getWeekStart(now.getTime() + getTimezoneOffset(now, timeZone));
+  const weekStart = new Date(Date.parse(currentWeek) - WEEK_MS).toISOString().slice(0, 10);
+
+  return {
+    weekStart,
+    from: startOfDay(weekStart, timeZone),
+    to: startOfDay(currentWeek, timeZone)
+  };
+};
+
+/**
+ * Values a cron field allows, e.g. "1-5", "0,30", "mon-fri" or a range with a /step
+ * `names` map to their index plus `offset` (months count from 1).
+ */
+const parseCronField = (field, min, max, names = [], offset = 0) => {
+  const values = new Set();
+  const normalized = field.toLowerCase().replace(/[a-z]+/g, name => {
+    const index = names.indexOf(name.slice(0, 3));
+    return index === -1 ? name : String(index + offset);
+  });
+
+  for (const part of normalized.split(',')) {
+    const [range, step = '1'] = part.split('/');
+    const [start, end] = range === '*'
+      ? [min, max]
+      : range.split('-').map(Number);
+    const last = end ?? (part.includes('/') ? max : start);
+    const increment = Math.max(parseInt(step) || 1, 1);
+
+    for (let value = start; value <= last; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a node-cron expression (optional seconds, then minute hour day month weekday)
+ * Seconds are ignored; the digest is scheduled to the minute.
+ */
+const parseSchedule = (schedule) => {
+  const fields = schedule.trim().split(/\s+/);
+  const [minute, hour, day, month, weekday] = fields.length === 6 ? fields.slice(1) : fields;
+  const weekdays = parseCronField(weekday, 0, 7, WEEKDAY_NAMES);
+
+  // 7 is Sunday too
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes: parseCronField(minute, 0, 59),
+    hours: parseCronField(hour, 0, 23),
+    days: parseCronField(day, 1, 31),
+    months: parseCronField(month, 1, 12, MONTH_NAMES, 1),
+    weekdays
+  };
+};
+
+/**
+ * Background job that posts last week's meeting analytics to Slack
+ * Runs every Monday (WEEKLY_DIGEST_CRON, 9 AM in WEEKLY_DIGEST_TIMEZONE by
+ * default), and at startup once this week's scheduled run time has passed, so a
+ * digest missed while the service was down still goes out. Weeks run Monday to
+ * Monday in WEEKLY_DIGEST_TIMEZONE.
+ *
+ * Each week is claimed in weekly_digests before posting, so with several
+ * instances (or a restart after the Monday run) the digest is posted once.
+ */
+class WeeklyDigestJob {
+  constructor() {
+    this.task = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the weekly digest job
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Weekly digest job is already running');
+      return;
+    }
+
+    if (process.env.WEEKLY_DIGEST_ENABLED === 'false') {
+      logger.info('Weekly digest job disabled', {
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const schedule = getSchedule();
+    const timezone = getTimezone();
+
+    this.task = cron.schedule(schedule, async () => {
+      await this.sendDigest();
+    }, {
+      scheduled: false,
+      timezone
+    });
+
+    this.task.start();
+    this.isRunning = true;
+
+    logger.info('Weekly digest job started', {
+      schedule,
+      timezone,
+      timestamp: new Date().toISOString()
+    });
+
+    // Catch up on a digest missed while the service was down, but not before it's due
+    if (this.hasScheduledRunPassed(schedule, timezone)) {
+      this.sendDigest();
+    }
+  }
+
+  /**
+   * Whether the schedule has fired since the start of the current week
+   * Checks each day of the week so far (in the schedule's timezone) for its first
+   * scheduled time. Like node-cron, a day must match both the day and weekday fields.
+   */
+  hasScheduledRunPassed(schedule, timezone, now = new Date()) {
+    const { minutes, hours, days, months, weekdays } = parseSchedule(schedule);
+    const firstTime = Math.min(...hours) * 60 + Math.min(...minutes);
+
+    // Local wall-clock time, read through the UTC getters
+    const localNow = new Date(now.getTime() + getTimezoneOffset(now, timezone));
+    const today = localNow.toISOString().slice(0, 10);
+
+    for (let day = new Date(getWeekStart(localNow)); day <= localNow; day = new Date(day.getTime() + DAY_MS)) {
+      const scheduled = months.has(day.getUTCMonth() + 1) &&
+        days.has(day.getUTCDate()) &&
+        weekdays.has(day.getUTCDay());
+
+      if (!scheduled) {
+        continue;
+      }
+
+      if (day.toISOString().slice(0, 10) < today ||
+          firstTime <= localNow.getUTCHours() * 60 + localNow.getUTCMinutes()) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Stop the weekly digest job
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    this.isRunning = false;
+
+    logger.info('Weekly digest job stopped', {
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Post the digest for the last full week, unless it has already been posted
+   */
+  async sendDigest(now = new Date()) {
+    const timeZone = getTimezone();
+    const { weekStart, from, to } = getDigestWeek(now, timeZone);
+    let claimed = false;
+
+    try {
+      claimed = await databaseService.claimWeeklyDigest(weekStart);
+
+      if (!claimed) {
+        logger.debug('Weekly digest already posted', {
+          weekStart,
+          timestamp: new Date().toISOString()
+        });
+        return null;
+      }
+
+      const report = await analyticsService.getReport(analyticsService.METRIC_NAMES, {
+        from,
+        to,
+        limit: DIGEST_LIMIT
+      });
+
+      const message = await notificationService.sendWeeklyDigest(report, { timeZone });
+
+      // Posted - from here on the claim must stand, or the digest would go out twice
+      claimed = false;
+      await databaseService.completeWeeklyDigest(weekStart, message);
+
+      logger.info('Weekly digest posted', {
+        weekStart,
+        channel: message.channel,
+        timestamp: new Date().toISOString()
+      });
+
+      return message;
+
+    } catch (error) {
+      // Let the next run (or another instance) try again
+      if (claimed) {
+        await databaseService.releaseWeeklyDigest(weekStart).catch(releaseError => {
+          logger.error('Failed to release weekly digest claim', {
+            weekStart,
+            error: releaseError.message,
+            timestamp: new Date().toISOString()
+          });
+        });
+      }
+
+      // Don't crash the service if database is not ready or tables don't exist
+      if (error.message.includes('does not exist') ||
+          error.message.includes('SUPABASE_SERVICE_ROLE_KEY')) {
+        logger.warn('Database not ready, skipping weekly digest', {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+        return null;
+      }
+
+      logger.error('Weekly digest failed', {
+        weekStart,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+
+      return null;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      hasTask: !!this.task,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new WeeklyDigestJob();
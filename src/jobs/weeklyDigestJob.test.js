@@ -0,0 +1,162 @@
+jest.mock('../utils/logger');
+jest.mock('../services/databaseService', () => ({
+  claimWeeklyDigest: jest.fn(),
+  completeWeeklyDigest: jest.fn(),
+  releaseWeeklyDigest: jest.fn()
+}));
+jest.mock('../services/routingService', () => ({}));
+jest.mock('../services/analyticsService', () => {
+  const { getWeekStart, METRIC_NAMES } = jest.requireActual('../services/analyticsService');
+
+  return {
+    getReport: jest.fn(),
+    getWeekStart,
+    METRIC_NAMES
+  };
+});
+jest.mock('../services/notificationService', () => ({
+  sendWeeklyDigest: jest.fn()
+}));
+
+const cron = require('node-cron');
+const databaseService = require('../services/databaseService');
+const analyticsService = require('../services/analyticsService');
+const notificationService = require('../services/notificationService');
+const weeklyDigestJob = require('./weeklyDigestJob');
+
+const ORIGINAL_ENV = process.env;
+
+describe('weeklyDigestJob.sendDigest', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...ORIGINAL_ENV };
+    databaseService.claimWeeklyDigest.mockResolvedValue(true);
+    analyticsService.getReport.mockResolvedValue({ range: {}, data: {} });
+    notificationService.sendWeeklyDigest.mockResolvedValue({ channel: 'C123', messageTs: '1.2' });
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  it('reports the previous UTC week by default', async () => {
+    await weeklyDigestJob.sendDigest(new Date('2024-03-04T09:00:00Z'));
+
+    expect(databaseService.claimWeeklyDigest).toHaveBeenCalledWith('2024-02-26');
+    expect(analyticsService.getReport).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({
+      from: new Date('2024-02-26T00:00:00Z'),
+      to: new Date('2024-03-04T00:00:00Z')
+    }));
+    expect(notificationService.sendWeeklyDigest).toHaveBeenCalledWith(expect.anything(), { timeZone: 'UTC' });
+  });
+
+  it('reports the previous local week when Monday 09:00 is still Sunday in UTC', async () => {
+    process.env.WEEKLY_DIGEST_TIMEZONE = 'Pacific/Auckland';
+
+    // Monday 4 March 09:00 NZDT (UTC+13)
+    await weeklyDigestJob.sendDigest(new Date('2024-03-03T20:00:00Z'));
+
+    expect(databaseService.claimWeeklyDigest).toHaveBeenCalledWith('2024-02-26');
+    expect(analyticsService.getReport).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({
+      from: new Date('2024-02-25T11:00:00Z'),
+      to: new Date('2024-03-03T11:00:00Z')
+    }));
+    expect(notificationService.sendWeeklyDigest)
+      .toHaveBeenCalledWith(expect.anything(), { timeZone: 'Pacific/Auckland' });
+  });
+
+  it('follows daylight saving changes inside the week', async () => {
+    process.env.WEEKLY_DIGEST_TIMEZONE = 'Australia/Sydney';
+
+    // Monday 8 April 09:00 AEST; daylight saving ended on Sunday 7 April
+    await weeklyDigestJob.sendDigest(new Date('2024-04-07T23:00:00Z'));
+
+    expect(databaseService.claimWeeklyDigest).toHaveBeenCalledWith('2024-04-01');
+    expect(analyticsService.getReport).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({
+      from: new Date('2024-03-31T13:00:00Z'),
+      to: new Date('2024-04-07T14:00:00Z')
+    }));
+  });
+
+  it('skips a week that has already been posted', async () => {
+    databaseService.claimWeeklyDigest.mockResolvedValue(false);
+
+    expect(await weeklyDigestJob.sendDigest(new Date('2024-03-04T09:00:00Z'))).toBeNull();
+    expect(notificationService.sendWeeklyDigest).not.toHaveBeenCalled();
+  });
+});
+
+describe('weeklyDigestJob.hasScheduledRunPassed', () => {
+  it('is false before the Monday run and true after it', () => {
+    expect(weeklyDigestJob.hasScheduledRunPassed('0 9 * * 1', 'UTC', new Date('2024-03-04T08:59:00Z'))).toBe(false);
+    expect(weeklyDigestJob.hasScheduledRunPassed('0 9 * * 1', 'UTC', new Date('2024-03-04T09:00:00Z'))).toBe(true);
+    expect(weeklyDigestJob.hasScheduledRunPassed('0 9 * * 1', 'UTC', new Date('2024-03-09T12:00:00Z'))).toBe(true);
+  });
+
+  it('reads ranges, lists, steps and names', () => {
+    // Monday 4 March
+    expect(weeklyDigestJob.hasScheduledRunPassed('30 8 * * 1-5', 'UTC', new Date('2024-03-04T08:29:00Z'))).toBe(false);
+    expect(weeklyDigestJob.hasScheduledRunPassed('30 8 * * 1-5', 'UTC', new Date('2024-03-04T08:30:00Z'))).toBe(true);
+    expect(weeklyDigestJob.hasScheduledRunPassed('*/20 7,9 * * mon', 'UTC', new Date('2024-03-04T07:05:00Z'))).toBe(true);
+    expect(weeklyDigestJob.hasScheduledRunPassed('0 0 9 * * Tue', 'UTC', new Date('2024-03-04T23:00:00Z'))).toBe(false);
+    expect(weeklyDigestJob.hasScheduledRunPassed('0 0 9 * * Tue', 'UTC', new Date('2024-03-05T09:00:00Z'))).toBe(true);
+  });
+
+  it('treats Sunday as the end of the week', () => {
+    expect(weeklyDigestJob.hasScheduledRunPassed('0 18 * * 0', 'UTC', new Date('2024-03-09T12:00:00Z'))).toBe(false);
+    expect(weeklyDigestJob.hasScheduledRunPassed('0 18 * * 7', 'UTC', new Date('2024-03-10T18:00:00Z'))).toBe(true);
+  });
+
+  it('matches both the day and weekday fields', () => {
+    // The 1st of March 2024 was a Friday
+    expect(weeklyDigestJob.hasScheduledRunPassed('0 9 1 * 1', 'UTC', new Date('2024-03-01T12:00:00Z'))).toBe(false);
+    expect(weeklyDigestJob.hasScheduledRunPassed('0 9 1 * 5', 'UTC', new Date('2024-03-01T12:00:00Z'))).toBe(true);
+  });
+
+  it('uses the schedule timezone', () => {
+    // Monday 08:00 and 10:00 NZDT
+    expect(weeklyDigestJob.hasScheduledRunPassed('0 9 * * 1', 'Pacific/Auckland', new Date('2024-03-03T19:00:00Z')))
+      .toBe(false);
+    expect(weeklyDigestJob.hasScheduledRunPassed('0 9 * * 1', 'Pacific/Auckland', new Date('2024-03-03T21:00:00Z')))
+      .toBe(true);
+  });
+});
+
+describe('weeklyDigestJob.start', () => {
+  let task;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...ORIGINAL_ENV, WEEKLY_DIGEST_CRON: '0 9 * * 1', WEEKLY_DIGEST_TIMEZONE: 'UTC' };
+    task = { start: jest.fn(), stop: jest.fn() };
+    jest.spyOn(cron, 'schedule').mockReturnValue(task);
+    jest.spyOn(weeklyDigestJob, 'sendDigest').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    weeklyDigestJob.stop();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  it('does not catch up before this week\'s scheduled run', () => {
+    jest.useFakeTimers({ now: new Date('2024-03-04T08:00:00Z') });
+
+    weeklyDigestJob.start();
+
+    expect(cron.schedule).toHaveBeenCalledWith('0 9 * * 1', expect.any(Function), expect.objectContaining({ timezone: 'UTC' }));
+    expect(weeklyDigestJob.sendDigest).not.toHaveBeenCalled();
+  });
+
+  it('catches up once this week\'s scheduled run has passed', () => {
+    jest.useFakeTimers({ now: new Date('2024-03-05T08:00:00Z') });
+
+    weeklyDigestJob.start();
+
+    expect(weeklyDigestJob.sendDigest).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,141 @@
+const logger = require('../utils/logger');
+const { safeCompare } = require('../utils/signature');
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * API key authentication and scope checks for /api routes
+ * Clients send `Authorization: Bearer <key>` (or `X-API-Key: <key>`).
+ * ADMIN_API_KEY, if set, is accepted as an admin key so the first real keys can be created.
+ */
+
+const BOOTSTRAP_ADMIN = {
+  id: null,
+  name: 'bootstrap-admin',
+  scopes: ['admin']
+};
+
+/**
+ * Pull the API key from the request headers (or the query string, where allowed)
+ */
+const extractApiKey = (req, allowQueryToken) => {
+  const authorization = req.get('Authorization');
+
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.substring('Bearer '.length).trim();
+  }
+
+  if (req.get('X-API-Key')) {
+    return req.get('X-API-Key').trim();
+  }
+
+  // EventSource can't set headers, so streaming routes may take the key as a query parameter
+  if (allowQueryToken && typeof req.query.access_token === 'string') {
+    return req.query.access_token;
+  }
+
+  return null;
+};
+
+/**
+ * Reject an unauthenticated or unauthorized request
+ */
+const rejectRequest = (req, res, statusCode, error, reason) => {
+  logger.warn('API request rejected', {
+    reason,
+    method: req.method,
+    url: req.path,
+    ip: req.ip,
+    apiKeyId: req.apiKey?.id,
+    timestamp: new Date().toISOString()
+  });
+
+  return res.status(statusCode).json({
+    success: false,
+    error,
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Audit-log the call once the response has been sent
+ * (or the client disconnected, e.g. a closed transcript stream)
+ */
+const auditOnFinish = (req, res) => {
+  const startTime = Date.now();
+  let recorded = false;
+
+  const record = () => {
+    if (recorded) {
+      return;
+    }
+    recorded = true;
+
+    apiKeyService.recordAudit({
+      apiKeyId: req.apiKey.id,
+      keyName: req.apiKey.name,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      durationMs: Date.now() - startTime
+    }).catch(error => {
+      logger.error('Failed to write API audit log', {
+        apiKeyId: req.apiKey.id,
+        method: req.method,
+        url: req.path,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    });
+  };
+
+  res.on('finish', record);
+  res.on('close', record);
+};
+
+/**
+ * Create middleware that requires an API key holding the given scope
+ */
+const requireScope = (scope, { allowQueryToken = false } = {}) => {
+  return async (req, res, next) => {
+    const key = extractApiKey(req, allowQueryToken);
+
+    if (!key) {
+      return rejectRequest(req, res, 401, 'API key required', 'missing_api_key');
+    }
+
+    let apiKey = null;
+
+    if (process.env.ADMIN_API_KEY && safeCompare(process.env.ADMIN_API_KEY, key)) {
+      apiKey = BOOTSTRAP_ADMIN;
+    } else {
+      try {
+        apiKey = await apiKeyService.authenticate(key);
+      } catch (error) {
+        logger.error('API key lookup failed', {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+        return rejectRequest(req, res, 503, 'Authentication temporarily unavailable', 'lookup_failed');
+      }
+    }
+
+    if (!apiKey) {
+      return rejectRequest(req, res, 401, 'Invalid API key', 'invalid_api_key');
+    }
+
+    req.apiKey = apiKey;
+    auditOnFinish(req, res);
+
+    if (!apiKeyService.expandScopes(apiKey.scopes).includes(scope)) {
+      return rejectRequest(req, res, 403, `API key lacks required scope: ${scope}`, 'insufficient_scope');
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  requireScope
+};
@@ -0,0 +1,110 @@
+jest.mock('../utils/logger');
+jest.mock('../services/apiKeyService', () => {
+  const { expandScopes } = jest.requireActual('../services/apiKeyService');
+
+  return {
+    expandScopes,
+    authenticate: jest.fn(),
+    recordAudit: jest.fn()
+  };
+});
+jest.mock('../config/database', () => ({}));
+
+const express = require('express');
+const request = require('supertest');
+const apiKeyService = require('../services/apiKeyService');
+const { requireScope } = require('./apiAuth');
+
+const ORIGINAL_ENV = process.env;
+
+const buildApp = () => {
+  const app = express();
+  const ok = (req, res) => res.status(200).json({ success: true, apiKey: req.apiKey.name });
+  app.get('/api/meetings', requireScope('read:meetings'), ok);
+  app.post('/api/meetings/:id/retry', requireScope('write:meetings'), ok);
+  app.get('/api/meetings/:id/transcript/stream', requireScope('read:meetings', { allowQueryToken: true }), ok);
+  return app;
+};
+
+const readKey = { id: 'key-1', name: 'reporting', scopes: ['read:meetings'] };
+
+describe('requireScope', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...ORIGINAL_ENV, ADMIN_API_KEY: 'bootstrap-secret' };
+    apiKeyService.authenticate.mockImplementation(async key => (key === 'mrs_read' ? readKey : null));
+    apiKeyService.recordAudit.mockResolvedValue();
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  it('requires a key', async () => {
+    const response = await request(buildApp()).get('/api/meetings');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('API key required');
+  });
+
+  it('rejects an unknown key', async () => {
+    const response = await request(buildApp()).get('/api/meetings').set('Authorization', 'Bearer mrs_unknown');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Invalid API key');
+    expect(apiKeyService.recordAudit).not.toHaveBeenCalled();
+  });
+
+  it('accepts a key with the scope from either header', async () => {
+    const bearer = await request(buildApp()).get('/api/meetings').set('Authorization', 'Bearer mrs_read');
+    const header = await request(buildApp()).get('/api/meetings').set('X-API-Key', 'mrs_read');
+
+    expect(bearer.status).toBe(200);
+    expect(header.status).toBe(200);
+  });
+
+  it('rejects a key without the scope and audits the attempt', async () => {
+    const response = await request(buildApp()).post('/api/meetings/meeting-1/retry').set('Authorization', 'Bearer mrs_read');
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('API key lacks required scope: write:meetings');
+    expect(apiKeyService.recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+      apiKeyId: 'key-1',
+      method: 'POST',
+      path: '/api/meetings/meeting-1/retry',
+      statusCode: 403
+    }));
+  });
+
+  it('lets a write key read', async () => {
+    apiKeyService.authenticate.mockResolvedValue({ id: 'key-2', name: 'ops', scopes: ['write:meetings'] });
+
+    const response = await request(buildApp()).get('/api/meetings').set('Authorization', 'Bearer mrs_write');
+
+    expect(response.status).toBe(200);
+  });
+
+  it('accepts ADMIN_API_KEY for every scope without a lookup', async () => {
+    const response = await request(buildApp()).post('/api/meetings/meeting-1/retry').set('Authorization', 'Bearer bootstrap-secret');
+
+    expect(response.status).toBe(200);
+    expect(response.body.apiKey).toBe('bootstrap-admin');
+    expect(apiKeyService.authenticate).not.toHaveBeenCalled();
+  });
+
+  it('takes a query token only where allowed', async () => {
+    const stream = await request(buildApp()).get('/api/meetings/meeting-1/transcript/stream?access_token=mrs_read');
+    const list = await request(buildApp()).get('/api/meetings?access_token=mrs_read');
+
+    expect(stream.status).toBe(200);
+    expect(list.status).toBe(401);
+  });
+
+  it('answers 503 when keys cannot be looked up', async () => {
+    apiKeyService.authenticate.mockRejectedValue(new Error('database unavailable'));
+
+    const response = await request(buildApp()).get('/api/meetings').set('Authorization', 'Bearer mrs_read');
+
+    expect(response.status).toBe(503);
+  });
+});
@@ -38,7 +38,7 @@ const generalLimiter = rateLimit({
       return true;
     }
     
-    // Skip for webhook endpoints (they should have their own authentication)
+    // Skip for webhook endpoints (authenticated by signature in webhookAuth middleware)
     if (req.path.startsWith('/webhook/')) {
       return true;
     }
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { safeCompare, isTimestampFresh } = require('../utils/signature');
+
+/**
+ * Slack request verification middleware
+ * Slack signs `v0:${timestamp}:${rawBody}` with the app's signing secret and sends:
+ *   X-Slack-Request-Timestamp: Unix time in seconds
+ *   X-Slack-Signature: v0=<hex digest>
+ * See https://api.slack.com/authentication/verifying-requests-from-slack
+ */
+
+const SIGNATURE_HEADER = 'x-slack-signature';
+const TIMESTAMP_HEADER = 'x-slack-request-timestamp';
+const SIGNATURE_VERSION = 'v0';
+
+// Slack recommends rejecting requests more than five minutes old
+const TOLERANCE_SECONDS = 300;
+
+/**
+ * Compute Slack's signature for a request body
+ */
+const computeSlackSignature = (secret, timestamp, body) => {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${SIGNATURE_VERSION}:${timestamp}:`);
+  hmac.update(body || '');
+
+  return `${SIGNATURE_VERSION}=${hmac.digest('hex')}`;
+};
+
+/**
+ * Reject an unverified Slack request
+ */
+const rejectSlackRequest = (req, res, reason, statusCode = 401) => {
+  logger.warn('Slack request verification failed', {
+    reason,
+    ip: req.ip,
+    url: req.originalUrl,
+    timestamp: new Date().toISOString()
+  });
+
+  return res.status(statusCode).json({
+    success: false,
+    error: 'Slack request verification failed',
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Verify that a request came from Slack
+ * Needs req.rawBody, captured by the body parsers' `verify` hook.
+ */
+const verifySlackSignature = (req, res, next) => {
+  const secret = process.env.SLACK_SIGNING_SECRET;
+
+  if (!secret) {
+    return rejectSlackRequest(req, res, 'secret_not_configured', 503);
+  }
+
+  const signature = req.get(SIGNATURE_HEADER);
+  const timestamp = req.get(TIMESTAMP_HEADER);
+
+  if (!signature || !timestamp) {
+    return rejectSlackRequest(req, res, 'missing_signature_headers');
+  }
+
+  if (!isTimestampFresh(timestamp, TOLERANCE_SECONDS)) {
+    return rejectSlackRequest(req, res, 'timestamp_outside_window');
+  }
+
+  if (!safeCompare(computeSlackSignature(secret, timestamp, req.rawBody), signature)) {
+    return rejectSlackRequest(req, res, 'invalid_signature');
+  }
+
+  next();
+};
+
+module.exports = {
+  verifySlackSignature,
+  computeSlackSignature
+};
@@ -0,0 +1,112 @@
+jest.mock('../utils/logger');
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { verifySlackSignature, computeSlackSignature } = require('./slackAuth');
+
+const SECRET = 'slack-signing-secret';
+const ORIGINAL_ENV = process.env;
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.urlencoded({
+    extended: true,
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.post('/slack/commands', verifySlackSignature, (req, res) => res.status(200).json({ text: req.body.text }));
+  return app;
+};
+
+const BODY = 'command=%2Fmeetbot&text=status+abc&user_id=U123';
+
+const now = () => `${Math.floor(Date.now() / 1000)}`;
+
+const send = (headers, body = BODY) => request(buildApp())
+  .post('/slack/commands')
+  .set('Content-Type', 'application/x-www-form-urlencoded')
+  .set(headers)
+  .send(body);
+
+describe('computeSlackSignature', () => {
+  it('signs `v0:${timestamp}:${body}` with HMAC-SHA256', () => {
+    const digest = crypto.createHmac('sha256', SECRET).update(`v0:1700000000:${BODY}`).digest('hex');
+
+    expect(computeSlackSignature(SECRET, '1700000000', BODY)).toBe(`v0=${digest}`);
+    expect(computeSlackSignature(SECRET, '1700000000', Buffer.from(BODY))).toBe(`v0=${digest}`);
+  });
+});
+
+describe('verifySlackSignature', () => {
+  beforeEach(() => {
+    process.env = { ...ORIGINAL_ENV, SLACK_SIGNING_SECRET: SECRET };
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  it('accepts a request signed over the raw body', async () => {
+    const timestamp = now();
+
+    const response = await send({
+      'X-Slack-Request-Timestamp': timestamp,
+      'X-Slack-Signature': computeSlackSignature(SECRET, timestamp, BODY)
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.text).toBe('status abc');
+  });
+
+  it('rejects a tampered body', async () => {
+    const timestamp = now();
+
+    const response = await send({
+      'X-Slack-Request-Timestamp': timestamp,
+      'X-Slack-Signature': computeSlackSignature(SECRET, timestamp, BODY)
+    }, BODY.replace('U123', 'U999'));
+
+    expect(response.status).toBe(401);
+  });
+
+  it('rejects a signature made with another secret', async () => {
+    const timestamp = now();
+
+    const response = await send({
+      'X-Slack-Request-Timestamp': timestamp,
+      'X-Slack-Signature': computeSlackSignature('other-secret', timestamp, BODY)
+    });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('rejects a replayed request older than five minutes', async () => {
+    const timestamp = `${Math.floor(Date.now() / 1000) - 301}`;
+
+    const response = await send({
+      'X-Slack-Request-Timestamp': timestamp,
+      'X-Slack-Signature': computeSlackSignature(SECRET, timestamp, BODY)
+    });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('rejects a request without signature headers', async () => {
+    expect((await send({})).status).toBe(401);
+    expect((await send({ 'X-Slack-Request-Timestamp': now() })).status).toBe(401);
+  });
+
+  it('answers 503 when no signing secret is configured', async () => {
+    delete process.env.SLACK_SIGNING_SECRET;
+    const timestamp = now();
+
+    const response = await send({
+      'X-Slack-Request-Timestamp': timestamp,
+      'X-Slack-Signature': computeSlackSignature(SECRET, timestamp, BODY)
+    });
+
+    expect(response.status).toBe(503);
+  });
+});
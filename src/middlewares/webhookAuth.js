@@ -0,0 +1,137 @@
+const logger = require('../utils/logger');
+const { verifySignature, isTimestampFresh } = require('../utils/signature');
+
+/**
+ * Webhook signature verification middleware
+ * Every /webhook/* sender signs `${timestamp}.${rawBody}` with HMAC-SHA256
+ * using its own shared secret, and sends:
+ *   X-Webhook-Timestamp: Unix time in seconds
+ *   X-Webhook-Signature: sha256=<hex digest>
+ */
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+
+// Requests older (or further in the future) than this are rejected as replays
+const TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS) || 300;
+
+// Per-sender secrets. WEBHOOK_SECRET is kept as a shared fallback for older deployments.
+const WEBHOOK_SOURCES = {
+  chatterbox: {
+    name: 'ChatterBox',
+    secret: process.env.CHATTERBOX_WEBHOOK_SECRET || process.env.WEBHOOK_SECRET
+  },
+  n8n: {
+    name: 'n8n',
+    secret: process.env.N8N_WEBHOOK_SECRET || process.env.WEBHOOK_SECRET
+  }
+};
+
+// Signatures already accepted within the tolerance window, oldest first
+const seenSignatures = new Map();
+
+/**
+ * Remember a signature until it falls out of the replay window.
+ * Returns false if the signature has already been used.
+ */
+const rememberSignature = (signature) => {
+  const now = Date.now();
+
+  // Every entry lives equally long, so expired ones are always at the front
+  for (const [key, expiresAt] of seenSignatures) {
+    if (expiresAt > now) {
+      break;
+    }
+    seenSignatures.delete(key);
+  }
+
+  if (seenSignatures.has(signature)) {
+    return false;
+  }
+
+  // Keep for twice the tolerance since timestamps may be skewed in either direction
+  seenSignatures.set(signature, now + TOLERANCE_SECONDS * 2 * 1000);
+  return true;
+};
+
+/**
+ * Reject an unauthenticated webhook request
+ */
+const rejectWebhook = (req, res, source, reason, statusCode = 401) => {
+  logger.warn('Webhook signature verification failed', {
+    source,
+    reason,
+    ip: req.ip,
+    url: req.originalUrl,
+    timestamp: new Date().toISOString()
+  });
+
+  return res.status(statusCode).json({
+    success: false,
+    error: 'Webhook authentication failed',
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Create middleware that verifies the HMAC signature for a given webhook source
+ */
+const verifyWebhookSignature = (source) => {
+  const config = WEBHOOK_SOURCES[source];
+
+  if (!config) {
+    throw new Error(`Unknown webhook source: ${source}`);
+  }
+
+  if (!config.secret) {
+    logger.error('Webhook secret not configured - requests will be rejected', {
+      source,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return (req, res, next) => {
+    if (!config.secret) {
+      return rejectWebhook(req, res, source, 'secret_not_configured', 503);
+    }
+
+    const signature = req.get(SIGNATURE_HEADER);
+    const timestamp = req.get(TIMESTAMP_HEADER);
+
+    if (!signature || !timestamp) {
+      return rejectWebhook(req, res, source, 'missing_signature_headers');
+    }
+
+    if (!isTimestampFresh(timestamp, TOLERANCE_SECONDS)) {
+      return rejectWebhook(req, res, source, 'timestamp_outside_window');
+    }
+
+    if (!verifySignature(config.secret, timestamp, req.rawBody, signature)) {
+      return rejectWebhook(req, res, source, 'invalid_signature');
+    }
+
+    if (!rememberSignature(signature)) {
+      return rejectWebhook(req, res, source, 'replayed_request');
+    }
+
+    req.webhookSource = source;
+    next();
+  };
+};
+
+/**
+ * Capture the raw request body so signatures can be verified byte-for-byte.
+ * Passed as the `verify` option to the express body parsers.
+ */
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+module.exports = {
+  verifyWebhookSignature,
+  captureRawBody,
+  rememberSignature,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  TOLERANCE_SECONDS
+};
@@ -0,0 +1,76 @@
+jest.mock('../utils/logger');
+
+process.env.CHATTERBOX_WEBHOOK_SECRET = 'chatterbox-secret';
+
+const express = require('express');
+const request = require('supertest');
+const { computeSignature } = require('../utils/signature');
+const { verifyWebhookSignature, captureRawBody, rememberSignature, TOLERANCE_SECONDS } = require('./webhookAuth');
+
+const SECRET = 'chatterbox-secret';
+const BODY = JSON.stringify({ event: 'started', sessionId: 'session-1' });
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.post('/webhook/chatterbox', verifyWebhookSignature('chatterbox'), (req, res) => res.status(200).json({ source: req.webhookSource }));
+  return app;
+};
+
+const send = (timestamp, signature) => request(buildApp())
+  .post('/webhook/chatterbox')
+  .set('Content-Type', 'application/json')
+  .set('X-Webhook-Timestamp', timestamp)
+  .set('X-Webhook-Signature', signature)
+  .send(BODY);
+
+const now = () => `${Math.floor(Date.now() / 1000)}`;
+
+describe('verifyWebhookSignature', () => {
+  it('accepts a signed request once', async () => {
+    const timestamp = now();
+    const signature = computeSignature(SECRET, timestamp, BODY);
+
+    const first = await send(timestamp, signature);
+    const replay = await send(timestamp, signature);
+
+    expect(first.status).toBe(200);
+    expect(first.body.source).toBe('chatterbox');
+    expect(replay.status).toBe(401);
+  });
+
+  it('rejects a signature made with another secret', async () => {
+    const timestamp = now();
+
+    expect((await send(timestamp, computeSignature('n8n-secret', timestamp, BODY))).status).toBe(401);
+  });
+
+  it('rejects a stale timestamp', async () => {
+    const timestamp = `${Math.floor(Date.now() / 1000) - TOLERANCE_SECONDS - 1}`;
+
+    expect((await send(timestamp, computeSignature(SECRET, timestamp, BODY))).status).toBe(401);
+  });
+});
+
+describe('rememberSignature', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('forgets signatures once they leave the replay window', () => {
+    expect(rememberSignature('sha256=first')).toBe(true);
+
+    jest.advanceTimersByTime(TOLERANCE_SECONDS * 1000);
+    expect(rememberSignature('sha256=second')).toBe(true);
+    expect(rememberSignature('sha256=first')).toBe(false);
+
+    // Only the first has expired
+    jest.advanceTimersByTime(TOLERANCE_SECONDS * 1000);
+    expect(rememberSignature('sha256=first')).toBe(true);
+    expect(rememberSignature('sha256=second')).toBe(false);
+  });
+});
@@ -0,0 +1,233 @@
+const databaseService = require('./databaseService');
+const routingService = require('./routingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Range covered when a request doesn't give one: the last 12 weeks
+const DEFAULT_RANGE_DAYS = 84;
+
+// Rows in the top speakers and organizer lists
+const DEFAULT_LIMIT = 10;
+
+// Processing outcomes that count towards the success rate
+const PROCESSED_STATUSES = ['completed', 'failed', 'ignored'];
+
+// How a report can be split up
+const ANALYTICS_GROUPS = ['calendar', 'routing_rule'];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Monday (UTC) of the week a date falls in, as YYYY-MM-DD
+ */
+const getWeekStart = (value) => {
+  const date = new Date(value);
+  date.setUTCHours(0, 0, 0, 0);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Metric calculators over meeting_analytics rows
+ * Each takes (rows, { from, to, limit }) and returns the metric's data.
+ */
+const METRICS = {
+  // Every week in the range, including weeks without meetings
+  meetingsPerWeek: (rows, { from, to }) => {
+    const counts = new Map();
+
+    for (let week = new Date(getWeekStart(from)); week < to; week = new Date(week.getTime() + 7 * DAY_MS)) {
+      counts.set(week.toISOString().slice(0, 10), 0);
+    }
+
+    for (const row of rows) {
+      const weekStart = getWeekStart(row.started_at);
+      counts.set(weekStart, (counts.get(weekStart) || 0) + 1);
+    }
+
+    return [...counts.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([weekStart, meetings]) => ({ weekStart, meetings }));
+  },
+
+  recordedHours: (rows) => {
+    const recorded = rows.filter(row => row.recorded_seconds !== null && row.recorded_seconds !== undefined);
+    const seconds = recorded.reduce((total, row) => total + Number(row.recorded_seconds), 0);
+
+    return {
+      meetings: recorded.length,
+      hours: round(seconds / 3600)
+    };
+  },
+
+  // Share of processed meetings that completed; meetings still in flight don't count
+  successRate: (rows) => {
+    const processed = rows.filter(row => row.processing_started_at && PROCESSED_STATUSES.includes(row.status));
+    const completed = processed.filter(row => row.status === 'completed').length;
+
+    return {
+      processed: processed.length,
+      completed,
+      failed: processed.length - completed,
+      successRate: processed.length > 0 ? round(completed / processed.length, 3) : null
+    };
+  },
+
+  timeToNotification: (rows) => {
+    const seconds = rows
+      .map(row => row.time_to_notification_seconds)
+      .filter(value => value !== null && value !== undefined && Number(value) >= 0)
+      .map(Number);
+
+    return {
+      meetings: seconds.length,
+      medianSeconds: seconds.length > 0 ? Math.round(median(seconds)) : null
+    };
+  },
+
+  // Speakers are matched across meetings by the name ChatterBox reports
+  topSpeakers: (rows, { limit }) => {
+    const speakers = new Map();
+
+    for (const row of rows) {
+      for (const stats of Array.isArray(row.speakers) ? row.speakers : []) {
+        const speaker = speakers.get(stats.speaker) || { speaker: stats.speaker, talkTimeMs: 0, meetings: 0, talkShareTotal: 0 };
+
+        speaker.talkTimeMs += stats.talkTimeMs || 0;
+        speaker.meetings += 1;
+        speaker.talkShareTotal += stats.talkShare || 0;
+        speakers.set(stats.speaker, speaker);
+      }
+    }
+
+    return [...speakers.values()]
+      .sort((a, b) => b.talkTimeMs - a.talkTimeMs)
+      .slice(0, limit)
+      .map(({ talkShareTotal, ...speaker }) => ({
+        ...speaker,
+        talkTimeHours: round(speaker.talkTimeMs / 3600000),
+        averageTalkShare: round(talkShareTotal / speaker.meetings, 3)
+      }));
+  },
+
+  meetingsPerOrganizer: (rows, { limit }) => {
+    const counts = new Map();
+
+    for (const row of rows) {
+      counts.set(row.organizer_email || null, (counts.get(row.organizer_email || null) || 0) + 1);
+    }
+
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([organizer, meetings]) => ({ organizer, meetings }));
+  }
+};
+
+/**
+ * Analytics service - aggregates across meetings for /api/analytics and the weekly digest
+ * Reads one row per meeting from the meeting_analytics view and aggregates in
+ * memory, so reports can be grouped by routing rule (rules match on regular
+ * expressions, which the view can't evaluate).
+ */
+class AnalyticsService {
+  /**
+   * Resolve a requested range, defaulting to the last DEFAULT_RANGE_DAYS days
+   */
+  resolveRange(from = null, to = null) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    return { from: start, to: end };
+  }
+
+  /**
+   * Build a report of the given METRICS for meetings started in [from, to)
+   * Returns { range, data } or, with groupBy, { range, groupBy, groups: [{ key, name, meetings, data }] }
+   * where data maps each metric name to its value.
+   */
+  async getReport(metricNames, { from = null, to = null, groupBy = null, limit = DEFAULT_LIMIT } = {}) {
+    const range = this.resolveRange(from, to);
+    const rows = await databaseService.getMeetingAnalyticsRows(range);
+    const options = { ...range, limit };
+
+    const calculate = (groupRows) => Object.fromEntries(
+      metricNames.map(name => [name, METRICS[name](groupRows, options)])
+    );
+
+    const report = {
+      range: {
+        from: range.from.toISOString(),
+        to: range.to.toISOString()
+      }
+    };
+
+    if (!groupBy) {
+      return { ...report, data: calculate(rows) };
+    }
+
+    const groups = await this.groupRows(rows, groupBy);
+
+    return {
+      ...report,
+      groupBy,
+      groups: groups.map(group => ({
+        key: group.key,
+        name: group.name,
+        meetings: group.rows.length,
+        data: calculate(group.rows)
+      }))
+    };
+  }
+
+  /**
+   * Split rows by calendar or by the routing rule each meeting matches (biggest group first)
+   */
+  async groupRows(rows, groupBy) {
+    if (!ANALYTICS_GROUPS.includes(groupBy)) {
+      throw new Error(`Unknown analytics grouping: ${groupBy}`);
+    }
+
+    const rules = groupBy === 'routing_rule' ? await routingService.getRules() : [];
+    const groups = new Map();
+
+    for (const row of rows) {
+      let key;
+      let name;
+
+      if (groupBy === 'calendar') {
+        key = row.calendar_id || null;
+        name = row.calendar_id || 'No calendar';
+      } else {
+        // Rows carry the meeting title and calendar fields routing rules match on
+        const context = routingService.buildContext(row, row);
+        const rule = rules.find(candidate => routingService.matchesRule(candidate, context));
+
+        key = rule?.id || null;
+        name = rule?.name || 'No matching rule';
+      }
+
+      if (!groups.has(key)) {
+        groups.set(key, { key, name, rows: [] });
+      }
+
+      groups.get(key).rows.push(row);
+    }
+
+    return [...groups.values()].sort((a, b) => b.rows.length - a.rows.length);
+  }
+}
+
+// Export singleton instance
+module.exports = new AnalyticsService();
+module.exports.ANALYTICS_GROUPS = ANALYTICS_GROUPS;
+module.exports.METRIC_NAMES = Object.keys(METRICS);
+module.exports.getWeekStart = getWeekStart;
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Prefix makes keys recognizable in config files and secret scanners
+const KEY_PREFIX = 'mrs_';
+
+/**
+ * Scopes an API key can hold
+ * admin implies every scope; write:meetings implies read:meetings.
+ */
+const SCOPES = ['read:meetings', 'write:meetings', 'admin'];
+
+const IMPLIED_SCOPES = {
+  admin: SCOPES,
+  'write:meetings': ['write:meetings', 'read:meetings'],
+  'read:meetings': ['read:meetings']
+};
+
+// Authenticated keys are cached briefly so every request doesn't hit the database
+const AUTH_CACHE_MS = 60 * 1000;
+
+/**
+ * API key service - issues, verifies and revokes API keys
+ * Only a SHA-256 hash of each key is stored; the plaintext is returned once at creation.
+ */
+class ApiKeyService {
+  constructor() {
+    this.authCache = new Map();
+  }
+
+  /**
+   * Hash a plaintext key for storage and lookup
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key, 'utf8').digest('hex');
+  }
+
+  /**
+   * Expand a key's scopes with the scopes they imply
+   */
+  expandScopes(scopes = []) {
+    return [...new Set(scopes.flatMap(scope => IMPLIED_SCOPES[scope] || []))];
+  }
+
+  /**
+   * Create a new API key
+   * Returns { key, apiKey } - `key` is the plaintext and is never retrievable again.
+   */
+  async createKey({ name, scopes, expiresAt = null, createdBy = null }) {
+    const invalidScopes = scopes.filter(scope => !SCOPES.includes(scope));
+
+    if (invalidScopes.length > 0) {
+      throw new Error(`Unknown scopes: ${invalidScopes.join(', ')}`);
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert({
+        name,
+        key_prefix: key.substring(0, KEY_PREFIX.length + 8),
+        key_hash: this.hashKey(key),
+        scopes,
+        expires_at: expiresAt,
+        created_by: createdBy
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info('API key created', {
+      apiKeyId: data.id,
+      name,
+      scopes,
+      createdBy,
+      timestamp: new Date().toISOString()
+    });
+
+    return { key, apiKey: this.toPublicKey(data) };
+  }
+
+  /**
+   * List API keys (without hashes)
+   */
+  async listKeys() {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).map(row => this.toPublicKey(row));
+  }
+
+  /**
+   * Revoke an API key
+   * Returns the revoked key, or null if it doesn't exist or was already revoked.
+   */
+  async revokeKey(apiKeyId, revokedBy = null) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_by: revokedBy
+      })
+      .eq('id', apiKeyId)
+      .is('revoked_at', null)
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    const revoked = data?.[0] || null;
+
+    if (revoked) {
+      this.authCache.delete(revoked.key_hash);
+
+      logger.info('API key revoked', {
+        apiKeyId,
+        revokedBy,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return revoked ? this.toPublicKey(revoked) : null;
+  }
+
+  /**
+   * Resolve a plaintext key to its active API key record
+   * Returns null for unknown, revoked or expired keys.
+   */
+  async authenticate(key) {
+    if (!key || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const keyHash = this.hashKey(key);
+    const cached = this.authCache.get(keyHash);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return this.isActive(cached.apiKey) ? cached.apiKey : null;
+    }
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('*')
+      .eq('key_hash', keyHash)
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    const row = data?.[0];
+
+    if (!row) {
+      return null;
+    }
+
+    const apiKey = this.toPublicKey(row);
+    this.authCache.set(keyHash, { apiKey, expiresAt: Date.now() + AUTH_CACHE_MS });
+
+    if (!this.isActive(apiKey)) {
+      return null;
+    }
+
+    // Best-effort usage tracking
+    supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', apiKey.id)
+      .then(({ error: updateError }) => {
+        if (updateError) {
+          logger.warn('Failed to update API key last_used_at', {
+            apiKeyId: apiKey.id,
+            error: updateError.message
+          });
+        }
+      });
+
+    return apiKey;
+  }
+
+  /**
+   * Whether a key is neither revoked nor expired
+   */
+  isActive(apiKey) {
+    if (apiKey.revokedAt) {
+      return false;
+    }
+
+    return !apiKey.expiresAt || new Date(apiKey.expiresAt) > new Date();
+  }
+
+  /**
+   * Record an authenticated API call
+   */
+  async recordAudit({ apiKeyId = null, keyName, method, path, statusCode, ip, userAgent, durationMs }) {
+    const { error } = await supabase
+      .from('api_audit_log')
+      .insert({
+        api_key_id: apiKeyId,
+        key_name: keyName,
+        method,
+        path,
+        status_code: statusCode,
+        ip,
+        user_agent: userAgent,
+        duration_ms: durationMs
+      });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get recent audit log entries, optionally for one key
+   */
+  async getAuditLog({ apiKeyId = null, limit = 100 } = {}) {
+    let query = supabase
+      .from('api_audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (apiKeyId) {
+      query = query.eq('api_key_id', apiKeyId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Shape a stored key for API responses (never includes the hash)
+   */
+  toPublicKey(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      keyPrefix: row.key_prefix,
+      scopes: row.scopes || [],
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ApiKeyService();
+module.exports.SCOPES = SCOPES;
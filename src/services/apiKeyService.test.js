@@ -0,0 +1,146 @@
+jest.mock('../utils/logger');
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+const { supabase } = require('../config/database');
+const apiKeyService = require('./apiKeyService');
+
+// An api_keys query builder that settles with `result` however it is chained
+const useQuery = (result) => {
+  const query = {};
+  for (const method of ['select', 'insert', 'update', 'eq', 'is', 'limit']) {
+    query[method] = jest.fn(() => query);
+  }
+  query.single = jest.fn().mockResolvedValue(result);
+  query.then = (resolve) => resolve(result);
+
+  supabase.from.mockReturnValueOnce(query);
+  return query;
+};
+
+const KEY = 'mrs_test-key';
+
+const keyRow = (overrides = {}) => ({
+  id: 'key-1',
+  name: 'reporting',
+  key_prefix: 'mrs_test-key',
+  key_hash: apiKeyService.hashKey(KEY),
+  scopes: ['read:meetings'],
+  revoked_at: null,
+  expires_at: null,
+  ...overrides
+});
+
+describe('apiKeyService.expandScopes', () => {
+  it('expands admin and write:meetings to the scopes they imply', () => {
+    expect(apiKeyService.expandScopes(['admin'])).toEqual(['read:meetings', 'write:meetings', 'admin']);
+    expect(apiKeyService.expandScopes(['write:meetings'])).toEqual(['write:meetings', 'read:meetings']);
+    expect(apiKeyService.expandScopes(['read:meetings'])).toEqual(['read:meetings']);
+  });
+
+  it('ignores unknown scopes', () => {
+    expect(apiKeyService.expandScopes(['superuser'])).toEqual([]);
+    expect(apiKeyService.expandScopes()).toEqual([]);
+  });
+});
+
+describe('apiKeyService.createKey', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('stores only the hash of a new key', async () => {
+    const query = useQuery({ data: keyRow({ key_hash: 'hash' }), error: null });
+
+    const { key, apiKey } = await apiKeyService.createKey({ name: 'reporting', scopes: ['read:meetings'] });
+
+    expect(key).toMatch(/^mrs_/);
+    const [row] = query.insert.mock.calls[0];
+    expect(row.key_hash).toBe(apiKeyService.hashKey(key));
+    expect(row.key_prefix).toBe(key.substring(0, 12));
+    expect(JSON.stringify(row)).not.toContain(key);
+    expect(apiKey).not.toHaveProperty('key_hash');
+  });
+
+  it('rejects unknown scopes', async () => {
+    await expect(apiKeyService.createKey({ name: 'reporting', scopes: ['read:meetings', 'superuser'] }))
+      .rejects.toThrow('Unknown scopes: superuser');
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+});
+
+describe('apiKeyService.authenticate', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2024-03-04T10:00:00.000Z') });
+    apiKeyService.authCache.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('looks a key up by its hash', async () => {
+    const lookup = useQuery({ data: [keyRow()], error: null });
+    useQuery({ error: null });
+
+    expect(await apiKeyService.authenticate(KEY)).toMatchObject({ id: 'key-1', scopes: ['read:meetings'] });
+    expect(lookup.eq).toHaveBeenCalledWith('key_hash', apiKeyService.hashKey(KEY));
+  });
+
+  it('rejects a key without the prefix without a lookup', async () => {
+    expect(await apiKeyService.authenticate('not-a-key')).toBeNull();
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown, revoked and expired keys', async () => {
+    useQuery({ data: [], error: null });
+    expect(await apiKeyService.authenticate('mrs_unknown')).toBeNull();
+
+    useQuery({ data: [keyRow({ revoked_at: '2024-03-01T00:00:00.000Z' })], error: null });
+    expect(await apiKeyService.authenticate(KEY)).toBeNull();
+
+    apiKeyService.authCache.clear();
+    useQuery({ data: [keyRow({ expires_at: '2024-03-04T09:00:00.000Z' })], error: null });
+    expect(await apiKeyService.authenticate(KEY)).toBeNull();
+  });
+
+  it('serves a key from the cache for a minute', async () => {
+    useQuery({ data: [keyRow()], error: null });
+    useQuery({ error: null });
+
+    await apiKeyService.authenticate(KEY);
+    jest.advanceTimersByTime(59 * 1000);
+    expect(await apiKeyService.authenticate(KEY)).toMatchObject({ id: 'key-1' });
+    expect(supabase.from).toHaveBeenCalledTimes(2);
+
+    useQuery({ data: [keyRow({ scopes: ['admin'] })], error: null });
+    useQuery({ error: null });
+    jest.advanceTimersByTime(2 * 1000);
+
+    expect(await apiKeyService.authenticate(KEY)).toMatchObject({ scopes: ['admin'] });
+    expect(supabase.from).toHaveBeenCalledTimes(4);
+  });
+
+  it('stops accepting a cached key once it expires', async () => {
+    useQuery({ data: [keyRow({ expires_at: '2024-03-04T10:00:30.000Z' })], error: null });
+    useQuery({ error: null });
+
+    expect(await apiKeyService.authenticate(KEY)).not.toBeNull();
+    jest.advanceTimersByTime(31 * 1000);
+    expect(await apiKeyService.authenticate(KEY)).toBeNull();
+  });
+
+  it('drops a revoked key from the cache', async () => {
+    useQuery({ data: [keyRow()], error: null });
+    useQuery({ error: null });
+    await apiKeyService.authenticate(KEY);
+
+    useQuery({ data: [keyRow({ revoked_at: '2024-03-04T10:00:00.000Z' })], error: null });
+    expect(await apiKeyService.revokeKey('key-1', 'admin')).toMatchObject({ id: 'key-1' });
+
+    useQuery({ data: [keyRow({ revoked_at: '2024-03-04T10:00:00.000Z' })], error: null });
+    expect(await apiKeyService.authenticate(KEY)).toBeNull();
+  });
+});
@@ -0,0 +1,498 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { calendar } = require('../config/google');
+const { supabase } = require('../config/database');
+const logger = require('../utils/logger');
+const { safeCompare } = require('../utils/signature');
+const jobQueueService = require('./jobQueueService');
+
+// Google caps events.watch channels at about a week; ask for the maximum and renew early
+const WATCH_TTL_SECONDS = parseInt(process.env.GOOGLE_CALENDAR_WATCH_TTL_SECONDS) || 7 * 24 * 60 * 60;
+const RENEW_BEFORE_MS = (parseInt(process.env.GOOGLE_CALENDAR_RENEW_BEFORE_HOURS) || 24) * 60 * 60 * 1000;
+
+// A full sync (first sync, or after Google invalidates the sync token) starts this far back
+const FULL_SYNC_LOOKBACK_MS = (parseInt(process.env.GOOGLE_CALENDAR_SYNC_LOOKBACK_DAYS) || 1) * 24 * 60 * 60 * 1000;
+
+const PAGE_SIZE = 250;
+
+/**
+ * URL Google posts push notifications to (must be HTTPS with a valid certificate)
+ */
+const getNotificationUrl = () => process.env.GOOGLE_CALENDAR_WEBHOOK_URL || `${process.env.BASE_URL}/webhook/google-calendar`;
+
+/**
+ * Map a Google Calendar event to a calendar_events row
+ * Shared with the n8n endpoint so both sources store events the same way.
+ */
+const toCalendarEventRow = (event, calendarId) => ({
+  calendar_event_id: event.id,
+  calendar_id: calendarId,
+  etag: event.etag,
+  status: event.status,
+  html_link: event.htmlLink,
+
+  // Event details
+  summary: event.summary || '(No title)',
+  description: event.description || null,
+  location: event.location || null,
+
+  // Timing
+  start_datetime: event.start?.dateTime ? new Date(event.start.dateTime) : null,
+  end_datetime: event.end?.dateTime ? new Date(event.end.dateTime) : null,
+  timezone: event.start?.timeZone || null,
+
+  // People
+  creator_email: event.creator?.email || null,
+  organizer_email: event.organizer?.email || null,
+  attendees: event.attendees || null,
+
+  // Conference data
+  conference_id: event.conferenceData?.conferenceId || null,
+  hangout_link: event.hangoutLink || null,
+  conference_data: event.conferenceData || null,
+
+  // Store complete raw data
+  raw_event_data: event
+});
+
+/**
+ * Google returns 410 Gone when a sync token is no longer valid
+ */
+const isSyncTokenExpired = (error) => error.code === 410 || error.response?.status === 410;
+
+/**
+ * Calendar sync service - owns the Google Calendar integration
+ * Each watched calendar has an events.watch push channel. Google posts to
+ * /webhook/google-calendar whenever the calendar changes; the push only says
+ * "something changed", so we queue a sync_calendar job that pulls the changes
+ * with the stored syncToken and upserts them into calendar_events.
+ * calendarWatchJob renews channels before they expire and runs a catch-up
+ * sync in case a push was lost.
+ */
+class CalendarSyncService {
+  /**
+   * Get all watched calendars
+   */
+  async getWatches() {
+    const { data, error } = await supabase
+      .from('calendar_watch_channels')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get a watched calendar by calendar ID
+   */
+  async getWatch(calendarId) {
+    const { data, error } = await supabase
+      .from('calendar_watch_channels')
+      .select('*')
+      .eq('calendar_id', calendarId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Update a watched calendar
+   */
+  async updateWatch(watchId, updates) {
+    const { data, error } = await supabase
+      .from('calendar_watch_channels')
+      .update(updates)
+      .eq('id', watchId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Start watching a calendar
+   * Runs a full sync first so the channel's pushes have a sync token to continue from.
+   */
+  async watchCalendar(calendarId, { createdBy = null } = {}) {
+    let watch = await this.getWatch(calendarId);
+    const isNew = !watch;
+
+    if (isNew) {
+      const { data, error } = await supabase
+        .from('calendar_watch_channels')
+        .insert({ calendar_id: calendarId, created_by: createdBy })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      watch = data;
+    }
+
+    try {
+      if (!watch.sync_token) {
+        await this.syncCalendar(calendarId);
+      }
+
+      watch = await this.startChannel(await this.getWatch(calendarId));
+    } catch (error) {
+      // Don't leave a calendar we can't read for the renewal job to retry forever
+      if (isNew) {
+        await supabase.from('calendar_watch_channels').delete().eq('id', watch.id);
+      }
+      throw error;
+    }
+
+    logger.info('Watching Google Calendar', {
+      calendarId,
+      channelId: watch.channel_id,
+      expiration: watch.expiration,
+      createdBy,
+      timestamp: new Date().toISOString()
+    });
+
+    return watch;
+  }
+
+  /**
+   * Stop watching a calendar and forget it
+   * Returns the removed watch, or null if the calendar wasn't watched.
+   * Events already synced stay in calendar_events.
+   */
+  async unwatchCalendar(watchId) {
+    const { data, error } = await supabase
+      .from('calendar_watch_channels')
+      .delete()
+      .eq('id', watchId)
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    const watch = data?.[0] || null;
+
+    if (watch) {
+      await this.stopChannel(watch);
+
+      logger.info('Stopped watching Google Calendar', {
+        calendarId: watch.calendar_id,
+        channelId: watch.channel_id,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return watch;
+  }
+
+  /**
+   * Open a new push channel for a watched calendar, replacing the current one
+   * The old channel is stopped only after the new one is stored, so no change is missed.
+   */
+  async startChannel(watch) {
+    const previous = { ...watch };
+    const channelToken = crypto.randomBytes(24).toString('hex');
+
+    const response = await calendar.events.watch({
+      calendarId: watch.calendar_id,
+      requestBody: {
+        id: uuidv4(),
+        type: 'web_hook',
+        address: getNotificationUrl(),
+        token: channelToken,
+        params: { ttl: String(WATCH_TTL_SECONDS) }
+      }
+    });
+
+    const channel = response.data;
+
+    const updated = await this.updateWatch(watch.id, {
+      channel_id: channel.id,
+      resource_id: channel.resourceId,
+      channel_token: channelToken,
+      expiration: channel.expiration ? new Date(parseInt(channel.expiration)).toISOString() : null
+    });
+
+    if (previous.channel_id) {
+      await this.stopChannel(previous);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Stop a push channel
+   * Failures are logged, never thrown: an unstopped channel simply expires.
+   */
+  async stopChannel(watch) {
+    if (!watch.channel_id || !watch.resource_id) {
+      return;
+    }
+
+    try {
+      await calendar.channels.stop({
+        requestBody: {
+          id: watch.channel_id,
+          resourceId: watch.resource_id
+        }
+      });
+    } catch (error) {
+      logger.warn('Failed to stop Google Calendar channel', {
+        calendarId: watch.calendar_id,
+        channelId: watch.channel_id,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Renew channels that are missing or expire within the renewal window
+   * Returns the number of channels renewed.
+   */
+  async renewExpiringChannels() {
+    const watches = await this.getWatches();
+    const renewBefore = Date.now() + RENEW_BEFORE_MS;
+
+    const expiring = watches.filter(watch =>
+      !watch.channel_id || !watch.expiration || new Date(watch.expiration).getTime() <= renewBefore
+    );
+
+    let renewed = 0;
+
+    for (const watch of expiring) {
+      try {
+        const updated = await this.startChannel(watch);
+        renewed++;
+
+        logger.info('Google Calendar channel renewed', {
+          calendarId: watch.calendar_id,
+          previousChannelId: watch.channel_id,
+          channelId: updated.channel_id,
+          expiration: updated.expiration,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Failed to renew Google Calendar channel', {
+          calendarId: watch.calendar_id,
+          channelId: watch.channel_id,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    return renewed;
+  }
+
+  /**
+   * Handle a push notification from Google
+   * Returns false if the notification isn't for a current channel or the token doesn't match.
+   */
+  async handleNotification({ channelId, channelToken, resourceId, resourceState, messageNumber }) {
+    const { data: watch, error } = await supabase
+      .from('calendar_watch_channels')
+      .select('*')
+      .eq('channel_id', channelId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!watch || watch.resource_id !== resourceId || !safeCompare(watch.channel_token, channelToken)) {
+      logger.warn('Ignoring Google Calendar notification for unknown channel', {
+        channelId,
+        resourceId,
+        resourceState,
+        timestamp: new Date().toISOString()
+      });
+      return false;
+    }
+
+    // The first message on a new channel only confirms it was created
+    if (resourceState === 'sync') {
+      return true;
+    }
+
+    logger.info('Google Calendar changed', {
+      calendarId: watch.calendar_id,
+      channelId,
+      resourceState,
+      messageNumber,
+      timestamp: new Date().toISOString()
+    });
+
+    await this.queueSync(watch.calendar_id);
+
+    return true;
+  }
+
+  /**
+   * Queue an incremental sync for a calendar
+   * Bursts of pushes collapse into the one queued job.
+   */
+  async queueSync(calendarId) {
+    return jobQueueService.enqueue('sync_calendar', {
+      dedupeKey: `calendar-sync:${calendarId}`,
+      payload: { calendarId }
+    });
+  }
+
+  /**
+   * Pull changes for a calendar into calendar_events
+   * Uses the stored sync token; falls back to a full sync when there is none
+   * or Google has invalidated it.
+   */
+  async syncCalendar(calendarId) {
+    const watch = await this.getWatch(calendarId);
+
+    if (!watch) {
+      logger.warn('Skipping sync for calendar that is no longer watched', {
+        calendarId,
+        timestamp: new Date().toISOString()
+      });
+      return null;
+    }
+
+    let result;
+
+    try {
+      result = await this.fetchChanges(calendarId, watch.sync_token);
+    } catch (error) {
+      if (!watch.sync_token || !isSyncTokenExpired(error)) {
+        throw error;
+      }
+
+      logger.warn('Google Calendar sync token expired, running full sync', {
+        calendarId,
+        timestamp: new Date().toISOString()
+      });
+
+      result = await this.fetchChanges(calendarId, null);
+    }
+
+    const stored = await this.storeEvents(calendarId, result.events);
+
+    await this.updateWatch(watch.id, {
+      sync_token: result.nextSyncToken,
+      last_synced_at: new Date().toISOString()
+    });
+
+    logger.info('Google Calendar synced', {
+      calendarId,
+      fullSync: result.fullSync,
+      changes: result.events.length,
+      ...stored,
+      timestamp: new Date().toISOString()
+    });
+
+    return { calendarId, fullSync: result.fullSync, changes: result.events.length, ...stored };
+  }
+
+  /**
+   * Page through events.list
+   * With a sync token only changed events are returned (cancelled ones included);
+   * without one, every event from the lookback window onwards.
+   */
+  async fetchChanges(calendarId, syncToken) {
+    const events = [];
+    let pageToken;
+    let nextSyncToken = null;
+
+    do {
+      const params = {
+        calendarId,
+        singleEvents: true,
+        maxResults: PAGE_SIZE,
+        pageToken
+      };
+
+      if (syncToken) {
+        params.syncToken = syncToken;
+      } else {
+        params.timeMin = new Date(Date.now() - FULL_SYNC_LOOKBACK_MS).toISOString();
+      }
+
+      const response = await calendar.events.list(params);
+
+      events.push(...(response.data.items || []));
+      pageToken = response.data.nextPageToken;
+      nextSyncToken = response.data.nextSyncToken || nextSyncToken;
+    } while (pageToken);
+
+    return { events, nextSyncToken, fullSync: !syncToken };
+  }
+
+  /**
+   * Upsert changed events into calendar_events
+   * Only events with a Google Meet conference are stored; cancellations only
+   * update the status of events we already have (Google sends just id and status).
+   */
+  async storeEvents(calendarId, events) {
+    const cancelledIds = events
+      .filter(event => event.status === 'cancelled')
+      .map(event => event.id);
+
+    const rows = events
+      .filter(event => event.status !== 'cancelled' && event.conferenceData?.conferenceId)
+      .map(event => toCalendarEventRow(event, calendarId));
+
+    if (rows.length > 0) {
+      const { error } = await supabase
+        .from('calendar_events')
+        .upsert(rows, {
+          onConflict: 'calendar_event_id',
+          ignoreDuplicates: false
+        });
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    if (cancelledIds.length > 0) {
+      const { error } = await supabase
+        .from('calendar_events')
+        .update({ status: 'cancelled' })
+        .in('calendar_event_id', cancelledIds);
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    return { upserted: rows.length, cancelled: cancelledIds.length };
+  }
+
+  /**
+   * Sync every watched calendar (catch-up for lost pushes)
+   */
+  async syncAll() {
+    const watches = await this.getWatches();
+
+    for (const watch of watches) {
+      await this.queueSync(watch.calendar_id);
+    }
+
+    return watches.length;
+  }
+}
+
+// Export singleton instance
+module.exports = new CalendarSyncService();
+module.exports.toCalendarEventRow = toCalendarEventRow;
@@ -0,0 +1,179 @@
+jest.mock('../utils/logger');
+jest.mock('../config/google', () => ({
+  calendar: {
+    events: { list: jest.fn(), watch: jest.fn() },
+    channels: { stop: jest.fn() }
+  }
+}));
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn() }
+}));
+jest.mock('./jobQueueService', () => ({
+  enqueue: jest.fn()
+}));
+
+const { calendar } = require('../config/google');
+const { supabase } = require('../config/database');
+const jobQueueService = require('./jobQueueService');
+const calendarSyncService = require('./calendarSyncService');
+
+// One chainable query per table; `watch` is the calendar_watch_channels row
+const useTables = (watch) => {
+  const queries = {};
+
+  supabase.from.mockImplementation((table) => {
+    if (!queries[table]) {
+      const query = {
+        select: jest.fn(() => query),
+        eq: jest.fn(() => query),
+        in: jest.fn(() => query),
+        update: jest.fn(() => query),
+        upsert: jest.fn(() => query),
+        maybeSingle: jest.fn(async () => ({ data: watch, error: null })),
+        single: jest.fn(async () => ({ data: watch, error: null })),
+        then: (resolve) => resolve({ error: null })
+      };
+      queries[table] = query;
+    }
+    return queries[table];
+  });
+
+  return queries;
+};
+
+const watch = {
+  id: 'watch-1',
+  calendar_id: 'sales@example.com',
+  channel_id: 'channel-1',
+  resource_id: 'resource-1',
+  channel_token: 'channel-token',
+  sync_token: 'sync-token-1'
+};
+
+const meetEvent = (id) => ({
+  id,
+  status: 'confirmed',
+  summary: 'Weekly sync',
+  start: { dateTime: '2024-03-04T10:00:00Z' },
+  conferenceData: { conferenceId: 'abc-defg-hij' }
+});
+
+const syncTokenExpired = () => Object.assign(new Error('Sync token is no longer valid'), { code: 410 });
+
+describe('calendarSyncService.syncCalendar', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('pulls changes since the stored sync token', async () => {
+    const queries = useTables(watch);
+    calendar.events.list
+      .mockResolvedValueOnce({ data: { items: [meetEvent('event-1')], nextPageToken: 'page-2' } })
+      .mockResolvedValueOnce({ data: { items: [{ id: 'event-2', status: 'cancelled' }], nextSyncToken: 'sync-token-2' } });
+
+    const result = await calendarSyncService.syncCalendar('sales@example.com');
+
+    expect(result).toEqual({ calendarId: 'sales@example.com', fullSync: false, changes: 2, upserted: 1, cancelled: 1 });
+    expect(calendar.events.list).toHaveBeenNthCalledWith(1, expect.objectContaining({ syncToken: 'sync-token-1', pageToken: undefined }));
+    expect(calendar.events.list).toHaveBeenNthCalledWith(2, expect.objectContaining({ syncToken: 'sync-token-1', pageToken: 'page-2' }));
+    expect(queries.calendar_events.update).toHaveBeenCalledWith({ status: 'cancelled' });
+    expect(queries.calendar_events.in).toHaveBeenCalledWith('calendar_event_id', ['event-2']);
+    expect(queries.calendar_watch_channels.update).toHaveBeenCalledWith(expect.objectContaining({ sync_token: 'sync-token-2' }));
+  });
+
+  it('runs a full sync when Google invalidates the sync token', async () => {
+    const queries = useTables(watch);
+    calendar.events.list
+      .mockRejectedValueOnce(syncTokenExpired())
+      .mockResolvedValueOnce({ data: { items: [meetEvent('event-1')], nextSyncToken: 'sync-token-fresh' } });
+
+    const result = await calendarSyncService.syncCalendar('sales@example.com');
+
+    expect(result.fullSync).toBe(true);
+    expect(calendar.events.list).toHaveBeenLastCalledWith(expect.objectContaining({ timeMin: expect.any(String) }));
+    expect(calendar.events.list.mock.calls[1][0]).not.toHaveProperty('syncToken');
+    expect(queries.calendar_watch_channels.update).toHaveBeenCalledWith(expect.objectContaining({ sync_token: 'sync-token-fresh' }));
+  });
+
+  it('treats a 410 response status like a 410 error code', async () => {
+    useTables(watch);
+    calendar.events.list
+      .mockRejectedValueOnce(Object.assign(new Error('Gone'), { response: { status: 410 } }))
+      .mockResolvedValueOnce({ data: { items: [], nextSyncToken: 'sync-token-fresh' } });
+
+    expect((await calendarSyncService.syncCalendar('sales@example.com')).fullSync).toBe(true);
+  });
+
+  it('does not retry a failed full sync', async () => {
+    useTables({ ...watch, sync_token: null });
+    calendar.events.list.mockRejectedValue(syncTokenExpired());
+
+    await expect(calendarSyncService.syncCalendar('sales@example.com')).rejects.toThrow('Sync token is no longer valid');
+    expect(calendar.events.list).toHaveBeenCalledTimes(1);
+  });
+
+  it('passes on other errors without a full sync', async () => {
+    useTables(watch);
+    calendar.events.list.mockRejectedValue(Object.assign(new Error('Rate limit exceeded'), { code: 403 }));
+
+    await expect(calendarSyncService.syncCalendar('sales@example.com')).rejects.toThrow('Rate limit exceeded');
+    expect(calendar.events.list).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips a calendar that is no longer watched', async () => {
+    useTables(null);
+
+    expect(await calendarSyncService.syncCalendar('sales@example.com')).toBeNull();
+    expect(calendar.events.list).not.toHaveBeenCalled();
+  });
+});
+
+describe('calendarSyncService.handleNotification', () => {
+  const notification = {
+    channelId: 'channel-1',
+    channelToken: 'channel-token',
+    resourceId: 'resource-1',
+    resourceState: 'exists',
+    messageNumber: '2'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jobQueueService.enqueue.mockResolvedValue({ id: 'job-1' });
+  });
+
+  it('queues a sync for a notification from the current channel', async () => {
+    useTables(watch);
+
+    expect(await calendarSyncService.handleNotification(notification)).toBe(true);
+    expect(jobQueueService.enqueue).toHaveBeenCalledWith('sync_calendar', {
+      dedupeKey: 'calendar-sync:sales@example.com',
+      payload: { calendarId: 'sales@example.com' }
+    });
+  });
+
+  it.each([
+    ['a wrong channel token', { channelToken: 'guessed-token' }],
+    ['no channel token', { channelToken: undefined }],
+    ['another resource', { resourceId: 'resource-2' }]
+  ])('ignores a notification with %s', async (label, changes) => {
+    useTables(watch);
+
+    expect(await calendarSyncService.handleNotification({ ...notification, ...changes })).toBe(false);
+    expect(jobQueueService.enqueue).not.toHaveBeenCalled();
+  });
+
+  it('ignores a notification for an unknown channel', async () => {
+    useTables(null);
+
+    expect(await calendarSyncService.handleNotification(notification)).toBe(false);
+    expect(jobQueueService.enqueue).not.toHaveBeenCalled();
+  });
+
+  it('only acknowledges the sync message that opens a channel', async () => {
+    useTables(watch);
+
+    expect(await calendarSyncService.handleNotification({ ...notification, resourceState: 'sync' })).toBe(true);
+    expect(jobQueueService.enqueue).not.toHaveBeenCalled();
+  });
+});
@@ -1,6 +1,10 @@
 const chatterboxConfig = require('../config/chatterbox');
+const databaseService = require('./databaseService');
 const logger = require('../utils/logger');
 
+// A delivery still 'received' after this long was abandoned mid-handling and may be redelivered
+const WEBHOOK_RECLAIM_SECONDS = parseInt(process.env.WEBHOOK_EVENT_RECLAIM_SECONDS) || 300;
+
 /**
  * ChatterBox service for meeting bot operations
  * Handles all ChatterBox API interactions with proper error handling and logging
@@ -115,6 +119,46 @@ class ChatterBoxService {
     }
   }
 
+  /**
+   * Record a webhook delivery in the idempotency ledger
+   * Returns { event, duplicate }; event is null for types that aren't de-duplicated.
+   */
+  async recordWebhookDelivery(webhookBody, eventId = null) {
+    const eventKey = chatterboxConfig.getWebhookEventKey(webhookBody, eventId);
+
+    if (!eventKey) {
+      return { event: null, duplicate: false };
+    }
+
+    return databaseService.recordWebhookEvent({
+      source: 'chatterbox',
+      eventKey,
+      eventType: webhookBody.type,
+      sessionId: webhookBody.payload?.sessionId || null,
+      payload: webhookBody.payload,
+      reclaimAfterSeconds: WEBHOOK_RECLAIM_SECONDS
+    });
+  }
+
+  /**
+   * Settle a recorded webhook delivery once handling has finished
+   */
+  async completeWebhookDelivery(delivery, error = null) {
+    if (!delivery?.event) {
+      return;
+    }
+
+    try {
+      await databaseService.markWebhookEventProcessed(
+        delivery.event.id,
+        error ? 'failed' : 'processed',
+        error ? error.message : null
+      );
+    } catch (markError) {
+      // Already logged by databaseService - the ledger row stays 'received' until it can be reclaimed
+    }
+  }
+
   /**
    * Check if recording URL is still valid (not expired)
    * ⚠️ DEPRECATED: URL validation removed due to false failures with AWS S3 signed URLs
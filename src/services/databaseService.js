@@ -81,6 +81,247 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Update a meeting only if its status still matches (compare-and-set)
+   * Optionally also requires a matching processing owner.
+   * Returns the updated meeting, or null if the status changed underneath us.
+   */
+  async compareAndSetMeetingStatus(meetingId, expectedStatus, updates, { processingOwner = null } = {}) {
+    try {
+      let query = supabase
+        .from('meetings')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', meetingId)
+        .eq('status', expectedStatus);
+
+      if (processingOwner) {
+        query = query.eq('processing_owner', processingOwner);
+      }
+
+      const { data, error } = await query.select();
+      
+      if (error) {
+        throw error;
+      }
+      
+      const updated = data?.[0] || null;
+
+      logger.info(updated ? 'Meeting status updated' : 'Meeting status update rejected', {
+        meetingId,
+        expectedStatus,
+        status: updates.status,
+        timestamp: new Date().toISOString()
+      });
+      
+      return updated;
+    } catch (error) {
+      logger.error('Failed to update meeting status', {
+        meetingId,
+        expectedStatus,
+        updates,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Store a meeting's Slack parent messages, unless another process already did
+   * Returns the updated meeting, or null if slack_threads was already set.
+   */
+  async setMeetingSlackThreads(meetingId, threads) {
+    try {
+      const { data, error } = await supabase
+        .from('meetings')
+        .update({
+          slack_threads: threads,
+          slack_message_ts: threads[0]?.ts || null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', meetingId)
+        .is('slack_threads', null)
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      return data?.[0] || null;
+    } catch (error) {
+      logger.error('Failed to store meeting Slack threads', {
+        meetingId,
+        threads,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a meeting status transition
+   */
+  async recordStatusTransition(meetingId, fromStatus, toStatus, reason = null, metadata = {}) {
+    try {
+      const { data, error } = await supabase
+        .from('meeting_status_history')
+        .insert({
+          meeting_id: meetingId,
+          from_status: fromStatus,
+          to_status: toStatus,
+          reason,
+          metadata
+        })
+        .select()
+        .single();
+      
+      if (error) {
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      logger.error('Failed to record status transition', {
+        meetingId,
+        fromStatus,
+        toStatus,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the status history for a meeting (oldest first)
+   */
+  async getStatusHistory(meetingId) {
+    try {
+      const { data, error } = await supabase
+        .from('meeting_status_history')
+        .select('*')
+        .eq('meeting_id', meetingId)
+        .order('created_at', { ascending: true });
+      
+      if (error) {
+        throw error;
+      }
+      
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get status history', {
+        meetingId,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record an inbound webhook delivery in the idempotency ledger
+   * Returns { event, duplicate }. A delivery whose earlier attempt failed, or
+   * that is still 'received' after reclaimAfterSeconds (the attempt crashed
+   * before settling it), is re-opened rather than treated as a duplicate.
+   */
+  async recordWebhookEvent({ source, eventKey, eventType, sessionId = null, payload = null, reclaimAfterSeconds = 300 }) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_events')
+        .insert({
+          source,
+          event_key: eventKey,
+          event_type: eventType,
+          session_id: sessionId,
+          payload,
+          status: 'received',
+          received_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+      
+      if (!error) {
+        return { event: data, duplicate: false };
+      }
+
+      // Unique violation - this event was delivered before
+      if (error.code !== '23505') {
+        throw error;
+      }
+
+      const staleBefore = new Date(Date.now() - reclaimAfterSeconds * 1000).toISOString();
+
+      const { data: reopened, error: reopenError } = await supabase
+        .from('webhook_events')
+        .update({
+          status: 'received',
+          error_message: null,
+          received_at: new Date().toISOString()
+        })
+        .eq('event_key', eventKey)
+        .or(`status.eq.failed,and(status.eq.received,received_at.lt."${staleBefore}")`)
+        .select();
+
+      if (reopenError) {
+        throw reopenError;
+      }
+
+      if (reopened?.length) {
+        return { event: reopened[0], duplicate: false };
+      }
+
+      logger.info('Duplicate webhook delivery ignored', {
+        source,
+        eventKey,
+        eventType,
+        sessionId,
+        timestamp: new Date().toISOString()
+      });
+
+      return { event: null, duplicate: true };
+    } catch (error) {
+      logger.error('Failed to record webhook event', {
+        source,
+        eventKey,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a recorded webhook delivery as processed or failed
+   */
+  async markWebhookEventProcessed(eventId, status = 'processed', errorMessage = null) {
+    try {
+      const { error } = await supabase
+        .from('webhook_events')
+        .update({
+          status,
+          error_message: errorMessage,
+          processed_at: new Date().toISOString()
+        })
+        .eq('id', eventId);
+      
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Failed to mark webhook event processed', {
+        eventId,
+        status,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get meeting by ID
    */
@@ -294,6 +535,98 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Store a real-time transcript segment
+   * Segments are unique per (meeting, time_start), so redelivered chunks overwrite rather than duplicate.
+   */
+  async upsertTranscriptSegment(meetingId, { sessionId = null, timeStart, timeEnd = null, speaker = null, text }) {
+    try {
+      const { data, error } = await supabase
+        .from('transcript_segments')
+        .upsert({
+          meeting_id: meetingId,
+          chatterbox_session_id: sessionId,
+          time_start: timeStart,
+          time_end: timeEnd,
+          speaker,
+          text
+        }, { onConflict: 'meeting_id,time_start' })
+        .select()
+        .single();
+      
+      if (error) {
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      logger.error('Failed to store transcript segment', {
+        meetingId,
+        timeStart,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get real-time transcript segments for a meeting (in speaking order)
+   */
+  async getTranscriptSegments(meetingId) {
+    try {
+      const { data, error } = await supabase
+        .from('transcript_segments')
+        .select('*')
+        .eq('meeting_id', meetingId)
+        .order('time_start', { ascending: true });
+      
+      if (error) {
+        throw error;
+      }
+      
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get transcript segments', {
+        meetingId,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Full-text search across meeting titles, descriptions and transcripts
+   * See search_meetings() in database/schema.sql for filter semantics.
+   */
+  async searchMeetings({ query, from = null, to = null, speaker = null, organizer = null, limit = 20, offset = 0 }) {
+    try {
+      const { data, error } = await supabase.rpc('search_meetings', {
+        p_query: query,
+        p_from: from,
+        p_to: to,
+        p_speaker: speaker,
+        p_organizer: organizer,
+        p_limit: limit,
+        p_offset: offset
+      });
+      
+      if (error) {
+        throw error;
+      }
+      
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to search meetings', {
+        query,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get meetings by status
    */
@@ -349,7 +682,258 @@ class DatabaseService {
   }
 
   /**
-   * Get meetings that need cleanup (old failed meetings)
+   * List meetings with filters and keyset (cursor) pagination
+   * Reads the meetings_overview view, which adds the calendar organizer and attendees.
+   * `cursor` is the { value, id } of the last row of the previous page. Returns up to
+   * `limit + 1` rows so callers can tell whether another page exists.
+   */
+  async listMeetings({ columns = '*', status = null, from = null, to = null, organizer = null, attendee = null, sortColumn = 'created_at', ascending = false, cursor = null, limit = 20 } = {}) {
+    try {
+      let query = supabase
+        .from('meetings_overview')
+        .select(columns);
+
+      if (status?.length) {
+        query = query.in('status', status);
+      }
+      if (from) {
+        query = query.gte('meeting_started_at', from);
+      }
+      if (to) {
+        query = query.lt('meeting_started_at', to);
+      }
+      if (organizer) {
+        query = query.eq('organizer_email', organizer.toLowerCase());
+      }
+      if (attendee) {
+        query = query.contains('attendee_emails', [attendee.toLowerCase()]);
+      }
+
+      // Rows without a value can't be positioned by the cursor, so they're excluded
+      query = query.not(sortColumn, 'is', null);
+
+      if (cursor) {
+        const op = ascending ? 'gt' : 'lt';
+        query = query.or(
+          `${sortColumn}.${op}."${cursor.value}",and(${sortColumn}.eq."${cursor.value}",id.${op}.${cursor.id})`
+        );
+      }
+
+      const { data, error } = await query
+        .order(sortColumn, { ascending })
+        .order('id', { ascending })
+        .limit(limit + 1);
+      
+      if (error) {
+        throw error;
+      }
+      
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to list meetings', {
+        status,
+        sortColumn,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the stored calendar event for a meeting
+   */
+  async getCalendarEvent(calendarEventId) {
+    try {
+      const { data, error } = await supabase
+        .from('calendar_events')
+        .select('*')
+        .eq('calendar_event_id', calendarEventId)
+        .single();
+      
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      logger.error('Failed to get calendar event', {
+        calendarEventId,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get stored calendar events by calendar event ID
+   */
+  async getCalendarEvents(calendarEventIds) {
+    if (calendarEventIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('calendar_events')
+        .select('*')
+        .in('calendar_event_id', calendarEventIds);
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get calendar events', {
+        count: calendarEventIds.length,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get calendar events with a Meet link starting in a time window (soonest first)
+   * Cancelled events are excluded.
+   */
+  async getUpcomingCalendarEvents(from, to) {
+    try {
+      const { data, error } = await supabase
+        .from('calendar_events')
+        .select('*')
+        .not('conference_id', 'is', null)
+        .gte('start_datetime', from.toISOString())
+        .lte('start_datetime', to.toISOString())
+        .or('status.is.null,status.neq.cancelled')
+        .order('start_datetime', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get upcoming calendar events', {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get meetings for any of the given calendar events or conferences
+   * Pass statuses to only match meetings in those statuses.
+   */
+  async getMeetingsForEvents({ calendarEventIds = [], conferenceIds = [], statuses = null }) {
+    const queries = [];
+
+    if (calendarEventIds.length > 0) {
+      queries.push(supabase.from('meetings').select('*').in('calendar_event_id', calendarEventIds));
+    }
+
+    if (conferenceIds.length > 0) {
+      queries.push(supabase.from('meetings').select('*').in('conference_id', conferenceIds));
+    }
+
+    try {
+      const results = await Promise.all(queries.map(query => statuses ? query.in('status', statuses) : query));
+      const meetings = new Map();
+
+      for (const { data, error } of results) {
+        if (error) {
+          throw error;
+        }
+
+        for (const meeting of data || []) {
+          meetings.set(meeting.id, meeting);
+        }
+      }
+
+      return [...meetings.values()];
+    } catch (error) {
+      logger.error('Failed to get meetings for calendar events', {
+        calendarEvents: calendarEventIds.length,
+        conferences: conferenceIds.length,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get which of the given Slack users have opted out of attendee DMs
+   */
+  async getSlackDmOptOuts(slackUserIds) {
+    if (slackUserIds.length === 0) {
+      return new Set();
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('slack_dm_opt_outs')
+        .select('slack_user_id')
+        .in('slack_user_id', slackUserIds);
+      
+      if (error) {
+        throw error;
+      }
+      
+      return new Set((data || []).map(row => row.slack_user_id));
+    } catch (error) {
+      logger.error('Failed to get Slack DM opt-outs', {
+        slackUserIds,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Opt a Slack user out of (or back into) attendee DMs
+   */
+  async setSlackDmOptOut(slackUserId, optedOut) {
+    try {
+      const query = optedOut
+        ? supabase.from('slack_dm_opt_outs').upsert({ slack_user_id: slackUserId }, { onConflict: 'slack_user_id' })
+        : supabase.from('slack_dm_opt_outs').delete().eq('slack_user_id', slackUserId);
+
+      const { error } = await query;
+      
+      if (error) {
+        throw error;
+      }
+
+      logger.info('Slack DM preference updated', {
+        slackUserId,
+        optedOut,
+        timestamp: new Date().toISOString()
+      });
+      
+      return optedOut;
+    } catch (error) {
+      logger.error('Failed to update Slack DM opt-out', {
+        slackUserId,
+        optedOut,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get meetings that need cleanup (old failed or ignored meetings)
    */
   async getMeetingsForCleanup(olderThanDays = 7) {
     try {
@@ -359,7 +943,7 @@ class DatabaseService {
       const { data, error } = await supabase
         .from('meetings')
         .select('*')
-        .in('status', ['failed', 'started'])
+        .in('status', ['failed', 'ignored', 'started'])
         .lt('created_at', cutoffDate.toISOString())
         .order('created_at', { ascending: true });
       
@@ -445,6 +1029,95 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Get meeting_analytics rows for meetings started in [from, to)
+   * Read in pages, since a range can hold more rows than one response returns.
+   */
+  async getMeetingAnalyticsRows({ from, to }) {
+    const pageSize = 1000;
+    const rows = [];
+
+    try {
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await supabase
+          .from('meeting_analytics')
+          .select('*')
+          .gte('started_at', from.toISOString())
+          .lt('started_at', to.toISOString())
+          .order('started_at', { ascending: true })
+          .order('id', { ascending: true })
+          .range(offset, offset + pageSize - 1);
+
+        if (error) {
+          throw error;
+        }
+
+        rows.push(...(data || []));
+
+        if (!data || data.length < pageSize) {
+          return rows;
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to get meeting analytics', {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the weekly digest for a week
+   * Returns false if another instance already claimed (or posted) it.
+   */
+  async claimWeeklyDigest(weekStart) {
+    const { error } = await supabase
+      .from('weekly_digests')
+      .insert({ week_start: weekStart });
+
+    if (error) {
+      // Unique violation on week_start - already claimed
+      if (error.code === '23505') {
+        return false;
+      }
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record where a claimed weekly digest was posted
+   */
+  async completeWeeklyDigest(weekStart, { channel, messageTs }) {
+    const { error } = await supabase
+      .from('weekly_digests')
+      .update({ channel, message_ts: messageTs })
+      .eq('week_start', weekStart);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Give up a weekly digest claim so the next run can post it
+   */
+  async releaseWeeklyDigest(weekStart) {
+    const { error } = await supabase
+      .from('weekly_digests')
+      .delete()
+      .eq('week_start', weekStart)
+      .is('message_ts', null);
+
+    if (error) {
+      throw error;
+    }
+  }
+
   /**
    * Health check - test database connectivity
    */
@@ -0,0 +1,102 @@
+jest.mock('../utils/logger');
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+const { supabase } = require('../config/database');
+const databaseService = require('./databaseService');
+
+// A webhook_events query builder: the insert hits the unique key, the update re-opens `reopened`
+const useLedger = ({ reopened }) => {
+  const query = {
+    insert: jest.fn(() => query),
+    update: jest.fn(() => query),
+    eq: jest.fn(() => query),
+    or: jest.fn(() => query),
+    select: jest.fn(() => query),
+    single: jest.fn().mockResolvedValue({ data: null, error: { code: '23505', message: 'duplicate key' } }),
+    then: (resolve) => resolve({ data: reopened, error: null })
+  };
+
+  supabase.from.mockReturnValue(query);
+  return query;
+};
+
+const event = {
+  source: 'chatterbox',
+  eventKey: 'session-1:finished',
+  eventType: 'finished',
+  sessionId: 'session-1',
+  payload: {},
+  reclaimAfterSeconds: 120
+};
+
+describe('databaseService.recordWebhookEvent', () => {
+  beforeAll(() => {
+    jest.useFakeTimers({ now: new Date('2024-03-04T10:00:00.000Z') });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  it('re-opens a failed or abandoned delivery of the same event', async () => {
+    const query = useLedger({ reopened: [{ id: 'event-1', status: 'received' }] });
+
+    const result = await databaseService.recordWebhookEvent(event);
+
+    expect(result).toEqual({ event: { id: 'event-1', status: 'received' }, duplicate: false });
+    expect(query.eq).toHaveBeenCalledWith('event_key', 'session-1:finished');
+    expect(query.or).toHaveBeenCalledWith(
+      'status.eq.failed,and(status.eq.received,received_at.lt."2024-03-04T09:58:00.000Z")'
+    );
+  });
+
+  it('reports a duplicate when the earlier delivery succeeded or is still being handled', async () => {
+    useLedger({ reopened: [] });
+
+    expect(await databaseService.recordWebhookEvent(event)).toEqual({ event: null, duplicate: true });
+  });
+});
+
+describe('databaseService.listMeetings', () => {
+  const useOverview = (rows) => {
+    const query = {};
+    for (const method of ['select', 'in', 'gte', 'lt', 'eq', 'contains', 'not', 'or', 'order', 'limit']) {
+      query[method] = jest.fn(() => query);
+    }
+    query.then = (resolve) => resolve({ data: rows, error: null });
+
+    supabase.from.mockReturnValue(query);
+    return query;
+  };
+
+  it('pages after the cursor row, breaking ties on the ID', async () => {
+    const query = useOverview([]);
+
+    await databaseService.listMeetings({
+      sortColumn: 'created_at',
+      ascending: false,
+      cursor: { value: '2024-03-04T10:00:00.000Z', id: 'meeting-1' },
+      limit: 20
+    });
+
+    expect(query.not).toHaveBeenCalledWith('created_at', 'is', null);
+    expect(query.or).toHaveBeenCalledWith(
+      'created_at.lt."2024-03-04T10:00:00.000Z",and(created_at.eq."2024-03-04T10:00:00.000Z",id.lt.meeting-1)'
+    );
+    expect(query.order.mock.calls).toEqual([['created_at', { ascending: false }], ['id', { ascending: false }]]);
+    // One extra row tells the caller there is another page
+    expect(query.limit).toHaveBeenCalledWith(21);
+  });
+
+  it('matches organizer and attendee emails case-insensitively', async () => {
+    const query = useOverview([]);
+
+    await databaseService.listMeetings({ organizer: 'Ann@Example.com', attendee: 'Bob@Example.com' });
+
+    expect(query.eq).toHaveBeenCalledWith('organizer_email', 'ann@example.com');
+    expect(query.contains).toHaveBeenCalledWith('attendee_emails', ['bob@example.com']);
+    expect(query.or).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,87 @@
+const { transporter, isEmailConfigured, EMAIL_FROM, ALERT_RECIPIENTS } = require('../config/email');
+const logger = require('../utils/logger');
+const routingService = require('./routingService');
+const { renderMeetingCompleted, renderMeetingFailed, renderCriticalAlert } = require('../utils/emailTemplates');
+
+/**
+ * Email service - the SMTP notification channel
+ * Implements the notification channel interface used by NotificationService:
+ *   name                                          -> channel name for logs
+ *   isEnabled()                                   -> boolean
+ *   sendMeetingCompleted(meeting, details)        -> result
+ *   sendMeetingFailed(meeting, error, step)       -> result
+ *   sendCriticalAlert(criticalError)              -> result
+ * where details is { recordingUrl, transcriptUrl, speakers, duration }.
+ * Meeting emails go to the recipients from routingService.resolveEmailRecipients();
+ * critical alerts go to EMAIL_ALERT_RECIPIENTS.
+ */
+class EmailService {
+  constructor() {
+    this.name = 'email';
+  }
+
+  /**
+   * Whether email notifications can be sent
+   */
+  isEnabled() {
+    return isEmailConfigured();
+  }
+
+  /**
+   * Send one rendered template to a list of recipients
+   * Recipients are put in Bcc so external stakeholders don't see each other.
+   */
+  async send(recipients, { subject, text, html }, type) {
+    if (recipients.length === 0) {
+      logger.debug('No email recipients, skipping', {
+        type,
+        timestamp: new Date().toISOString()
+      });
+      return { sent: false, recipients: 0 };
+    }
+
+    const info = await transporter.sendMail({
+      from: EMAIL_FROM,
+      to: EMAIL_FROM,
+      bcc: recipients,
+      subject,
+      text,
+      html
+    });
+
+    logger.info('Email notification sent', {
+      type,
+      recipients: recipients.length,
+      messageId: info.messageId,
+      timestamp: new Date().toISOString()
+    });
+
+    return { sent: true, recipients: recipients.length, messageId: info.messageId };
+  }
+
+  /**
+   * Email that a meeting's recording and transcript are ready
+   */
+  async sendMeetingCompleted(meeting, details) {
+    const recipients = await routingService.resolveEmailRecipients(meeting);
+    return this.send(recipients, renderMeetingCompleted({ meeting, ...details }), 'meeting_completed');
+  }
+
+  /**
+   * Email that processing failed for a meeting
+   */
+  async sendMeetingFailed(meeting, error, step = null) {
+    const recipients = await routingService.resolveEmailRecipients(meeting);
+    return this.send(recipients, renderMeetingFailed({ meeting, error, step }), 'meeting_failed');
+  }
+
+  /**
+   * Email a critical alert to the on-call recipients
+   */
+  async sendCriticalAlert(criticalError) {
+    return this.send(ALERT_RECIPIENTS, renderCriticalAlert(criticalError), 'critical_alert');
+  }
+}
+
+// Export singleton instance
+module.exports = new EmailService();
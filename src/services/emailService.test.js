@@ -0,0 +1,187 @@
+jest.mock('../utils/logger');
+jest.mock('./routingService', () => ({
+  resolveEmailRecipients: jest.fn()
+}));
+
+const { SMTPServer } = require('smtp-server');
+
+const ORIGINAL_ENV = process.env;
+
+const meeting = {
+  id: 'meeting-1',
+  conference_id: 'conf-123',
+  meeting_title: 'Q3 <script>alert("x")</script> & Planning',
+  meeting_started_at: '2024-03-04T10:00:00.000Z'
+};
+
+// Decode quoted-printable text (bodies and Q-encoded header words) as UTF-8
+const decodeQuotedPrintable = (value) => {
+  const soft = value.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < soft.length; i++) {
+    const hex = soft.slice(i + 1, i + 3);
+    if (soft[i] === '=' && /^[0-9A-F]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(soft.charCodeAt(i));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+};
+
+// Decode one MIME part body by its Content-Transfer-Encoding
+const decodePart = (headers, body) => {
+  const encoding = (headers.match(/^content-transfer-encoding:\s*(\S+)/im) || [])[1] || '7bit';
+
+  if (/base64/i.test(encoding)) {
+    return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+  }
+
+  return /quoted-printable/i.test(encoding) ? decodeQuotedPrintable(body) : body;
+};
+
+// Read a header, unfolding it and decoding RFC 2047 encoded words
+const getHeader = (headers, name) => {
+  const unfolded = headers.replace(/\r\n[ \t]+/g, ' ');
+  const value = (unfolded.match(new RegExp(`^${name}:\\s*(.*)$`, 'im')) || [])[1];
+
+  return value && value
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?UTF-8\?([QB])\?([^?]*)\?=/gi, (match, encoding, text) => (encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64').toString('utf8')
+      : decodeQuotedPrintable(text.replace(/_/g, ' '))));
+};
+
+// Split a raw message into its top-level headers and { type: body } parts
+const parseMessage = (raw) => {
+  const [headers] = raw.split(/\r\n\r\n/);
+  const boundary = (raw.match(/boundary="?([^";\r\n]+)"?/) || [])[1];
+  const parts = {};
+
+  for (const chunk of raw.split(`--${boundary}`).slice(1, -1)) {
+    const separator = chunk.indexOf('\r\n\r\n');
+    const partHeaders = chunk.slice(0, separator);
+    const type = (partHeaders.match(/^content-type:\s*([^;\s]+)/im) || [])[1];
+    parts[type] = decodePart(partHeaders, chunk.slice(separator + 4).replace(/\r\n$/, ''));
+  }
+
+  return { headers, parts };
+};
+
+describe('emailService', () => {
+  let server;
+  let received;
+  let emailService;
+  let routingService;
+
+  beforeAll(async () => {
+    server = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      logger: false,
+      onData(stream, session, callback) {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          received.push({
+            from: session.envelope.mailFrom.address,
+            to: session.envelope.rcptTo.map(({ address }) => address),
+            raw: Buffer.concat(chunks).toString('utf8')
+          });
+          callback();
+        });
+      }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    jest.resetModules();
+    process.env = {
+      ...ORIGINAL_ENV,
+      SMTP_HOST: '127.0.0.1',
+      SMTP_PORT: String(server.server.address().port),
+      SMTP_SECURE: 'false',
+      SMTP_USER: '',
+      EMAIL_FROM: 'Nomadz Meeting Bot <meetings@example.com>',
+      EMAIL_ALERT_RECIPIENTS: 'oncall@example.com'
+    };
+
+    emailService = require('./emailService');
+    routingService = require('./routingService');
+  });
+
+  beforeEach(() => {
+    received = [];
+    routingService.resolveEmailRecipients.mockResolvedValue(['ann@example.com', 'client@partner.example']);
+  });
+
+  afterAll(async () => {
+    process.env = ORIGINAL_ENV;
+    require('../config/email').transporter.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('is enabled when SMTP_HOST is set', () => {
+    expect(emailService.isEnabled()).toBe(true);
+  });
+
+  it('emails a completed meeting to its recipients in Bcc', async () => {
+    const result = await emailService.sendMeetingCompleted(meeting, {
+      recordingUrl: 'https://example.com/recording?a=1&b=2',
+      transcriptUrl: 'https://example.com/transcript',
+      speakers: 'Ann, Bob',
+      duration: '42m'
+    });
+
+    expect(result).toEqual({ sent: true, recipients: 2, messageId: expect.any(String) });
+    expect(routingService.resolveEmailRecipients).toHaveBeenCalledWith(meeting);
+    expect(received).toHaveLength(1);
+
+    const [mail] = received;
+    const { headers, parts } = parseMessage(mail.raw);
+
+    expect(mail.from).toBe('meetings@example.com');
+    expect(mail.to).toEqual(['meetings@example.com', 'ann@example.com', 'client@partner.example']);
+
+    // Bcc recipients never show up in the delivered headers
+    expect(headers).not.toMatch(/^bcc:/im);
+    expect(headers).not.toContain('client@partner.example');
+    expect(getHeader(headers, 'To')).toBe('Nomadz Meeting Bot <meetings@example.com>');
+    expect(getHeader(headers, 'Subject')).toBe('Meeting recording ready: Q3 <script>alert("x")</script> & Planning');
+
+    expect(parts['text/plain']).toContain('Recording: https://example.com/recording?a=1&b=2');
+    expect(parts['text/html']).not.toContain('<script>');
+    expect(parts['text/html']).toContain('Q3 &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; Planning Recording Completed');
+    expect(parts['text/html']).toContain('href="https://example.com/recording?a=1&amp;b=2"');
+  });
+
+  it('emails a failed meeting with the escaped error and step', async () => {
+    const result = await emailService.sendMeetingFailed(
+      meeting,
+      new Error('Upload rejected: <img src=x onerror=alert(1)>'),
+      'upload_recording'
+    );
+
+    expect(result.sent).toBe(true);
+
+    const [mail] = received;
+    const { headers, parts } = parseMessage(mail.raw);
+
+    expect(mail.to).toEqual(['meetings@example.com', 'ann@example.com', 'client@partner.example']);
+    expect(getHeader(headers, 'Subject')).toBe('Meeting recording failed: Q3 <script>alert("x")</script> & Planning');
+
+    expect(parts['text/plain']).toContain('Error: Upload rejected: <img src=x onerror=alert(1)>');
+    expect(parts['text/plain']).toContain('Failed Step: upload_recording');
+    expect(parts['text/html']).not.toMatch(/<img|<script/);
+    expect(parts['text/html']).toContain('Upload rejected: &lt;img src=x onerror=alert(1)&gt;');
+    expect(parts['text/html']).toContain('conf-123');
+  });
+
+  it('sends nothing when no recipients are configured', async () => {
+    routingService.resolveEmailRecipients.mockResolvedValue([]);
+
+    expect(await emailService.sendMeetingCompleted(meeting, {})).toEqual({ sent: false, recipients: 0 });
+    expect(received).toHaveLength(0);
+  });
+});
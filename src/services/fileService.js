@@ -1,22 +1,24 @@
 const axios = require('axios');
 const { drive } = require('../config/google');
+const { getProviderByName } = require('./storage');
 const logger = require('../utils/logger');
 
 /**
  * File service for handling large video file streaming
- * ⚠️ CRITICAL: Streams directly to Google Drive to handle large .mkv files
+ * ⚠️ CRITICAL: Streams directly to storage (see services/storage) to handle large .mkv files
  * and avoid ChatterBox URL expiration (5-minute window)
  */
 class FileService {
   /**
-   * Stream recording directly from ChatterBox URL to Google Drive
+   * Stream recording directly from ChatterBox URL to the given storage provider
    * ⚠️ CRITICAL: Must complete within 5 minutes before URL expires!
    */
-  async streamRecordingToGoogleDrive(recordingUrl, meetingTitle) {
+  async streamRecordingToStorage(recordingUrl, meetingTitle, provider) {
     const startTime = Date.now();
     
     try {
-      logger.logFileOperation('stream_to_drive', meetingTitle, 'started', {
+      logger.logFileOperation('stream_to_storage', meetingTitle, 'started', {
+        provider: provider.name,
         url: recordingUrl.substring(0, 50) + '...',
         startTime: new Date().toISOString()
       });
@@ -35,60 +37,46 @@ class FileService {
       const contentLength = response.headers['content-length'];
       const contentType = response.headers['content-type'] || 'video/x-matroska';
       
-      logger.logFileOperation('stream_to_drive', meetingTitle, 'streaming', {
+      logger.logFileOperation('stream_to_storage', meetingTitle, 'streaming', {
+        provider: provider.name,
         contentLength: contentLength ? parseInt(contentLength) : 'unknown',
         contentType,
         timestamp: new Date().toISOString()
       });
 
-      // Prepare file metadata for Google Drive
-      const fileName = `Meeting Recording - ${meetingTitle}.mkv`;
-      const fileMetadata = {
-        name: fileName,
-        parents: [process.env.GOOGLE_DRIVE_RECORDINGS_FOLDER],
-        properties: {
+      // Upload with streaming - nothing is buffered to local disk
+      const storedFile = await provider.uploadStream(response.data, {
+        name: `Meeting Recording - ${meetingTitle}.mkv`,
+        mimeType: contentType,
+        folder: 'recordings',
+        metadata: {
           source: 'chatterbox-recording',
           meetingTitle: meetingTitle,
           uploadedAt: new Date().toISOString()
         }
-      };
-
-      const media = {
-        mimeType: contentType,
-        body: response.data
-      };
-
-      // Upload to Google Drive with streaming
-      const driveResponse = await drive.files.create({
-        requestBody: fileMetadata,
-        media: media,
-        fields: 'id,name,webViewLink,webContentLink,size,createdTime'
       });
 
       const uploadTime = Date.now() - startTime;
-      const fileSizeBytes = driveResponse.data.size ? parseInt(driveResponse.data.size) : null;
+      const fileSizeBytes = storedFile.size;
       
-      logger.logFileOperation('stream_to_drive', meetingTitle, 'completed', {
-        driveFileId: driveResponse.data.id,
-        fileName: driveResponse.data.name,
+      logger.logFileOperation('stream_to_storage', meetingTitle, 'completed', {
+        provider: provider.name,
+        fileId: storedFile.id,
+        fileName: storedFile.name,
         fileSizeBytes,
         fileSizeMB: fileSizeBytes ? Math.round(fileSizeBytes / 1024 / 1024) : null,
         uploadTimeMs: uploadTime,
         uploadTimeSeconds: Math.round(uploadTime / 1000),
-        webViewLink: driveResponse.data.webViewLink,
+        webViewLink: storedFile.webViewLink,
         timestamp: new Date().toISOString()
       });
 
       // Make file shareable
-      await this.makeFileShareable(driveResponse.data.id);
+      await provider.setSharing(storedFile.id, { public: true });
 
       return {
-        id: driveResponse.data.id,
-        name: driveResponse.data.name,
-        webViewLink: driveResponse.data.webViewLink,
-        webContentLink: driveResponse.data.webContentLink,
-        size: fileSizeBytes,
-        createdTime: driveResponse.data.createdTime,
+        ...storedFile,
+        provider: provider.name,
         uploadTime,
         mimeType: contentType
       };
@@ -96,7 +84,8 @@ class FileService {
     } catch (error) {
       const uploadTime = Date.now() - startTime;
       
-      logger.error('Failed to stream recording to Google Drive', {
+      logger.error('Failed to stream recording to storage', {
+        provider: provider.name,
         meetingTitle,
         url: recordingUrl.substring(0, 50) + '...',
         uploadTime,
@@ -118,35 +107,18 @@ class FileService {
     }
   }
 
+  /**
+   * Stream recording directly from ChatterBox URL to Google Drive
+   */
+  async streamRecordingToGoogleDrive(recordingUrl, meetingTitle) {
+    return this.streamRecordingToStorage(recordingUrl, meetingTitle, getProviderByName('google_drive'));
+  }
+
   /**
    * Make a Google Drive file shareable by anyone with the link
    */
   async makeFileShareable(fileId) {
-    try {
-      await drive.permissions.create({
-        fileId,
-        requestBody: {
-          role: 'reader',
-          type: 'anyone'
-        }
-      });
-
-      logger.info('File made shareable', {
-        fileId,
-        timestamp: new Date().toISOString()
-      });
-
-      return true;
-    } catch (error) {
-      logger.error('Failed to make file shareable', {
-        fileId,
-        error: error.message,
-        timestamp: new Date().toISOString()
-      });
-      
-      // Don't throw error - file upload succeeded, sharing is optional
-      return false;
-    }
+    return getProviderByName('google_drive').setSharing(fileId, { public: true });
   }
 
   /**
@@ -175,16 +147,7 @@ class FileService {
    */
   async deleteFile(fileId) {
     try {
-      await drive.files.delete({
-        fileId
-      });
-
-      logger.info('File deleted from Google Drive', {
-        fileId,
-        timestamp: new Date().toISOString()
-      });
-
-      return true;
+      return await getProviderByName('google_drive').delete(fileId);
     } catch (error) {
       logger.error('Failed to delete file', {
         fileId,
@@ -0,0 +1,264 @@
+const EventEmitter = require('events');
+const { supabase } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Meeting pipeline jobs race the 5-minute ChatterBox recording URL expiry, so
+// they are claimed ahead of webhook deliveries and calendar syncs
+const PIPELINE_JOB_TYPES = ['process_recording', 'retry_processing', 'manual_processing'];
+const PIPELINE_PRIORITY = 10;
+
+/**
+ * Job queue service - durable queue backed by the processing_jobs table
+ * Jobs survive container restarts: a worker claims a job with a lease,
+ * renews the lease while working, and any job whose lease expires is
+ * picked up again by the next claim (including after a reboot).
+ */
+class JobQueueService extends EventEmitter {
+  /**
+   * Add a job to the queue
+   * If an active job with the same dedupe key exists, that job is returned instead.
+   */
+  async enqueue(jobType, { meetingId = null, payload = {}, dedupeKey = null, maxAttempts = 3, runAt = null, priority = null } = {}) {
+    try {
+      const { data, error } = await supabase
+        .from('processing_jobs')
+        .insert({
+          job_type: jobType,
+          meeting_id: meetingId,
+          dedupe_key: dedupeKey,
+          payload,
+          max_attempts: maxAttempts,
+          run_at: (runAt || new Date()).toISOString(),
+          priority: priority ?? (PIPELINE_JOB_TYPES.includes(jobType) ? PIPELINE_PRIORITY : 0)
+        })
+        .select()
+        .single();
+
+      if (error) {
+        // Unique violation on the active dedupe index - job already queued or running
+        if (error.code === '23505' && dedupeKey) {
+          const existing = await this.getActiveJobByDedupeKey(dedupeKey);
+
+          logger.info('Job already queued, skipping duplicate', {
+            jobType,
+            meetingId,
+            dedupeKey,
+            existingJobId: existing?.id,
+            timestamp: new Date().toISOString()
+          });
+
+          return { ...existing, deduplicated: true };
+        }
+        throw error;
+      }
+
+      logger.info('Job enqueued', {
+        jobId: data.id,
+        jobType,
+        meetingId,
+        dedupeKey,
+        timestamp: new Date().toISOString()
+      });
+
+      // Wake up any idle worker in this process
+      this.emit('enqueued', data);
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to enqueue job', {
+        jobType,
+        meetingId,
+        dedupeKey,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the queued or running job for a dedupe key
+   */
+  async getActiveJobByDedupeKey(dedupeKey) {
+    const { data, error } = await supabase
+      .from('processing_jobs')
+      .select('*')
+      .eq('dedupe_key', dedupeKey)
+      .in('status', ['queued', 'running'])
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data?.[0] || null;
+  }
+
+  /**
+   * Claim the next runnable job for a worker (highest priority, then oldest)
+   * Pass jobTypes to only claim those types. Returns null when nothing is runnable.
+   */
+  async claimNext(workerId, leaseSeconds, { jobTypes = null } = {}) {
+    const { data, error } = await supabase.rpc('claim_processing_job', {
+      p_worker_id: workerId,
+      p_lease_seconds: leaseSeconds,
+      p_job_types: jobTypes
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    const job = Array.isArray(data) ? data[0] : data;
+    return job || null;
+  }
+
+  /**
+   * Extend the lease on a running job
+   * Returns false if the lease was lost to another worker
+   */
+  async extendLease(jobId, workerId, leaseSeconds) {
+    const { data, error } = await supabase
+      .from('processing_jobs')
+      .update({
+        locked_until: new Date(Date.now() + leaseSeconds * 1000).toISOString()
+      })
+      .eq('id', jobId)
+      .eq('locked_by', workerId)
+      .eq('status', 'running')
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    return !!data?.length;
+  }
+
+  /**
+   * Mark a job as completed
+   */
+  async complete(jobId, workerId) {
+    const { error } = await supabase
+      .from('processing_jobs')
+      .update({
+        status: 'completed',
+        locked_by: null,
+        locked_until: null,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', jobId)
+      .eq('locked_by', workerId);
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info('Job completed', {
+      jobId,
+      workerId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record a job failure
+   * Retryable jobs with attempts left are requeued with exponential backoff.
+   */
+  async fail(job, workerId, jobError, { retryable = false } = {}) {
+    const canRetry = retryable && job.attempts < job.max_attempts;
+    const updates = {
+      last_error: jobError.message,
+      locked_by: null,
+      locked_until: null
+    };
+
+    if (canRetry) {
+      const backoffMs = Math.pow(2, job.attempts) * 30 * 1000;
+      updates.status = 'queued';
+      updates.run_at = new Date(Date.now() + backoffMs).toISOString();
+    } else {
+      updates.status = 'failed';
+      updates.completed_at = new Date().toISOString();
+    }
+
+    const { error } = await supabase
+      .from('processing_jobs')
+      .update(updates)
+      .eq('id', job.id)
+      .eq('locked_by', workerId);
+
+    if (error) {
+      throw error;
+    }
+
+    logger.warn(canRetry ? 'Job failed, requeued for retry' : 'Job failed permanently', {
+      jobId: job.id,
+      jobType: job.job_type,
+      meetingId: job.meeting_id,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      runAt: updates.run_at,
+      error: jobError.message,
+      timestamp: new Date().toISOString()
+    });
+
+    return { requeued: canRetry };
+  }
+
+  /**
+   * Hand a running job back to the queue (used on graceful shutdown)
+   */
+  async release(jobId, workerId) {
+    const { error } = await supabase
+      .from('processing_jobs')
+      .update({
+        status: 'queued',
+        locked_by: null,
+        locked_until: null,
+        run_at: new Date().toISOString()
+      })
+      .eq('id', jobId)
+      .eq('locked_by', workerId)
+      .eq('status', 'running');
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Fail jobs whose lease expired on their last allowed attempt
+   * Returns the jobs that were failed so callers can clean up after them.
+   */
+  async failExhaustedJobs() {
+    const { data, error } = await supabase.rpc('fail_exhausted_processing_jobs');
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get jobs for a meeting (most recent first)
+   */
+  async getJobsForMeeting(meetingId) {
+    const { data, error } = await supabase
+      .from('processing_jobs')
+      .select('*')
+      .eq('meeting_id', meetingId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+}
+
+// Export singleton instance
+module.exports = new JobQueueService();
+module.exports.PIPELINE_JOB_TYPES = PIPELINE_JOB_TYPES;
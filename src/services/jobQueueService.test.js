@@ -0,0 +1,179 @@
+jest.mock('../utils/logger');
+jest.mock('../config/database', () => {
+  const insert = jest.fn();
+
+  return {
+    insert,
+    supabase: {
+      from: jest.fn(() => ({
+        insert: (row) => {
+          insert(row);
+          return {
+            select: () => ({
+              single: async () => ({ data: { id: 'job-1', ...row }, error: null })
+            })
+          };
+        }
+      })),
+      rpc: jest.fn().mockResolvedValue({ data: [], error: null })
+    }
+  };
+});
+
+const { supabase, insert } = require('../config/database');
+const jobQueueService = require('./jobQueueService');
+
+// A processing_jobs query builder that settles with `result` however it is chained
+const useQuery = (result) => {
+  const query = {
+    insert: jest.fn(() => query),
+    update: jest.fn(() => query),
+    select: jest.fn(() => query),
+    eq: jest.fn(() => query),
+    in: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    single: jest.fn().mockResolvedValue(result),
+    then: (resolve) => resolve(result)
+  };
+
+  supabase.from.mockReturnValueOnce(query);
+  return query;
+};
+
+describe('jobQueueService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('queues meeting pipeline jobs ahead of other work', async () => {
+    await jobQueueService.enqueue('process_recording', { meetingId: 'meeting-1' });
+    await jobQueueService.enqueue('retry_processing', { meetingId: 'meeting-1' });
+    await jobQueueService.enqueue('deliver_webhook', { payload: { deliveryId: 'delivery-1' } });
+    await jobQueueService.enqueue('sync_calendar', { payload: { calendarId: 'primary' } });
+
+    const priorities = insert.mock.calls.map(([row]) => [row.job_type, row.priority]);
+
+    expect(priorities).toEqual([
+      ['process_recording', 10],
+      ['retry_processing', 10],
+      ['deliver_webhook', 0],
+      ['sync_calendar', 0]
+    ]);
+  });
+
+  it('takes an explicit priority', async () => {
+    await jobQueueService.enqueue('sync_calendar', { priority: 5 });
+
+    expect(insert).toHaveBeenCalledWith(expect.objectContaining({ priority: 5 }));
+  });
+
+  it('passes job type limits to claim_processing_job', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: [{ id: 'job-1' }], error: null });
+
+    const job = await jobQueueService.claimNext('worker-1', 60, { jobTypes: ['process_recording'] });
+
+    expect(job).toEqual({ id: 'job-1' });
+    expect(supabase.rpc).toHaveBeenCalledWith('claim_processing_job', {
+      p_worker_id: 'worker-1',
+      p_lease_seconds: 60,
+      p_job_types: ['process_recording']
+    });
+  });
+
+  it('claims any job type by default', async () => {
+    expect(await jobQueueService.claimNext('worker-1', 60)).toBeNull();
+    expect(supabase.rpc).toHaveBeenCalledWith('claim_processing_job', expect.objectContaining({ p_job_types: null }));
+  });
+
+  it('returns the active job instead of queueing a duplicate', async () => {
+    const listener = jest.fn();
+    jobQueueService.on('enqueued', listener);
+
+    useQuery({ data: null, error: { code: '23505', message: 'duplicate key' } });
+    const lookup = useQuery({ data: [{ id: 'job-0', status: 'running' }], error: null });
+
+    const job = await jobQueueService.enqueue('process_recording', {
+      meetingId: 'meeting-1',
+      dedupeKey: 'meeting:meeting-1'
+    });
+
+    expect(job).toEqual({ id: 'job-0', status: 'running', deduplicated: true });
+    expect(lookup.eq).toHaveBeenCalledWith('dedupe_key', 'meeting:meeting-1');
+    expect(lookup.in).toHaveBeenCalledWith('status', ['queued', 'running']);
+    expect(listener).not.toHaveBeenCalled();
+
+    jobQueueService.off('enqueued', listener);
+  });
+
+  it('wakes workers when a job is queued', async () => {
+    const listener = jest.fn();
+    jobQueueService.on('enqueued', listener);
+
+    await jobQueueService.enqueue('process_recording', { meetingId: 'meeting-1' });
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ id: 'job-1', meeting_id: 'meeting-1' }));
+
+    jobQueueService.off('enqueued', listener);
+  });
+
+  describe('fail', () => {
+    beforeAll(() => {
+      jest.useFakeTimers({ now: new Date('2024-03-04T10:00:00.000Z') });
+    });
+
+    afterAll(() => {
+      jest.useRealTimers();
+    });
+
+    it('requeues a retryable job with exponential backoff', async () => {
+      const query = useQuery({ error: null });
+
+      const result = await jobQueueService.fail(
+        { id: 'job-1', attempts: 2, max_attempts: 3 },
+        'worker-1',
+        new Error('timeout'),
+        { retryable: true }
+      );
+
+      expect(result).toEqual({ requeued: true });
+      expect(query.update).toHaveBeenCalledWith({
+        last_error: 'timeout',
+        locked_by: null,
+        locked_until: null,
+        status: 'queued',
+        run_at: '2024-03-04T10:02:00.000Z'
+      });
+      expect(query.eq).toHaveBeenCalledWith('locked_by', 'worker-1');
+    });
+
+    it('fails a job on its last attempt', async () => {
+      const query = useQuery({ error: null });
+
+      const result = await jobQueueService.fail(
+        { id: 'job-1', attempts: 3, max_attempts: 3 },
+        'worker-1',
+        new Error('timeout'),
+        { retryable: true }
+      );
+
+      expect(result).toEqual({ requeued: false });
+      expect(query.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'failed',
+        completed_at: '2024-03-04T10:00:00.000Z'
+      }));
+    });
+
+    it('fails a job that is not retryable on its first attempt', async () => {
+      const query = useQuery({ error: null });
+
+      const result = await jobQueueService.fail(
+        { id: 'job-1', attempts: 1, max_attempts: 3 },
+        'worker-1',
+        new Error('pipeline failed')
+      );
+
+      expect(result).toEqual({ requeued: false });
+      expect(query.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed' }));
+    });
+  });
+});
@@ -1,3 +1,4 @@
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const { handleCriticalError } = require('../middlewares/errorHandler');
 
@@ -7,18 +8,154 @@ const chatterboxService = require('./chatterboxService');
 const fileService = require('./fileService');
 const transcriptService = require('./transcriptService');
 const notificationService = require('./notificationService');
+const jobQueueService = require('./jobQueueService');
+const { getStorageProvider } = require('./storage');
+const meetingStateMachine = require('./meetingStateMachine');
+const slackThreadService = require('./slackThreadService');
+const webhookService = require('./webhookService');
+const summaryService = require('./summaryService');
+
+// Display name of the ChatterBox bot in the meeting
+const BOT_NAME = 'Nomadz Meeting Bot';
+
+/**
+ * What each pipeline step persists to processing_logs.metadata.output
+ * A step with a stored output is treated as done when processing resumes.
+ */
+const summarizeSessionData = (sessionData) => ({
+  transcriptLength: sessionData.transcript?.length || 0,
+  startTimestamp: sessionData.startTimestamp || null,
+  endTimestamp: sessionData.endTimestamp || null
+});
+
+const STEP_OUTPUTS = {
+  fetch_session_data: summarizeSessionData,
+  fetch_transcript: summarizeSessionData,
+  // Step name predates pluggable storage; it covers uploads to any provider
+  stream_to_drive: (file) => ({
+    id: file.id,
+    provider: file.provider,
+    name: file.name,
+    webViewLink: file.webViewLink,
+    webContentLink: file.webContentLink,
+    size: file.size,
+    mimeType: file.mimeType
+  }),
+  create_transcript: (doc) => ({
+    id: doc.id,
+    name: doc.name,
+    webViewLink: doc.webViewLink,
+    webContentLink: doc.webContentLink
+  }),
+  summarize: (summary) => summary,
+  send_notification: (result) => ({
+    messageTs: result.messageTs,
+    channel: result.channel
+  }),
+  export_transcript: (files) => files,
+  notify_attendees: (result) => result
+};
 
 /**
  * Meeting service - orchestrates the entire meeting recording workflow
  * Handles the critical 5-minute processing window for ChatterBox recordings
  */
 class MeetingService {
+  /**
+   * Queue the processing pipeline for a meeting on the durable job queue
+   * Only one pipeline job per meeting can be queued or running at a time.
+   */
+  async queueProcessing(meetingId, jobType, { sessionId, recordingUrl = null, source = null }) {
+    const job = await jobQueueService.enqueue(jobType, {
+      meetingId,
+      dedupeKey: `meeting:${meetingId}`,
+      payload: { sessionId, recordingUrl, source }
+    });
+
+    logger.logMeetingEvent(meetingId, 'processing_queued', {
+      jobId: job.id,
+      jobType,
+      source,
+      deduplicated: !!job.deduplicated
+    });
+
+    return job;
+  }
+
+  /**
+   * Create a meeting record and send the ChatterBox bot to join it
+   * The bot reports back through the direct webhook (started, transcript, finished).
+   * If the join request fails the meeting is marked failed and the error rethrown.
+   */
+  async startBotForMeeting({ calendarEventId, conferenceId, title, description = null, startedAt = null, endedAt = null, reason = 'calendar_meeting_started' }) {
+    const meeting = await meetingStateMachine.createMeeting({
+      calendar_event_id: calendarEventId,
+      conference_id: conferenceId,
+      meeting_title: title,
+      meeting_description: description,
+      meeting_started_at: startedAt ? new Date(startedAt) : new Date(),
+      meeting_ended_at: endedAt ? new Date(endedAt) : null,
+      status: 'started'
+    }, reason);
+
+    logger.logMeetingEvent(meeting.id, 'created', {
+      calendarEventId,
+      title,
+      conferenceId,
+      reason
+    });
+    webhookService.publish('meeting.created', meeting.id);
+
+    let sessionData;
+
+    try {
+      sessionData = await chatterboxService.joinMeeting({
+        meetingId: conferenceId,
+        botName: BOT_NAME,
+        webhookUrl: `${process.env.BASE_URL}/webhook/chatterbox-direct`
+      });
+    } catch (error) {
+      await meetingStateMachine.transition(meeting.id, 'failed', {
+        reason: 'bot_join_failed',
+        metadata: { error: error.message }
+      }).catch(dbError => {
+        logger.error('Failed to mark meeting failed after bot join error', {
+          meetingId: meeting.id,
+          dbError: dbError.message,
+          timestamp: new Date().toISOString()
+        });
+      });
+
+      throw error;
+    }
+
+    const updated = await meetingStateMachine.transition(meeting.id, 'bot_joining', {
+      reason: 'bot_join_requested',
+      updates: {
+        chatterbox_session_id: sessionData.sessionId,
+        bot_join_status: 'joining'
+      }
+    });
+
+    logger.logMeetingEvent(meeting.id, 'bot_join_requested', {
+      sessionId: sessionData.sessionId,
+      conferenceId
+    });
+
+    return { meeting: updated || meeting, sessionId: sessionData.sessionId };
+  }
+
   /**
    * Process recording urgently within 5-minute window
    * ⚠️ CRITICAL: ChatterBox recording URLs expire in 5 minutes!
+   * Steps already completed in processing_logs are skipped, so a retry resumes
+   * at the first incomplete step instead of re-downloading the recording.
+   * The meeting is claimed atomically first; ownerId identifies this run (the
+   * queue job ID) so a crashed job can reclaim its own meeting when resumed.
    */
-  async processRecordingUrgently(meetingId, recordingUrl, sessionId) {
+  async processRecordingUrgently(meetingId, recordingUrl, sessionId, { ownerId = uuidv4() } = {}) {
     const startTime = Date.now();
+    let claimed = null;
     
     try {
       logger.logMeetingEvent(meetingId, 'urgent_processing_started', {
@@ -28,10 +165,19 @@ class MeetingService {
       });
 
       // Update meeting status immediately
-      await databaseService.updateMeeting(meetingId, {
-        status: 'processing',
-        recording_s3_url: recordingUrl,
+      const processingUpdates = {
         processing_started_at: new Date().toISOString()
+      };
+
+      // Don't wipe a previously stored URL when resuming without one
+      if (recordingUrl) {
+        processingUpdates.recording_s3_url = recordingUrl;
+      }
+
+      // Exactly one processor wins per meeting
+      claimed = await meetingStateMachine.claimForProcessing(meetingId, ownerId, {
+        reason: sessionId ? `processing_requested:${sessionId}` : 'processing_requested',
+        updates: processingUpdates
       });
 
       // Get meeting details
@@ -40,93 +186,282 @@ class MeetingService {
         throw new Error(`Meeting not found: ${meetingId}`);
       }
 
-      let processedRecordingUrl = recordingUrl;
-      let transcriptData = null;
+      if (!claimed) {
+        logger.logMeetingEvent(meetingId, 'processing_skipped', {
+          sessionId,
+          ownerId,
+          currentStatus: meeting.status,
+          reason: 'meeting_already_processing_or_completed'
+        });
+
+        return {
+          success: false,
+          skipped: true,
+          meetingId,
+          sessionId,
+          status: meeting.status
+        };
+      }
+
+      // Outputs of steps that already succeeded on a previous run
+      const completedSteps = await this.getCompletedSteps(meetingId);
+
+      if (completedSteps.size > 0) {
+        logger.logMeetingEvent(meetingId, 'processing_resumed', {
+          sessionId,
+          completedSteps: [...completedSteps.keys()]
+        });
+      }
+
+      let transcriptData = this.getStoredTranscriptData(meeting, completedSteps);
+
+      // A resumed run keeps writing to the provider its files were already stored with
+      const storage = await getStorageProvider(meeting.storage_provider);
+
+      // Steps 1-3: Get the recording into storage (skipped if already uploaded)
+      let driveFile = completedSteps.get('stream_to_drive');
+
+      if (driveFile) {
+        logger.logProcessingStep(meetingId, 'stream_to_drive', 'skipped', {
+          reason: 'already_completed',
+          driveFileId: driveFile.id
+        });
+      } else {
+        let processedRecordingUrl = recordingUrl;
 
-      // Step 1: If no recording URL provided, try to get session data
-      if (!recordingUrl) {
-        logger.logProcessingStep(meetingId, 'fetch_session_data', 'started');
+        // Step 1: If no recording URL provided, try to get session data
+        if (!processedRecordingUrl) {
+          logger.logProcessingStep(meetingId, 'fetch_session_data', 'started');
+          
+          const sessionData = await this.processStep(
+            meetingId,
+            'fetch_session_data',
+            () => chatterboxService.getSessionData(sessionId)
+          );
+          
+          processedRecordingUrl = sessionData.recordingLink;
+          transcriptData = await this.storeTranscriptData(
+            meetingId,
+            await this.withSegmentFallback(meetingId, sessionData)
+          );
+          
+          if (!processedRecordingUrl) {
+            throw new Error('No recording URL available from ChatterBox session');
+          }
+        }
+
+        // Step 2: Skip URL validation - ChatterBox provides valid URLs
+        // URL validation was causing false failures with AWS S3 signed URLs
+        logger.info('Skipping URL validation - trusting ChatterBox URL', {
+          meetingId,
+          hasUrl: !!processedRecordingUrl,
+          timestamp: new Date().toISOString()
+        });
+
+        // Step 3: Download and stream recording to storage immediately
+        logger.logProcessingStep(meetingId, 'stream_to_drive', 'started');
         
-        const sessionData = await this.processStep(
+        driveFile = await this.processStep(
           meetingId,
-          'fetch_session_data',
-          () => chatterboxService.getSessionData(sessionId)
+          'stream_to_drive',
+          () => fileService.streamRecordingToStorage(
+            processedRecordingUrl,
+            meeting.meeting_title,
+            storage
+          )
         );
+
+        // Persist right away so the recording link survives a later failure
+        await databaseService.updateMeeting(meetingId, {
+          storage_provider: storage.name,
+          google_drive_recording_id: driveFile.id,
+          google_drive_recording_url: driveFile.webViewLink
+        });
+      }
+
+      // Step 4: Get transcript data if not already fetched or stored
+      if (!transcriptData) {
+        logger.logProcessingStep(meetingId, 'fetch_transcript', 'started');
         
-        processedRecordingUrl = sessionData.recordingLink;
-        transcriptData = sessionData;
+        let sessionData;
+
+        try {
+          sessionData = await this.processStep(
+            meetingId,
+            'fetch_transcript',
+            () => chatterboxService.getSessionData(sessionId)
+          );
+        } catch (fetchError) {
+          // Don't lose the transcript to one failed call - use the real-time segments if we have them
+          const transcript = await this.getSegmentTranscript(meetingId).catch(() => []);
+
+          if (transcript.length === 0) {
+            throw fetchError;
+          }
+
+          logger.logMeetingEvent(meetingId, 'transcript_fallback_to_segments', {
+            reason: 'session_fetch_failed',
+            error: fetchError.message,
+            segmentCount: transcript.length
+          });
+
+          sessionData = { transcript };
+        }
+
+        transcriptData = await this.storeTranscriptData(
+          meetingId,
+          await this.withSegmentFallback(meetingId, sessionData)
+        );
+      }
+
+      // Step 5: Create transcript document
+      let transcriptDoc = completedSteps.get('create_transcript');
+
+      if (transcriptDoc) {
+        logger.logProcessingStep(meetingId, 'create_transcript', 'skipped', {
+          reason: 'already_completed',
+          documentId: transcriptDoc.id
+        });
+      } else {
+        logger.logProcessingStep(meetingId, 'create_transcript', 'started');
         
-        if (!processedRecordingUrl) {
-          throw new Error('No recording URL available from ChatterBox session');
+        transcriptDoc = await this.processStep(
+          meetingId,
+          'create_transcript',
+          () => transcriptService.createTranscriptDocument(
+            // Timestamps in the document link into the recording uploaded above
+            { ...meeting, google_drive_recording_url: driveFile.webViewLink },
+            transcriptData.transcript,
+            storage
+          )
+        );
+
+        await databaseService.updateMeeting(meetingId, {
+          google_drive_transcript_id: transcriptDoc.id,
+          google_drive_transcript_url: transcriptDoc.webViewLink
+        });
+      }
+
+      // Step 6: Summarize the transcript into the document (optional; a failure doesn't fail the meeting)
+      let summary = completedSteps.get('summarize') || null;
+
+      if (summary) {
+        logger.logProcessingStep(meetingId, 'summarize', 'skipped', {
+          reason: 'already_completed'
+        });
+      } else if (transcriptData.transcript?.length > 0 && await summaryService.isEnabled()) {
+        try {
+          summary = await this.processStep(
+            meetingId,
+            'summarize',
+            async () => {
+              const result = await summaryService.summarizeMeeting(meeting, transcriptData.transcript);
+
+              if (result) {
+                await databaseService.updateMeeting(meetingId, { summary: result });
+
+                // Skipped for a document that already has a summary, so a retried or resumed step doesn't add it twice
+                await transcriptService.addSummaryToDocument(transcriptDoc.id, result, storage);
+              }
+
+              return result;
+            },
+            2
+          );
+        } catch (error) {
+          logger.warn('Meeting summary failed, completing meeting without it', {
+            meetingId,
+            error: error.message,
+            timestamp: new Date().toISOString()
+          });
         }
       }
 
-      // Step 2: Skip URL validation - ChatterBox provides valid URLs
-      // URL validation was causing false failures with AWS S3 signed URLs
-      logger.info('Skipping URL validation - trusting ChatterBox URL', {
-        meetingId,
-        hasUrl: !!processedRecordingUrl,
-        timestamp: new Date().toISOString()
-      });
+      // Step 7: Upload transcript exports next to the recording (optional; a failure doesn't fail the meeting)
+      const exportFormats = transcriptService.getUploadExportFormats();
 
-      // Step 3: Download and stream recording to Google Drive immediately
-      logger.logProcessingStep(meetingId, 'stream_to_drive', 'started');
-      
-      const driveFile = await this.processStep(
-        meetingId,
-        'stream_to_drive',
-        () => fileService.streamRecordingToGoogleDrive(
-          processedRecordingUrl,
-          meeting.meeting_title
-        )
-      );
-
-      // Step 4: Get transcript data if not already fetched
-      if (!transcriptData) {
-        logger.logProcessingStep(meetingId, 'fetch_transcript', 'started');
+      if (completedSteps.has('export_transcript')) {
+        logger.logProcessingStep(meetingId, 'export_transcript', 'skipped', {
+          reason: 'already_completed'
+        });
+      } else if (exportFormats.length > 0) {
+        try {
+          await this.processStep(
+            meetingId,
+            'export_transcript',
+            () => transcriptService.uploadTranscriptExports(
+              { ...meeting, google_drive_recording_url: driveFile.webViewLink },
+              transcriptData.transcript,
+              storage,
+              exportFormats
+            ),
+            2
+          );
+        } catch (error) {
+          logger.warn('Transcript export upload failed, completing meeting without it', {
+            meetingId,
+            error: error.message,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
+      // Step 8: Send Slack notification
+      let slackResult = completedSteps.get('send_notification');
+
+      if (slackResult) {
+        logger.logProcessingStep(meetingId, 'send_notification', 'skipped', {
+          reason: 'already_completed',
+          messageTs: slackResult.messageTs
+        });
+      } else {
+        logger.logProcessingStep(meetingId, 'send_notification', 'started');
         
-        transcriptData = await this.processStep(
+        slackResult = await this.processStep(
           meetingId,
-          'fetch_transcript',
-          () => chatterboxService.getSessionData(sessionId)
+          'send_notification',
+          () => notificationService.sendMeetingCompletedNotification(
+            meeting,
+            driveFile,
+            transcriptDoc,
+            transcriptData,
+            summary
+          )
         );
       }
 
-      // Step 5: Create transcript document
-      logger.logProcessingStep(meetingId, 'create_transcript', 'started');
-      
-      const transcriptDoc = await this.processStep(
-        meetingId,
-        'create_transcript',
-        () => transcriptService.createTranscriptDocument(meeting, transcriptData.transcript)
-      );
+      // Step 9: DM attendees (opt-in; a failure here doesn't fail the meeting)
+      if (completedSteps.has('notify_attendees')) {
+        logger.logProcessingStep(meetingId, 'notify_attendees', 'skipped', {
+          reason: 'already_completed'
+        });
+      } else {
+        try {
+          await this.processStep(
+            meetingId,
+            'notify_attendees',
+            () => notificationService.sendAttendeeNotifications(meeting, driveFile, transcriptDoc),
+            1
+          );
+        } catch (error) {
+          logger.warn('Attendee DMs failed, completing meeting without them', {
+            meetingId,
+            error: error.message,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
 
-      // Step 6: Send Slack notification
-      logger.logProcessingStep(meetingId, 'send_notification', 'started');
-      
-      const slackResult = await this.processStep(
-        meetingId,
-        'send_notification',
-        () => notificationService.sendMeetingCompletedNotification(
-          meeting,
-          driveFile,
-          transcriptDoc,
-          transcriptData
-        )
-      );
-
-      // Step 7: Update meeting as completed
-      await databaseService.updateMeeting(meetingId, {
-        status: 'completed',
-        google_drive_recording_id: driveFile.id,
-        google_drive_recording_url: driveFile.webViewLink,
-        google_drive_transcript_id: transcriptDoc.id,
-        google_drive_transcript_url: transcriptDoc.webViewLink,
-        recording_start_timestamp: transcriptData.startTimestamp ? new Date(transcriptData.startTimestamp) : null,
-        recording_end_timestamp: transcriptData.endTimestamp ? new Date(transcriptData.endTimestamp) : null,
-        transcript_data: transcriptData.transcript,
-        slack_message_ts: slackResult.messageTs,
-        processing_completed_at: new Date().toISOString()
+      // Step 10: Update meeting as completed
+      await meetingStateMachine.transition(meetingId, 'completed', {
+        reason: 'processing_completed',
+        updates: {
+          google_drive_recording_id: driveFile.id,
+          google_drive_recording_url: driveFile.webViewLink,
+          google_drive_transcript_id: transcriptDoc.id,
+          google_drive_transcript_url: transcriptDoc.webViewLink,
+          processing_completed_at: new Date().toISOString()
+        }
       });
 
       const processingTime = Date.now() - startTime;
@@ -137,8 +472,10 @@ class MeetingService {
         processingTimeSeconds: Math.round(processingTime / 1000),
         driveFileId: driveFile.id,
         transcriptDocId: transcriptDoc.id,
+        resumedSteps: [...completedSteps.keys()],
         timestamp: new Date().toISOString()
       });
+      webhookService.publish('processing.completed', meetingId, { processingTimeMs: processingTime });
 
       return {
         success: true,
@@ -153,25 +490,36 @@ class MeetingService {
     } catch (error) {
       const processingTime = Date.now() - startTime;
       
-      // Mark meeting as failed
-      await databaseService.updateMeeting(meetingId, {
-        status: 'failed',
-        processing_completed_at: new Date().toISOString()
-      }).catch(dbError => {
-        logger.error('Failed to update meeting status to failed', {
-          meetingId,
-          dbError: dbError.message,
-          timestamp: new Date().toISOString()
+      // Mark meeting as failed (only if this run holds the processing claim)
+      if (claimed) {
+        await meetingStateMachine.transition(meetingId, 'failed', {
+          reason: error.message,
+          updates: { processing_completed_at: new Date().toISOString() }
+        }).catch(dbError => {
+          logger.error('Failed to update meeting status to failed', {
+            meetingId,
+            dbError: dbError.message,
+            timestamp: new Date().toISOString()
+          });
         });
-      });
+      }
 
-      // Handle critical error with immediate alerting
-      await handleCriticalError(meetingId, 'urgent_processing', error, {
-        sessionId,
-        recordingUrl: recordingUrl ? 'provided' : 'not_provided',
-        processingTime,
-        timestamp: new Date().toISOString()
-      });
+      // Post the failure with retry/ignore buttons (see controllers/slackController.js)
+      const failureNotified = claimed
+        ? await notificationService.sendMeetingFailedNotification(claimed, error, error.step || null)
+          .then(() => true)
+          .catch(() => false) // Already logged by the notification service
+        : false;
+
+      // Fall back to the critical alert when nobody saw the failure message
+      if (!failureNotified) {
+        await handleCriticalError(meetingId, 'urgent_processing', error, {
+          sessionId,
+          recordingUrl: recordingUrl ? 'provided' : 'not_provided',
+          processingTime,
+          timestamp: new Date().toISOString()
+        });
+      }
 
       logger.logMeetingEvent(meetingId, 'urgent_processing_failed', {
         sessionId,
@@ -180,41 +528,30 @@ class MeetingService {
         timestamp: new Date().toISOString()
       });
 
+      if (claimed) {
+        webhookService.publish('processing.failed', meetingId, {
+          error: error.message,
+          step: error.step || null
+        });
+      }
+
       throw error;
     }
   }
 
   /**
    * Retry processing for a failed meeting
+   * Resumes at the first incomplete step. A new recording URL is only fetched
+   * when the recording never made it to Google Drive.
    */
-  async retryProcessing(meetingId, sessionId) {
+  async retryProcessing(meetingId, sessionId, options = {}) {
     try {
       logger.logMeetingEvent(meetingId, 'retry_processing_started', {
         sessionId,
         timestamp: new Date().toISOString()
       });
 
-      // Reset meeting status
-      await databaseService.updateMeeting(meetingId, {
-        status: 'processing',
-        processing_started_at: new Date().toISOString()
-      });
-
-      // Try to get session data (recording URL might still be available)
-      const sessionData = await chatterboxService.getSessionData(sessionId);
-      
-      if (sessionData.recordingLink) {
-        // Skip URL validation - trust ChatterBox and attempt processing
-        logger.info('Retrying processing without URL validation', {
-          meetingId,
-          sessionId,
-          timestamp: new Date().toISOString()
-        });
-        
-        return await this.processRecordingUrgently(meetingId, sessionData.recordingLink, sessionId);
-      } else {
-        throw new Error('No recording URL available for retry');
-      }
+      return await this.processRecordingUrgently(meetingId, null, sessionId, options);
 
     } catch (error) {
       logger.error('Retry processing failed', {
@@ -224,10 +561,6 @@ class MeetingService {
         timestamp: new Date().toISOString()
       });
 
-      await databaseService.updateMeeting(meetingId, {
-        status: 'failed'
-      });
-
       throw error;
     }
   }
@@ -235,7 +568,7 @@ class MeetingService {
   /**
    * Manual processing for testing/debugging
    */
-  async manualProcessMeeting(meetingId, sessionId) {
+  async manualProcessMeeting(meetingId, sessionId, options = {}) {
     try {
       logger.logMeetingEvent(meetingId, 'manual_processing_started', {
         sessionId,
@@ -246,7 +579,7 @@ class MeetingService {
       const sessionData = await chatterboxService.getSessionData(sessionId);
       
       // Process regardless of URL expiration (for testing)
-      return await this.processRecordingUrgently(meetingId, sessionData.recordingLink, sessionId);
+      return await this.processRecordingUrgently(meetingId, sessionData.recordingLink, sessionId, options);
 
     } catch (error) {
       logger.error('Manual processing failed', {
@@ -259,11 +592,103 @@ class MeetingService {
     }
   }
 
+  /**
+   * Get outputs of completed steps from the processing_logs ledger
+   * Returns a Map of step name -> persisted output (latest run wins)
+   */
+  async getCompletedSteps(meetingId) {
+    const logs = await databaseService.getProcessingLogs(meetingId);
+    const completedSteps = new Map();
+
+    for (const log of logs) {
+      if (log.status === 'completed' && log.metadata?.output) {
+        completedSteps.set(log.step, log.metadata.output);
+      }
+    }
+
+    return completedSteps;
+  }
+
+  /**
+   * Rebuild transcript data from the meeting row if a fetch step already stored it
+   */
+  getStoredTranscriptData(meeting, completedSteps) {
+    const transcriptFetched = completedSteps.has('fetch_transcript') || completedSteps.has('fetch_session_data');
+
+    if (!transcriptFetched || !Array.isArray(meeting.transcript_data)) {
+      return null;
+    }
+
+    return {
+      transcript: meeting.transcript_data,
+      startTimestamp: meeting.recording_start_timestamp,
+      endTimestamp: meeting.recording_end_timestamp
+    };
+  }
+
+  /**
+   * Build a ChatterBox-shaped transcript from the stored real-time segments
+   */
+  async getSegmentTranscript(meetingId) {
+    const segments = await databaseService.getTranscriptSegments(meetingId);
+
+    return segments.map(segment => ({
+      speaker: segment.speaker,
+      text: segment.text,
+      start: segment.time_start,
+      end: segment.time_end
+    }));
+  }
+
+  /**
+   * Fill in the transcript from real-time segments when ChatterBox returned none
+   */
+  async withSegmentFallback(meetingId, sessionData) {
+    if (sessionData.transcript?.length > 0) {
+      return sessionData;
+    }
+
+    const transcript = await this.getSegmentTranscript(meetingId);
+
+    if (transcript.length === 0) {
+      return sessionData;
+    }
+
+    logger.logMeetingEvent(meetingId, 'transcript_fallback_to_segments', {
+      reason: 'empty_session_transcript',
+      segmentCount: transcript.length
+    });
+
+    return { ...sessionData, transcript };
+  }
+
+  /**
+   * Persist fetched transcript data on the meeting so later steps can resume without ChatterBox
+   */
+  async storeTranscriptData(meetingId, sessionData) {
+    const transcriptData = {
+      transcript: sessionData.transcript || [],
+      startTimestamp: sessionData.startTimestamp || null,
+      endTimestamp: sessionData.endTimestamp || null
+    };
+
+    await databaseService.updateMeeting(meetingId, {
+      transcript_data: transcriptData.transcript,
+      speaker_analytics: transcriptService.getSpeakerAnalytics(transcriptData.transcript),
+      recording_start_timestamp: transcriptData.startTimestamp ? new Date(transcriptData.startTimestamp) : null,
+      recording_end_timestamp: transcriptData.endTimestamp ? new Date(transcriptData.endTimestamp) : null
+    });
+
+    return transcriptData;
+  }
+
   /**
    * Process a single step with error handling and logging
+   * The step's output is saved in the log metadata (see STEP_OUTPUTS) for resuming.
    */
   async processStep(meetingId, stepName, processingFunction, maxRetries = 3) {
     const log = await databaseService.logProcessingStep(meetingId, stepName, 'started');
+    slackThreadService.refresh(meetingId);
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
@@ -273,11 +698,14 @@ class MeetingService {
         });
 
         const result = await processingFunction();
+        const serializeOutput = STEP_OUTPUTS[stepName];
         
         await databaseService.updateProcessingStep(log.id, 'completed', {
           attempt,
-          result: typeof result === 'object' ? 'object' : String(result).substring(0, 100)
+          result: typeof result === 'object' ? 'object' : String(result).substring(0, 100),
+          output: serializeOutput && result ? serializeOutput(result) : undefined
         });
+        slackThreadService.refresh(meetingId);
 
         logger.logProcessingStep(meetingId, stepName, 'completed', {
           attempt,
@@ -295,6 +723,7 @@ class MeetingService {
         });
         
         if (attempt === maxRetries) {
+          error.step = error.step || stepName;
           await databaseService.updateProcessingStep(
             log.id,
             'failed',
@@ -302,6 +731,7 @@ class MeetingService {
             error.message,
             { stack: error.stack }
           );
+          slackThreadService.refresh(meetingId);
           throw error;
         }
         
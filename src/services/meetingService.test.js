@@ -0,0 +1,292 @@
+jest.mock('../utils/logger');
+jest.mock('../middlewares/errorHandler', () => ({
+  handleCriticalError: jest.fn()
+}));
+jest.mock('./databaseService', () => ({
+  getMeetingById: jest.fn(),
+  getProcessingLogs: jest.fn(),
+  getTranscriptSegments: jest.fn(),
+  logProcessingStep: jest.fn(),
+  updateProcessingStep: jest.fn(),
+  updateMeeting: jest.fn()
+}));
+jest.mock('./chatterboxService', () => ({
+  getSessionData: jest.fn()
+}));
+jest.mock('./fileService', () => ({
+  streamRecordingToStorage: jest.fn()
+}));
+jest.mock('./transcriptService', () => ({
+  getSpeakerAnalytics: jest.fn(() => ({ speakers: [] })),
+  createTranscriptDocument: jest.fn(),
+  addSummaryToDocument: jest.fn(),
+  getUploadExportFormats: jest.fn(() => []),
+  uploadTranscriptExports: jest.fn()
+}));
+jest.mock('./notificationService', () => ({
+  sendMeetingCompletedNotification: jest.fn(),
+  sendMeetingFailedNotification: jest.fn(),
+  sendAttendeeNotifications: jest.fn()
+}));
+jest.mock('./jobQueueService', () => ({
+  enqueue: jest.fn()
+}));
+jest.mock('./storage', () => ({
+  getStorageProvider: jest.fn()
+}));
+jest.mock('./meetingStateMachine', () => ({
+  claimForProcessing: jest.fn(),
+  transition: jest.fn()
+}));
+jest.mock('./slackThreadService', () => ({
+  refresh: jest.fn()
+}));
+jest.mock('./webhookService', () => ({
+  publish: jest.fn()
+}));
+jest.mock('./summaryService', () => ({
+  isEnabled: jest.fn()
+}));
+
+const { handleCriticalError } = require('../middlewares/errorHandler');
+const databaseService = require('./databaseService');
+const chatterboxService = require('./chatterboxService');
+const fileService = require('./fileService');
+const transcriptService = require('./transcriptService');
+const notificationService = require('./notificationService');
+const jobQueueService = require('./jobQueueService');
+const { getStorageProvider } = require('./storage');
+const meetingStateMachine = require('./meetingStateMachine');
+const meetingService = require('./meetingService');
+const summaryService = require('./summaryService');
+
+const meeting = { id: 'meeting-1', meeting_title: 'Weekly sync', status: 'processing', storage_provider: 'google_drive' };
+
+const setUp = () => {
+  jest.clearAllMocks();
+  meetingStateMachine.claimForProcessing.mockResolvedValue(meeting);
+  meetingStateMachine.transition.mockResolvedValue(meeting);
+  databaseService.getMeetingById.mockResolvedValue(meeting);
+  databaseService.getProcessingLogs.mockResolvedValue([]);
+  databaseService.logProcessingStep.mockImplementation(async (meetingId, step) => ({ id: `log-${step}` }));
+  getStorageProvider.mockResolvedValue({ name: 'google_drive' });
+  summaryService.isEnabled.mockResolvedValue(false);
+  notificationService.sendMeetingCompletedNotification.mockResolvedValue({ messageTs: '1.2', channel: 'C123' });
+  notificationService.sendAttendeeNotifications.mockResolvedValue({ enabled: false });
+};
+
+const completedLog = (step, output) => ({ step, status: 'completed', metadata: { output } });
+
+const driveFile = { id: 'file-1', webViewLink: 'https://drive.example.com/file-1' };
+const transcriptDoc = { id: 'doc-1', webViewLink: 'https://docs.example.com/doc-1' };
+const transcript = [{ speaker: 'Ann', text: 'Hello', start: 0, end: 1000 }];
+
+describe('meetingService.queueProcessing', () => {
+  beforeEach(setUp);
+
+  it('queues one pipeline job per meeting', async () => {
+    jobQueueService.enqueue.mockResolvedValue({ id: 'job-1' });
+
+    const job = await meetingService.queueProcessing('meeting-1', 'process_recording', {
+      sessionId: 'session-1',
+      recordingUrl: 'https://recordings.example.com/1.mp4',
+      source: 'chatterbox_direct'
+    });
+
+    expect(job).toEqual({ id: 'job-1' });
+    expect(jobQueueService.enqueue).toHaveBeenCalledWith('process_recording', {
+      meetingId: 'meeting-1',
+      dedupeKey: 'meeting:meeting-1',
+      payload: { sessionId: 'session-1', recordingUrl: 'https://recordings.example.com/1.mp4', source: 'chatterbox_direct' }
+    });
+  });
+});
+
+describe('meetingService.processRecordingUrgently failures', () => {
+  const error = new Error('storage unavailable');
+
+  beforeEach(() => {
+    setUp();
+    getStorageProvider.mockRejectedValue(error);
+  });
+
+  it('posts the failure to Slack without raising a critical alert', async () => {
+    notificationService.sendMeetingFailedNotification.mockResolvedValue({ messageTs: '1.2' });
+
+    await expect(meetingService.processRecordingUrgently('meeting-1', null, 'session-1')).rejects.toThrow(error);
+
+    expect(meetingStateMachine.transition).toHaveBeenCalledWith('meeting-1', 'failed', expect.anything());
+    expect(notificationService.sendMeetingFailedNotification).toHaveBeenCalledWith(meeting, error, null);
+    expect(handleCriticalError).not.toHaveBeenCalled();
+  });
+
+  it('raises a critical alert when the failure could not be posted', async () => {
+    notificationService.sendMeetingFailedNotification.mockRejectedValue(new Error('slack down'));
+
+    await expect(meetingService.processRecordingUrgently('meeting-1', null, 'session-1')).rejects.toThrow(error);
+
+    expect(handleCriticalError).toHaveBeenCalledTimes(1);
+    expect(handleCriticalError).toHaveBeenCalledWith('meeting-1', 'urgent_processing', error, expect.anything());
+  });
+
+  it('raises a critical alert when the meeting was never claimed', async () => {
+    meetingStateMachine.claimForProcessing.mockRejectedValue(error);
+
+    await expect(meetingService.processRecordingUrgently('meeting-1', null, 'session-1')).rejects.toThrow(error);
+
+    expect(notificationService.sendMeetingFailedNotification).not.toHaveBeenCalled();
+    expect(handleCriticalError).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('meetingService.processRecordingUrgently resume', () => {
+  beforeEach(setUp);
+
+  it('runs every step on the first attempt and stores each output', async () => {
+    chatterboxService.getSessionData.mockResolvedValue({ transcript });
+    fileService.streamRecordingToStorage.mockResolvedValue({ ...driveFile, size: 10 });
+    transcriptService.createTranscriptDocument.mockResolvedValue(transcriptDoc);
+
+    const result = await meetingService.processRecordingUrgently('meeting-1', 'https://recordings.example.com/1.mp4', 'session-1');
+
+    expect(result).toMatchObject({ success: true, driveFile: { id: 'file-1' }, transcriptDoc });
+    expect(databaseService.updateProcessingStep).toHaveBeenCalledWith('log-stream_to_drive', 'completed', expect.objectContaining({
+      output: expect.objectContaining({ id: 'file-1', webViewLink: driveFile.webViewLink, size: 10 })
+    }));
+    expect(databaseService.updateProcessingStep).toHaveBeenCalledWith('log-send_notification', 'completed', expect.objectContaining({
+      output: { messageTs: '1.2', channel: 'C123' }
+    }));
+    expect(meetingStateMachine.transition).toHaveBeenCalledWith('meeting-1', 'completed', expect.anything());
+  });
+
+  it('skips the steps that completed on an earlier run', async () => {
+    databaseService.getMeetingById.mockResolvedValue({ ...meeting, transcript_data: transcript });
+    databaseService.getProcessingLogs.mockResolvedValue([
+      completedLog('stream_to_drive', driveFile),
+      completedLog('fetch_transcript', { transcriptLength: 1 }),
+      completedLog('create_transcript', transcriptDoc),
+      { step: 'send_notification', status: 'failed', metadata: {} }
+    ]);
+
+    const result = await meetingService.processRecordingUrgently('meeting-1', null, 'session-1');
+
+    expect(result).toMatchObject({ success: true, driveFile, transcriptDoc });
+    expect(fileService.streamRecordingToStorage).not.toHaveBeenCalled();
+    expect(chatterboxService.getSessionData).not.toHaveBeenCalled();
+    expect(transcriptService.createTranscriptDocument).not.toHaveBeenCalled();
+    expect(notificationService.sendMeetingCompletedNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'meeting-1' }),
+      driveFile,
+      transcriptDoc,
+      expect.objectContaining({ transcript }),
+      null
+    );
+  });
+
+  it('fetches the transcript again when it was never stored on the meeting', async () => {
+    chatterboxService.getSessionData.mockResolvedValue({ transcript });
+    transcriptService.createTranscriptDocument.mockResolvedValue(transcriptDoc);
+    databaseService.getProcessingLogs.mockResolvedValue([
+      completedLog('stream_to_drive', driveFile),
+      completedLog('fetch_transcript', { transcriptLength: 1 })
+    ]);
+
+    await meetingService.processRecordingUrgently('meeting-1', null, 'session-1');
+
+    expect(fileService.streamRecordingToStorage).not.toHaveBeenCalled();
+    expect(chatterboxService.getSessionData).toHaveBeenCalledWith('session-1');
+    expect(databaseService.updateMeeting).toHaveBeenCalledWith('meeting-1', expect.objectContaining({ transcript_data: transcript }));
+  });
+
+  it('takes the latest completed output of a step', async () => {
+    databaseService.getProcessingLogs.mockResolvedValue([
+      completedLog('stream_to_drive', { id: 'file-0' }),
+      completedLog('stream_to_drive', driveFile),
+      { step: 'create_transcript', status: 'completed', metadata: {} }
+    ]);
+
+    const completedSteps = await meetingService.getCompletedSteps('meeting-1');
+
+    expect([...completedSteps.entries()]).toEqual([['stream_to_drive', driveFile]]);
+  });
+});
+
+describe('meetingService.processRecordingUrgently transcript fallback', () => {
+  const segments = [
+    { speaker: 'Ann', text: 'Hello', time_start: 0, time_end: 1000 },
+    { speaker: 'Bob', text: 'Hi', time_start: 1000, time_end: 2000 }
+  ];
+
+  beforeEach(() => {
+    setUp();
+    jest.useFakeTimers();
+    databaseService.getProcessingLogs.mockResolvedValue([completedLog('stream_to_drive', driveFile)]);
+    transcriptService.createTranscriptDocument.mockResolvedValue(transcriptDoc);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Lets processStep's retry backoff elapse
+  const run = async () => {
+    const result = meetingService.processRecordingUrgently('meeting-1', null, 'session-1');
+    result.catch(() => {});
+    await jest.runAllTimersAsync();
+    return result;
+  };
+
+  it('uses the real-time segments when the transcript fetch keeps failing', async () => {
+    chatterboxService.getSessionData.mockRejectedValue(new Error('ChatterBox unavailable'));
+    databaseService.getTranscriptSegments.mockResolvedValue(segments);
+
+    expect(await run()).toMatchObject({ success: true });
+    expect(chatterboxService.getSessionData).toHaveBeenCalledTimes(3);
+    expect(databaseService.updateMeeting).toHaveBeenCalledWith('meeting-1', expect.objectContaining({
+      transcript_data: [
+        { speaker: 'Ann', text: 'Hello', start: 0, end: 1000 },
+        { speaker: 'Bob', text: 'Hi', start: 1000, end: 2000 }
+      ]
+    }));
+    expect(transcriptService.createTranscriptDocument).toHaveBeenCalledWith(
+      expect.anything(),
+      [
+        { speaker: 'Ann', text: 'Hello', start: 0, end: 1000 },
+        { speaker: 'Bob', text: 'Hi', start: 1000, end: 2000 }
+      ],
+      expect.anything()
+    );
+  });
+
+  it('fails with the fetch error when there are no segments either', async () => {
+    const error = new Error('ChatterBox unavailable');
+    chatterboxService.getSessionData.mockRejectedValue(error);
+    databaseService.getTranscriptSegments.mockResolvedValue([]);
+
+    await expect(run()).rejects.toThrow(error);
+    expect(transcriptService.createTranscriptDocument).not.toHaveBeenCalled();
+  });
+
+  it('fills in an empty session transcript from the segments', async () => {
+    chatterboxService.getSessionData.mockResolvedValue({ transcript: [], startTimestamp: 1700000000000 });
+    databaseService.getTranscriptSegments.mockResolvedValue(segments);
+
+    await run();
+
+    expect(chatterboxService.getSessionData).toHaveBeenCalledTimes(1);
+    expect(databaseService.updateMeeting).toHaveBeenCalledWith('meeting-1', expect.objectContaining({
+      transcript_data: expect.arrayContaining([expect.objectContaining({ speaker: 'Bob', start: 1000 })]),
+      recording_start_timestamp: new Date(1700000000000)
+    }));
+  });
+
+  it('keeps the session transcript when ChatterBox returned one', async () => {
+    chatterboxService.getSessionData.mockResolvedValue({ transcript });
+
+    await run();
+
+    expect(databaseService.getTranscriptSegments).not.toHaveBeenCalled();
+    expect(databaseService.updateMeeting).toHaveBeenCalledWith('meeting-1', expect.objectContaining({ transcript_data: transcript }));
+  });
+});
+
@@ -0,0 +1,222 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const databaseService = require('./databaseService');
+
+/**
+ * Meeting status values
+ */
+const MEETING_STATUS = {
+  STARTED: 'started',
+  BOT_JOINING: 'bot_joining',
+  BOT_JOINED: 'bot_joined',
+  RECORDING: 'recording',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  IGNORED: 'ignored'
+};
+
+/**
+ * Legal status transitions (from -> allowed targets)
+ * Processing can start from any pre-processing state because the finished
+ * webhook or the poll job may be the first thing we hear after the bot joins.
+ * An ignored failure has been acknowledged by a person but can still be retried.
+ */
+const TRANSITIONS = {
+  started: ['bot_joining', 'bot_joined', 'recording', 'processing', 'failed'],
+  bot_joining: ['bot_joined', 'recording', 'processing', 'failed'],
+  bot_joined: ['recording', 'processing', 'failed'],
+  recording: ['processing', 'failed'],
+  processing: ['completed', 'failed'],
+  failed: ['processing', 'ignored'],
+  ignored: ['processing'],
+  completed: []
+};
+
+// Statuses a meeting record may be created with
+const INITIAL_STATUSES = ['started', 'recording'];
+
+// Compare-and-set attempts before giving up on a contended transition
+const MAX_CAS_ATTEMPTS = 3;
+
+/**
+ * Build an error for a rejected transition
+ */
+const createTransitionError = (meetingId, fromStatus, toStatus) => {
+  const error = new Error(`Invalid meeting status transition: ${fromStatus} -> ${toStatus}`);
+  error.code = 'INVALID_STATUS_TRANSITION';
+  error.statusCode = 409;
+  error.meetingId = meetingId;
+  error.fromStatus = fromStatus;
+  error.toStatus = toStatus;
+  return error;
+};
+
+/**
+ * Meeting state machine - the only place meeting status is written
+ * Validates every transition, applies it with a compare-and-set on the
+ * current status, and records it in meeting_status_history.
+ * Emits 'transition' with { meeting, fromStatus, toStatus, reason } after each change.
+ */
+class MeetingStateMachine extends EventEmitter {
+  /**
+   * Check whether a transition is legal
+   */
+  canTransition(fromStatus, toStatus) {
+    return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Statuses that may move to the given status
+   */
+  getSourceStatuses(toStatus) {
+    return Object.keys(TRANSITIONS).filter(fromStatus => TRANSITIONS[fromStatus].includes(toStatus));
+  }
+
+  /**
+   * Create a meeting record and record its initial status
+   */
+  async createMeeting(meetingData, reason) {
+    const status = meetingData.status || MEETING_STATUS.STARTED;
+
+    if (!INITIAL_STATUSES.includes(status)) {
+      throw createTransitionError(null, null, status);
+    }
+
+    const meeting = await databaseService.createMeeting({ ...meetingData, status });
+
+    await this.recordTransition(meeting, null, status, reason);
+
+    return meeting;
+  }
+
+  /**
+   * Move a meeting to a new status
+   * Re-asserting the current status just applies the updates (no history entry).
+   * Throws INVALID_STATUS_TRANSITION for illegal transitions.
+   */
+  async transition(meetingId, toStatus, { reason, updates = {}, metadata = {} } = {}) {
+    for (let attempt = 1; attempt <= MAX_CAS_ATTEMPTS; attempt++) {
+      const meeting = await databaseService.getMeetingById(meetingId);
+
+      if (!meeting) {
+        throw new Error(`Meeting not found: ${meetingId}`);
+      }
+
+      const fromStatus = meeting.status;
+
+      if (fromStatus === toStatus) {
+        return Object.keys(updates).length > 0
+          ? databaseService.updateMeeting(meetingId, updates)
+          : meeting;
+      }
+
+      if (!this.canTransition(fromStatus, toStatus)) {
+        logger.warn('Rejected meeting status transition', {
+          meetingId,
+          fromStatus,
+          toStatus,
+          reason,
+          timestamp: new Date().toISOString()
+        });
+        throw createTransitionError(meetingId, fromStatus, toStatus);
+      }
+
+      const updated = await databaseService.compareAndSetMeetingStatus(meetingId, fromStatus, {
+        ...updates,
+        status: toStatus
+      });
+
+      if (updated) {
+        await this.recordTransition(updated, fromStatus, toStatus, reason, metadata);
+        return updated;
+      }
+
+      // Status changed underneath us - re-read and validate again
+      logger.info('Meeting status changed concurrently, retrying transition', {
+        meetingId,
+        fromStatus,
+        toStatus,
+        attempt
+      });
+    }
+
+    const error = new Error(`Meeting status transition to ${toStatus} lost to concurrent updates`);
+    error.code = 'STATUS_CONFLICT';
+    error.statusCode = 409;
+    throw error;
+  }
+
+  /**
+   * Atomically claim a meeting for processing
+   * Exactly one processor wins. A run that already owns the claim (same ownerId,
+   * e.g. a queue job resumed after a crash) reclaims it without a new transition.
+   * Returns the claimed meeting, or null if the meeting can't be processed by this run.
+   */
+  async claimForProcessing(meetingId, ownerId, { reason, updates = {} } = {}) {
+    const meeting = await databaseService.getMeetingById(meetingId);
+
+    if (!meeting) {
+      throw new Error(`Meeting not found: ${meetingId}`);
+    }
+
+    if (meeting.status === MEETING_STATUS.PROCESSING) {
+      if (meeting.processing_owner !== ownerId) {
+        return null;
+      }
+
+      return databaseService.compareAndSetMeetingStatus(
+        meetingId,
+        MEETING_STATUS.PROCESSING,
+        { ...updates, status: MEETING_STATUS.PROCESSING },
+        { processingOwner: ownerId }
+      );
+    }
+
+    if (!this.canTransition(meeting.status, MEETING_STATUS.PROCESSING)) {
+      return null;
+    }
+
+    const claimed = await databaseService.compareAndSetMeetingStatus(meetingId, meeting.status, {
+      ...updates,
+      status: MEETING_STATUS.PROCESSING,
+      processing_owner: ownerId
+    });
+
+    if (claimed) {
+      await this.recordTransition(claimed, meeting.status, MEETING_STATUS.PROCESSING, reason, { ownerId });
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Record a transition in meeting_status_history and notify listeners
+   * History failures are logged but never block the transition itself.
+   */
+  async recordTransition(meeting, fromStatus, toStatus, reason = null, metadata = {}) {
+    logger.logMeetingEvent(meeting.id, 'status_changed', {
+      fromStatus,
+      toStatus,
+      reason
+    });
+
+    try {
+      await databaseService.recordStatusTransition(meeting.id, fromStatus, toStatus, reason, metadata);
+    } catch (error) {
+      logger.error('Failed to record meeting status history', {
+        meetingId: meeting.id,
+        fromStatus,
+        toStatus,
+        error: error.message
+      });
+    }
+
+    this.emit('transition', { meeting, fromStatus, toStatus, reason, metadata });
+  }
+}
+
+// Export singleton instance
+module.exports = new MeetingStateMachine();
+module.exports.MEETING_STATUS = MEETING_STATUS;
+module.exports.TRANSITIONS = TRANSITIONS;
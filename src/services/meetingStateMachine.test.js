@@ -0,0 +1,131 @@
+jest.mock('../utils/logger');
+jest.mock('./databaseService', () => ({
+  createMeeting: jest.fn(),
+  getMeetingById: jest.fn(),
+  updateMeeting: jest.fn(),
+  compareAndSetMeetingStatus: jest.fn(),
+  recordStatusTransition: jest.fn()
+}));
+
+const databaseService = require('./databaseService');
+const meetingStateMachine = require('./meetingStateMachine');
+const { MEETING_STATUS, TRANSITIONS } = meetingStateMachine;
+
+const STATUSES = Object.values(MEETING_STATUS);
+
+// Every legal move, written out so a change to TRANSITIONS has to be made on purpose
+const LEGAL = [
+  'started -> bot_joining',
+  'started -> bot_joined',
+  'started -> recording',
+  'started -> processing',
+  'started -> failed',
+  'bot_joining -> bot_joined',
+  'bot_joining -> recording',
+  'bot_joining -> processing',
+  'bot_joining -> failed',
+  'bot_joined -> recording',
+  'bot_joined -> processing',
+  'bot_joined -> failed',
+  'recording -> processing',
+  'recording -> failed',
+  'processing -> completed',
+  'processing -> failed',
+  'failed -> processing',
+  'failed -> ignored',
+  'ignored -> processing'
+];
+
+describe('TRANSITIONS', () => {
+  it('has an entry for every status', () => {
+    expect(Object.keys(TRANSITIONS).sort()).toEqual([...STATUSES].sort());
+  });
+
+  it('only targets known statuses', () => {
+    for (const targets of Object.values(TRANSITIONS)) {
+      expect(STATUSES).toEqual(expect.arrayContaining(targets));
+    }
+  });
+
+  it.each(STATUSES.flatMap(from => STATUSES.map(to => [from, to])))('%s -> %s', (from, to) => {
+    expect(meetingStateMachine.canTransition(from, to)).toBe(LEGAL.includes(`${from} -> ${to}`));
+  });
+
+  it('treats completed as final', () => {
+    expect(TRANSITIONS.completed).toEqual([]);
+  });
+
+  it('rejects unknown statuses', () => {
+    expect(meetingStateMachine.canTransition('archived', 'processing')).toBe(false);
+    expect(meetingStateMachine.canTransition('started', 'archived')).toBe(false);
+  });
+
+  it('lists the statuses that may move to a status', () => {
+    expect(meetingStateMachine.getSourceStatuses('processing'))
+      .toEqual(['started', 'bot_joining', 'bot_joined', 'recording', 'failed', 'ignored']);
+    expect(meetingStateMachine.getSourceStatuses('ignored')).toEqual(['failed']);
+    expect(meetingStateMachine.getSourceStatuses('started')).toEqual([]);
+  });
+});
+
+describe('meetingStateMachine.transition', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('applies a legal transition with a compare-and-set and records it', async () => {
+    databaseService.getMeetingById.mockResolvedValue({ id: 'meeting-1', status: 'recording' });
+    databaseService.compareAndSetMeetingStatus.mockResolvedValue({ id: 'meeting-1', status: 'processing' });
+
+    const listener = jest.fn();
+    meetingStateMachine.once('transition', listener);
+
+    const meeting = await meetingStateMachine.transition('meeting-1', 'processing', { reason: 'recording_finished' });
+
+    expect(meeting.status).toBe('processing');
+    expect(databaseService.compareAndSetMeetingStatus)
+      .toHaveBeenCalledWith('meeting-1', 'recording', { status: 'processing' });
+    expect(databaseService.recordStatusTransition)
+      .toHaveBeenCalledWith('meeting-1', 'recording', 'processing', 'recording_finished', {});
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ fromStatus: 'recording', toStatus: 'processing' }));
+  });
+
+  it('rejects an illegal transition with a 409', async () => {
+    databaseService.getMeetingById.mockResolvedValue({ id: 'meeting-1', status: 'completed' });
+
+    await expect(meetingStateMachine.transition('meeting-1', 'processing')).rejects.toMatchObject({
+      code: 'INVALID_STATUS_TRANSITION',
+      statusCode: 409,
+      fromStatus: 'completed',
+      toStatus: 'processing'
+    });
+    expect(databaseService.compareAndSetMeetingStatus).not.toHaveBeenCalled();
+  });
+
+  it('re-validates against the new status after losing a compare-and-set', async () => {
+    databaseService.getMeetingById
+      .mockResolvedValueOnce({ id: 'meeting-1', status: 'recording' })
+      .mockResolvedValueOnce({ id: 'meeting-1', status: 'completed' });
+    databaseService.compareAndSetMeetingStatus.mockResolvedValueOnce(null);
+
+    await expect(meetingStateMachine.transition('meeting-1', 'failed'))
+      .rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION', fromStatus: 'completed' });
+  });
+
+  it('only applies updates when the status is unchanged', async () => {
+    databaseService.getMeetingById.mockResolvedValue({ id: 'meeting-1', status: 'processing' });
+
+    await meetingStateMachine.transition('meeting-1', 'processing', { updates: { error_message: null } });
+
+    expect(databaseService.updateMeeting).toHaveBeenCalledWith('meeting-1', { error_message: null });
+    expect(databaseService.recordStatusTransition).not.toHaveBeenCalled();
+  });
+});
+
+describe('meetingStateMachine.createMeeting', () => {
+  it('only creates meetings in an initial status', async () => {
+    await expect(meetingStateMachine.createMeeting({ status: 'completed' }))
+      .rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION', toStatus: 'completed' });
+    expect(databaseService.createMeeting).not.toHaveBeenCalled();
+  });
+});
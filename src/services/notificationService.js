@@ -1,5 +1,42 @@
 const { slack, DEFAULT_CHANNEL, formatFileSize, formatDuration } = require('../config/slack');
 const logger = require('../utils/logger');
+const { getServiceConfig } = require('../config/database');
+const databaseService = require('./databaseService');
+const routingService = require('./routingService');
+const slackThreadService = require('./slackThreadService');
+const emailService = require('./emailService');
+const transcriptService = require('./transcriptService');
+
+// Interactive button action IDs (see controllers/slackController.js)
+const SLACK_ACTIONS = {
+  RETRY_PROCESSING: 'retry_processing',
+  RESEND_NOTIFICATION: 'resend_notification',
+  IGNORE_FAILURE: 'ignore_failure'
+};
+
+const MEETING_ACTIONS_BLOCK_ID = 'meeting_actions';
+
+// Channels notified alongside Slack (see emailService for the channel interface)
+const NOTIFICATION_CHANNELS = [emailService];
+
+// Slack rejects section blocks with more text than this
+const SLACK_SECTION_LIMIT = 3000;
+
+// Speakers listed in the talk time section of the completed message
+const TALK_TIME_SPEAKERS = 5;
+
+/**
+ * Escape text for Slack mrkdwn
+ */
+const escapeMrkdwn = (text) => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const toSection = (text) => ({
+  type: 'section',
+  text: {
+    type: 'mrkdwn',
+    text: text.length > SLACK_SECTION_LIMIT ? `${text.substring(0, SLACK_SECTION_LIMIT - 1)}…` : text
+  }
+});
 
 /**
  * Notification service for Slack integration
@@ -9,9 +46,11 @@ class NotificationService {
   /**
    * Send meeting completed notification to Slack
    */
-  async sendMeetingCompletedNotification(meeting, driveFile, transcriptDoc, transcriptData) {
+  async sendMeetingCompletedNotification(meeting, driveFile, transcriptDoc, transcriptData, summary = null) {
     try {
-      logger.logSlackNotification(DEFAULT_CHANNEL, 'meeting_completed', 'started', {
+      const target = await this.resolveMeetingTarget(meeting);
+
+      logger.logSlackNotification(target.channels.join(','), 'meeting_completed', 'started', {
         meetingId: meeting.id,
         meetingTitle: meeting.meeting_title
       });
@@ -34,6 +73,11 @@ class NotificationService {
         speakersList = uniqueSpeakers.length > 0 ? uniqueSpeakers.join(', ') : 'No speakers identified';
       }
 
+      const analyticsBlocks = this.buildSpeakerAnalyticsBlocks(
+        transcriptService.getSpeakerAnalytics(transcriptData?.transcript || [])
+      );
+      const summaryBlocks = await this.buildSummaryBlocks(meeting, summary);
+
       const blocks = [
         {
           type: 'header',
@@ -64,6 +108,8 @@ class NotificationService {
             }
           ]
         },
+        ...analyticsBlocks,
+        ...summaryBlocks,
         {
           type: 'actions',
           elements: [
@@ -91,23 +137,29 @@ class NotificationService {
       ];
 
 
-      const response = await slack.chat.postMessage({
-        channel: DEFAULT_CHANNEL,
+      const messages = await this.postToTarget(target, {
         text: `✅ Meeting recording complete: ${meeting.meeting_title}`,
         blocks
       });
 
-      logger.logSlackNotification(DEFAULT_CHANNEL, 'meeting_completed', 'success', {
+      logger.logSlackNotification(target.channels.join(','), 'meeting_completed', 'success', {
         meetingId: meeting.id,
-        messageTs: response.ts,
-        channel: response.channel
+        messages
+      });
+
+      // After Slack so a Slack retry doesn't send the email twice
+      await this.notifyChannels('sendMeetingCompleted', meeting, {
+        recordingUrl: driveFile.webViewLink,
+        transcriptUrl: transcriptDoc.webViewLink,
+        speakers: speakersList,
+        duration
       });
 
       return {
         success: true,
-        messageTs: response.ts,
-        channel: response.channel,
-        permalink: response.permalink
+        messageTs: messages[0].messageTs,
+        channel: messages[0].channel,
+        messages
       };
 
     } catch (error) {
@@ -121,12 +173,259 @@ class NotificationService {
     }
   }
 
+  /**
+   * Slack blocks with each speaker's share of the talk time (none for one speaker)
+   */
+  buildSpeakerAnalyticsBlocks(analytics) {
+    if (analytics.speakers.length < 2) {
+      return [];
+    }
+
+    const lines = analytics.speakers.slice(0, TALK_TIME_SPEAKERS).map(stats => [
+      `• *${escapeMrkdwn(stats.speaker)}* — ${transcriptService.formatTalkTime(stats.talkTimeMs)} (${Math.round(stats.talkShare * 100)}%)`,
+      stats.wordsPerMinute !== null ? `${stats.wordsPerMinute} wpm` : null,
+      stats.interruptions > 0 ? `${stats.interruptions} ${stats.interruptions === 1 ? 'interruption' : 'interruptions'}` : null
+    ].filter(Boolean).join(' · '));
+
+    const hidden = analytics.speakers.length - TALK_TIME_SPEAKERS;
+
+    if (hidden > 0) {
+      lines.push(`_and ${hidden} more_`);
+    }
+
+    return [toSection(`*🗣️ Talk time*\n${lines.join('\n')}`)];
+  }
+
+  /**
+   * Slack blocks for a meeting summary (none without one)
+   * Action item owners who are in the workspace are @-mentioned.
+   */
+  async buildSummaryBlocks(meeting, summary) {
+    if (!summary) {
+      return [];
+    }
+
+    const mentions = new Map();
+
+    for (const email of new Set(summary.actionItems.map(item => item.ownerEmail).filter(Boolean))) {
+      try {
+        const user = await this.lookupInternalUser(email);
+
+        if (user) {
+          mentions.set(email, `<@${user.id}>`);
+        }
+      } catch (error) {
+        logger.warn('Failed to look up action item owner in Slack', {
+          meetingId: meeting.id,
+          email,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    const blocks = [{ type: 'divider' }];
+
+    if (summary.summary) {
+      blocks.push(toSection(`*📋 Summary*\n${escapeMrkdwn(summary.summary)}`));
+    }
+
+    const lists = [
+      ['✅ Action items', summary.actionItems.map(item => {
+        const owner = mentions.get(item.ownerEmail) || (item.owner ? `*${escapeMrkdwn(item.owner)}*` : null);
+        return owner ? `${escapeMrkdwn(item.text)} — ${owner}` : escapeMrkdwn(item.text);
+      })],
+      ['🤝 Decisions', summary.decisions.map(escapeMrkdwn)],
+      ['❓ Open questions', summary.openQuestions.map(escapeMrkdwn)]
+    ];
+
+    for (const [title, items] of lists) {
+      if (items.length > 0) {
+        blocks.push(toSection(`*${title}*\n${items.map(item => `• ${item}`).join('\n')}`));
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Whether completed meetings are sent to their attendees by DM
+   * service_config.attendee_dms_enabled takes precedence over SLACK_ATTENDEE_DMS_ENABLED.
+   */
+  async isAttendeeDmEnabled() {
+    let enabled = null;
+
+    try {
+      enabled = await getServiceConfig('attendee_dms_enabled');
+    } catch (error) {
+      logger.warn('Could not read attendee_dms_enabled from service_config, using environment', {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (enabled === null || enabled === undefined) {
+      return process.env.SLACK_ATTENDEE_DMS_ENABLED === 'true';
+    }
+
+    return enabled === true || enabled === 'true';
+  }
+
+  /**
+   * Find the workspace member behind an attendee email
+   * Returns null for people who aren't full members (not found, deactivated, bots, guests).
+   */
+  async lookupInternalUser(email) {
+    try {
+      const { user } = await slack.users.lookupByEmail({ email });
+
+      if (!user || user.deleted || user.is_bot || user.is_restricted || user.is_ultra_restricted) {
+        return null;
+      }
+
+      return user;
+    } catch (error) {
+      if (error.data?.error === 'users_not_found') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a Slack user's email address (needs the users:read.email scope)
+   * Returns null when the user has no visible email.
+   */
+  async getUserEmail(userId) {
+    const { user } = await slack.users.info({ user: userId });
+
+    return user?.profile?.email?.toLowerCase() || null;
+  }
+
+  /**
+   * DM each internal attendee the recording and transcript links
+   * Attendees come from the meeting's calendar event; resources and people who
+   * declined are skipped, as is anyone who opted out with `/meetbot dms off`.
+   * A failed DM is logged and doesn't stop the others.
+   */
+  async sendAttendeeNotifications(meeting, driveFile, transcriptDoc) {
+    if (!await this.isAttendeeDmEnabled()) {
+      return { enabled: false, sent: 0, skipped: 0, failed: 0 };
+    }
+
+    const calendarEvent = meeting.calendar_event_id
+      ? await databaseService.getCalendarEvent(meeting.calendar_event_id)
+      : null;
+
+    const emails = [...new Set((calendarEvent?.attendees || [])
+      .filter(attendee => attendee?.email && !attendee.resource && attendee.responseStatus !== 'declined')
+      .map(attendee => attendee.email.toLowerCase()))];
+
+    const users = [];
+    let skipped = 0;
+
+    for (const email of emails) {
+      try {
+        const user = await this.lookupInternalUser(email);
+
+        if (user && !users.some(existing => existing.id === user.id)) {
+          users.push(user);
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        skipped++;
+        logger.error('Failed to look up attendee in Slack', {
+          meetingId: meeting.id,
+          email,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    const optOuts = await databaseService.getSlackDmOptOuts(users.map(user => user.id));
+    const recipients = users.filter(user => !optOuts.has(user.id));
+    skipped += users.length - recipients.length;
+
+    const message = {
+      text: `✅ Your meeting recording is ready: ${meeting.meeting_title}`,
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `✅ *${meeting.meeting_title}* has been processed. Here are the recording and transcript from your meeting.`
+          }
+        },
+        {
+          type: 'actions',
+          elements: [
+            {
+              type: 'button',
+              text: { type: 'plain_text', text: '🎥 View Recording', emoji: true },
+              url: driveFile.webViewLink,
+              style: 'primary'
+            },
+            {
+              type: 'button',
+              text: { type: 'plain_text', text: '📝 View Transcript', emoji: true },
+              url: transcriptDoc.webViewLink
+            }
+          ]
+        },
+        {
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: 'You got this because you were invited to the meeting. Use `/meetbot dms off` to stop these messages.'
+            }
+          ]
+        }
+      ]
+    };
+
+    const results = await Promise.allSettled(
+      recipients.map(user => slack.chat.postMessage({ channel: user.id, ...message }))
+    );
+
+    let failed = 0;
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        failed++;
+        logger.error('Failed to DM meeting attendee', {
+          meetingId: meeting.id,
+          slackUserId: recipients[index].id,
+          error: result.reason.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    const summary = { enabled: true, sent: recipients.length - failed, skipped, failed };
+
+    logger.logSlackNotification('attendee_dms', 'meeting_completed_dm', 'success', {
+      meetingId: meeting.id,
+      attendees: emails.length,
+      ...summary
+    });
+
+    return summary;
+  }
+
   /**
    * Send meeting processing failed notification
    */
   async sendMeetingFailedNotification(meeting, error, processingStep = null) {
+    // Other channels don't depend on Slack being reachable
+    const channelsNotified = this.notifyChannels('sendMeetingFailed', meeting, error, processingStep);
+
     try {
-      logger.logSlackNotification(DEFAULT_CHANNEL, 'meeting_failed', 'started', {
+      const target = await this.resolveMeetingTarget(meeting);
+
+      logger.logSlackNotification(target.channels.join(','), 'meeting_failed', 'started', {
         meetingId: meeting.id,
         meetingTitle: meeting.meeting_title,
         error: error.message
@@ -169,39 +468,26 @@ class NotificationService {
             })}`
           }
         },
-        {
-          type: 'actions',
-          elements: [
-            {
-              type: 'button',
-              text: {
-                type: 'plain_text',
-                text: '🔄 Retry Processing',
-                emoji: true
-              },
-              url: `${process.env.BASE_URL}/api/meetings/${meeting.id}/retry`,
-              style: 'danger'
-            }
-          ]
-        }
+        this.buildFailedMeetingActions(meeting.id)
       ];
 
-      const response = await slack.chat.postMessage({
-        channel: DEFAULT_CHANNEL,
+      const messages = await this.postToTarget(target, {
         text: `❌ Meeting recording failed: ${meeting.meeting_title}`,
         blocks
       });
 
-      logger.logSlackNotification(DEFAULT_CHANNEL, 'meeting_failed', 'success', {
+      logger.logSlackNotification(target.channels.join(','), 'meeting_failed', 'success', {
         meetingId: meeting.id,
-        messageTs: response.ts,
-        channel: response.channel
+        messages
       });
 
+      await channelsNotified;
+
       return {
         success: true,
-        messageTs: response.ts,
-        channel: response.channel
+        messageTs: messages[0].messageTs,
+        channel: messages[0].channel,
+        messages
       };
 
     } catch (slackError) {
@@ -216,12 +502,153 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send a notification through every enabled channel besides Slack
+   * A channel failing is logged and never affects Slack or the other channels.
+   */
+  async notifyChannels(method, ...args) {
+    const channels = NOTIFICATION_CHANNELS.filter(channel => channel.isEnabled());
+    const results = await Promise.allSettled(channels.map(channel => channel[method](...args)));
+
+    return results.map((result, index) => {
+      if (result.status === 'rejected') {
+        logger.error('Notification channel failed', {
+          channel: channels[index].name,
+          notification: method,
+          error: result.reason.message,
+          timestamp: new Date().toISOString()
+        });
+        return { channel: channels[index].name, success: false, error: result.reason.message };
+      }
+
+      return { channel: channels[index].name, success: true, ...result.value };
+    });
+  }
+
+  /**
+   * Work out where a meeting's messages go
+   * Replies in the meeting's Slack threads (posting the parent first if needed);
+   * falls back to top-level posts in the routed channels if no thread can be opened.
+   */
+  async resolveMeetingTarget(meeting) {
+    try {
+      const threads = await slackThreadService.getOrCreateThreads(meeting.id);
+
+      if (threads.length > 0) {
+        return { threads, channels: threads.map(thread => thread.channel) };
+      }
+    } catch (error) {
+      logger.warn('Could not open meeting Slack thread, posting top-level', {
+        meetingId: meeting.id,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return { threads: null, channels: await routingService.resolveChannels(meeting) };
+  }
+
+  /**
+   * Post to a target from resolveMeetingTarget()
+   */
+  async postToTarget(target, message, options = {}) {
+    return target.threads
+      ? slackThreadService.reply(target.threads, message, options)
+      : this.postToChannels(target.channels, message);
+  }
+
+  /**
+   * Post a message to each routed channel
+   * Returns [{ channel, messageTs }] for the posts that succeeded; throws only if all failed.
+   */
+  async postToChannels(channels, message) {
+    const results = await Promise.allSettled(
+      channels.map(channel => slack.chat.postMessage({ channel, ...message }))
+    );
+
+    const messages = [];
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        messages.push({ channel: result.value.channel, messageTs: result.value.ts });
+      } else {
+        logger.error('Failed to post Slack message to channel', {
+          channel: channels[index],
+          error: result.reason.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    if (messages.length === 0) {
+      throw results[0].reason;
+    }
+
+    return messages;
+  }
+
+  /**
+   * Buttons for a failed meeting, handled by POST /slack/interactions
+   * Each button carries the meeting ID as its value.
+   */
+  buildFailedMeetingActions(meetingId) {
+    return {
+      type: 'actions',
+      block_id: MEETING_ACTIONS_BLOCK_ID,
+      elements: [
+        {
+          type: 'button',
+          action_id: SLACK_ACTIONS.RETRY_PROCESSING,
+          text: {
+            type: 'plain_text',
+            text: '🔄 Retry Processing',
+            emoji: true
+          },
+          value: meetingId,
+          style: 'danger'
+        },
+        {
+          type: 'button',
+          action_id: SLACK_ACTIONS.RESEND_NOTIFICATION,
+          text: {
+            type: 'plain_text',
+            text: '📨 Re-send Notification',
+            emoji: true
+          },
+          value: meetingId
+        },
+        {
+          type: 'button',
+          action_id: SLACK_ACTIONS.IGNORE_FAILURE,
+          text: {
+            type: 'plain_text',
+            text: '🙈 Ignore',
+            emoji: true
+          },
+          value: meetingId
+        }
+      ]
+    };
+  }
+
   /**
    * Send critical error alert (for urgent issues like URL expiration)
    */
   async sendCriticalAlert(criticalError) {
+    // Other channels don't depend on Slack being reachable
+    const channelsNotified = this.notifyChannels('sendCriticalAlert', criticalError);
+
     try {
-      logger.logSlackNotification(DEFAULT_CHANNEL, 'critical_alert', 'started', {
+      // Alerts for a meeting with a Slack thread go there (also broadcast to the channel)
+      const threads = criticalError.meetingId
+        ? await slackThreadService.getThreadsForMeeting(criticalError.meetingId).catch(() => [])
+        : [];
+
+      const target = threads.length > 0
+        ? { threads, channels: threads.map(thread => thread.channel) }
+        : { threads: null, channels: [DEFAULT_CHANNEL] };
+
+      logger.logSlackNotification(target.channels.join(','), 'critical_alert', 'started', {
         meetingId: criticalError.meetingId,
         step: criticalError.step,
         severity: criticalError.severity
@@ -252,22 +679,23 @@ class NotificationService {
         }
       ];
 
-      const response = await slack.chat.postMessage({
-        channel: DEFAULT_CHANNEL,
+      const messages = await this.postToTarget(target, {
         text: `🚨 CRITICAL: Meeting processing failure requires immediate attention`,
         blocks
-      });
+      }, { broadcast: true });
 
-      logger.logSlackNotification(DEFAULT_CHANNEL, 'critical_alert', 'success', {
+      logger.logSlackNotification(target.channels.join(','), 'critical_alert', 'success', {
         meetingId: criticalError.meetingId,
-        messageTs: response.ts,
-        channel: response.channel
+        messages
       });
 
+      await channelsNotified;
+
       return {
         success: true,
-        messageTs: response.ts,
-        channel: response.channel
+        messageTs: messages[0].messageTs,
+        channel: messages[0].channel,
+        messages
       };
 
     } catch (error) {
@@ -284,65 +712,6 @@ class NotificationService {
     }
   }
 
-  /**
-   * Send meeting started notification
-   */
-  async sendMeetingStartedNotification(meeting, sessionId) {
-    try {
-      logger.logSlackNotification(DEFAULT_CHANNEL, 'meeting_started', 'started', {
-        meetingId: meeting.id,
-        meetingTitle: meeting.meeting_title,
-        sessionId
-      });
-
-      const blocks = [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `🎙️ *Recording Started*\n\n*Meeting:* ${meeting.meeting_title}\n*Conference ID:* ${meeting.conference_id}\n*Bot Session:* ${sessionId}\n*Started:* ${new Date().toLocaleString('en-US', {
-              hour: '2-digit',
-              minute: '2-digit',
-              timeZoneName: 'short'
-            })}`
-          }
-        }
-      ];
-
-      const response = await slack.chat.postMessage({
-        channel: DEFAULT_CHANNEL,
-        text: `🎙️ Recording started: ${meeting.meeting_title}`,
-        blocks
-      });
-
-      logger.logSlackNotification(DEFAULT_CHANNEL, 'meeting_started', 'success', {
-        meetingId: meeting.id,
-        messageTs: response.ts,
-        channel: response.channel
-      });
-
-      return {
-        success: true,
-        messageTs: response.ts,
-        channel: response.channel
-      };
-
-    } catch (error) {
-      logger.error('Failed to send meeting started notification', {
-        meetingId: meeting.id,
-        meetingTitle: meeting.meeting_title,
-        sessionId,
-        error: error.message,
-        timestamp: new Date().toISOString()
-      });
-      // Don't throw - this is not critical
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  }
-
   /**
    * Send service health status notification
    */
@@ -423,6 +792,94 @@ class NotificationService {
     }
   }
 
+  /**
+   * Post the weekly analytics digest (see jobs/weeklyDigestJob.js)
+   * `report` is an ungrouped analyticsService report covering the week; its
+   * dates are shown in `timeZone`. Goes to SLACK_WEEKLY_DIGEST_CHANNEL, or the
+   * default channel. Returns { channel, messageTs }.
+   */
+  async sendWeeklyDigest(report, { timeZone = 'UTC' } = {}) {
+    const channel = process.env.SLACK_WEEKLY_DIGEST_CHANNEL || DEFAULT_CHANNEL;
+    const { recordedHours, successRate, timeToNotification, topSpeakers, meetingsPerOrganizer } = report.data;
+
+    const formatDay = (value) => new Date(value).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      timeZone
+    });
+
+    // The range ends at the start of the next week
+    const lastDay = new Date(new Date(report.range.to).getTime() - 1);
+    const meetings = report.data.meetingsPerWeek.reduce((total, week) => total + week.meetings, 0);
+
+    const blocks = [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: '📊 Weekly Meeting Digest',
+          emoji: true
+        }
+      },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `${formatDay(report.range.from)} – ${formatDay(lastDay)}`
+        }]
+      },
+      {
+        type: 'section',
+        fields: [
+          {
+            type: 'mrkdwn',
+            text: `*Meetings:*\n${meetings}`
+          },
+          {
+            type: 'mrkdwn',
+            text: `*Recorded:*\n${recordedHours.hours}h`
+          },
+          {
+            type: 'mrkdwn',
+            text: `*Processed successfully:*\n${successRate.successRate !== null
+              ? `${Math.round(successRate.successRate * 100)}% (${successRate.completed}/${successRate.processed})`
+              : 'n/a'}`
+          },
+          {
+            type: 'mrkdwn',
+            text: `*Median time to notification:*\n${timeToNotification.medianSeconds !== null
+              ? transcriptService.formatTalkTime(timeToNotification.medianSeconds * 1000)
+              : 'n/a'}`
+          }
+        ]
+      }
+    ];
+
+    if (topSpeakers.length > 0) {
+      blocks.push(toSection(`*🗣️ Top speakers*\n${topSpeakers.map(speaker =>
+        `• *${escapeMrkdwn(speaker.speaker)}* — ${transcriptService.formatTalkTime(speaker.talkTimeMs)} across ${speaker.meetings} ${speaker.meetings === 1 ? 'meeting' : 'meetings'}`
+      ).join('\n')}`));
+    }
+
+    if (meetingsPerOrganizer.length > 0) {
+      blocks.push(toSection(`*📅 Organizers*\n${meetingsPerOrganizer.map(row =>
+        `• ${escapeMrkdwn(row.organizer || 'Unknown organizer')} — ${row.meetings}`
+      ).join('\n')}`));
+    }
+
+    const [message] = await this.postToChannels([channel], {
+      text: `📊 Weekly meeting digest: ${meetings} ${meetings === 1 ? 'meeting' : 'meetings'}, ${recordedHours.hours}h recorded`,
+      blocks
+    });
+
+    logger.logSlackNotification(message.channel, 'weekly_digest', 'success', {
+      weekStart: report.range.from,
+      meetings
+    });
+
+    return message;
+  }
+
   /**
    * Update existing Slack message
    */
@@ -506,3 +963,5 @@ class NotificationService {
 
 // Export singleton instance
 module.exports = new NotificationService();
+module.exports.SLACK_ACTIONS = SLACK_ACTIONS;
+module.exports.MEETING_ACTIONS_BLOCK_ID = MEETING_ACTIONS_BLOCK_ID;
@@ -0,0 +1,160 @@
+jest.mock('../utils/logger');
+jest.mock('../config/slack', () => ({
+  slack: {
+    chat: { postMessage: jest.fn() },
+    users: { lookupByEmail: jest.fn() }
+  },
+  DEFAULT_CHANNEL: 'C-DEFAULT',
+  formatFileSize: jest.fn(),
+  formatDuration: jest.fn()
+}));
+jest.mock('../config/database', () => ({
+  getServiceConfig: jest.fn()
+}));
+jest.mock('./databaseService', () => ({
+  getCalendarEvent: jest.fn(),
+  getSlackDmOptOuts: jest.fn()
+}));
+jest.mock('./routingService', () => ({}));
+jest.mock('./slackThreadService', () => ({}));
+jest.mock('./emailService', () => ({}));
+jest.mock('./transcriptService', () => ({}));
+
+const { slack } = require('../config/slack');
+const { getServiceConfig } = require('../config/database');
+const databaseService = require('./databaseService');
+const notificationService = require('./notificationService');
+
+const ORIGINAL_ENV = process.env;
+
+const meeting = { id: 'meeting-1', meeting_title: 'Weekly sync', calendar_event_id: 'event-1' };
+const driveFile = { webViewLink: 'https://drive.google.com/file/d/1' };
+const transcriptDoc = { webViewLink: 'https://docs.google.com/document/d/2' };
+
+// Workspace members by email; anyone else is not found
+const members = {
+  'ann@example.com': { id: 'UANN' },
+  'bob@example.com': { id: 'UBOB' },
+  'ann.alias@example.com': { id: 'UANN' },
+  'guest@partner.io': { id: 'UGUEST', is_restricted: true },
+  'bot@example.com': { id: 'UBOT', is_bot: true }
+};
+
+const send = (attendees) => {
+  databaseService.getCalendarEvent.mockResolvedValue({ attendees });
+  return notificationService.sendAttendeeNotifications(meeting, driveFile, transcriptDoc);
+};
+
+const dmChannels = () => slack.chat.postMessage.mock.calls.map(([message]) => message.channel);
+
+describe('notificationService.sendAttendeeNotifications', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...ORIGINAL_ENV, SLACK_ATTENDEE_DMS_ENABLED: 'true' };
+    getServiceConfig.mockResolvedValue(null);
+    databaseService.getSlackDmOptOuts.mockResolvedValue(new Set());
+    slack.users.lookupByEmail.mockImplementation(async ({ email }) => {
+      if (!members[email]) {
+        throw Object.assign(new Error('An API error occurred: users_not_found'), { data: { error: 'users_not_found' } });
+      }
+      return { user: members[email] };
+    });
+    slack.chat.postMessage.mockResolvedValue({ ok: true });
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  it('DMs each internal attendee the recording and transcript', async () => {
+    const summary = await send([{ email: 'Ann@Example.com', responseStatus: 'accepted' }, { email: 'bob@example.com' }]);
+
+    expect(summary).toEqual({ enabled: true, sent: 2, skipped: 0, failed: 0 });
+    expect(dmChannels()).toEqual(['UANN', 'UBOB']);
+    expect(slack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+      text: '✅ Your meeting recording is ready: Weekly sync',
+      blocks: expect.arrayContaining([
+        expect.objectContaining({
+          type: 'actions',
+          elements: [
+            expect.objectContaining({ url: driveFile.webViewLink }),
+            expect.objectContaining({ url: transcriptDoc.webViewLink })
+          ]
+        })
+      ])
+    }));
+  });
+
+  it('skips rooms and people who declined', async () => {
+    await send([
+      { email: 'ann@example.com', responseStatus: 'declined' },
+      { email: 'room@resource.example.com', resource: true },
+      { email: 'bob@example.com', responseStatus: 'tentative' }
+    ]);
+
+    expect(slack.users.lookupByEmail).toHaveBeenCalledTimes(1);
+    expect(dmChannels()).toEqual(['UBOB']);
+  });
+
+  it('DMs each person once', async () => {
+    const summary = await send([
+      { email: 'ann@example.com' },
+      { email: 'ANN@example.com' },
+      { email: 'ann.alias@example.com' }
+    ]);
+
+    expect(dmChannels()).toEqual(['UANN']);
+    expect(summary.skipped).toBe(1);
+  });
+
+  it('skips guests, bots and people outside the workspace', async () => {
+    const summary = await send([
+      { email: 'guest@partner.io' },
+      { email: 'bot@example.com' },
+      { email: 'buyer@acme.io' },
+      { email: 'bob@example.com' }
+    ]);
+
+    expect(dmChannels()).toEqual(['UBOB']);
+    expect(summary).toEqual({ enabled: true, sent: 1, skipped: 3, failed: 0 });
+  });
+
+  it('honours opt-outs', async () => {
+    databaseService.getSlackDmOptOuts.mockResolvedValue(new Set(['UANN']));
+
+    const summary = await send([{ email: 'ann@example.com' }, { email: 'bob@example.com' }]);
+
+    expect(databaseService.getSlackDmOptOuts).toHaveBeenCalledWith(['UANN', 'UBOB']);
+    expect(dmChannels()).toEqual(['UBOB']);
+    expect(summary.skipped).toBe(1);
+  });
+
+  it('keeps sending when one DM fails', async () => {
+    slack.chat.postMessage.mockRejectedValueOnce(new Error('cannot_dm_bot')).mockResolvedValueOnce({ ok: true });
+
+    const summary = await send([{ email: 'ann@example.com' }, { email: 'bob@example.com' }]);
+
+    expect(summary).toEqual({ enabled: true, sent: 1, skipped: 0, failed: 1 });
+  });
+
+  it('sends nothing when attendee DMs are off', async () => {
+    delete process.env.SLACK_ATTENDEE_DMS_ENABLED;
+
+    const summary = await send([{ email: 'ann@example.com' }]);
+
+    expect(summary).toEqual({ enabled: false, sent: 0, skipped: 0, failed: 0 });
+    expect(databaseService.getCalendarEvent).not.toHaveBeenCalled();
+    expect(slack.chat.postMessage).not.toHaveBeenCalled();
+  });
+
+  it('lets service_config override the environment', async () => {
+    getServiceConfig.mockResolvedValue(false);
+
+    expect(await notificationService.isAttendeeDmEnabled()).toBe(false);
+
+    process.env.SLACK_ATTENDEE_DMS_ENABLED = 'false';
+    getServiceConfig.mockResolvedValue('true');
+
+    expect(await notificationService.isAttendeeDmEnabled()).toBe(true);
+  });
+});
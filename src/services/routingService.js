@@ -0,0 +1,257 @@
+const { supabase } = require('../config/database');
+const { DEFAULT_CHANNEL } = require('../config/slack');
+const { DEFAULT_RECIPIENTS } = require('../config/email');
+const logger = require('../utils/logger');
+const databaseService = require('./databaseService');
+
+// How long routing rules are trusted before re-reading
+const RULES_CACHE_MS = 60 * 1000;
+
+/**
+ * Routing service - decides which Slack channels and email recipients hear about a meeting
+ * Resolution order for Slack:
+ *   1. meetings.slack_channel, if set (per-meeting override)
+ *   2. the first enabled slack_routing_rules row (by priority) whose conditions all match
+ *   3. DEFAULT_CHANNEL
+ * Email uses the same matching rule (see resolveEmailRecipients).
+ * Rule conditions are optional; a rule without any conditions matches every meeting.
+ * Channels may be channel IDs or user IDs (the bot DMs the user).
+ */
+class RoutingService {
+  constructor() {
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+  }
+
+  /**
+   * Get enabled routing rules in evaluation order
+   */
+  async getRules() {
+    if (this.rules && Date.now() - this.rulesLoadedAt < RULES_CACHE_MS) {
+      return this.rules;
+    }
+
+    const { data, error } = await supabase
+      .from('slack_routing_rules')
+      .select('*')
+      .eq('enabled', true)
+      .order('priority', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    this.rules = data || [];
+    this.rulesLoadedAt = Date.now();
+
+    return this.rules;
+  }
+
+  /**
+   * Forget cached rules (after they are edited)
+   */
+  clearCache() {
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+  }
+
+  /**
+   * Build the values rules match against from a meeting and its calendar event
+   */
+  buildContext(meeting, calendarEvent) {
+    const attendeeEmails = (calendarEvent?.attendees || [])
+      .map(attendee => attendee?.email)
+      .filter(Boolean);
+
+    return {
+      title: meeting.meeting_title || calendarEvent?.summary || '',
+      organizer: calendarEvent?.organizer_email?.toLowerCase() || null,
+      calendarId: calendarEvent?.calendar_id || null,
+      attendeeDomains: new Set(attendeeEmails.map(email => email.split('@').pop().toLowerCase()))
+    };
+  }
+
+  /**
+   * Whether every condition set on a rule matches
+   */
+  matchesRule(rule, context) {
+    if (rule.organizer_email && rule.organizer_email.toLowerCase() !== context.organizer) {
+      return false;
+    }
+
+    if (rule.attendee_domain && !context.attendeeDomains.has(rule.attendee_domain.toLowerCase().replace(/^@/, ''))) {
+      return false;
+    }
+
+    if (rule.calendar_id && rule.calendar_id !== context.calendarId) {
+      return false;
+    }
+
+    if (rule.title_pattern) {
+      try {
+        if (!new RegExp(rule.title_pattern, 'i').test(context.title)) {
+          return false;
+        }
+      } catch (error) {
+        logger.warn('Skipping routing rule with invalid title pattern', {
+          ruleId: rule.id,
+          titlePattern: rule.title_pattern,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the first enabled rule matching a meeting
+   * Returns { rule, calendarEvent }; rule is null when nothing matches.
+   */
+  async findRule(meeting) {
+    const [rules, calendarEvent] = await Promise.all([
+      this.getRules(),
+      meeting.calendar_event_id ? databaseService.getCalendarEvent(meeting.calendar_event_id) : null
+    ]);
+
+    const context = this.buildContext(meeting, calendarEvent);
+    const rule = rules.find(candidate => this.matchesRule(candidate, context)) || null;
+
+    if (rule) {
+      logger.debug('Meeting matched routing rule', {
+        meetingId: meeting.id,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return { rule, calendarEvent };
+  }
+
+  /**
+   * Resolve the Slack channels for a meeting's notifications
+   * Never throws - falls back to DEFAULT_CHANNEL if rules can't be evaluated.
+   */
+  async resolveChannels(meeting) {
+    if (meeting.slack_channel) {
+      return [meeting.slack_channel];
+    }
+
+    try {
+      const { rule } = await this.findRule(meeting);
+
+      if (rule && rule.channels?.length > 0) {
+        return rule.channels;
+      }
+    } catch (error) {
+      logger.error('Failed to resolve Slack routing, using default channel', {
+        meetingId: meeting.id,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return [DEFAULT_CHANNEL];
+  }
+
+  /**
+   * Resolve the email recipients for a meeting's notifications
+   * A matching rule's email_recipients, plus the calendar attendees when the rule
+   * sets email_attendees; EMAIL_DEFAULT_RECIPIENTS when no rule matches or the
+   * matching rule has no email targets.
+   * Never throws - falls back to EMAIL_DEFAULT_RECIPIENTS if rules can't be evaluated.
+   */
+  async resolveEmailRecipients(meeting) {
+    try {
+      const { rule, calendarEvent } = await this.findRule(meeting);
+
+      if (rule && (rule.email_recipients?.length > 0 || rule.email_attendees)) {
+        const attendees = rule.email_attendees
+          ? (calendarEvent?.attendees || [])
+            .filter(attendee => attendee?.email && !attendee.resource && attendee.responseStatus !== 'declined')
+            .map(attendee => attendee.email)
+          : [];
+
+        return [...new Set([...(rule.email_recipients || []), ...attendees].map(email => email.toLowerCase()))];
+      }
+    } catch (error) {
+      logger.error('Failed to resolve email routing, using default recipients', {
+        meetingId: meeting.id,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return DEFAULT_RECIPIENTS;
+  }
+
+  /**
+   * List all routing rules (including disabled ones)
+   */
+  async listRules() {
+    const { data, error } = await supabase
+      .from('slack_routing_rules')
+      .select('*')
+      .order('priority', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Create a routing rule
+   */
+  async createRule(rule) {
+    const { data, error } = await supabase
+      .from('slack_routing_rules')
+      .insert(rule)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    this.clearCache();
+
+    logger.info('Slack routing rule created', {
+      ruleId: data.id,
+      name: data.name,
+      channels: data.channels,
+      timestamp: new Date().toISOString()
+    });
+
+    return data;
+  }
+
+  /**
+   * Delete a routing rule
+   * Returns the deleted rule, or null if it didn't exist.
+   */
+  async deleteRule(ruleId) {
+    const { data, error } = await supabase
+      .from('slack_routing_rules')
+      .delete()
+      .eq('id', ruleId)
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    this.clearCache();
+
+    return data?.[0] || null;
+  }
+}
+
+// Export singleton instance
+module.exports = new RoutingService();
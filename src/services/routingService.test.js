@@ -0,0 +1,124 @@
+jest.mock('../utils/logger');
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn() }
+}));
+jest.mock('../config/slack', () => ({
+  DEFAULT_CHANNEL: 'C-DEFAULT'
+}));
+jest.mock('../config/email', () => ({
+  DEFAULT_RECIPIENTS: []
+}));
+jest.mock('./databaseService', () => ({
+  getCalendarEvent: jest.fn()
+}));
+
+const { supabase } = require('../config/database');
+const databaseService = require('./databaseService');
+const routingService = require('./routingService');
+
+// A slack_routing_rules query that returns `rules`
+const useRules = (rules, error = null) => {
+  const query = {
+    select: jest.fn(() => query),
+    eq: jest.fn(() => query),
+    order: jest.fn(() => query),
+    then: (resolve) => resolve({ data: rules, error })
+  };
+
+  supabase.from.mockReturnValue(query);
+  return query;
+};
+
+const meeting = { id: 'meeting-1', meeting_title: 'Acme weekly sync', calendar_event_id: 'event-1' };
+
+const calendarEvent = {
+  calendar_id: 'sales@example.com',
+  organizer_email: 'Ann@Example.com',
+  attendees: [{ email: 'ann@example.com' }, { email: 'buyer@Acme.io' }]
+};
+
+describe('routingService.matchesRule', () => {
+  const context = routingService.buildContext(meeting, calendarEvent);
+
+  it('matches a rule without conditions', () => {
+    expect(routingService.matchesRule({ channels: ['C1'] }, context)).toBe(true);
+  });
+
+  it('matches each condition, ignoring case in emails, domains and titles', () => {
+    expect(routingService.matchesRule({ organizer_email: 'ann@example.COM' }, context)).toBe(true);
+    expect(routingService.matchesRule({ attendee_domain: '@ACME.io' }, context)).toBe(true);
+    expect(routingService.matchesRule({ title_pattern: '^acme' }, context)).toBe(true);
+    expect(routingService.matchesRule({ calendar_id: 'sales@example.com' }, context)).toBe(true);
+  });
+
+  it('requires every condition to match', () => {
+    expect(routingService.matchesRule({ organizer_email: 'ann@example.com', attendee_domain: 'globex.com' }, context)).toBe(false);
+    expect(routingService.matchesRule({ title_pattern: 'acme', calendar_id: 'support@example.com' }, context)).toBe(false);
+  });
+
+  it('skips a rule with an invalid title pattern', () => {
+    expect(routingService.matchesRule({ id: 'rule-1', title_pattern: '(' }, context)).toBe(false);
+  });
+
+  it('falls back to the calendar event summary for the title', () => {
+    const untitled = routingService.buildContext({ id: 'meeting-2' }, { summary: 'Acme kickoff' });
+
+    expect(routingService.matchesRule({ title_pattern: 'kickoff' }, untitled)).toBe(true);
+    expect(routingService.matchesRule({ organizer_email: 'ann@example.com' }, untitled)).toBe(false);
+  });
+});
+
+describe('routingService.resolveChannels', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    routingService.clearCache();
+    databaseService.getCalendarEvent.mockResolvedValue(calendarEvent);
+  });
+
+  it('uses the first matching rule in priority order', async () => {
+    const query = useRules([
+      { id: 'rule-1', attendee_domain: 'globex.com', channels: ['C-GLOBEX'] },
+      { id: 'rule-2', attendee_domain: 'acme.io', channels: ['C-ACME', 'U-ANN'] },
+      { id: 'rule-3', channels: ['C-ALL'] }
+    ]);
+
+    expect(await routingService.resolveChannels(meeting)).toEqual(['C-ACME', 'U-ANN']);
+    expect(query.eq).toHaveBeenCalledWith('enabled', true);
+    expect(query.order).toHaveBeenCalledWith('priority', { ascending: true });
+    expect(databaseService.getCalendarEvent).toHaveBeenCalledWith('event-1');
+  });
+
+  it('prefers the meeting\'s own channel', async () => {
+    useRules([{ id: 'rule-1', channels: ['C-ALL'] }]);
+
+    expect(await routingService.resolveChannels({ ...meeting, slack_channel: 'C-MEETING' })).toEqual(['C-MEETING']);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('uses the default channel when no rule matches', async () => {
+    useRules([{ id: 'rule-1', organizer_email: 'bob@example.com', channels: ['C-BOB'] }]);
+
+    expect(await routingService.resolveChannels(meeting)).toEqual(['C-DEFAULT']);
+  });
+
+  it('uses the default channel when the rules cannot be read', async () => {
+    useRules(null, new Error('relation "slack_routing_rules" does not exist'));
+
+    expect(await routingService.resolveChannels(meeting)).toEqual(['C-DEFAULT']);
+  });
+
+  it('reads the rules once a minute', async () => {
+    jest.useFakeTimers({ now: new Date('2024-03-04T10:00:00.000Z') });
+    useRules([{ id: 'rule-1', channels: ['C-ALL'] }]);
+
+    await routingService.resolveChannels(meeting);
+    await routingService.resolveChannels(meeting);
+    expect(supabase.from).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(61 * 1000);
+    await routingService.resolveChannels(meeting);
+    expect(supabase.from).toHaveBeenCalledTimes(2);
+
+    jest.useRealTimers();
+  });
+});
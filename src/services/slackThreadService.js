@@ -0,0 +1,330 @@
+const { slack } = require('../config/slack');
+const logger = require('../utils/logger');
+const databaseService = require('./databaseService');
+const routingService = require('./routingService');
+const meetingStateMachine = require('./meetingStateMachine');
+const { refreshMeetingLinks } = require('./storage');
+
+// Parent message headline per meeting status
+const STATUS_LABELS = {
+  started: '🕐 Starting',
+  bot_joining: '🤖 Bot joining',
+  bot_joined: '🤖 Bot joined',
+  recording: '🎙️ Recording',
+  processing: '⚙️ Processing',
+  completed: '✅ Completed',
+  failed: '❌ Failed',
+  ignored: '🙈 Failed (ignored)'
+};
+
+// Pipeline steps shown on the parent message, in pipeline order
+const STEP_LABELS = {
+  fetch_session_data: 'Fetch session data',
+  stream_to_drive: 'Upload recording',
+  fetch_transcript: 'Fetch transcript',
+  create_transcript: 'Create transcript',
+  summarize: 'Summarize',
+  export_transcript: 'Export subtitles',
+  send_notification: 'Post summary',
+  notify_attendees: 'DM attendees'
+};
+
+const STEP_STATUS_ICONS = {
+  started: '⏳',
+  completed: '✅',
+  failed: '❌'
+};
+
+// A meeting gets its parent message once the bot is on its way in
+const THREAD_START_STATUSES = ['bot_joining', 'bot_joined', 'recording', 'processing', 'completed', 'failed'];
+
+/**
+ * Slack thread service - one parent message per meeting, kept up to date
+ * The parent is posted to each routed channel when the bot joins, stored in
+ * meetings.slack_threads, and edited in place on every status transition and
+ * pipeline step. Details and errors are posted as replies in the thread.
+ */
+class SlackThreadService {
+  constructor() {
+    // Per-meeting promise chains so parent creation and edits never interleave
+    this.pending = new Map();
+
+    meetingStateMachine.on('transition', ({ meeting }) => {
+      this.refresh(meeting.id);
+    });
+  }
+
+  /**
+   * Run a task after any earlier task for the same meeting has finished
+   */
+  enqueue(meetingId, task) {
+    const previous = this.pending.get(meetingId) || Promise.resolve();
+    const next = previous.then(task);
+
+    const settled = next.catch(() => {}).finally(() => {
+      if (this.pending.get(meetingId) === settled) {
+        this.pending.delete(meetingId);
+      }
+    });
+    this.pending.set(meetingId, settled);
+
+    return next;
+  }
+
+  /**
+   * Threads already posted for a meeting (never creates them)
+   */
+  getThreads(meeting) {
+    return Array.isArray(meeting?.slack_threads) ? meeting.slack_threads : [];
+  }
+
+  /**
+   * Threads already posted for a meeting, by meeting ID
+   */
+  async getThreadsForMeeting(meetingId) {
+    const meeting = await databaseService.getMeetingById(meetingId);
+    return this.getThreads(meeting);
+  }
+
+  /**
+   * Get a meeting's threads, posting the parent messages first if needed
+   */
+  async getOrCreateThreads(meetingId) {
+    return this.enqueue(meetingId, async () => {
+      const meeting = await databaseService.getMeetingById(meetingId);
+      return meeting ? this.createThreads(meeting) : [];
+    });
+  }
+
+  /**
+   * Re-render the parent message for a meeting's current state
+   * Safe to call fire-and-forget; failures are logged, never thrown.
+   */
+  refresh(meetingId) {
+    return this.enqueue(meetingId, async () => {
+      const meeting = await databaseService.getMeetingById(meetingId);
+
+      if (!meeting) {
+        return;
+      }
+
+      let threads = this.getThreads(meeting);
+
+      if (threads.length === 0) {
+        if (!THREAD_START_STATUSES.includes(meeting.status)) {
+          return;
+        }
+
+        // A freshly created parent is already rendered for the current state
+        await this.createThreads(meeting);
+        return;
+      }
+
+      const message = await this.buildParentMessage(meeting);
+
+      await Promise.all(threads.map(thread =>
+        slack.chat.update({ channel: thread.channel, ts: thread.ts, ...message })
+          .catch(error => {
+            logger.error('Failed to update Slack thread parent', {
+              meetingId,
+              channel: thread.channel,
+              ts: thread.ts,
+              error: error.message,
+              timestamp: new Date().toISOString()
+            });
+          })
+      ));
+    }).catch(error => {
+      logger.error('Failed to refresh Slack thread', {
+        meetingId,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    });
+  }
+
+  /**
+   * Post the parent message to every routed channel and store the threads
+   * Must run inside enqueue() for the meeting.
+   */
+  async createThreads(meeting) {
+    const existing = this.getThreads(meeting);
+
+    if (existing.length > 0) {
+      return existing;
+    }
+
+    const channels = await routingService.resolveChannels(meeting);
+    const message = await this.buildParentMessage(meeting);
+
+    const results = await Promise.allSettled(
+      channels.map(channel => slack.chat.postMessage({ channel, ...message }))
+    );
+
+    const threads = [];
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        threads.push({ channel: result.value.channel, ts: result.value.ts });
+      } else {
+        logger.error('Failed to post Slack thread parent', {
+          meetingId: meeting.id,
+          channel: channels[index],
+          error: result.reason.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    if (threads.length === 0) {
+      throw results[0].reason;
+    }
+
+    const stored = await databaseService.setMeetingSlackThreads(meeting.id, threads);
+
+    if (!stored) {
+      // Another instance posted first - remove our duplicates and use theirs
+      await Promise.allSettled(threads.map(thread => slack.chat.delete({ channel: thread.channel, ts: thread.ts })));
+      const current = await databaseService.getMeetingById(meeting.id);
+      return this.getThreads(current);
+    }
+
+    logger.logMeetingEvent(meeting.id, 'slack_thread_created', { threads });
+
+    return threads;
+  }
+
+  /**
+   * Reply in each of a meeting's threads
+   * Returns [{ channel, messageTs }] for the replies that were posted.
+   */
+  async reply(threads, message, { broadcast = false } = {}) {
+    const results = await Promise.allSettled(threads.map(thread =>
+      slack.chat.postMessage({
+        channel: thread.channel,
+        thread_ts: thread.ts,
+        reply_broadcast: broadcast,
+        ...message
+      })
+    ));
+
+    const messages = [];
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        messages.push({ channel: result.value.channel, messageTs: result.value.ts });
+      } else {
+        logger.error('Failed to reply in Slack thread', {
+          channel: threads[index].channel,
+          threadTs: threads[index].ts,
+          error: result.reason.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    if (messages.length === 0 && results.length > 0) {
+      throw results[0].reason;
+    }
+
+    return messages;
+  }
+
+  /**
+   * Latest processing log per pipeline step, in pipeline order
+   */
+  summarizeSteps(logs) {
+    const latest = new Map();
+
+    for (const log of logs) {
+      latest.set(log.step, log);
+    }
+
+    return Object.keys(STEP_LABELS)
+      .filter(step => latest.has(step))
+      .map(step => ({ step, label: STEP_LABELS[step], status: latest.get(step).status }));
+  }
+
+  /**
+   * Build the parent message for a meeting
+   */
+  async buildParentMessage(storedMeeting) {
+    // Re-sign expiring links on every update so the buttons keep working
+    const meeting = await refreshMeetingLinks(storedMeeting);
+    const statusLabel = STATUS_LABELS[meeting.status] || meeting.status;
+    const startedAt = new Date(meeting.meeting_started_at || meeting.created_at);
+
+    const blocks = [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${meeting.meeting_title}*\n${statusLabel}`
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `Conference \`${meeting.conference_id}\` · Started <!date^${Math.floor(startedAt.getTime() / 1000)}^{date_short_pretty} {time}|${startedAt.toISOString()}>`
+          }
+        ]
+      }
+    ];
+
+    if (['processing', 'completed', 'failed', 'ignored'].includes(meeting.status)) {
+      const steps = this.summarizeSteps(await databaseService.getProcessingLogs(meeting.id));
+
+      if (steps.length > 0) {
+        blocks.push({
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: steps.map(({ label, status }) => `${STEP_STATUS_ICONS[status] || '•'} ${label}`).join('\n')
+          }
+        });
+      }
+    }
+
+    if (meeting.status === 'failed' || meeting.status === 'ignored') {
+      const history = await databaseService.getStatusHistory(meeting.id);
+      const lastFailure = history.filter(entry => entry.to_status === 'failed').pop();
+
+      if (lastFailure?.reason) {
+        blocks.push({
+          type: 'context',
+          elements: [{ type: 'mrkdwn', text: `*Reason:* ${lastFailure.reason}` }]
+        });
+      }
+    }
+
+    if (meeting.status === 'completed' && meeting.google_drive_recording_url) {
+      const elements = [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: '🎥 Recording', emoji: true },
+          url: meeting.google_drive_recording_url
+        }
+      ];
+
+      if (meeting.google_drive_transcript_url) {
+        elements.push({
+          type: 'button',
+          text: { type: 'plain_text', text: '📝 Transcript', emoji: true },
+          url: meeting.google_drive_transcript_url
+        });
+      }
+
+      blocks.push({ type: 'actions', elements });
+    }
+
+    return {
+      text: `${statusLabel}: ${meeting.meeting_title}`,
+      blocks
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SlackThreadService();
@@ -0,0 +1,168 @@
+jest.mock('../utils/logger');
+jest.mock('../config/slack', () => ({
+  slack: {
+    chat: {
+      postMessage: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn()
+    }
+  }
+}));
+jest.mock('./databaseService', () => ({
+  getMeetingById: jest.fn(),
+  getProcessingLogs: jest.fn(),
+  getStatusHistory: jest.fn(),
+  setMeetingSlackThreads: jest.fn()
+}));
+jest.mock('./routingService', () => ({
+  resolveChannels: jest.fn()
+}));
+jest.mock('./meetingStateMachine', () => ({
+  on: jest.fn()
+}));
+jest.mock('./storage', () => ({
+  refreshMeetingLinks: jest.fn(async meeting => meeting)
+}));
+
+const { slack } = require('../config/slack');
+const databaseService = require('./databaseService');
+const routingService = require('./routingService');
+const slackThreadService = require('./slackThreadService');
+
+// A meeting row that the mocked database reads and writes
+const useMeeting = (fields) => {
+  const meeting = {
+    id: 'meeting-1',
+    meeting_title: 'Weekly sync',
+    conference_id: 'abc-defg-hij',
+    created_at: '2024-03-04T10:00:00.000Z',
+    slack_threads: [],
+    ...fields
+  };
+
+  databaseService.getMeetingById.mockImplementation(async () => ({ ...meeting }));
+  databaseService.setMeetingSlackThreads.mockImplementation(async (meetingId, threads) => {
+    meeting.slack_threads = threads;
+    return true;
+  });
+
+  return meeting;
+};
+
+describe('slackThreadService.refresh', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    routingService.resolveChannels.mockResolvedValue(['C-SALES', 'C-OPS']);
+    databaseService.getProcessingLogs.mockResolvedValue([]);
+    databaseService.getStatusHistory.mockResolvedValue([]);
+    slack.chat.postMessage.mockImplementation(async ({ channel }) => ({ channel, ts: `${channel}.1` }));
+    slack.chat.update.mockResolvedValue({});
+  });
+
+  it('waits for the bot before posting a thread', async () => {
+    useMeeting({ status: 'started' });
+
+    await slackThreadService.refresh('meeting-1');
+
+    expect(slack.chat.postMessage).not.toHaveBeenCalled();
+  });
+
+  it('posts the parent message to every routed channel once the bot joins', async () => {
+    const meeting = useMeeting({ status: 'bot_joining' });
+
+    await slackThreadService.refresh('meeting-1');
+
+    expect(slack.chat.postMessage).toHaveBeenCalledTimes(2);
+    expect(slack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+      channel: 'C-SALES',
+      text: '🤖 Bot joining: Weekly sync'
+    }));
+    expect(meeting.slack_threads).toEqual([
+      { channel: 'C-SALES', ts: 'C-SALES.1' },
+      { channel: 'C-OPS', ts: 'C-OPS.1' }
+    ]);
+  });
+
+  it('edits the parent message in place on later updates', async () => {
+    useMeeting({ status: 'processing', slack_threads: [{ channel: 'C-SALES', ts: 'C-SALES.1' }] });
+    databaseService.getProcessingLogs.mockResolvedValue([
+      { step: 'stream_to_drive', status: 'completed' },
+      { step: 'fetch_transcript', status: 'failed' },
+      { step: 'fetch_transcript', status: 'started' }
+    ]);
+
+    await slackThreadService.refresh('meeting-1');
+
+    expect(slack.chat.postMessage).not.toHaveBeenCalled();
+    expect(slack.chat.update).toHaveBeenCalledWith(expect.objectContaining({
+      channel: 'C-SALES',
+      ts: 'C-SALES.1',
+      text: '⚙️ Processing: Weekly sync',
+      blocks: expect.arrayContaining([
+        { type: 'section', text: { type: 'mrkdwn', text: '✅ Upload recording\n⏳ Fetch transcript' } }
+      ])
+    }));
+  });
+
+  it('creates one thread when updates arrive together', async () => {
+    useMeeting({ status: 'bot_joined' });
+
+    await Promise.all([
+      slackThreadService.refresh('meeting-1'),
+      slackThreadService.refresh('meeting-1'),
+      slackThreadService.refresh('meeting-1')
+    ]);
+
+    expect(slack.chat.postMessage).toHaveBeenCalledTimes(2);
+    expect(slack.chat.update).toHaveBeenCalledTimes(4);
+  });
+
+  it('uses the other instance\'s thread when it posted first', async () => {
+    const meeting = useMeeting({ status: 'bot_joined' });
+    const theirs = [{ channel: 'C-SALES', ts: 'C-SALES.0' }];
+    databaseService.setMeetingSlackThreads.mockResolvedValue(false);
+    databaseService.getMeetingById
+      .mockResolvedValueOnce({ ...meeting })
+      .mockResolvedValueOnce({ ...meeting, slack_threads: theirs });
+
+    expect(await slackThreadService.getOrCreateThreads('meeting-1')).toEqual(theirs);
+    expect(slack.chat.delete).toHaveBeenCalledWith({ channel: 'C-SALES', ts: 'C-SALES.1' });
+    expect(slack.chat.delete).toHaveBeenCalledWith({ channel: 'C-OPS', ts: 'C-OPS.1' });
+  });
+
+  it('never throws', async () => {
+    databaseService.getMeetingById.mockRejectedValue(new Error('database unavailable'));
+
+    await expect(slackThreadService.refresh('meeting-1')).resolves.toBeUndefined();
+  });
+});
+
+describe('slackThreadService.reply', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const threads = [{ channel: 'C-SALES', ts: 'C-SALES.1' }, { channel: 'C-OPS', ts: 'C-OPS.1' }];
+
+  it('returns the replies that were posted', async () => {
+    slack.chat.postMessage
+      .mockResolvedValueOnce({ channel: 'C-SALES', ts: 'C-SALES.2' })
+      .mockRejectedValueOnce(new Error('channel_not_found'));
+
+    expect(await slackThreadService.reply(threads, { text: 'Done' }, { broadcast: true })).toEqual([
+      { channel: 'C-SALES', messageTs: 'C-SALES.2' }
+    ]);
+    expect(slack.chat.postMessage).toHaveBeenCalledWith({
+      channel: 'C-SALES',
+      thread_ts: 'C-SALES.1',
+      reply_broadcast: true,
+      text: 'Done'
+    });
+  });
+
+  it('throws when no reply could be posted', async () => {
+    slack.chat.postMessage.mockRejectedValue(new Error('not_in_channel'));
+
+    await expect(slackThreadService.reply(threads, { text: 'Done' })).rejects.toThrow('not_in_channel');
+  });
+});
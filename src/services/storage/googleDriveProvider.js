@@ -0,0 +1,205 @@
+const { drive, docs } = require('../../config/google');
+const logger = require('../../utils/logger');
+const { resolveHeadingLinks } = require('../../utils/docBuilder');
+
+// Drive folder for each logical storage folder
+const FOLDERS = {
+  recordings: process.env.GOOGLE_DRIVE_RECORDINGS_FOLDER,
+  transcripts: process.env.GOOGLE_DRIVE_TRANSCRIPTS_FOLDER
+};
+
+const FILE_FIELDS = 'id,name,webViewLink,webContentLink,size,createdTime,mimeType';
+
+/**
+ * Google Drive storage provider
+ * Recordings are uploaded as Drive files; transcripts are created as Google Docs.
+ */
+class GoogleDriveProvider {
+  constructor() {
+    this.name = 'google_drive';
+    this.linksExpire = false;
+  }
+
+  /**
+   * Upload a stream as a Drive file
+   */
+  async uploadStream(stream, { name, mimeType, folder, metadata = {} }) {
+    const response = await drive.files.create({
+      requestBody: {
+        name,
+        parents: FOLDERS[folder] ? [FOLDERS[folder]] : undefined,
+        properties: metadata
+      },
+      media: {
+        mimeType,
+        body: stream
+      },
+      fields: FILE_FIELDS
+    });
+
+    return this.toStoredFile(response.data, mimeType);
+  }
+
+  /**
+   * Create a Google Doc from Docs API batchUpdate requests
+   * headingLinks (from DocBuilder) are linked to their headings once Google has assigned heading IDs.
+   */
+  async createDocument({ title, requests, headingLinks = [], folder }) {
+    const document = await docs.documents.create({
+      requestBody: {
+        title
+      }
+    });
+
+    const documentId = document.data.documentId;
+
+    await this.updateDocument(documentId, { requests, headingLinks });
+
+    if (FOLDERS[folder]) {
+      await drive.files.update({
+        fileId: documentId,
+        addParents: FOLDERS[folder],
+        fields: 'id,parents'
+      });
+    }
+
+    const docInfo = await drive.files.get({
+      fileId: documentId,
+      fields: FILE_FIELDS
+    });
+
+    return this.toStoredFile(docInfo.data, docInfo.data.mimeType);
+  }
+
+  /**
+   * Read a Google Doc (fields is a Docs API field mask)
+   */
+  async getDocument(documentId, fields = undefined) {
+    const document = await docs.documents.get({ documentId, fields });
+    return document.data;
+  }
+
+  /**
+   * Apply Docs API batchUpdate requests to an existing Google Doc
+   */
+  async updateDocument(documentId, { requests, headingLinks = [] }) {
+    await docs.documents.batchUpdate({
+      documentId,
+      requestBody: {
+        requests
+      }
+    });
+
+    if (headingLinks.length > 0) {
+      await this.linkHeadings(documentId, headingLinks);
+    }
+  }
+
+  /**
+   * Point table-of-contents entries at their headings
+   * Best-effort - the document is complete without the links.
+   */
+  async linkHeadings(documentId, headingLinks) {
+    try {
+      const document = await this.getDocument(documentId, 'body/content(startIndex,paragraph/paragraphStyle/headingId)');
+      const requests = resolveHeadingLinks(headingLinks, document);
+
+      if (requests.length > 0) {
+        await docs.documents.batchUpdate({
+          documentId,
+          requestBody: {
+            requests
+          }
+        });
+      }
+    } catch (error) {
+      logger.warn('Could not link document contents to headings', {
+        documentId,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Make a file readable by anyone with the link
+   * Sharing is best-effort - the upload already succeeded.
+   */
+  async setSharing(fileId, { public: isPublic = true } = {}) {
+    if (!isPublic) {
+      return false;
+    }
+
+    try {
+      await drive.permissions.create({
+        fileId,
+        requestBody: {
+          role: 'reader',
+          type: 'anyone'
+        }
+      });
+
+      logger.info('File made shareable', {
+        provider: this.name,
+        fileId,
+        timestamp: new Date().toISOString()
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to make file shareable', {
+        provider: this.name,
+        fileId,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Get the browser link for a file
+   */
+  async getLink(fileId) {
+    const response = await drive.files.get({
+      fileId,
+      fields: 'webViewLink'
+    });
+
+    return response.data.webViewLink;
+  }
+
+  /**
+   * Delete a file
+   */
+  async delete(fileId) {
+    await drive.files.delete({
+      fileId
+    });
+
+    logger.info('File deleted from storage', {
+      provider: this.name,
+      fileId,
+      timestamp: new Date().toISOString()
+    });
+
+    return true;
+  }
+
+  /**
+   * Normalize a Drive file resource
+   */
+  toStoredFile(file, mimeType) {
+    return {
+      id: file.id,
+      name: file.name,
+      webViewLink: file.webViewLink,
+      webContentLink: file.webContentLink,
+      size: file.size ? parseInt(file.size) : null,
+      createdTime: file.createdTime,
+      mimeType: file.mimeType || mimeType
+    };
+  }
+}
+
+module.exports = GoogleDriveProvider;
@@ -0,0 +1,162 @@
+const { getServiceConfig } = require('../../config/database');
+const logger = require('../../utils/logger');
+
+/**
+ * Storage provider registry
+ * Every provider implements the same interface:
+ *   uploadStream(stream, { name, mimeType, folder, metadata }) -> stored file
+ *   setSharing(id, { public })                                 -> boolean
+ *   getLink(id)                                                -> URL
+ *   delete(id)                                                 -> true
+ * where a stored file is { id, name, webViewLink, webContentLink, size, createdTime, mimeType }
+ * and folder is 'recordings' or 'transcripts'.
+ * Providers set `linksExpire` when the links they return stop working after a
+ * while (S3 presigned URLs); those are signed again from the stored ID when served.
+ * Providers may also implement createDocument({ title, requests, headingLinks, folder }) for native
+ * documents, plus getDocument(id, fields) and updateDocument(id, { requests, headingLinks }) to edit them.
+ *
+ * The active provider comes from service_config.storage_provider, then STORAGE_PROVIDER,
+ * then Google Drive.
+ */
+
+// Provider modules are loaded on first use so unused SDKs and credentials aren't required
+const PROVIDERS = {
+  google_drive: () => require('./googleDriveProvider'),
+  s3: () => require('./s3Provider'),
+  local: () => require('./localProvider')
+};
+
+const DEFAULT_PROVIDER = 'google_drive';
+
+// How long the service_config lookup is trusted before re-reading
+const CONFIG_CACHE_MS = 60 * 1000;
+
+const instances = new Map();
+let configuredName = null;
+let configuredAt = 0;
+
+/**
+ * Get a provider instance by name
+ */
+const getProviderByName = (name) => {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown storage provider: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    const Provider = PROVIDERS[name]();
+    instances.set(name, new Provider());
+  }
+
+  return instances.get(name);
+};
+
+/**
+ * Resolve the configured provider name
+ */
+const getConfiguredProviderName = async () => {
+  if (configuredName && Date.now() - configuredAt < CONFIG_CACHE_MS) {
+    return configuredName;
+  }
+
+  let name = null;
+
+  try {
+    name = await getServiceConfig('storage_provider');
+  } catch (error) {
+    logger.warn('Could not read storage provider from service_config, using environment', {
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  configuredName = name || process.env.STORAGE_PROVIDER || DEFAULT_PROVIDER;
+  configuredAt = Date.now();
+
+  return configuredName;
+};
+
+/**
+ * Get the storage provider to use
+ * Pass the name recorded on a meeting to keep using the provider its files were stored with.
+ */
+const getStorageProvider = async (name = null) => {
+  return getProviderByName(name || await getConfiguredProviderName());
+};
+
+/**
+ * A working link to a stored file
+ * Returns a fresh link when the provider's links expire, otherwise the saved URL.
+ * Falls back to the saved URL if a new link can't be made.
+ */
+const refreshLink = async (providerName, id, url) => {
+  if (!id || !url) {
+    return url || null;
+  }
+
+  try {
+    const provider = getProviderByName(providerName || DEFAULT_PROVIDER);
+    return provider.linksExpire ? await provider.getLink(id) : url;
+  } catch (error) {
+    logger.warn('Failed to refresh stored file link', {
+      provider: providerName,
+      id,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+    return url;
+  }
+};
+
+/**
+ * A meeting row with working recording and transcript links
+ * The URLs saved when the meeting was processed may be presigned links that have
+ * since expired; anything serving them later (API, Slack) goes through here.
+ */
+const refreshMeetingLinks = async (meeting) => {
+  if (!meeting) {
+    return meeting;
+  }
+
+  const refreshed = { ...meeting };
+
+  for (const file of ['recording', 'transcript']) {
+    const urlColumn = `google_drive_${file}_url`;
+
+    if (urlColumn in meeting) {
+      refreshed[urlColumn] = await refreshLink(meeting.storage_provider, meeting[`google_drive_${file}_id`], meeting[urlColumn]);
+    }
+  }
+
+  return refreshed;
+};
+
+/**
+ * Link into a stored recording at a time offset
+ * Drive's viewer takes a `t` query parameter; direct media links use a media fragment.
+ */
+const buildRecordingDeepLink = (recordingUrl, providerName, timeStartMs) => {
+  if (!recordingUrl || timeStartMs === null || timeStartMs === undefined) {
+    return recordingUrl || null;
+  }
+
+  const seconds = Math.floor(timeStartMs / 1000);
+
+  if (!providerName || providerName === 'google_drive') {
+    const url = new URL(recordingUrl);
+    url.searchParams.set('t', `${seconds}`);
+    return url.toString();
+  }
+
+  return `${recordingUrl.split('#')[0]}#t=${seconds}`;
+};
+
+module.exports = {
+  getStorageProvider,
+  buildRecordingDeepLink,
+  refreshLink,
+  refreshMeetingLinks,
+  getProviderByName,
+  getConfiguredProviderName,
+  PROVIDER_NAMES: Object.keys(PROVIDERS)
+};
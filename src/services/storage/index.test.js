@@ -0,0 +1,120 @@
+jest.mock('../../utils/logger');
+jest.mock('../../config/database', () => ({
+  getServiceConfig: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../config/google', () => ({ drive: {}, docs: {} }));
+
+const ORIGINAL_ENV = process.env;
+
+const loadStorage = (env = {}) => {
+  jest.resetModules();
+  process.env = {
+    ...ORIGINAL_ENV,
+    S3_BUCKET: 'meeting-recordings',
+    S3_REGION: 'us-east-1',
+    S3_ACCESS_KEY_ID: 'test-key',
+    S3_SECRET_ACCESS_KEY: 'test-secret',
+    S3_PUBLIC_BASE_URL: '',
+    ...env
+  };
+  return require('./index');
+};
+
+const s3Meeting = {
+  id: 'meeting-1',
+  storage_provider: 's3',
+  google_drive_recording_id: 'recordings/1700000000000-call.mp4',
+  google_drive_recording_url: 'https://meeting-recordings.s3.amazonaws.com/recordings/1700000000000-call.mp4?X-Amz-Expires=604800&X-Amz-Date=20200101T000000Z',
+  google_drive_transcript_id: 'transcripts/1700000000000-call.txt',
+  google_drive_transcript_url: 'https://meeting-recordings.s3.amazonaws.com/transcripts/1700000000000-call.txt?X-Amz-Date=20200101T000000Z'
+};
+
+describe('refreshMeetingLinks', () => {
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  it('signs new S3 links from the stored object keys', async () => {
+    const { refreshMeetingLinks } = loadStorage();
+
+    const meeting = await refreshMeetingLinks(s3Meeting);
+
+    for (const [key, url] of [
+      [s3Meeting.google_drive_recording_id, meeting.google_drive_recording_url],
+      [s3Meeting.google_drive_transcript_id, meeting.google_drive_transcript_url]
+    ]) {
+      const link = new URL(url);
+      expect(link.pathname).toContain(key);
+      expect(link.searchParams.get('X-Amz-Signature')).toBeTruthy();
+      expect(link.searchParams.get('X-Amz-Date')).not.toBe('20200101T000000Z');
+    }
+
+    expect(meeting.id).toBe('meeting-1');
+  });
+
+  it('keeps stable S3 links when S3_PUBLIC_BASE_URL is set', async () => {
+    const { refreshMeetingLinks } = loadStorage({ S3_PUBLIC_BASE_URL: 'https://cdn.example.com' });
+    const stored = {
+      ...s3Meeting,
+      google_drive_recording_url: 'https://cdn.example.com/recordings/1700000000000-call.mp4'
+    };
+
+    const meeting = await refreshMeetingLinks(stored);
+
+    expect(meeting.google_drive_recording_url).toBe(stored.google_drive_recording_url);
+  });
+
+  it('leaves Google Drive and legacy meetings alone', async () => {
+    const { refreshMeetingLinks } = loadStorage();
+    const drive = {
+      storage_provider: null,
+      google_drive_recording_id: 'drive-file',
+      google_drive_recording_url: 'https://drive.google.com/file/d/drive-file/view'
+    };
+
+    expect(await refreshMeetingLinks(drive)).toEqual(drive);
+  });
+
+  it('only touches link columns the row has', async () => {
+    const { refreshMeetingLinks } = loadStorage();
+    const row = { id: 'meeting-1', storage_provider: 's3', google_drive_recording_id: 'recordings/a.mp4' };
+
+    expect(await refreshMeetingLinks(row)).toEqual(row);
+  });
+});
+
+describe('refreshLink', () => {
+  it('falls back to the saved URL when no link can be made', async () => {
+    const { refreshLink } = loadStorage();
+
+    expect(await refreshLink('unknown', 'file-id', 'https://example.com/file')).toBe('https://example.com/file');
+    expect(await refreshLink('s3', null, 'https://example.com/file')).toBe('https://example.com/file');
+    expect(await refreshLink('s3', 'file-id', null)).toBeNull();
+  });
+});
+
+describe('getStorageProvider', () => {
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  it('uses STORAGE_PROVIDER when service_config has no storage_provider row', async () => {
+    const { getStorageProvider } = loadStorage({ STORAGE_PROVIDER: 'local' });
+
+    expect((await getStorageProvider()).name).toBe('local');
+  });
+
+  it('prefers a storage_provider row in service_config', async () => {
+    const { getStorageProvider } = loadStorage({ STORAGE_PROVIDER: 'local' });
+    require('../../config/database').getServiceConfig.mockResolvedValue('s3');
+
+    expect((await getStorageProvider()).name).toBe('s3');
+  });
+
+  it('keeps the provider a meeting was stored with', async () => {
+    const { getStorageProvider } = loadStorage({ STORAGE_PROVIDER: 'local' });
+
+    expect((await getStorageProvider('s3')).name).toBe('s3');
+  });
+});
+
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { pathToFileURL } = require('url');
+const logger = require('../../utils/logger');
+
+/**
+ * Local filesystem storage provider (development and tests)
+ * Files are written under LOCAL_STORAGE_DIR (default ./storage); the file ID is
+ * the path relative to that directory.
+ */
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    this.linksExpire = false;
+    this.baseDir = path.resolve(process.env.LOCAL_STORAGE_DIR || './storage');
+  }
+
+  /**
+   * Write a stream to disk
+   */
+  async uploadStream(stream, { name, mimeType, folder }) {
+    const id = path.posix.join(folder, `${Date.now()}-${name.replace(/[^\w.\- ]+/g, '_')}`);
+    const filePath = this.resolve(id);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await pipeline(stream, fs.createWriteStream(filePath));
+
+    const stats = await fs.promises.stat(filePath);
+    const link = await this.getLink(id);
+
+    return {
+      id,
+      name,
+      webViewLink: link,
+      webContentLink: link,
+      size: stats.size,
+      createdTime: stats.birthtime.toISOString(),
+      mimeType
+    };
+  }
+
+  /**
+   * Local files have no sharing model
+   */
+  async setSharing() {
+    return false;
+  }
+
+  /**
+   * Get a file:// link to the stored file
+   */
+  async getLink(id) {
+    return pathToFileURL(this.resolve(id)).href;
+  }
+
+  /**
+   * Delete a stored file
+   */
+  async delete(id) {
+    await fs.promises.unlink(this.resolve(id));
+
+    logger.info('File deleted from storage', {
+      provider: this.name,
+      id,
+      timestamp: new Date().toISOString()
+    });
+
+    return true;
+  }
+
+  /**
+   * Resolve a file ID to a path, refusing anything outside the storage directory
+   */
+  resolve(id) {
+    const filePath = path.resolve(this.baseDir, id);
+
+    if (!filePath.startsWith(this.baseDir + path.sep)) {
+      throw new Error(`Invalid storage path: ${id}`);
+    }
+
+    return filePath;
+  }
+}
+
+module.exports = LocalProvider;
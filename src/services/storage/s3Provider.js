@@ -0,0 +1,162 @@
+const {
+  S3Client,
+  PutObjectAclCommand,
+  DeleteObjectCommand,
+  GetObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const logger = require('../../utils/logger');
+
+// Presigned links can't outlive 7 days with SigV4
+const MAX_LINK_EXPIRY_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * S3-compatible storage provider (AWS S3, MinIO, R2, ...)
+ * Objects are keyed `<folder>/<timestamp>-<name>`. Links are presigned unless
+ * S3_PUBLIC_BASE_URL points at a public bucket/CDN. Presigned links expire, so
+ * the links saved on a meeting are re-signed from its object keys when they are
+ * served again (see refreshMeetingLinks in ./index.js).
+ */
+class S3Provider {
+  constructor() {
+    this.name = 's3';
+    this.bucket = process.env.S3_BUCKET;
+
+    if (!this.bucket) {
+      throw new Error('Missing required environment variables: S3_BUCKET');
+    }
+
+    this.publicBaseUrl = process.env.S3_PUBLIC_BASE_URL || null;
+    this.linksExpire = !this.publicBaseUrl;
+    this.objectAcl = process.env.S3_OBJECT_ACL || null;
+    this.linkExpirySeconds = Math.min(
+      parseInt(process.env.S3_LINK_EXPIRY_SECONDS) || MAX_LINK_EXPIRY_SECONDS,
+      MAX_LINK_EXPIRY_SECONDS
+    );
+
+    this.client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      // MinIO and most self-hosted stores need an explicit endpoint and path-style URLs
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+          }
+        : undefined
+    });
+
+    if (this.linksExpire) {
+      logger.warn('S3_PUBLIC_BASE_URL is not set; links already sent in notifications expire', {
+        provider: this.name,
+        linkExpirySeconds: this.linkExpirySeconds,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Upload a stream with a multipart upload (length may be unknown)
+   */
+  async uploadStream(stream, { name, mimeType, folder, metadata = {} }) {
+    const key = `${folder}/${Date.now()}-${name.replace(/[^\w.\- ]+/g, '_')}`;
+
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: key,
+        Body: stream,
+        ContentType: mimeType,
+        Metadata: Object.fromEntries(
+          Object.entries(metadata).map(([k, v]) => [k.toLowerCase(), String(v)])
+        )
+      }
+    });
+
+    let size = 0;
+    upload.on('httpUploadProgress', (progress) => {
+      size = progress.loaded || size;
+    });
+
+    await upload.done();
+
+    const link = await this.getLink(key);
+
+    return {
+      id: key,
+      name,
+      webViewLink: link,
+      webContentLink: link,
+      size: size || null,
+      createdTime: new Date().toISOString(),
+      mimeType
+    };
+  }
+
+  /**
+   * Apply the configured object ACL (e.g. public-read)
+   * Many S3-compatible stores ignore ACLs; presigned links work regardless.
+   */
+  async setSharing(key, { public: isPublic = true } = {}) {
+    if (!isPublic || !this.objectAcl) {
+      return false;
+    }
+
+    try {
+      await this.client.send(new PutObjectAclCommand({
+        Bucket: this.bucket,
+        Key: key,
+        ACL: this.objectAcl
+      }));
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to set object ACL', {
+        provider: this.name,
+        key,
+        acl: this.objectAcl,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Get a link to an object (public URL or presigned GET)
+   */
+  async getLink(key) {
+    if (this.publicBaseUrl) {
+      return `${this.publicBaseUrl.replace(/\/$/, '')}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: key }),
+      { expiresIn: this.linkExpirySeconds }
+    );
+  }
+
+  /**
+   * Delete an object
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+
+    logger.info('File deleted from storage', {
+      provider: this.name,
+      key,
+      timestamp: new Date().toISOString()
+    });
+
+    return true;
+  }
+}
+
+module.exports = S3Provider;
@@ -0,0 +1,88 @@
+const logger = require('../../utils/logger');
+const { getServiceConfig } = require('../../config/database');
+
+/**
+ * Summarization provider registry
+ * Every provider implements the same interface:
+ *   summarize({ meeting, transcript, speakers, attendees }) -> {
+ *     summary,                    executive summary (plain text)
+ *     actionItems: [{ text, owner }],
+ *     decisions: [text],
+ *     openQuestions: [text]
+ *   }
+ * where transcript is normalized entries ({ start, end, speaker, text }, ms),
+ * speakers are speaker names and attendees are calendar attendees
+ * ({ email, displayName }). Providers expose `name` and `model`.
+ *
+ * The active provider comes from service_config.summary_provider, then
+ * SUMMARY_PROVIDER. With neither set, meetings aren't summarized.
+ */
+
+// Provider modules are loaded on first use so unused credentials aren't required
+const PROVIDERS = {
+  openai: () => require('./openAiProvider'),
+  stub: () => require('./stubProvider')
+};
+
+// How long the service_config lookup is trusted before re-reading
+const CONFIG_CACHE_MS = 60 * 1000;
+
+const instances = new Map();
+let configuredName = null;
+let configuredAt = 0;
+
+/**
+ * Get a provider instance by name
+ */
+const getProviderByName = (name) => {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown summary provider: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    const Provider = PROVIDERS[name]();
+    instances.set(name, new Provider());
+  }
+
+  return instances.get(name);
+};
+
+/**
+ * Resolve the configured provider name ('' when summarization is off)
+ */
+const getConfiguredProviderName = async () => {
+  if (configuredName !== null && Date.now() - configuredAt < CONFIG_CACHE_MS) {
+    return configuredName;
+  }
+
+  let name = null;
+
+  try {
+    name = await getServiceConfig('summary_provider');
+  } catch (error) {
+    logger.warn('Could not read summary provider from service_config, using environment', {
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  configuredName = name || process.env.SUMMARY_PROVIDER || '';
+  configuredAt = Date.now();
+
+  return configuredName;
+};
+
+/**
+ * Get the summary provider to use, or null if summarization is off
+ */
+const getSummaryProvider = async () => {
+  const name = await getConfiguredProviderName();
+  return name ? getProviderByName(name) : null;
+};
+
+module.exports = {
+  getSummaryProvider,
+  getProviderByName,
+  getConfiguredProviderName,
+  PROVIDER_NAMES: Object.keys(PROVIDERS)
+};
@@ -0,0 +1,102 @@
+const axios = require('axios');
+const { formatOffset } = require('../../utils/transcriptExports');
+
+// Longest transcript sent to the model; the middle of longer meetings is left out
+const DEFAULT_MAX_TRANSCRIPT_CHARS = 120000;
+
+const SYSTEM_PROMPT = [
+  'You summarize meeting transcripts for the people who attended.',
+  'Reply with a JSON object with exactly these keys:',
+  '"summary": an executive summary of 3-6 sentences,',
+  '"actionItems": [{ "text": what needs doing, "owner": the person responsible as named in the transcript or attendee list, or null }],',
+  '"decisions": [each decision that was made],',
+  '"openQuestions": [each question left unresolved].',
+  'Only include items that are in the transcript. Use empty arrays when there are none.'
+].join('\n');
+
+/**
+ * Summarization through any OpenAI-compatible chat completions API
+ * (OpenAI, Azure OpenAI, or a self-hosted model behind SUMMARY_API_BASE_URL)
+ */
+class OpenAiProvider {
+  constructor() {
+    this.name = 'openai';
+    this.apiKey = process.env.SUMMARY_API_KEY;
+
+    if (!this.apiKey) {
+      throw new Error('Missing required environment variables: SUMMARY_API_KEY');
+    }
+
+    this.baseUrl = (process.env.SUMMARY_API_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.model = process.env.SUMMARY_MODEL || 'gpt-4o-mini';
+    this.timeoutMs = parseInt(process.env.SUMMARY_TIMEOUT_MS) || 120000;
+    this.maxTranscriptChars = parseInt(process.env.SUMMARY_MAX_TRANSCRIPT_CHARS) || DEFAULT_MAX_TRANSCRIPT_CHARS;
+  }
+
+  async summarize({ meeting, transcript, speakers, attendees }) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      temperature: 0.2,
+      response_format: { type: 'json_object' },
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: this.buildPrompt({ meeting, transcript, speakers, attendees }) }
+      ]
+    }, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeoutMs
+    });
+
+    const content = response.data?.choices?.[0]?.message?.content;
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Summary model returned invalid JSON: ${String(content).substring(0, 100)}`);
+    }
+  }
+
+  /**
+   * Meeting details, attendees and the transcript as "[mm:ss] Speaker: text" lines
+   */
+  buildPrompt({ meeting, transcript, speakers, attendees }) {
+    const people = attendees
+      .map(attendee => attendee.displayName ? `${attendee.displayName} <${attendee.email}>` : attendee.email)
+      .join(', ');
+
+    return [
+      `Meeting: ${meeting.meeting_title}`,
+      meeting.meeting_description ? `Description: ${meeting.meeting_description}` : null,
+      `Speakers: ${speakers.join(', ') || 'unknown'}`,
+      people ? `Attendees: ${people}` : null,
+      '',
+      'Transcript:',
+      this.truncate(transcript.map(entry => `[${formatOffset(entry.start)}] ${entry.speaker}: ${entry.text}`))
+    ].filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * Keep the start and end of an over-long transcript, where meetings set up and wrap up
+   */
+  truncate(lines) {
+    const text = lines.join('\n');
+
+    if (text.length <= this.maxTranscriptChars) {
+      return text;
+    }
+
+    // Cut at line breaks where there are any
+    const half = Math.floor(this.maxTranscriptChars / 2);
+    const headEnd = text.lastIndexOf('\n', half);
+    const tailStart = text.indexOf('\n', text.length - half);
+    const head = text.slice(0, headEnd > 0 ? headEnd : half);
+    const tail = text.slice(tailStart >= 0 ? tailStart + 1 : text.length - half);
+
+    return `${head}\n[... transcript shortened ...]\n${tail}`;
+  }
+}
+
+module.exports = OpenAiProvider;
@@ -0,0 +1,75 @@
+/**
+ * Deterministic local summarizer
+ * Picks sentences out of the transcript with keyword rules instead of calling
+ * a model, so the summarize step runs in development and tests with no network
+ * access. The same transcript always gives the same summary.
+ */
+
+// Most items of each kind the stub returns
+const MAX_ITEMS = 10;
+
+// Sentences shorter than this are too thin for the summary
+const MIN_SUMMARY_WORDS = 6;
+
+const DECISION_PATTERN = /\b(we decided|decided to|we agreed|agreed to|agreed on|let's go with|we'll go with|going with|decision is)\b/i;
+const ACTION_PATTERN = /\b(i'll|i will|we'll|we will|i need to|we need to|needs to|follow up|action item|to-?do|take care of|let's)\b/i;
+const FIRST_PERSON_PATTERN = /\b(i'll|i will|i need to|i can)\b/i;
+
+const splitSentences = (text) => text
+  .split(/(?<=[.!?])\s+/)
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+class StubProvider {
+  constructor() {
+    this.name = 'stub';
+    this.model = 'keyword-rules';
+  }
+
+  async summarize({ meeting, transcript, speakers }) {
+    const actionItems = [];
+    const decisions = [];
+    const openQuestions = [];
+    const summarySentences = [];
+    const wordCounts = new Map();
+
+    for (const entry of transcript) {
+      wordCounts.set(entry.speaker, (wordCounts.get(entry.speaker) || 0) + entry.text.split(' ').length);
+
+      for (const sentence of splitSentences(entry.text)) {
+        if (DECISION_PATTERN.test(sentence)) {
+          decisions.push(sentence);
+        } else if (sentence.endsWith('?')) {
+          openQuestions.push(sentence);
+        } else if (ACTION_PATTERN.test(sentence)) {
+          actionItems.push({
+            text: sentence,
+            owner: FIRST_PERSON_PATTERN.test(sentence) ? entry.speaker : null
+          });
+        } else if (sentence.split(' ').length >= MIN_SUMMARY_WORDS) {
+          summarySentences.push(sentence);
+        }
+      }
+    }
+
+    const mostActive = [...wordCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([speaker]) => speaker);
+
+    const summary = [
+      `${meeting.meeting_title} had ${speakers.length} ${speakers.length === 1 ? 'speaker' : 'speakers'}` +
+        (mostActive.length > 0 ? `; most active: ${mostActive.join(', ')}.` : '.'),
+      ...summarySentences.slice(0, 3)
+    ].join(' ');
+
+    return {
+      summary,
+      actionItems: actionItems.slice(0, MAX_ITEMS),
+      decisions: decisions.slice(0, MAX_ITEMS),
+      openQuestions: openQuestions.slice(0, MAX_ITEMS)
+    };
+  }
+}
+
+module.exports = StubProvider;
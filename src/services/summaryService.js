@@ -0,0 +1,145 @@
+const logger = require('../utils/logger');
+const databaseService = require('./databaseService');
+const { getSummaryProvider } = require('./summarization');
+const { normalizeTranscript } = require('../utils/transcriptExports');
+
+// Most items of each kind kept from a provider's answer
+const MAX_ITEMS = 20;
+
+const cleanText = (value) => typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+
+const cleanList = (values) => (Array.isArray(values) ? values : [])
+  .map(cleanText)
+  .filter(Boolean)
+  .slice(0, MAX_ITEMS);
+
+const firstName = (value) => cleanText(value).toLowerCase().split(/[\s.@_-]+/)[0] || '';
+
+// Only trust a fuzzy match when it points at exactly one person
+const findOnly = (items, predicate) => {
+  const matches = items.filter(predicate);
+  return matches.length === 1 ? matches[0] : null;
+};
+
+/**
+ * Summary service - executive summary, action items, decisions and open questions
+ * The model is behind a summarization provider (see services/summarization).
+ * Action item owners are matched to the meeting's speakers and calendar
+ * attendees, so they can be mentioned in Slack.
+ */
+class SummaryService {
+  /**
+   * Whether a summary provider is configured
+   */
+  async isEnabled() {
+    return !!await getSummaryProvider();
+  }
+
+  /**
+   * Summarize a meeting transcript
+   * Returns null when summarization is off or there is no transcript, otherwise
+   * { summary, actionItems: [{ text, owner, ownerEmail }], decisions, openQuestions,
+   *   provider, model, generatedAt }.
+   */
+  async summarizeMeeting(meeting, transcriptArray) {
+    const provider = await getSummaryProvider();
+    const transcript = normalizeTranscript(transcriptArray);
+
+    if (!provider || transcript.length === 0) {
+      return null;
+    }
+
+    const speakers = [...new Set(transcript.map(entry => entry.speaker))];
+    const attendees = await this.getAttendees(meeting);
+    const startTime = Date.now();
+
+    const raw = await provider.summarize({ meeting, transcript, speakers, attendees });
+    const summary = this.normalizeSummary(raw, { speakers, attendees });
+
+    logger.logMeetingEvent(meeting.id, 'meeting_summarized', {
+      provider: provider.name,
+      model: provider.model,
+      actionItems: summary.actionItems.length,
+      decisions: summary.decisions.length,
+      openQuestions: summary.openQuestions.length,
+      durationMs: Date.now() - startTime
+    });
+
+    return {
+      ...summary,
+      provider: provider.name,
+      model: provider.model,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Calendar attendees who are people (not rooms)
+   */
+  async getAttendees(meeting) {
+    const calendarEvent = meeting.calendar_event_id
+      ? await databaseService.getCalendarEvent(meeting.calendar_event_id)
+      : null;
+
+    return (calendarEvent?.attendees || [])
+      .filter(attendee => attendee?.email && !attendee.resource)
+      .map(attendee => ({
+        email: attendee.email.toLowerCase(),
+        displayName: attendee.displayName || null
+      }));
+  }
+
+  /**
+   * Clean up a provider's answer; models don't always stick to the format
+   */
+  normalizeSummary(raw, { speakers, attendees }) {
+    if (!raw || typeof raw !== 'object') {
+      throw new Error('Summary provider returned no summary');
+    }
+
+    const actionItems = (Array.isArray(raw.actionItems) ? raw.actionItems : [])
+      .map(item => typeof item === 'string' ? { text: item, owner: null } : item)
+      .filter(item => item && cleanText(item.text))
+      .slice(0, MAX_ITEMS)
+      .map(item => ({
+        text: cleanText(item.text),
+        ...this.matchOwner(cleanText(item.owner), { speakers, attendees })
+      }));
+
+    return {
+      summary: cleanText(raw.summary),
+      actionItems,
+      decisions: cleanList(raw.decisions),
+      openQuestions: cleanList(raw.openQuestions)
+    };
+  }
+
+  /**
+   * Match an owner named by the model to a speaker and a calendar attendee
+   * Returns { owner, ownerEmail }; ownerEmail is null if no attendee matches.
+   */
+  matchOwner(owner, { speakers, attendees }) {
+    if (!owner) {
+      return { owner: null, ownerEmail: null };
+    }
+
+    const wanted = owner.toLowerCase();
+
+    const speaker = speakers.find(name => name.toLowerCase() === wanted) ||
+      findOnly(speakers, name => firstName(name) === firstName(owner));
+
+    const name = (speaker || owner).toLowerCase();
+
+    const attendee = attendees.find(person => person.email === wanted) ||
+      attendees.find(person => person.displayName?.toLowerCase() === name) ||
+      findOnly(attendees, person => firstName(person.displayName || person.email) === firstName(name));
+
+    return {
+      owner: speaker || attendee?.displayName || owner,
+      ownerEmail: attendee?.email || null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SummaryService();
@@ -0,0 +1,148 @@
+jest.mock('../utils/logger');
+jest.mock('../config/database', () => ({
+  getServiceConfig: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('./databaseService', () => ({
+  getCalendarEvent: jest.fn()
+}));
+
+process.env.SUMMARY_PROVIDER = 'stub';
+
+const databaseService = require('./databaseService');
+const summaryService = require('./summaryService');
+
+const meeting = {
+  id: 'meeting-1',
+  meeting_title: 'Quarterly Planning',
+  calendar_event_id: 'event-1'
+};
+
+const transcript = [
+  { start: 5000, end: 9000, speaker: 'Bob Stone', text: 'Who owns the pricing page? We need to update the docs.' },
+  {
+    start: 0,
+    end: 4000,
+    speaker: 'Ann',
+    text: 'Thanks everyone for joining the quarterly planning review today. We decided to ship the beta in March. I\'ll draft the launch email.'
+  },
+  { start: 9000, end: 9500, speaker: 'Bob Stone', text: '   ' }
+];
+
+describe('summaryService.summarizeMeeting', () => {
+  beforeEach(() => {
+    databaseService.getCalendarEvent.mockResolvedValue({
+      attendees: [
+        { email: 'Ann.Lee@example.com', displayName: 'Ann Lee' },
+        { email: 'bob@example.com', displayName: 'Bob Stone' },
+        { email: 'room-4@resource.example.com', displayName: 'Room 4', resource: true }
+      ]
+    });
+  });
+
+  it('summarizes the transcript with the stub provider', async () => {
+    const result = await summaryService.summarizeMeeting(meeting, transcript);
+
+    expect(databaseService.getCalendarEvent).toHaveBeenCalledWith('event-1');
+    expect(result).toEqual({
+      summary: 'Quarterly Planning had 2 speakers; most active: Ann, Bob Stone. ' +
+        'Thanks everyone for joining the quarterly planning review today.',
+      actionItems: [
+        { text: 'I\'ll draft the launch email.', owner: 'Ann', ownerEmail: 'ann.lee@example.com' },
+        { text: 'We need to update the docs.', owner: null, ownerEmail: null }
+      ],
+      decisions: ['We decided to ship the beta in March.'],
+      openQuestions: ['Who owns the pricing page?'],
+      provider: 'stub',
+      model: 'keyword-rules',
+      generatedAt: expect.any(String)
+    });
+  });
+
+  it('gives the same summary for the same transcript', async () => {
+    const first = await summaryService.summarizeMeeting(meeting, transcript);
+    const second = await summaryService.summarizeMeeting(meeting, transcript);
+
+    expect({ ...second, generatedAt: null }).toEqual({ ...first, generatedAt: null });
+  });
+
+  it('skips meetings without a transcript', async () => {
+    expect(await summaryService.summarizeMeeting(meeting, [])).toBeNull();
+    expect(await summaryService.summarizeMeeting(meeting, [{ speaker: 'Ann', text: ' ' }])).toBeNull();
+  });
+});
+
+describe('summaryService.normalizeSummary', () => {
+  const people = { speakers: ['Ann', 'Bob Stone'], attendees: [] };
+
+  it('rejects an answer that is not an object', () => {
+    expect(() => summaryService.normalizeSummary(null, people)).toThrow('Summary provider returned no summary');
+    expect(() => summaryService.normalizeSummary('Sorry, I can\'t summarize this meeting.', people))
+      .toThrow('Summary provider returned no summary');
+  });
+
+  it('cleans up a malformed answer', () => {
+    const summary = summaryService.normalizeSummary({
+      summary: '  Planning   for the\nbeta launch ',
+      actionItems: [
+        'Send the notes',
+        { text: '   ', owner: 'Ann' },
+        null,
+        42,
+        { text: 'Update the docs', owner: '  bob stone ' }
+      ],
+      decisions: 'Ship in March',
+      openQuestions: [' Who owns pricing? ', '', 7, null]
+    }, people);
+
+    expect(summary).toEqual({
+      summary: 'Planning for the beta launch',
+      actionItems: [
+        { text: 'Send the notes', owner: null, ownerEmail: null },
+        { text: 'Update the docs', owner: 'Bob Stone', ownerEmail: null }
+      ],
+      decisions: [],
+      openQuestions: ['Who owns pricing?']
+    });
+  });
+
+  it('fills in missing fields', () => {
+    expect(summaryService.normalizeSummary({}, people)).toEqual({
+      summary: '',
+      actionItems: [],
+      decisions: [],
+      openQuestions: []
+    });
+  });
+});
+
+describe('summaryService.matchOwner', () => {
+  const people = {
+    speakers: ['Ann Lee', 'Bob Stone', 'Bob Marley'],
+    attendees: [
+      { email: 'ann@example.com', displayName: 'Ann Lee' },
+      { email: 'bob.stone@example.com', displayName: 'Bob Stone' },
+      { email: 'bob.m@example.com', displayName: 'Bob Marley' }
+    ]
+  };
+
+  it('matches a speaker and attendee by full name', () => {
+    expect(summaryService.matchOwner('ann lee', people)).toEqual({ owner: 'Ann Lee', ownerEmail: 'ann@example.com' });
+  });
+
+  it('matches a first name that belongs to one person', () => {
+    expect(summaryService.matchOwner('Ann', people)).toEqual({ owner: 'Ann Lee', ownerEmail: 'ann@example.com' });
+  });
+
+  it('keeps the model\'s name when a first name is ambiguous', () => {
+    expect(summaryService.matchOwner('Bob', people)).toEqual({ owner: 'Bob', ownerEmail: null });
+  });
+
+  it('matches an attendee by email', () => {
+    expect(summaryService.matchOwner('bob.stone@example.com', people))
+      .toEqual({ owner: 'Bob Stone', ownerEmail: 'bob.stone@example.com' });
+  });
+
+  it('returns no owner when the model gave none', () => {
+    expect(summaryService.matchOwner('', people)).toEqual({ owner: null, ownerEmail: null });
+  });
+});
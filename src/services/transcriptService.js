@@ -1,86 +1,105 @@
-const { docs, drive } = require('../config/google');
+const { Readable } = require('stream');
+const { getProviderByName, buildRecordingDeepLink } = require('./storage');
 const logger = require('../utils/logger');
+const { DocBuilder } = require('../utils/docBuilder');
+const { EXPORT_FORMATS, normalizeTranscript } = require('../utils/transcriptExports');
+
+// Export formats uploaded next to the recording after processing (none by default)
+const UPLOAD_EXPORT_FORMATS = (process.env.TRANSCRIPT_EXPORT_FORMATS || '')
+  .split(',')
+  .map(format => format.trim().toLowerCase())
+  .filter(format => EXPORT_FORMATS[format]);
+
+// Speaker label colours in the Google Doc, assigned in order of first appearance
+const SPEAKER_COLORS = ['#1a73e8', '#d93025', '#188038', '#e37400', '#9334e6', '#007b83', '#b80672', '#5f6368'];
+
+// Heading of the summary section written above the contents
+const SUMMARY_HEADING = 'Summary';
+
+// Transcripts longer than this get a heading (and contents entry) per section
+const DOC_SECTION_MINUTES = 10;
+
+const DOCUMENT_DATE_FORMAT = {
+  weekday: 'long',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZoneName: 'short'
+};
 
 /**
- * Transcript service for creating formatted Google Docs
+ * Transcript service for creating formatted transcript documents
  * Converts ChatterBox transcript data into professional meeting transcripts
  */
 class TranscriptService {
   /**
-   * Create a formatted transcript document in Google Docs
+   * Create a formatted transcript document in the given storage provider
+   * Providers with native documents (Google Drive) get a Google Doc; others get a text file.
    */
-  async createTranscriptDocument(meeting, transcriptArray) {
+  async createTranscriptDocument(meeting, transcriptArray, provider = getProviderByName('google_drive')) {
     try {
       logger.info('Creating transcript document', {
         meetingId: meeting.id,
         meetingTitle: meeting.meeting_title,
+        provider: provider.name,
         transcriptLength: transcriptArray?.length || 0,
         timestamp: new Date().toISOString()
       });
 
-      // Create the document
       const docTitle = `Meeting Transcript - ${meeting.meeting_title}`;
-      const document = await docs.documents.create({
-        requestBody: {
-          title: docTitle
-        }
-      });
-
-      const documentId = document.data.documentId;
+      let storedFile;
 
-      // Generate document content
-      const documentContent = this.generateDocumentContent(meeting, transcriptArray);
-
-      // Insert content into the document
-      await docs.documents.batchUpdate({
-        documentId,
-        requestBody: {
-          requests: documentContent
-        }
-      });
+      if (typeof provider.createDocument === 'function') {
+        const { requests, headingLinks } = this.generateDocumentContent(meeting, transcriptArray, provider.name);
 
-      // Move document to transcripts folder
-      await drive.files.update({
-        fileId: documentId,
-        addParents: process.env.GOOGLE_DRIVE_TRANSCRIPTS_FOLDER,
-        fields: 'id,parents'
-      });
+        storedFile = await provider.createDocument({
+          title: docTitle,
+          requests,
+          headingLinks,
+          folder: 'transcripts'
+        });
+      } else {
+        storedFile = await provider.uploadStream(
+          Readable.from([Buffer.from(this.generatePlainText(meeting, transcriptArray), 'utf8')]),
+          {
+            name: `${docTitle}.txt`,
+            mimeType: 'text/plain; charset=utf-8',
+            folder: 'transcripts',
+            metadata: {
+              source: 'chatterbox-transcript',
+              meetingId: meeting.id
+            }
+          }
+        );
+      }
 
       // Make document shareable
-      await drive.permissions.create({
-        fileId: documentId,
-        requestBody: {
-          role: 'reader',
-          type: 'anyone'
-        }
-      });
-
-      // Get document info
-      const docInfo = await drive.files.get({
-        fileId: documentId,
-        fields: 'id,name,webViewLink,webContentLink,createdTime'
-      });
+      await provider.setSharing(storedFile.id, { public: true });
 
       logger.info('Transcript document created successfully', {
         meetingId: meeting.id,
-        documentId,
+        provider: provider.name,
+        documentId: storedFile.id,
         docTitle,
-        webViewLink: docInfo.data.webViewLink,
+        webViewLink: storedFile.webViewLink,
         timestamp: new Date().toISOString()
       });
 
       return {
-        id: documentId,
-        name: docInfo.data.name,
-        webViewLink: docInfo.data.webViewLink,
-        webContentLink: docInfo.data.webContentLink,
-        createdTime: docInfo.data.createdTime
+        id: storedFile.id,
+        name: storedFile.name,
+        webViewLink: storedFile.webViewLink,
+        webContentLink: storedFile.webContentLink,
+        createdTime: storedFile.createdTime
       };
 
     } catch (error) {
       logger.error('Failed to create transcript document', {
         meetingId: meeting.id,
         meetingTitle: meeting.meeting_title,
+        provider: provider.name,
         error: error.message,
         timestamp: new Date().toISOString()
       });
@@ -89,71 +108,379 @@ class TranscriptService {
   }
 
   /**
-   * Generate document content requests for Google Docs API
+   * Write a meeting summary into the top of the transcript document, above the contents
+   * Only providers with editable documents (Google Drive) support this; returns
+   * false when the provider can't edit documents. A document that already starts
+   * with a Summary section is left alone, so a retried step never adds a second one.
    */
-  generateDocumentContent(meeting, transcriptArray) {
-    const requests = [];
-    let insertIndex = 1; // Start after the title
-
-    // Document header
-    const headerText = this.generateHeaderText(meeting);
-    requests.push({
-      insertText: {
-        location: { index: insertIndex },
-        text: headerText
-      }
+  async addSummaryToDocument(documentId, summary, provider) {
+    if (typeof provider.updateDocument !== 'function') {
+      return false;
+    }
+
+    const document = await provider.getDocument(
+      documentId,
+      'body/content(startIndex,paragraph(paragraphStyle/namedStyleType,elements/textRun/content))'
+    );
+
+    // Documents created before headings were added get it at the very top
+    const contents = (document.body?.content || [])
+      .find(element => element.paragraph?.paragraphStyle?.namedStyleType === 'HEADING_1');
+
+    const firstHeading = (contents?.paragraph.elements || [])
+      .map(element => element.textRun?.content || '')
+      .join('')
+      .trim();
+
+    if (firstHeading === SUMMARY_HEADING) {
+      logger.info('Transcript document already has a summary', {
+        documentId,
+        provider: provider.name,
+        timestamp: new Date().toISOString()
+      });
+      return true;
+    }
+
+    await provider.updateDocument(
+      documentId,
+      this.generateSummaryContent(summary, contents?.startIndex || 1)
+    );
+
+    logger.info('Summary added to transcript document', {
+      documentId,
+      provider: provider.name,
+      timestamp: new Date().toISOString()
     });
-    insertIndex += headerText.length;
-
-    // Format header
-    requests.push({
-      updateTextStyle: {
-        range: {
-          startIndex: 1,
-          endIndex: insertIndex
-        },
-        textStyle: {
-          fontSize: { magnitude: 11, unit: 'PT' },
-          weightedFontFamily: {
-            fontFamily: 'Arial',
-            weight: 400
-          }
-        },
-        fields: 'fontSize,weightedFontFamily'
+
+    return true;
+  }
+
+  /**
+   * Build the summary section inserted at startIndex
+   */
+  generateSummaryContent(summary, startIndex) {
+    const builder = new DocBuilder({ startIndex });
+
+    builder.heading(SUMMARY_HEADING, 1);
+
+    for (const paragraph of (summary.summary || 'No summary available.').split(/\n+/)) {
+      builder.paragraph(paragraph);
+    }
+
+    if (summary.actionItems.length > 0) {
+      builder.heading('Action items', 2);
+
+      for (const item of summary.actionItems) {
+        builder.paragraph([
+          { text: `☐ ${item.text}` },
+          ...(item.owner ? [{ text: ' — ' }, { text: item.owner, bold: true }] : [])
+        ]);
       }
-    });
+    }
+
+    const lists = [
+      ['Decisions', summary.decisions],
+      ['Open questions', summary.openQuestions]
+    ];
 
-    // Add transcript content
-    if (transcriptArray && transcriptArray.length > 0) {
-      const transcriptText = this.generateTranscriptText(transcriptArray);
-      requests.push({
-        insertText: {
-          location: { index: insertIndex },
-          text: transcriptText
+    for (const [title, items] of lists) {
+      if (items.length > 0) {
+        builder.heading(title, 2);
+
+        for (const item of items) {
+          builder.paragraph(`• ${item}`);
         }
-      });
-      insertIndex += transcriptText.length;
-    } else {
-      const noTranscriptText = '\n\n⚠️ No transcript data available\n\nThe recording was processed successfully, but no transcript data was provided by the transcription service.\n\n';
-      requests.push({
-        insertText: {
-          location: { index: insertIndex },
-          text: noTranscriptText
+      }
+    }
+
+    return builder
+      .paragraph([{
+        text: `Generated automatically (${summary.provider}${summary.model ? `, ${summary.model}` : ''}) from the transcript below - check it against the recording.`,
+        italic: true,
+        fontSize: 9
+      }])
+      .build();
+  }
+
+  /**
+   * Render a transcript in one of the EXPORT_FORMATS (srt, vtt, markdown, json)
+   * Returns { format, fileName, mimeType, content }.
+   */
+  exportTranscript(meeting, transcriptArray, format) {
+    const exportFormat = EXPORT_FORMATS[format];
+
+    if (!exportFormat) {
+      throw new Error(`Unsupported transcript export format: ${format}`);
+    }
+
+    const baseName = exportFormat.subtitle ? 'Meeting Recording' : 'Meeting Transcript';
+
+    return {
+      format,
+      fileName: `${baseName} - ${meeting.meeting_title}.${exportFormat.extension}`,
+      mimeType: exportFormat.mimeType,
+      content: exportFormat.render({ meeting, entries: normalizeTranscript(transcriptArray) })
+    };
+  }
+
+  /**
+   * Export formats to upload next to the recording (TRANSCRIPT_EXPORT_FORMATS)
+   */
+  getUploadExportFormats() {
+    return UPLOAD_EXPORT_FORMATS;
+  }
+
+  /**
+   * Upload transcript exports to the recordings folder, next to the recording
+   */
+  async uploadTranscriptExports(meeting, transcriptArray, provider, formats = UPLOAD_EXPORT_FORMATS) {
+    const files = [];
+
+    for (const format of formats) {
+      const exported = this.exportTranscript(meeting, transcriptArray, format);
+
+      const storedFile = await provider.uploadStream(
+        Readable.from([Buffer.from(exported.content, 'utf8')]),
+        {
+          name: exported.fileName,
+          mimeType: `${exported.mimeType}; charset=utf-8`,
+          folder: 'recordings',
+          metadata: {
+            source: 'transcript-export',
+            meetingId: meeting.id,
+            format
+          }
         }
+      );
+
+      await provider.setSharing(storedFile.id, { public: true });
+
+      files.push({
+        format,
+        id: storedFile.id,
+        name: storedFile.name,
+        webViewLink: storedFile.webViewLink
       });
-      insertIndex += noTranscriptText.length;
     }
 
-    // Add footer
-    const footerText = this.generateFooterText();
-    requests.push({
-      insertText: {
-        location: { index: insertIndex },
-        text: footerText
-      }
+    logger.info('Transcript exports uploaded', {
+      meetingId: meeting.id,
+      provider: provider.name,
+      formats,
+      timestamp: new Date().toISOString()
     });
 
-    return requests;
+    return files;
+  }
+
+  /**
+   * Generate the full transcript as plain text (for providers without native documents)
+   */
+  generatePlainText(meeting, transcriptArray) {
+    const body = transcriptArray && transcriptArray.length > 0
+      ? this.generateTranscriptText(transcriptArray)
+      : '\n\n⚠️ No transcript data available\n\n';
+
+    return this.generateHeaderText(meeting) + body + this.generateFooterText();
+  }
+
+  /**
+   * Build the Google Doc: title and details, table of contents, speaker legend,
+   * the transcript in headed sections with linked timestamps, and a footer
+   * Returns { requests, headingLinks } for provider.createDocument().
+   */
+  generateDocumentContent(meeting, transcriptArray, providerName = 'google_drive') {
+    const builder = new DocBuilder();
+    const entries = normalizeTranscript(transcriptArray);
+    const speakerColors = this.getSpeakerColors(entries);
+    const analytics = this.getSpeakerAnalytics(entries);
+    const sections = this.groupDocumentSections(entries);
+
+    builder
+      .title(meeting.meeting_title)
+      .subtitle('Meeting transcript');
+
+    for (const detail of this.getDocumentDetails(meeting)) {
+      builder.paragraph([
+        { text: `${detail.label}: `, bold: true },
+        { text: detail.text, link: detail.link }
+      ]);
+    }
+
+    // Table of contents - the Docs API can't insert a native one
+    builder
+      .heading('Contents', 1)
+      .paragraph([{ text: 'Speakers', headingKey: 'speakers' }])
+      .paragraph([{ text: 'Transcript', headingKey: 'transcript' }]);
+
+    if (sections.length > 1) {
+      for (const section of sections) {
+        builder.paragraph([{ text: section.title, headingKey: section.key }], { indent: 18 });
+      }
+    }
+
+    builder.paragraph([{ text: 'Document information', headingKey: 'information' }]);
+
+    // Speaker colour legend and analytics, most talk time first
+    builder.heading('Speakers', 1, { key: 'speakers' });
+
+    if (analytics.speakers.length === 0) {
+      builder.paragraph([{ text: 'No speakers identified.', italic: true }]);
+    }
+
+    for (const stats of analytics.speakers) {
+      const color = speakerColors.get(stats.speaker);
+
+      builder
+        .paragraph([
+          { text: '■ ', color },
+          { text: stats.speaker, bold: true, color },
+          { text: ` · ${this.formatTalkTime(stats.talkTimeMs)} (${Math.round(stats.talkShare * 100)}% of talk time)` }
+        ])
+        .paragraph([
+          { text: [
+            `${stats.words} ${stats.words === 1 ? 'word' : 'words'}`,
+            `${stats.turns} ${stats.turns === 1 ? 'turn' : 'turns'}`,
+            stats.wordsPerMinute !== null ? `${stats.wordsPerMinute} words/min` : null,
+            `longest monologue ${this.formatTalkTime(stats.longestMonologueMs)}`,
+            `interrupted others ${stats.interruptions}×, was interrupted ${stats.interrupted}×`
+          ].filter(Boolean).join(' · '), fontSize: 9 }
+        ], { indent: 18 });
+    }
+
+    if (analytics.speakers.length > 1) {
+      builder.paragraph([{
+        text: `${analytics.speakers.length} speakers · ${this.formatTalkTime(analytics.totalTalkTimeMs)} of talk · ${analytics.totalTurns} turns · ${analytics.interruptions} ${analytics.interruptions === 1 ? 'interruption' : 'interruptions'}`,
+        italic: true
+      }]);
+    }
+
+    builder.heading('Transcript', 1, { key: 'transcript' });
+
+    if (entries.length === 0) {
+      builder
+        .paragraph([{ text: '⚠️ No transcript data available', bold: true }])
+        .paragraph('The recording was processed successfully, but no transcript data was provided by the transcription service.');
+    }
+
+    for (const section of sections) {
+      if (sections.length > 1) {
+        builder.heading(section.title, 2, { key: section.key });
+      }
+
+      let currentSpeaker = null;
+
+      for (const entry of section.entries) {
+        // Speaker label with a timestamp linked into the recording, once per turn
+        if (entry.speaker !== currentSpeaker) {
+          if (currentSpeaker !== null) {
+            builder.blank();
+          }
+
+          builder.paragraph([
+            {
+              text: `[${this.formatTimestamp(entry.start)}]`,
+              link: buildRecordingDeepLink(meeting.google_drive_recording_url, providerName, entry.start)
+            },
+            { text: ' ' },
+            { text: entry.speaker, bold: true, color: speakerColors.get(entry.speaker) }
+          ]);
+          currentSpeaker = entry.speaker;
+        }
+
+        builder.paragraph(entry.text);
+      }
+    }
+
+    builder
+      .heading('Document information', 1, { key: 'information' })
+      .paragraph('• Generated by: Nomadz Meeting Recording Service')
+      .paragraph('• Transcription: ChatterBox AI')
+      .paragraph(`• Document created: ${new Date().toLocaleString('en-US', DOCUMENT_DATE_FORMAT)}`)
+      .blank()
+      .paragraph([{
+        text: '⚠️ Note: This transcript was generated automatically and may contain errors. Please review for accuracy before sharing or making decisions based on this content.',
+        italic: true
+      }]);
+
+    return builder.build();
+  }
+
+  /**
+   * Meeting details shown under the document title
+   */
+  getDocumentDetails(meeting) {
+    const details = [
+      {
+        label: 'Date',
+        text: meeting.meeting_started_at
+          ? new Date(meeting.meeting_started_at).toLocaleString('en-US', DOCUMENT_DATE_FORMAT)
+          : 'Unknown'
+      },
+      {
+        label: 'End Time',
+        text: meeting.meeting_ended_at
+          ? new Date(meeting.meeting_ended_at).toLocaleString('en-US', { hour: '2-digit', minute: '2-digit', timeZoneName: 'short' })
+          : 'Unknown'
+      },
+      {
+        label: 'Duration',
+        text: this.calculateDuration(meeting.recording_start_timestamp, meeting.recording_end_timestamp)
+      },
+      { label: 'Conference ID', text: meeting.conference_id }
+    ];
+
+    if (meeting.google_drive_recording_url) {
+      details.push({ label: 'Recording', text: 'Open recording', link: meeting.google_drive_recording_url });
+    }
+
+    if (meeting.meeting_description) {
+      details.push({ label: 'Description', text: meeting.meeting_description });
+    }
+
+    return details;
+  }
+
+  /**
+   * Legend colour for each speaker, assigned in order of first appearance
+   */
+  getSpeakerColors(entries) {
+    const colors = new Map();
+
+    for (const entry of entries) {
+      if (!colors.has(entry.speaker)) {
+        colors.set(entry.speaker, SPEAKER_COLORS[colors.size % SPEAKER_COLORS.length]);
+      }
+    }
+
+    return colors;
+  }
+
+  /**
+   * Split transcript entries into DOC_SECTION_MINUTES sections for the table of contents
+   */
+  groupDocumentSections(entries) {
+    const sectionMs = DOC_SECTION_MINUTES * 60 * 1000;
+    const sections = [];
+
+    for (const entry of entries) {
+      const number = Math.floor(entry.start / sectionMs);
+      let section = sections[sections.length - 1];
+
+      if (!section || section.number !== number) {
+        section = {
+          number,
+          key: `section-${number}`,
+          title: `${this.formatTimestamp(number * sectionMs)} – ${this.formatTimestamp((number + 1) * sectionMs)}`,
+          entries: []
+        };
+        sections.push(section);
+      }
+
+      section.entries.push(entry);
+    }
+
+    return sections;
   }
 
   /**
@@ -397,6 +724,95 @@ class TranscriptService {
       duration: Math.floor(duration / 1000) // Convert to seconds
     };
   }
+
+  /**
+   * Per-speaker analytics: talk time, words, turns, longest monologue,
+   * interruptions and speaking rate
+   * A turn is a run of consecutive entries by one speaker. An interruption is an
+   * entry that starts before the previous speaker's entry has ended. Speakers are
+   * sorted by talk time, most first.
+   */
+  getSpeakerAnalytics(transcriptArray) {
+    const entries = normalizeTranscript(transcriptArray);
+    const speakers = new Map();
+    let turn = null;
+    let interruptions = 0;
+
+    const getSpeaker = (name) => {
+      if (!speakers.has(name)) {
+        speakers.set(name, {
+          speaker: name,
+          talkTimeMs: 0,
+          words: 0,
+          turns: 0,
+          longestMonologueMs: 0,
+          interruptions: 0,
+          interrupted: 0
+        });
+      }
+
+      return speakers.get(name);
+    };
+
+    entries.forEach((entry, index) => {
+      const stats = getSpeaker(entry.speaker);
+      const previous = entries[index - 1];
+
+      stats.talkTimeMs += entry.end - entry.start;
+      stats.words += entry.text.split(' ').length;
+
+      if (previous && previous.speaker !== entry.speaker && entry.start < previous.end) {
+        stats.interruptions += 1;
+        getSpeaker(previous.speaker).interrupted += 1;
+        interruptions += 1;
+      }
+
+      if (!turn || turn.speaker !== entry.speaker) {
+        turn = { speaker: entry.speaker, start: entry.start };
+        stats.turns += 1;
+      }
+
+      stats.longestMonologueMs = Math.max(stats.longestMonologueMs, entry.end - turn.start);
+    });
+
+    const totalTalkTimeMs = [...speakers.values()].reduce((total, stats) => total + stats.talkTimeMs, 0);
+
+    const speakerStats = [...speakers.values()]
+      .map(stats => ({
+        ...stats,
+        talkShare: totalTalkTimeMs > 0 ? Math.round((stats.talkTimeMs / totalTalkTimeMs) * 1000) / 1000 : 0,
+        wordsPerMinute: stats.talkTimeMs > 0 ? Math.round(stats.words / (stats.talkTimeMs / 60000)) : null
+      }))
+      .sort((a, b) => b.talkTimeMs - a.talkTimeMs);
+
+    return {
+      durationMs: entries.length > 0
+        ? entries.reduce((latest, entry) => Math.max(latest, entry.end), 0) - entries[0].start
+        : 0,
+      totalTalkTimeMs,
+      totalWords: speakerStats.reduce((total, stats) => total + stats.words, 0),
+      totalTurns: speakerStats.reduce((total, stats) => total + stats.turns, 0),
+      interruptions,
+      dominantSpeaker: speakerStats[0]?.speaker || null,
+      speakers: speakerStats
+    };
+  }
+
+  /**
+   * Format a talk time in milliseconds as e.g. "1h 4m", "12m 30s" or "45s"
+   */
+  formatTalkTime(ms) {
+    const totalSeconds = Math.round((ms || 0) / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) {
+      return `${hours}h ${minutes}m`;
+    }
+
+    return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,151 @@
+jest.mock('../utils/logger');
+jest.mock('./storage', () => ({
+  getProviderByName: jest.fn(),
+  buildRecordingDeepLink: jest.fn()
+}));
+
+const transcriptService = require('./transcriptService');
+
+const words = (count) => Array(count).fill('word').join(' ');
+
+describe('transcriptService.getSpeakerAnalytics', () => {
+  // Ann talks for a minute, Bob cuts in twice, Cara closes with an entry that has no end time
+  const transcript = [
+    { start: 0, end: 30000, speaker: 'Ann', text: words(50) },
+    { start: 30000, end: 60000, speaker: 'Ann', text: words(40) },
+    { start: 55000, end: 70000, speaker: 'Bob', text: words(30) },
+    { start: 70000, end: 80000, speaker: 'Ann', text: words(10) },
+    { start: 79000, end: 85000, speaker: 'Bob', text: words(6) },
+    { start: 90000, end: null, speaker: 'Cara', text: 'Okay' }
+  ];
+
+  it('computes talk time, words, turns, interruptions and speaking rate per speaker', () => {
+    const analytics = transcriptService.getSpeakerAnalytics(transcript);
+
+    expect(analytics.speakers).toEqual([
+      {
+        speaker: 'Ann',
+        talkTimeMs: 70000,
+        words: 100,
+        turns: 2,
+        longestMonologueMs: 60000,
+        interruptions: 0,
+        interrupted: 2,
+        talkShare: 0.745,
+        wordsPerMinute: 86
+      },
+      {
+        speaker: 'Bob',
+        talkTimeMs: 21000,
+        words: 36,
+        turns: 2,
+        longestMonologueMs: 15000,
+        interruptions: 2,
+        interrupted: 0,
+        talkShare: 0.223,
+        wordsPerMinute: 103
+      },
+      {
+        speaker: 'Cara',
+        talkTimeMs: 3000,
+        words: 1,
+        turns: 1,
+        longestMonologueMs: 3000,
+        interruptions: 0,
+        interrupted: 0,
+        talkShare: 0.032,
+        wordsPerMinute: 20
+      }
+    ]);
+  });
+
+  it('totals the meeting', () => {
+    expect(transcriptService.getSpeakerAnalytics(transcript)).toMatchObject({
+      durationMs: 93000,
+      totalTalkTimeMs: 94000,
+      totalWords: 137,
+      totalTurns: 5,
+      interruptions: 2,
+      dominantSpeaker: 'Ann'
+    });
+  });
+
+  it('does not count a reply that starts as the previous entry ends as an interruption', () => {
+    const analytics = transcriptService.getSpeakerAnalytics([
+      { start: 0, end: 5000, speaker: 'Ann', text: 'Over to you' },
+      { start: 5000, end: 8000, speaker: 'Bob', text: 'Thanks' }
+    ]);
+
+    expect(analytics.interruptions).toBe(0);
+    expect(analytics.totalTurns).toBe(2);
+  });
+
+  it('sorts entries by start time before counting turns', () => {
+    const analytics = transcriptService.getSpeakerAnalytics([...transcript].reverse());
+
+    expect(analytics.totalTurns).toBe(5);
+    expect(analytics.interruptions).toBe(2);
+  });
+
+  it('handles an empty transcript', () => {
+    expect(transcriptService.getSpeakerAnalytics([])).toEqual({
+      durationMs: 0,
+      totalTalkTimeMs: 0,
+      totalWords: 0,
+      totalTurns: 0,
+      interruptions: 0,
+      dominantSpeaker: null,
+      speakers: []
+    });
+  });
+});
+
+describe('transcriptService.addSummaryToDocument', () => {
+  const summary = {
+    summary: 'Agreed on the launch plan.',
+    actionItems: [],
+    decisions: [],
+    openQuestions: [],
+    provider: 'stub',
+    model: 'keyword-rules'
+  };
+
+  const heading = (startIndex, text) => ({
+    startIndex,
+    paragraph: {
+      paragraphStyle: { namedStyleType: 'HEADING_1' },
+      elements: [{ textRun: { content: `${text}\n` } }]
+    }
+  });
+
+  const buildProvider = (content) => ({
+    name: 'google_drive',
+    getDocument: jest.fn().mockResolvedValue({ body: { content } }),
+    updateDocument: jest.fn().mockResolvedValue()
+  });
+
+  it('inserts the summary above the first heading', async () => {
+    const provider = buildProvider([
+      { startIndex: 1, paragraph: { paragraphStyle: { namedStyleType: 'TITLE' }, elements: [] } },
+      heading(40, 'Contents')
+    ]);
+
+    expect(await transcriptService.addSummaryToDocument('doc-1', summary, provider)).toBe(true);
+    expect(provider.updateDocument).toHaveBeenCalledTimes(1);
+
+    const [documentId, { requests }] = provider.updateDocument.mock.calls[0];
+    expect(documentId).toBe('doc-1');
+    expect(requests[0].insertText).toEqual(expect.objectContaining({ location: { index: 40 } }));
+  });
+
+  it('leaves a document that already has a summary alone', async () => {
+    const provider = buildProvider([heading(40, 'Summary'), heading(120, 'Contents')]);
+
+    expect(await transcriptService.addSummaryToDocument('doc-1', summary, provider)).toBe(true);
+    expect(provider.updateDocument).not.toHaveBeenCalled();
+  });
+
+  it('skips providers without editable documents', async () => {
+    expect(await transcriptService.addSummaryToDocument('file-1', summary, { name: 's3' })).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const meetingStateMachine = require('./meetingStateMachine');
+
+// Once a meeting reaches one of these, no more live chunks will arrive
+const STREAM_END_STATUSES = ['processing', 'completed', 'failed'];
+
+/**
+ * Transcript stream service - fans live transcript segments out to SSE subscribers
+ * Segments are published by the ChatterBox transcript webhook as they are stored.
+ * This is in-process only: subscribers see chunks delivered to this instance.
+ */
+class TranscriptStreamService extends EventEmitter {
+  constructor() {
+    super();
+
+    // One listener per open stream - don't warn on busy meetings
+    this.setMaxListeners(0);
+
+    meetingStateMachine.on('transition', ({ meeting, toStatus }) => {
+      if (STREAM_END_STATUSES.includes(toStatus)) {
+        this.emit(`end:${meeting.id}`, { status: toStatus });
+      }
+    });
+  }
+
+  /**
+   * Shape a stored transcript_segments row for clients
+   */
+  formatSegment(segment) {
+    return {
+      id: segment.id,
+      meetingId: segment.meeting_id,
+      speaker: segment.speaker,
+      text: segment.text,
+      timeStart: segment.time_start,
+      timeEnd: segment.time_end
+    };
+  }
+
+  /**
+   * Publish a newly stored segment to everyone following the meeting
+   */
+  publishSegment(meetingId, segment) {
+    const listeners = this.listenerCount(`segment:${meetingId}`);
+
+    if (listeners > 0) {
+      logger.debug('Publishing live transcript segment', {
+        meetingId,
+        timeStart: segment.time_start,
+        listeners
+      });
+    }
+
+    this.emit(`segment:${meetingId}`, this.formatSegment(segment));
+  }
+
+  /**
+   * Follow a meeting's live transcript
+   * Returns an unsubscribe function.
+   */
+  subscribe(meetingId, { onSegment, onEnd }) {
+    this.on(`segment:${meetingId}`, onSegment);
+    this.on(`end:${meetingId}`, onEnd);
+
+    return () => {
+      this.off(`segment:${meetingId}`, onSegment);
+      this.off(`end:${meetingId}`, onEnd);
+    };
+  }
+
+  /**
+   * Whether a meeting can still receive live segments
+   */
+  isLive(meeting) {
+    return !STREAM_END_STATUSES.includes(meeting.status);
+  }
+}
+
+// Export singleton instance
+module.exports = new TranscriptStreamService();
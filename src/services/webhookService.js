@@ -0,0 +1,432 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/database');
+const logger = require('../utils/logger');
+const { computeSignature } = require('../utils/signature');
+const databaseService = require('./databaseService');
+const jobQueueService = require('./jobQueueService');
+
+// Lifecycle events subscribers can filter on
+const WEBHOOK_EVENTS = [
+  'meeting.created',
+  'bot.joined',
+  'recording.finished',
+  'processing.completed',
+  'processing.failed'
+];
+
+// How long subscriptions are trusted before re-reading
+const SUBSCRIPTIONS_CACHE_MS = 60 * 1000;
+
+// Deliveries are retried by the job queue with exponential backoff (1, 2, 4, 8, 16 minutes)
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const DELIVERY_TIMEOUT_MS = 10000;
+const RESPONSE_LOG_LENGTH = 1000;
+
+/**
+ * Meeting fields included in event payloads
+ */
+const serializeMeeting = (meeting) => ({
+  id: meeting.id,
+  title: meeting.meeting_title,
+  status: meeting.status,
+  conferenceId: meeting.conference_id,
+  calendarEventId: meeting.calendar_event_id,
+  chatterboxSessionId: meeting.chatterbox_session_id,
+  startedAt: meeting.meeting_started_at,
+  endedAt: meeting.meeting_ended_at,
+  storageProvider: meeting.storage_provider,
+  recordingUrl: meeting.google_drive_recording_url,
+  transcriptUrl: meeting.google_drive_transcript_url,
+  createdAt: meeting.created_at,
+  updatedAt: meeting.updated_at
+});
+
+/**
+ * Webhook service - outbound webhooks for meeting lifecycle events
+ * publish() records one webhook_deliveries row per matching subscription and
+ * queues a deliver_webhook job for it, so deliveries survive restarts and are
+ * retried with backoff by the processing worker.
+ *
+ * Requests are signed like the webhooks we receive:
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=HMAC(secret, `${timestamp}.${body}`)
+ */
+class WebhookService {
+  constructor() {
+    this.subscriptions = null;
+    this.subscriptionsLoadedAt = 0;
+  }
+
+  /**
+   * Get enabled subscriptions
+   */
+  async getSubscriptions() {
+    if (this.subscriptions && Date.now() - this.subscriptionsLoadedAt < SUBSCRIPTIONS_CACHE_MS) {
+      return this.subscriptions;
+    }
+
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('enabled', true);
+
+    if (error) {
+      throw error;
+    }
+
+    this.subscriptions = data || [];
+    this.subscriptionsLoadedAt = Date.now();
+
+    return this.subscriptions;
+  }
+
+  /**
+   * Forget cached subscriptions (after they are edited)
+   */
+  clearCache() {
+    this.subscriptions = null;
+    this.subscriptionsLoadedAt = 0;
+  }
+
+  /**
+   * Publish a lifecycle event for a meeting
+   * Safe to call fire-and-forget; failures are logged, never thrown.
+   */
+  async publish(eventType, meetingId, data = {}) {
+    try {
+      const subscriptions = (await this.getSubscriptions())
+        .filter(subscription => subscription.events.length === 0 || subscription.events.includes(eventType));
+
+      if (subscriptions.length === 0) {
+        return [];
+      }
+
+      const meeting = await databaseService.getMeetingById(meetingId);
+
+      const payload = {
+        id: uuidv4(),
+        type: eventType,
+        createdAt: new Date().toISOString(),
+        data: {
+          meeting: meeting ? serializeMeeting(meeting) : { id: meetingId },
+          ...data
+        }
+      };
+
+      const { data: deliveries, error } = await supabase
+        .from('webhook_deliveries')
+        .insert(subscriptions.map(subscription => ({
+          subscription_id: subscription.id,
+          event_id: payload.id,
+          event_type: eventType,
+          meeting_id: meeting ? meetingId : null,
+          payload
+        })))
+        .select('id, subscription_id');
+
+      if (error) {
+        throw error;
+      }
+
+      await Promise.all(deliveries.map(delivery => this.queueDelivery(delivery.id)));
+
+      logger.info('Webhook event published', {
+        eventType,
+        eventId: payload.id,
+        meetingId,
+        deliveries: deliveries.length,
+        timestamp: new Date().toISOString()
+      });
+
+      return deliveries;
+    } catch (error) {
+      logger.error('Failed to publish webhook event', {
+        eventType,
+        meetingId,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Queue a delivery on the job queue
+   */
+  async queueDelivery(deliveryId) {
+    return jobQueueService.enqueue('deliver_webhook', {
+      dedupeKey: `webhook:${deliveryId}`,
+      payload: { deliveryId },
+      maxAttempts: MAX_ATTEMPTS
+    });
+  }
+
+  /**
+   * Send a delivery to its subscriber (one attempt)
+   * Throws on a non-2xx response or network error so the job queue retries;
+   * on the final attempt the delivery is marked failed. Attempts add to the
+   * delivery's count, so redeliveries keep its history.
+   */
+  async deliver(deliveryId, { finalAttempt = true } = {}) {
+    const { data: delivery, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*, webhook_subscriptions(*)')
+      .eq('id', deliveryId)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const subscription = delivery.webhook_subscriptions;
+
+    if (delivery.status === 'delivered') {
+      return delivery;
+    }
+
+    if (!subscription?.enabled) {
+      return this.recordAttempt(delivery, {
+        status: 'failed',
+        error: 'Subscription disabled or deleted'
+      });
+    }
+
+    const attempt = (delivery.attempts || 0) + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startTime = Date.now();
+
+    let response = null;
+    let requestError = null;
+
+    try {
+      response = await axios.post(subscription.url, body, {
+        timeout: DELIVERY_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        transformResponse: [raw => raw],
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'nomadz-meeting-bot-webhooks/1.0',
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Event-Id': delivery.event_id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': computeSignature(subscription.secret, timestamp, body)
+        }
+      });
+    } catch (caught) {
+      requestError = caught;
+    }
+
+    const succeeded = response && response.status >= 200 && response.status < 300;
+    const failureMessage = requestError
+      ? requestError.message
+      : succeeded ? null : `Subscriber responded with HTTP ${response.status}`;
+
+    await this.recordAttempt(delivery, {
+      status: succeeded ? 'delivered' : finalAttempt ? 'failed' : 'pending',
+      attempt,
+      statusCode: response?.status ?? null,
+      responseBody: typeof response?.data === 'string' ? response.data : null,
+      error: failureMessage,
+      durationMs: Date.now() - startTime
+    });
+
+    const logData = {
+      deliveryId,
+      subscriptionId: subscription.id,
+      eventType: delivery.event_type,
+      attempt,
+      statusCode: response?.status ?? null,
+      timestamp: new Date().toISOString()
+    };
+
+    if (!succeeded) {
+      logger.warn(finalAttempt ? 'Webhook delivery failed permanently' : 'Webhook delivery failed, will retry', {
+        ...logData,
+        error: failureMessage
+      });
+      throw new Error(failureMessage);
+    }
+
+    logger.info('Webhook delivered', logData);
+
+    return delivery;
+  }
+
+  /**
+   * Write the outcome of an attempt to the delivery log
+   */
+  async recordAttempt(delivery, { status, attempt = delivery.attempts, statusCode = null, responseBody = null, error = null, durationMs = null }) {
+    const now = new Date().toISOString();
+
+    const { data, error: updateError } = await supabase
+      .from('webhook_deliveries')
+      .update({
+        status,
+        attempts: attempt,
+        last_status_code: statusCode,
+        last_response: responseBody ? responseBody.substring(0, RESPONSE_LOG_LENGTH) : null,
+        last_error: error,
+        last_duration_ms: durationMs,
+        last_attempt_at: now,
+        delivered_at: status === 'delivered' ? now : null
+      })
+      .eq('id', delivery.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    return data;
+  }
+
+  /**
+   * Mark a delivery failed after its job was abandoned (worker crashed on the final attempt)
+   * Deliveries that were already delivered or failed are left alone.
+   */
+  async failDelivery(deliveryId, errorMessage) {
+    const { error } = await supabase
+      .from('webhook_deliveries')
+      .update({
+        status: 'failed',
+        last_error: errorMessage
+      })
+      .eq('id', deliveryId)
+      .eq('status', 'pending');
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Send a delivery again (e.g. after the subscriber fixed an outage)
+   * Returns null if the delivery doesn't exist.
+   */
+  async redeliver(deliveryId) {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .update({ status: 'pending' })
+      .eq('id', deliveryId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data) {
+      return null;
+    }
+
+    const job = await this.queueDelivery(deliveryId);
+
+    return { delivery: data, job };
+  }
+
+  /**
+   * List subscriptions (including disabled ones), without their secrets
+   */
+  async listSubscriptions() {
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .select('id, name, url, events, enabled, created_by, created_at, updated_at')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Create a subscription
+   * A secret is generated when none is given; it is only returned here.
+   */
+  async createSubscription({ name, url, events = [], secret = null, enabled = true, createdBy = null }) {
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .insert({
+        name,
+        url,
+        events,
+        secret: secret || crypto.randomBytes(32).toString('hex'),
+        enabled,
+        created_by: createdBy
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    this.clearCache();
+
+    logger.info('Webhook subscription created', {
+      subscriptionId: data.id,
+      name,
+      url,
+      events,
+      createdBy,
+      timestamp: new Date().toISOString()
+    });
+
+    return data;
+  }
+
+  /**
+   * Delete a subscription (its delivery log goes with it)
+   * Returns the deleted subscription, or null if it didn't exist.
+   */
+  async deleteSubscription(subscriptionId) {
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .delete()
+      .eq('id', subscriptionId)
+      .select('id, name, url, events, enabled, created_by, created_at, updated_at');
+
+    if (error) {
+      throw error;
+    }
+
+    this.clearCache();
+
+    return data?.[0] || null;
+  }
+
+  /**
+   * Get the delivery log for a subscription (most recent first)
+   */
+  async getDeliveries(subscriptionId, { status = null, limit = 50 } = {}) {
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('id, event_id, event_type, meeting_id, status, attempts, last_status_code, last_response, last_error, last_duration_ms, last_attempt_at, delivered_at, created_at')
+      .eq('subscription_id', subscriptionId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookService();
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -0,0 +1,137 @@
+jest.mock('axios', () => ({
+  post: jest.fn()
+}));
+jest.mock('../utils/logger');
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn() }
+}));
+jest.mock('./databaseService', () => ({
+  getMeetingById: jest.fn()
+}));
+jest.mock('./jobQueueService', () => ({
+  enqueue: jest.fn()
+}));
+
+const axios = require('axios');
+const { supabase } = require('../config/database');
+const jobQueueService = require('./jobQueueService');
+const webhookService = require('./webhookService');
+
+// A webhook_deliveries query that returns `result`
+const useQuery = (result) => {
+  const query = {
+    select: jest.fn(() => query),
+    update: jest.fn(() => query),
+    eq: jest.fn(() => query),
+    single: jest.fn(async () => result),
+    maybeSingle: jest.fn(async () => result),
+    then: (resolve) => resolve(result)
+  };
+
+  supabase.from.mockReturnValueOnce(query);
+  return query;
+};
+
+const delivery = {
+  id: 'delivery-1',
+  event_id: 'event-1',
+  event_type: 'processing.completed',
+  status: 'pending',
+  attempts: 0,
+  payload: { id: 'event-1', type: 'processing.completed' },
+  webhook_subscriptions: { id: 'subscription-1', url: 'https://example.com/hooks', secret: 'secret', enabled: true }
+};
+
+describe('webhookService.deliver', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('records a successful attempt', async () => {
+    useQuery({ data: delivery, error: null });
+    const update = useQuery({ data: {}, error: null });
+    axios.post.mockResolvedValue({ status: 204, data: '' });
+
+    await webhookService.deliver('delivery-1');
+
+    expect(axios.post).toHaveBeenCalledWith('https://example.com/hooks', JSON.stringify(delivery.payload), expect.objectContaining({
+      headers: expect.objectContaining({
+        'X-Webhook-Delivery': 'delivery-1',
+        'X-Webhook-Signature': expect.stringMatching(/^sha256=[0-9a-f]{64}$/)
+      })
+    }));
+    expect(update.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'delivered',
+      attempts: 1,
+      last_status_code: 204
+    }));
+  });
+
+  it('keeps the delivery pending until the final attempt', async () => {
+    axios.post.mockResolvedValue({ status: 503, data: 'Service Unavailable' });
+
+    useQuery({ data: { ...delivery, attempts: 1 }, error: null });
+    const retry = useQuery({ data: {}, error: null });
+    await expect(webhookService.deliver('delivery-1', { finalAttempt: false })).rejects.toThrow('Subscriber responded with HTTP 503');
+
+    useQuery({ data: { ...delivery, attempts: 2 }, error: null });
+    const final = useQuery({ data: {}, error: null });
+    await expect(webhookService.deliver('delivery-1', { finalAttempt: true })).rejects.toThrow('Subscriber responded with HTTP 503');
+
+    expect(retry.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'pending', attempts: 2 }));
+    expect(final.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', attempts: 3 }));
+  });
+
+  it('adds a redelivery\'s attempts to the delivery\'s history', async () => {
+    const failed = { ...delivery, status: 'failed', attempts: 6 };
+    const reset = useQuery({ data: { ...failed, status: 'pending' }, error: null });
+    jobQueueService.enqueue.mockResolvedValue({ id: 'job-2', attempts: 0 });
+
+    await webhookService.redeliver('delivery-1');
+
+    expect(reset.update).toHaveBeenCalledWith({ status: 'pending' });
+    expect(jobQueueService.enqueue).toHaveBeenCalledWith('deliver_webhook', expect.objectContaining({
+      dedupeKey: 'webhook:delivery-1',
+      payload: { deliveryId: 'delivery-1' }
+    }));
+
+    // The new job's first attempt is the delivery's seventh
+    useQuery({ data: { ...failed, status: 'pending' }, error: null });
+    const update = useQuery({ data: {}, error: null });
+    axios.post.mockResolvedValue({ status: 200, data: 'ok' });
+
+    await webhookService.deliver('delivery-1', { finalAttempt: false });
+
+    expect(update.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'delivered', attempts: 7 }));
+  });
+
+  it('fails without sending when the subscription is disabled', async () => {
+    useQuery({ data: { ...delivery, attempts: 2, webhook_subscriptions: { enabled: false } }, error: null });
+    const update = useQuery({ data: {}, error: null });
+
+    await webhookService.deliver('delivery-1');
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(update.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      attempts: 2,
+      last_error: 'Subscription disabled or deleted'
+    }));
+  });
+});
+
+describe('webhookService.failDelivery', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('fails a delivery that is still pending', async () => {
+    const query = useQuery({ error: null });
+
+    await webhookService.failDelivery('delivery-1', 'Worker lease expired on final attempt');
+
+    expect(query.update).toHaveBeenCalledWith({ status: 'failed', last_error: 'Worker lease expired on final attempt' });
+    expect(query.eq).toHaveBeenCalledWith('id', 'delivery-1');
+    expect(query.eq).toHaveBeenCalledWith('status', 'pending');
+  });
+});
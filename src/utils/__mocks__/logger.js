@@ -0,0 +1,15 @@
+// Silent logger for tests: jest.mock('../utils/logger')
+module.exports = {
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+  logMeetingEvent: jest.fn(),
+  logProcessingStep: jest.fn(),
+  logError: jest.fn(),
+  logChatterBoxEvent: jest.fn(),
+  logFileOperation: jest.fn(),
+  logSlackNotification: jest.fn(),
+  stream: { write: jest.fn() }
+};
@@ -0,0 +1,226 @@
+/**
+ * Google Docs document builder
+ * Lays a document out paragraph by paragraph and turns it into Docs API
+ * batchUpdate requests: one insertText for all of the text, followed by the
+ * paragraph and text styles at the indices the text ends up at.
+ *
+ * Docs API indices count UTF-16 code units (the same as String#length) and
+ * the body of a new document starts at index 1. Pass startIndex to insert into
+ * an existing document instead.
+ */
+
+const START_INDEX = 1;
+
+// Characters insertText strips out - left in, they would shift every index after them
+const STRIPPED_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\uE000-\uF8FF]/g;
+
+const LINK_COLOR = '#1155cc';
+
+/**
+ * '#rrggbb' -> Docs API OptionalColor
+ */
+const toColor = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+
+  return {
+    color: {
+      rgbColor: {
+        red: ((value >> 16) & 255) / 255,
+        green: ((value >> 8) & 255) / 255,
+        blue: (value & 255) / 255
+      }
+    }
+  };
+};
+
+/**
+ * Docs API TextStyle (and its field mask) for a text run
+ */
+const toTextStyle = (run) => {
+  const textStyle = {};
+
+  if (run.bold) {
+    textStyle.bold = true;
+  }
+
+  if (run.italic) {
+    textStyle.italic = true;
+  }
+
+  if (run.fontSize) {
+    textStyle.fontSize = { magnitude: run.fontSize, unit: 'PT' };
+  }
+
+  if (run.link) {
+    textStyle.link = { url: run.link };
+  }
+
+  if (run.link || run.headingKey) {
+    textStyle.underline = true;
+  }
+
+  const color = run.color || (run.link || run.headingKey ? LINK_COLOR : null);
+
+  if (color) {
+    textStyle.foregroundColor = toColor(color);
+  }
+
+  return { textStyle, fields: Object.keys(textStyle).join(',') };
+};
+
+class DocBuilder {
+  constructor({ fontFamily = 'Arial', startIndex = START_INDEX } = {}) {
+    this.fontFamily = fontFamily;
+    this.startIndex = startIndex;
+    this.text = '';
+    this.paragraphStyles = [];
+    this.textStyles = [];
+    this.headings = new Map();
+    this.headingLinks = [];
+  }
+
+  /**
+   * Index the next character will be inserted at
+   */
+  get index() {
+    return this.startIndex + this.text.length;
+  }
+
+  /**
+   * Append a paragraph
+   * `runs` is a string or a list of { text, bold, italic, fontSize, color, link, headingKey }
+   * runs. A run with headingKey links to the heading added with that key,
+   * which may come later in the document. `indent` is in points.
+   */
+  paragraph(runs = '', { namedStyleType = null, indent = 0, key = null } = {}) {
+    const startIndex = this.index;
+
+    for (const run of typeof runs === 'string' ? [{ text: runs }] : runs) {
+      const text = (run.text || '').replace(STRIPPED_CHARACTERS, '');
+
+      if (text.length === 0) {
+        continue;
+      }
+
+      const range = { startIndex: this.index, endIndex: this.index + text.length };
+      this.text += text;
+
+      const { textStyle, fields } = toTextStyle(run);
+
+      if (fields) {
+        this.textStyles.push({ updateTextStyle: { range, textStyle, fields } });
+      }
+
+      if (run.headingKey) {
+        this.headingLinks.push({ ...range, key: run.headingKey });
+      }
+    }
+
+    this.text += '\n';
+
+    const paragraphStyle = {};
+
+    if (namedStyleType) {
+      paragraphStyle.namedStyleType = namedStyleType;
+    }
+
+    if (indent) {
+      paragraphStyle.indentStart = { magnitude: indent, unit: 'PT' };
+    }
+
+    if (Object.keys(paragraphStyle).length > 0) {
+      this.paragraphStyles.push({
+        updateParagraphStyle: {
+          range: { startIndex, endIndex: this.index },
+          paragraphStyle,
+          fields: Object.keys(paragraphStyle).join(',')
+        }
+      });
+    }
+
+    if (key) {
+      this.headings.set(key, startIndex);
+    }
+
+    return this;
+  }
+
+  /**
+   * Append a heading (level 1-6); give it a key to link to it
+   */
+  heading(text, level = 1, { key = null } = {}) {
+    return this.paragraph(text, { namedStyleType: `HEADING_${level}`, key });
+  }
+
+  title(text) {
+    return this.paragraph(text, { namedStyleType: 'TITLE' });
+  }
+
+  subtitle(text) {
+    return this.paragraph(text, { namedStyleType: 'SUBTITLE' });
+  }
+
+  blank() {
+    return this.paragraph('');
+  }
+
+  /**
+   * Docs API requests plus the links that can only be resolved once the document exists
+   * Heading IDs are assigned by Google, so links into headings are returned as
+   * { startIndex, endIndex, headingIndex } for resolveHeadingLinks().
+   */
+  build() {
+    const range = { startIndex: this.startIndex, endIndex: this.index };
+
+    // Inserted text takes on the styles around it, so start from plain text
+    const requests = [{
+      insertText: {
+        location: { index: this.startIndex },
+        text: this.text
+      }
+    }, {
+      updateParagraphStyle: {
+        range,
+        paragraphStyle: { namedStyleType: 'NORMAL_TEXT' },
+        fields: 'namedStyleType'
+      }
+    }, {
+      updateTextStyle: {
+        range,
+        textStyle: { weightedFontFamily: { fontFamily: this.fontFamily, weight: 400 } },
+        fields: 'weightedFontFamily,bold,italic,underline,fontSize,foregroundColor,link'
+      }
+    }, ...this.paragraphStyles, ...this.textStyles];
+
+    const headingLinks = this.headingLinks
+      .filter(link => this.headings.has(link.key))
+      .map(({ startIndex, endIndex, key }) => ({ startIndex, endIndex, headingIndex: this.headings.get(key) }));
+
+    return { requests, headingLinks };
+  }
+}
+
+/**
+ * Link requests for headingLinks, given the created document
+ * Headings that didn't get an ID are left unlinked.
+ */
+const resolveHeadingLinks = (headingLinks, document) => {
+  const headingIds = new Map((document.body?.content || [])
+    .filter(element => element.paragraph?.paragraphStyle?.headingId)
+    .map(element => [element.startIndex, element.paragraph.paragraphStyle.headingId]));
+
+  return headingLinks
+    .filter(link => headingIds.has(link.headingIndex))
+    .map(link => ({
+      updateTextStyle: {
+        range: { startIndex: link.startIndex, endIndex: link.endIndex },
+        textStyle: { link: { headingId: headingIds.get(link.headingIndex) } },
+        fields: 'link'
+      }
+    }));
+};
+
+module.exports = {
+  DocBuilder,
+  resolveHeadingLinks
+};
@@ -0,0 +1,125 @@
+const { DocBuilder, resolveHeadingLinks } = require('./docBuilder');
+
+// The text a request's range covers, as Google would see it
+const textAt = (builder, { startIndex, endIndex }) =>
+  builder.text.slice(startIndex - builder.startIndex, endIndex - builder.startIndex);
+
+const textStyles = (requests) => requests
+  .filter(request => request.updateTextStyle && !request.updateTextStyle.textStyle.weightedFontFamily)
+  .map(request => request.updateTextStyle);
+
+describe('DocBuilder', () => {
+  it('inserts all of the text at the start of the body', () => {
+    const builder = new DocBuilder().title('Weekly sync').paragraph('Notes');
+    const { requests } = builder.build();
+
+    expect(requests[0]).toEqual({ insertText: { location: { index: 1 }, text: 'Weekly sync\nNotes\n' } });
+    expect(requests[1].updateParagraphStyle.range).toEqual({ startIndex: 1, endIndex: 19 });
+  });
+
+  it('counts characters outside the BMP as two indices', () => {
+    const builder = new DocBuilder()
+      .paragraph('🎉 Launch 🚀')
+      .paragraph([{ text: '👩‍💻 ' }, { text: 'Ann', bold: true }]);
+    const [style] = textStyles(builder.build().requests);
+
+    // '🎉 Launch 🚀\n' is 13 code units; '👩‍💻 ' is 6
+    expect(style.range).toEqual({ startIndex: 20, endIndex: 23 });
+    expect(textAt(builder, style.range)).toBe('Ann');
+  });
+
+  it('counts combining marks separately', () => {
+    const builder = new DocBuilder().paragraph([{ text: 'Jose\u0301 ' }, { text: 'Nu\u0301n\u0303ez', italic: true }]);
+    const [style] = textStyles(builder.build().requests);
+
+    expect(style.range).toEqual({ startIndex: 7, endIndex: 14 });
+    expect(textAt(builder, style.range)).toBe('Nu\u0301n\u0303ez');
+  });
+
+  it('drops characters insertText would strip before laying out indices', () => {
+    const builder = new DocBuilder().paragraph([{ text: 'Bell\u0007 ' }, { text: 'link', link: 'https://example.com' }]);
+    const { requests } = builder.build();
+    const [style] = textStyles(requests);
+
+    expect(requests[0].insertText.text).toBe('Bell link\n');
+    expect(textAt(builder, style.range)).toBe('link');
+  });
+
+  it('keeps tabs', () => {
+    const builder = new DocBuilder().paragraph([{ text: 'a\tb' }, { text: 'c', bold: true }]);
+    const [style] = textStyles(builder.build().requests);
+
+    expect(textAt(builder, style.range)).toBe('c');
+  });
+
+  it('styles a paragraph up to and including its newline', () => {
+    const builder = new DocBuilder().paragraph('Intro').heading('Action items 📌', 2).paragraph('Call Bob', { indent: 18 });
+    const paragraphStyles = builder.build().requests
+      .filter(request => request.updateParagraphStyle && request.updateParagraphStyle.paragraphStyle.namedStyleType !== 'NORMAL_TEXT')
+      .map(request => request.updateParagraphStyle);
+
+    expect(paragraphStyles.map(style => textAt(builder, style.range))).toEqual(['Action items 📌\n', 'Call Bob\n']);
+    expect(paragraphStyles[1]).toEqual({
+      range: { startIndex: 23, endIndex: 32 },
+      paragraphStyle: { indentStart: { magnitude: 18, unit: 'PT' } },
+      fields: 'indentStart'
+    });
+  });
+
+  it('lays out text from startIndex in an existing document', () => {
+    const builder = new DocBuilder({ startIndex: 120 }).paragraph([{ text: '✅ ' }, { text: 'Done', bold: true }]);
+    const { requests } = builder.build();
+    const [style] = textStyles(requests);
+
+    expect(requests[0].insertText.location).toEqual({ index: 120 });
+    expect(style.range).toEqual({ startIndex: 122, endIndex: 126 });
+  });
+
+  it('skips empty runs without styling them', () => {
+    const builder = new DocBuilder().paragraph([{ text: '', bold: true }, { text: 'plain' }]);
+
+    expect(textStyles(builder.build().requests)).toEqual([]);
+  });
+});
+
+describe('heading links', () => {
+  it('links to a heading added later in the document', () => {
+    const builder = new DocBuilder()
+      .paragraph([{ text: '🔎 ' }, { text: 'Jump to 2:05', headingKey: 'chapter-2' }])
+      .heading('Intro', 2, { key: 'chapter-1' })
+      .heading('Pricing 💶', 2, { key: 'chapter-2' });
+    const { headingLinks } = builder.build();
+
+    expect(headingLinks).toEqual([{ startIndex: 4, endIndex: 16, headingIndex: 23 }]);
+    expect(textAt(builder, headingLinks[0])).toBe('Jump to 2:05');
+    expect(textAt(builder, { startIndex: 23, endIndex: 33 })).toBe('Pricing 💶');
+  });
+
+  it('leaves a link to a missing heading out', () => {
+    const { headingLinks } = new DocBuilder().paragraph([{ text: 'Nowhere', headingKey: 'missing' }]).build();
+
+    expect(headingLinks).toEqual([]);
+  });
+
+  it('resolves links to the heading IDs Google assigned', () => {
+    const document = {
+      body: {
+        content: [
+          { startIndex: 1, paragraph: { paragraphStyle: { namedStyleType: 'NORMAL_TEXT' } } },
+          { startIndex: 23, paragraph: { paragraphStyle: { namedStyleType: 'HEADING_2', headingId: 'h.abc123' } } }
+        ]
+      }
+    };
+
+    expect(resolveHeadingLinks([
+      { startIndex: 4, endIndex: 16, headingIndex: 23 },
+      { startIndex: 17, endIndex: 20, headingIndex: 40 }
+    ], document)).toEqual([{
+      updateTextStyle: {
+        range: { startIndex: 4, endIndex: 16 },
+        textStyle: { link: { headingId: 'h.abc123' } },
+        fields: 'link'
+      }
+    }]);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Email templates for meeting notifications
+ * Every template returns { subject, text, html } so mail clients without HTML
+ * still get a readable message. Content mirrors the Slack notifications.
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => new Date(date).toLocaleString('en-US', {
+  weekday: 'short',
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZoneName: 'short'
+});
+
+/**
+ * Wrap rows of [label, value] and optional buttons in a minimal HTML layout
+ * Values are escaped here; button URLs are escaped as attributes.
+ */
+const renderHtml = ({ heading, color, rows, buttons = [], preformatted = null }) => {
+  const tableRows = rows
+    .map(([label, value]) => `<tr><td style="padding:4px 12px 4px 0;color:#555;vertical-align:top"><strong>${escapeHtml(label)}</strong></td><td style="padding:4px 0">${escapeHtml(value)}</td></tr>`)
+    .join('');
+
+  const buttonLinks = buttons
+    .map(({ label, url }) => `<a href="${escapeHtml(url)}" style="display:inline-block;margin:0 8px 8px 0;padding:10px 16px;background:${color};color:#fff;text-decoration:none;border-radius:4px">${escapeHtml(label)}</a>`)
+    .join('');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;font-size:14px;color:#222">',
+    `<h2 style="color:${color};margin:0 0 16px">${escapeHtml(heading)}</h2>`,
+    `<table style="border-collapse:collapse;margin-bottom:16px">${tableRows}</table>`,
+    buttonLinks ? `<p>${buttonLinks}</p>` : '',
+    preformatted ? `<pre style="background:#f6f8fa;padding:12px;border-radius:4px;white-space:pre-wrap">${escapeHtml(preformatted)}</pre>` : '',
+    '<p style="color:#888;font-size:12px">Sent by the Nomadz meeting recording service.</p>',
+    '</body></html>'
+  ].join('\n');
+};
+
+/**
+ * Render rows of [label, value] as plain text
+ */
+const renderText = (heading, rows, extraLines = []) => [
+  heading,
+  '',
+  ...rows.map(([label, value]) => `${label}: ${value}`),
+  ...(extraLines.length > 0 ? ['', ...extraLines] : [])
+].join('\n');
+
+/**
+ * Recording and transcript are ready
+ */
+const renderMeetingCompleted = ({ meeting, recordingUrl, transcriptUrl, speakers, duration }) => {
+  const heading = `✅ ${meeting.meeting_title} Recording Completed`;
+  const rows = [
+    ['Date', formatDate(meeting.meeting_started_at || meeting.created_at)],
+    ['Duration', duration || 'Unknown'],
+    ['Speakers', speakers || 'No speakers identified']
+  ];
+
+  return {
+    subject: `Meeting recording ready: ${meeting.meeting_title}`,
+    text: renderText(heading, rows, [
+      `Recording: ${recordingUrl}`,
+      `Transcript: ${transcriptUrl}`
+    ]),
+    html: renderHtml({
+      heading,
+      color: '#2eb67d',
+      rows,
+      buttons: [
+        { label: '🎥 View Recording', url: recordingUrl },
+        { label: '📝 View Transcript', url: transcriptUrl }
+      ]
+    })
+  };
+};
+
+/**
+ * Processing failed for a meeting
+ */
+const renderMeetingFailed = ({ meeting, error, step = null }) => {
+  const heading = '❌ Meeting Recording Failed';
+  const rows = [
+    ['Meeting', meeting.meeting_title],
+    ['Conference ID', meeting.conference_id],
+    ['Meeting ID', meeting.id],
+    ['Error', error.message],
+    ...(step ? [['Failed Step', step]] : []),
+    ['Time', formatDate(new Date())]
+  ];
+
+  return {
+    subject: `Meeting recording failed: ${meeting.meeting_title}`,
+    text: renderText(heading, rows, ['Retry it from Slack or with POST /api/meetings/<id>/retry.']),
+    html: renderHtml({ heading, color: '#e01e5a', rows })
+  };
+};
+
+/**
+ * Critical processing failure (e.g. recording URL expired)
+ */
+const renderCriticalAlert = (criticalError) => {
+  const heading = '🚨 CRITICAL ALERT - Immediate Attention Required';
+  const rows = [
+    ['Meeting ID', criticalError.meetingId || 'n/a'],
+    ['Failed Step', criticalError.step || 'n/a'],
+    ['Error', criticalError.error],
+    ['Severity', criticalError.severity],
+    ['Time', criticalError.timestamp]
+  ];
+  const context = criticalError.context ? JSON.stringify(criticalError.context, null, 2) : null;
+
+  return {
+    subject: `CRITICAL: Meeting processing failure${criticalError.meetingId ? ` (${criticalError.meetingId})` : ''}`,
+    text: renderText(heading, rows, context ? ['Context:', context] : []),
+    html: renderHtml({ heading, color: '#e01e5a', rows, preformatted: context })
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  renderMeetingCompleted,
+  renderMeetingFailed,
+  renderCriticalAlert
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+/**
+ * HMAC signature helpers
+ * Shared by inbound webhook verification and any outbound payload signing
+ */
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Compute the signature for a timestamped payload
+ * The signed string is `${timestamp}.${body}` so the timestamp cannot be swapped
+ */
+const computeSignature = (secret, timestamp, body) => {
+  const payload = Buffer.isBuffer(body) ? body : Buffer.from(body || '', 'utf8');
+
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.`);
+  hmac.update(payload);
+
+  return `${SIGNATURE_PREFIX}${hmac.digest('hex')}`;
+};
+
+/**
+ * Constant-time comparison of two signature strings
+ */
+const safeCompare = (expected, received) => {
+  if (typeof expected !== 'string' || typeof received !== 'string') {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const receivedBuffer = Buffer.from(received, 'utf8');
+
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Check that a Unix timestamp (seconds) falls within the allowed window
+ */
+const isTimestampFresh = (timestamp, toleranceSeconds, now = Date.now()) => {
+  const timestampSeconds = parseInt(timestamp, 10);
+
+  if (!Number.isFinite(timestampSeconds)) {
+    return false;
+  }
+
+  const ageSeconds = Math.abs(Math.floor(now / 1000) - timestampSeconds);
+  return ageSeconds <= toleranceSeconds;
+};
+
+/**
+ * Verify a timestamped signature against a secret
+ */
+const verifySignature = (secret, timestamp, body, signature) => {
+  if (!secret || !timestamp || !signature) {
+    return false;
+  }
+
+  const expected = computeSignature(secret, timestamp, body);
+  return safeCompare(expected, signature);
+};
+
+module.exports = {
+  SIGNATURE_PREFIX,
+  computeSignature,
+  safeCompare,
+  isTimestampFresh,
+  verifySignature
+};
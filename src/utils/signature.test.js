@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const {
+  SIGNATURE_PREFIX,
+  computeSignature,
+  safeCompare,
+  isTimestampFresh,
+  verifySignature
+} = require('./signature');
+
+const SECRET = 'test-secret';
+const TIMESTAMP = '1700000000';
+const BODY = '{"event":"recording.completed","meetingId":"meeting-1"}';
+
+describe('computeSignature', () => {
+  it('signs `${timestamp}.${body}` with HMAC-SHA256 behind the sha256= prefix', () => {
+    const digest = crypto.createHmac('sha256', SECRET).update(`${TIMESTAMP}.${BODY}`).digest('hex');
+
+    expect(SIGNATURE_PREFIX).toBe('sha256=');
+    expect(computeSignature(SECRET, TIMESTAMP, BODY)).toBe(`sha256=${digest}`);
+  });
+
+  it('signs the raw bytes of a Buffer body', () => {
+    expect(computeSignature(SECRET, TIMESTAMP, Buffer.from(BODY))).toBe(computeSignature(SECRET, TIMESTAMP, BODY));
+  });
+
+  it('binds the timestamp into the signature', () => {
+    expect(computeSignature(SECRET, '1700000001', BODY)).not.toBe(computeSignature(SECRET, TIMESTAMP, BODY));
+  });
+});
+
+describe('verifySignature', () => {
+  const signature = computeSignature(SECRET, TIMESTAMP, BODY);
+
+  it('accepts a valid signature', () => {
+    expect(verifySignature(SECRET, TIMESTAMP, BODY, signature)).toBe(true);
+  });
+
+  it('requires the sha256= prefix', () => {
+    expect(verifySignature(SECRET, TIMESTAMP, BODY, signature.slice(SIGNATURE_PREFIX.length))).toBe(false);
+    expect(verifySignature(SECRET, TIMESTAMP, BODY, signature.replace('sha256=', 'sha1='))).toBe(false);
+  });
+
+  it('rejects a tampered body, timestamp or secret', () => {
+    expect(verifySignature(SECRET, TIMESTAMP, `${BODY} `, signature)).toBe(false);
+    expect(verifySignature(SECRET, '1700000001', BODY, signature)).toBe(false);
+    expect(verifySignature('other-secret', TIMESTAMP, BODY, signature)).toBe(false);
+  });
+
+  it('rejects missing parts', () => {
+    expect(verifySignature('', TIMESTAMP, BODY, signature)).toBe(false);
+    expect(verifySignature(SECRET, '', BODY, signature)).toBe(false);
+    expect(verifySignature(SECRET, TIMESTAMP, BODY, undefined)).toBe(false);
+  });
+});
+
+describe('safeCompare', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('compares equal-length strings in constant time', () => {
+    const timingSafeEqual = jest.spyOn(crypto, 'timingSafeEqual');
+
+    expect(safeCompare('sha256=abc', 'sha256=abc')).toBe(true);
+    expect(safeCompare('sha256=abc', 'sha256=abd')).toBe(false);
+    expect(timingSafeEqual).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects different lengths without throwing', () => {
+    expect(safeCompare('sha256=abc', 'sha256=abcd')).toBe(false);
+  });
+
+  it('rejects non-strings', () => {
+    expect(safeCompare('sha256=abc', undefined)).toBe(false);
+    expect(safeCompare(null, 'sha256=abc')).toBe(false);
+    expect(safeCompare('sha256=abc', ['sha256=abc'])).toBe(false);
+  });
+});
+
+describe('isTimestampFresh', () => {
+  const now = 1700000000 * 1000;
+
+  it('accepts timestamps within the tolerance on either side', () => {
+    expect(isTimestampFresh('1700000000', 300, now)).toBe(true);
+    expect(isTimestampFresh('1699999700', 300, now)).toBe(true);
+    expect(isTimestampFresh('1700000300', 300, now)).toBe(true);
+  });
+
+  it('rejects timestamps outside the tolerance', () => {
+    expect(isTimestampFresh('1699999699', 300, now)).toBe(false);
+    expect(isTimestampFresh('1700000301', 300, now)).toBe(false);
+  });
+
+  it('rejects timestamps that are not numbers', () => {
+    expect(isTimestampFresh('yesterday', 300, now)).toBe(false);
+    expect(isTimestampFresh(undefined, 300, now)).toBe(false);
+  });
+});
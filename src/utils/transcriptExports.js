@@ -0,0 +1,188 @@
+/**
+ * Transcript export renderers
+ * Every renderer takes { meeting, entries } where entries come from
+ * normalizeTranscript() and returns the file content as a string.
+ * ChatterBox entries are { start, end, speaker, text } with times in milliseconds.
+ */
+
+// Cue length used when an entry has no usable end time and nothing follows it
+const DEFAULT_CUE_MS = 3000;
+
+// Longest cue made up for a missing end time, even when the next entry is later
+const MAX_FILLED_CUE_MS = 10000;
+
+const toMilliseconds = (value) => {
+  const number = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(number) ? Math.max(0, Math.round(number)) : null;
+};
+
+/**
+ * Clean up raw transcript entries: drop empty text, sort by start time and
+ * make sure every entry has an end after its start
+ */
+const normalizeTranscript = (transcriptArray) => {
+  const entries = (transcriptArray || [])
+    .filter(entry => typeof entry?.text === 'string' && entry.text.trim().length > 0)
+    .map(entry => ({
+      start: toMilliseconds(entry.start) ?? 0,
+      end: toMilliseconds(entry.end),
+      speaker: entry.speaker || 'Unknown Speaker',
+      text: entry.text.trim().replace(/\s+/g, ' ')
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  return entries.map((entry, index) => {
+    if (entry.end !== null && entry.end > entry.start) {
+      return entry;
+    }
+
+    const next = entries[index + 1];
+    const end = next && next.start > entry.start
+      ? Math.min(next.start, entry.start + MAX_FILLED_CUE_MS)
+      : entry.start + DEFAULT_CUE_MS;
+
+    return { ...entry, end };
+  });
+};
+
+/**
+ * Format milliseconds as HH:MM:SS<separator>mmm
+ */
+const formatCueTime = (ms, separator) => {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const millis = ms % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}${separator}${String(millis).padStart(3, '0')}`;
+};
+
+/**
+ * Format milliseconds as MM:SS, or H:MM:SS past the first hour
+ */
+const formatOffset = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+/**
+ * SubRip subtitles
+ */
+const renderSrt = ({ entries }) => entries
+  .map((entry, index) => [
+    String(index + 1),
+    `${formatCueTime(entry.start, ',')} --> ${formatCueTime(entry.end, ',')}`,
+    `${entry.speaker}: ${entry.text}`,
+    ''
+  ].join('\n'))
+  .join('\n');
+
+const escapeVtt = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * WebVTT subtitles, with speakers as voice spans
+ */
+const renderVtt = ({ entries }) => [
+  'WEBVTT',
+  '',
+  ...entries.map(entry => [
+    `${formatCueTime(entry.start, '.')} --> ${formatCueTime(entry.end, '.')}`,
+    `<v ${escapeVtt(entry.speaker)}>${escapeVtt(entry.text)}`,
+    ''
+  ].join('\n'))
+].join('\n');
+
+/**
+ * Markdown transcript, grouped by speaker turn like the Google Doc
+ */
+const renderMarkdown = ({ meeting, entries }) => {
+  const lines = [`# ${meeting.meeting_title}`, ''];
+
+  if (meeting.meeting_started_at) {
+    lines.push(`- **Date:** ${new Date(meeting.meeting_started_at).toLocaleString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'short'
+    })}`);
+  }
+
+  lines.push(`- **Conference ID:** ${meeting.conference_id}`);
+
+  if (meeting.google_drive_recording_url) {
+    lines.push(`- **Recording:** ${meeting.google_drive_recording_url}`);
+  }
+
+  lines.push('', '## Transcript', '');
+
+  if (entries.length === 0) {
+    lines.push('_No transcript data available._', '');
+  }
+
+  let currentSpeaker = null;
+
+  for (const entry of entries) {
+    if (entry.speaker !== currentSpeaker) {
+      lines.push(`**${entry.speaker}** · ${formatOffset(entry.start)}`, '');
+      currentSpeaker = entry.speaker;
+    }
+
+    lines.push(entry.text, '');
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Normalized JSON for downstream tools
+ */
+const renderJson = ({ meeting, entries }) => JSON.stringify({
+  meeting: {
+    id: meeting.id,
+    title: meeting.meeting_title,
+    conferenceId: meeting.conference_id,
+    startedAt: meeting.meeting_started_at,
+    endedAt: meeting.meeting_ended_at,
+    recordingUrl: meeting.google_drive_recording_url || null
+  },
+  speakers: [...new Set(entries.map(entry => entry.speaker))],
+  entries: entries.map(entry => ({
+    start: entry.start,
+    end: entry.end,
+    speaker: entry.speaker,
+    text: entry.text
+  })),
+  durationMs: entries.reduce((latest, entry) => Math.max(latest, entry.end), 0)
+}, null, 2);
+
+/**
+ * Supported export formats
+ * Subtitle formats are named after the recording so video players pick them up.
+ */
+const EXPORT_FORMATS = {
+  srt: { extension: 'srt', mimeType: 'application/x-subrip', subtitle: true, render: renderSrt },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt', subtitle: true, render: renderVtt },
+  markdown: { extension: 'md', mimeType: 'text/markdown', subtitle: false, render: renderMarkdown },
+  json: { extension: 'json', mimeType: 'application/json', subtitle: false, render: renderJson }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  normalizeTranscript,
+  formatCueTime,
+  formatOffset,
+  renderSrt,
+  renderVtt,
+  renderMarkdown,
+  renderJson
+};
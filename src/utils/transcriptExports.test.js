@@ -0,0 +1,169 @@
+const {
+  EXPORT_FORMATS,
+  normalizeTranscript,
+  formatCueTime,
+  formatOffset,
+  renderSrt,
+  renderVtt,
+  renderJson
+} = require('./transcriptExports');
+
+const meeting = {
+  id: 'meeting-1',
+  meeting_title: 'Weekly Sync',
+  conference_id: 'abc-defg-hij',
+  meeting_started_at: '2024-03-04T10:00:00.000Z',
+  meeting_ended_at: '2024-03-04T10:30:00.000Z',
+  google_drive_recording_url: 'https://drive.google.com/file/d/recording/view'
+};
+
+describe('formatCueTime', () => {
+  it('formats milliseconds as HH:MM:SS with the given separator', () => {
+    expect(formatCueTime(0, ',')).toBe('00:00:00,000');
+    expect(formatCueTime(1500, ',')).toBe('00:00:01,500');
+    expect(formatCueTime(61001, '.')).toBe('00:01:01.001');
+    expect(formatCueTime(3600000 + 23 * 60000 + 45678, '.')).toBe('01:23:45.678');
+  });
+
+  it('keeps counting hours past a day', () => {
+    expect(formatCueTime(100 * 3600000, ',')).toBe('100:00:00,000');
+  });
+});
+
+describe('formatOffset', () => {
+  it('uses MM:SS for the first hour and H:MM:SS after it', () => {
+    expect(formatOffset(65000)).toBe('01:05');
+    expect(formatOffset(3725000)).toBe('1:02:05');
+  });
+});
+
+describe('normalizeTranscript', () => {
+  it('drops empty entries, sorts by start and tidies text', () => {
+    const entries = normalizeTranscript([
+      { start: 4000, end: 6000, speaker: 'Bob', text: 'Second  \n line ' },
+      { start: 0, end: 2000, speaker: 'Ann', text: 'First' },
+      { start: 3000, end: 3500, speaker: 'Ann', text: '   ' },
+      { start: 3000, end: 3500, speaker: 'Ann', text: null },
+      null
+    ]);
+
+    expect(entries).toEqual([
+      { start: 0, end: 2000, speaker: 'Ann', text: 'First' },
+      { start: 4000, end: 6000, speaker: 'Bob', text: 'Second line' }
+    ]);
+  });
+
+  it('fills in missing speakers and start times', () => {
+    expect(normalizeTranscript([{ end: 1000, text: 'Hi' }])).toEqual([
+      { start: 0, end: 1000, speaker: 'Unknown Speaker', text: 'Hi' }
+    ]);
+  });
+
+  it('parses numeric strings and clamps negative times', () => {
+    expect(normalizeTranscript([{ start: '1200.4', end: '2500', speaker: 'Ann', text: 'Hi' }]))
+      .toEqual([{ start: 1200, end: 2500, speaker: 'Ann', text: 'Hi' }]);
+    expect(normalizeTranscript([{ start: -50, end: 500, speaker: 'Ann', text: 'Hi' }])[0].start).toBe(0);
+  });
+
+  it('ends an entry without a usable end at the next entry, capped at 10 seconds', () => {
+    const entries = normalizeTranscript([
+      { start: 0, end: null, speaker: 'Ann', text: 'One' },
+      { start: 4000, end: 4000, speaker: 'Bob', text: 'Two' },
+      { start: 60000, speaker: 'Ann', text: 'Three' },
+      { start: 70000, end: 'soon', speaker: 'Bob', text: 'Four' }
+    ]);
+
+    expect(entries.map(entry => [entry.start, entry.end])).toEqual([
+      [0, 4000],
+      [4000, 14000],
+      [60000, 70000],
+      [70000, 73000]
+    ]);
+  });
+
+  it('handles a missing transcript', () => {
+    expect(normalizeTranscript(null)).toEqual([]);
+    expect(normalizeTranscript(undefined)).toEqual([]);
+  });
+});
+
+describe('renderSrt', () => {
+  it('numbers cues from 1 with comma millisecond separators', () => {
+    const entries = normalizeTranscript([
+      { start: 0, end: 1500, speaker: 'Ann', text: 'Hello everyone' },
+      { start: 1500, end: 3723456, speaker: 'Bob', text: 'Hi <Ann> & all' }
+    ]);
+
+    expect(renderSrt({ meeting, entries })).toBe([
+      '1',
+      '00:00:00,000 --> 00:00:01,500',
+      'Ann: Hello everyone',
+      '',
+      '2',
+      '00:00:01,500 --> 01:02:03,456',
+      'Bob: Hi <Ann> & all',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders an empty transcript as an empty file', () => {
+    expect(renderSrt({ meeting, entries: [] })).toBe('');
+  });
+});
+
+describe('renderVtt', () => {
+  it('writes the header and voice spans with escaped text', () => {
+    const entries = normalizeTranscript([
+      { start: 0, end: 1500, speaker: 'Ann', text: 'Hello everyone' },
+      { start: 1500, end: 4000, speaker: 'R&D <Bob>', text: 'Use a < b && c > d' }
+    ]);
+
+    expect(renderVtt({ meeting, entries })).toBe([
+      'WEBVTT',
+      '',
+      '00:00:00.000 --> 00:00:01.500',
+      '<v Ann>Hello everyone',
+      '',
+      '00:00:01.500 --> 00:00:04.000',
+      '<v R&amp;D &lt;Bob&gt;>Use a &lt; b &amp;&amp; c &gt; d',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders only the header for an empty transcript', () => {
+    expect(renderVtt({ meeting, entries: [] })).toBe('WEBVTT\n');
+  });
+});
+
+describe('renderJson', () => {
+  it('includes meeting details, speakers and the total duration', () => {
+    const entries = normalizeTranscript([
+      { start: 0, end: 1500, speaker: 'Ann', text: 'Hello' },
+      { start: 1500, end: 4000, speaker: 'Bob', text: 'Hi' },
+      { start: 4000, end: 5000, speaker: 'Ann', text: 'Bye' }
+    ]);
+
+    const json = JSON.parse(renderJson({ meeting, entries }));
+
+    expect(json.meeting).toEqual({
+      id: 'meeting-1',
+      title: 'Weekly Sync',
+      conferenceId: 'abc-defg-hij',
+      startedAt: '2024-03-04T10:00:00.000Z',
+      endedAt: '2024-03-04T10:30:00.000Z',
+      recordingUrl: 'https://drive.google.com/file/d/recording/view'
+    });
+    expect(json.speakers).toEqual(['Ann', 'Bob']);
+    expect(json.entries).toHaveLength(3);
+    expect(json.durationMs).toBe(5000);
+  });
+});
+
+describe('EXPORT_FORMATS', () => {
+  it('marks subtitle formats and their file types', () => {
+    expect(EXPORT_FORMATS.srt).toMatchObject({ extension: 'srt', mimeType: 'application/x-subrip', subtitle: true });
+    expect(EXPORT_FORMATS.vtt).toMatchObject({ extension: 'vtt', mimeType: 'text/vtt', subtitle: true });
+    expect(EXPORT_FORMATS.markdown.subtitle).toBe(false);
+    expect(EXPORT_FORMATS.json.subtitle).toBe(false);
+  });
+});